@@ -0,0 +1,28 @@
+/**
+ * Classification Module
+ *
+ * Session types for synced meeting transcripts, from per-company rules with
+ * an optional LLM fallback.
+ *
+ * Usage:
+ *   import { classifySessionType } from './classification/index.js';
+ *   const { session_type, source } = await classifySessionType(supabase, openai, {
+ *     companyId, title, participants, content, hasClientMatch
+ *   });
+ */
+
+export {
+  SESSION_TYPE_MATCH_FIELDS,
+  SESSION_TYPE_MATCH_TYPES,
+  SESSION_TYPE_CLIENT_MATCH,
+  DEFAULT_SESSION_TYPES,
+  validateSessionTypeRule,
+  ruleMatches,
+  classifyWithRules,
+  classifyWithLlm,
+  getSessionTypeMetadata,
+  getCandidateSessionTypes,
+  loadSessionTypeRules,
+  clearSessionTypeRulesCache,
+  classifySessionType
+} from './session-types.js';
@@ -0,0 +1,307 @@
+/**
+ * Session Type Classification
+ *
+ * Tags meeting transcripts synced from Fireflies (webhook, polling, import,
+ * pending assignment) with a session_type, using rules each coaching company
+ * maintains in session_type_rules (migration 031, admin routes in
+ * routes/session-type-rules.js):
+ *
+ * 1. Enabled rules of the coach's company, highest priority first: the first
+ *    rule whose pattern matches the meeting title (or a participant) wins
+ * 2. A matched client: 'client_coaching'
+ * 3. Optional LLM classifier (SESSION_TYPE_LLM_FALLBACK=true), choosing among
+ *    the company's session types
+ * 4. 'untagged' for manual review
+ */
+
+import {
+  SESSION_TYPE_MODEL,
+  SESSION_TYPE_LLM_EXCERPT_CHARS,
+  SESSION_TYPE_LLM_MIN_CONFIDENCE,
+  SESSION_TYPE_RULES_CACHE_TTL_MS
+} from '../config/constants.js';
+
+export const SESSION_TYPE_MATCH_FIELDS = ['title', 'participants'];
+export const SESSION_TYPE_MATCH_TYPES = ['contains', 'starts_with', 'regex'];
+export const SESSION_TYPE_CLIENT_MATCH = ['any', 'matched', 'unmatched'];
+
+/** Session types offered to the LLM in addition to those the company's rules produce */
+export const DEFAULT_SESSION_TYPES = ['client_coaching', 'unmatched_client', 'internal_meeting', 'training', 'sales_call', 'networking'];
+
+const SESSION_TYPE_PATTERN = /^[a-z0-9_]{1,50}$/;
+const MAX_PATTERN_LENGTH = 500;
+
+// companyId -> { rules, expiresAt }
+const rulesCache = new Map();
+
+/**
+ * Validate a rule from an admin request
+ *
+ * @param {Object} input - { pattern, session_type, match_field?, match_type?, client_match?, priority?, enabled?, name? }
+ * @returns {{rule: Object|null, error: string|null}} Columns to store, with defaults applied
+ */
+export function validateSessionTypeRule(input = {}) {
+  const {
+    name = null,
+    pattern,
+    match_field = 'title',
+    match_type = 'contains',
+    client_match = 'any',
+    session_type,
+    priority = 100,
+    enabled = true
+  } = input;
+
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    return { rule: null, error: 'pattern is required' };
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return { rule: null, error: `pattern must be at most ${MAX_PATTERN_LENGTH} characters` };
+  }
+  if (typeof session_type !== 'string' || !SESSION_TYPE_PATTERN.test(session_type)) {
+    return { rule: null, error: 'session_type is required and must be lowercase letters, digits or underscores (max 50)' };
+  }
+  if (!SESSION_TYPE_MATCH_FIELDS.includes(match_field)) {
+    return { rule: null, error: `match_field must be one of: ${SESSION_TYPE_MATCH_FIELDS.join(', ')}` };
+  }
+  if (!SESSION_TYPE_MATCH_TYPES.includes(match_type)) {
+    return { rule: null, error: `match_type must be one of: ${SESSION_TYPE_MATCH_TYPES.join(', ')}` };
+  }
+  if (!SESSION_TYPE_CLIENT_MATCH.includes(client_match)) {
+    return { rule: null, error: `client_match must be one of: ${SESSION_TYPE_CLIENT_MATCH.join(', ')}` };
+  }
+  if (!Number.isInteger(priority) || Math.abs(priority) > 10000) {
+    return { rule: null, error: 'priority must be an integer between -10000 and 10000' };
+  }
+  if (typeof enabled !== 'boolean') {
+    return { rule: null, error: 'enabled must be a boolean' };
+  }
+  if (name !== null && (typeof name !== 'string' || name.length > 100)) {
+    return { rule: null, error: 'name must be a string of at most 100 characters' };
+  }
+
+  if (match_type === 'regex') {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      return { rule: null, error: `Invalid regex pattern: ${error.message}` };
+    }
+  }
+
+  return {
+    rule: { name, pattern, match_field, match_type, client_match, session_type, priority, enabled },
+    error: null
+  };
+}
+
+/**
+ * Case-insensitive test for a rule's pattern
+ * @returns {Function} value => boolean
+ */
+function createMatcher(rule) {
+  if (rule.match_type === 'regex') {
+    let regex;
+    try {
+      regex = new RegExp(rule.pattern, 'i');
+    } catch {
+      return () => false;
+    }
+    return value => regex.test(value);
+  }
+
+  const pattern = rule.pattern.toLowerCase();
+  return rule.match_type === 'starts_with'
+    ? value => value.toLowerCase().startsWith(pattern)
+    : value => value.toLowerCase().includes(pattern);
+}
+
+/**
+ * Whether a rule applies to a meeting
+ * @param {Object} rule - session_type_rules row
+ * @param {Object} meeting - { title, participants, hasClientMatch }
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, { title, participants = [], hasClientMatch = false }) {
+  if (rule.client_match === 'matched' && !hasClientMatch) return false;
+  if (rule.client_match === 'unmatched' && hasClientMatch) return false;
+
+  const values = rule.match_field === 'participants' ? participants || [] : [title];
+  const test = createMatcher(rule);
+  return values.some(value => typeof value === 'string' && value !== '' && test(value));
+}
+
+/**
+ * Enabled rules in evaluation order: highest priority first, then oldest
+ */
+function orderRules(rules) {
+  return rules
+    .filter(rule => rule.enabled !== false)
+    .sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0) ||
+      String(a.created_at || '').localeCompare(String(b.created_at || '')));
+}
+
+/**
+ * Classify a meeting with rules only (no LLM)
+ *
+ * @param {Array<Object>} rules - session_type_rules rows
+ * @param {Object} meeting - { title, participants, hasClientMatch }
+ * @returns {{session_type: string, source: string, rule_id?: string}}
+ *   source: 'rule' | 'client_match' | 'default'
+ */
+export function classifyWithRules(rules, meeting) {
+  const rule = orderRules(rules || []).find(candidate => ruleMatches(candidate, meeting));
+  if (rule) {
+    return { session_type: rule.session_type, source: 'rule', rule_id: rule.id || null };
+  }
+
+  if (meeting.hasClientMatch) {
+    return { session_type: 'client_coaching', source: 'client_match' };
+  }
+
+  return { session_type: 'untagged', source: 'default' };
+}
+
+/**
+ * Ask an LLM for the session type of a meeting no rule matched
+ *
+ * @param {Object} openai - OpenAI client
+ * @param {Object} meeting - { title, participants, content }
+ * @param {string[]} sessionTypes - Allowed answers
+ * @param {Object} [options]
+ * @param {Object} [options.expenseTracker] - APIExpenseTracker; calls are tracked as 'session_type_classification'
+ * @returns {Promise<{session_type: string, source: string, confidence: number}|null>}
+ *   null when the model is unsure or answers outside sessionTypes
+ */
+export async function classifyWithLlm(openai, meeting, sessionTypes, options = {}) {
+  const response = await openai.chat.completions.create({
+    model: SESSION_TYPE_MODEL,
+    messages: [
+      {
+        role: 'system',
+        content: 'You classify meetings recorded by a coaching company. ' +
+          'Answer with a JSON object {"session_type": string, "confidence": number between 0 and 1}. ' +
+          'session_type must be one of the allowed types, or "untagged" if none fits.'
+      },
+      {
+        role: 'user',
+        content: `Allowed types: ${sessionTypes.join(', ')}\n` +
+          `Title: ${meeting.title || '(none)'}\n` +
+          `Participants: ${(meeting.participants || []).join(', ') || '(unknown)'}\n\n` +
+          `Transcript excerpt:\n${(meeting.content || '').slice(0, SESSION_TYPE_LLM_EXCERPT_CHARS)}`
+      }
+    ],
+    temperature: 0,
+    response_format: { type: 'json_object' }
+  });
+
+  if (options.expenseTracker && response.usage) {
+    options.expenseTracker.track({
+      model: SESSION_TYPE_MODEL,
+      operation: 'session_type_classification',
+      inputTokens: response.usage.prompt_tokens,
+      outputTokens: response.usage.completion_tokens
+    });
+  }
+
+  const parsed = JSON.parse(response.choices[0].message.content);
+  const confidence = Number(parsed?.confidence) || 0;
+
+  if (!sessionTypes.includes(parsed?.session_type) || confidence < SESSION_TYPE_LLM_MIN_CONFIDENCE) {
+    return null;
+  }
+
+  return { session_type: parsed.session_type, source: 'llm', confidence };
+}
+
+/**
+ * data_items.metadata fields recording a classification
+ * @param {Object} result - classifySessionType() result
+ * @returns {{session_type: string, session_type_classification: Object}}
+ */
+export function getSessionTypeMetadata({ session_type, ...classification }) {
+  return { session_type, session_type_classification: classification };
+}
+
+/**
+ * Session types the LLM may choose for a company
+ * @param {Array<Object>} rules - The company's rules
+ * @returns {string[]}
+ */
+export function getCandidateSessionTypes(rules) {
+  return [...new Set([...DEFAULT_SESSION_TYPES, ...(rules || []).map(rule => rule.session_type)])];
+}
+
+/**
+ * Load a company's rules (cached for SESSION_TYPE_RULES_CACHE_TTL_MS)
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {string|null} companyId - coaching_company_id
+ * @returns {Promise<Array<Object>>} Rules; empty if none or the lookup failed
+ */
+export async function loadSessionTypeRules(supabase, companyId) {
+  if (!companyId) return [];
+
+  const cached = rulesCache.get(companyId);
+  if (cached && cached.expiresAt > Date.now()) return cached.rules;
+
+  const { data, error } = await supabase
+    .from('session_type_rules')
+    .select('*')
+    .eq('coaching_company_id', companyId);
+
+  // Classification must not block ingestion; an unreadable rules table means no rules
+  if (error) {
+    console.error('[SessionTypes] Failed to load rules:', error.message);
+    return [];
+  }
+
+  const rules = data || [];
+  rulesCache.set(companyId, { rules, expiresAt: Date.now() + SESSION_TYPE_RULES_CACHE_TTL_MS });
+  return rules;
+}
+
+/**
+ * Drop cached rules after an admin change
+ * @param {string} companyId
+ */
+export function clearSessionTypeRulesCache(companyId) {
+  rulesCache.delete(companyId);
+}
+
+/**
+ * Classify a meeting: company rules, then client match, then (optionally) the LLM
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object|null} openai - OpenAI client (needed for the LLM fallback)
+ * @param {Object} meeting
+ * @param {string|null} meeting.companyId - Coach's coaching_company_id
+ * @param {string} meeting.title
+ * @param {string[]} [meeting.participants] - Attendee names or emails
+ * @param {string} [meeting.content] - Transcript text (LLM excerpt)
+ * @param {boolean} [meeting.hasClientMatch]
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.rules] - Use these rules instead of loading the company's
+ * @param {boolean} [options.useLlm] - Default: SESSION_TYPE_LLM_FALLBACK=true
+ * @param {Object} [options.expenseTracker]
+ * @returns {Promise<{session_type: string, source: string, rule_id?: string, confidence?: number}>}
+ *   source: 'rule' | 'client_match' | 'llm' | 'default'
+ */
+export async function classifySessionType(supabase, openai, meeting, options = {}) {
+  const {
+    useLlm = process.env.SESSION_TYPE_LLM_FALLBACK === 'true',
+    expenseTracker = null
+  } = options;
+
+  const rules = options.rules || await loadSessionTypeRules(supabase, meeting.companyId);
+  const result = classifyWithRules(rules, meeting);
+
+  if (result.source !== 'default' || !useLlm || !openai) return result;
+
+  try {
+    const classified = await classifyWithLlm(openai, meeting, getCandidateSessionTypes(rules), { expenseTracker });
+    return classified || result;
+  } catch (error) {
+    console.error('[SessionTypes] LLM classification failed:', error.message);
+    return result;
+  }
+}
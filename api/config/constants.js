@@ -11,19 +11,118 @@
 // Text chunking configuration
 export const CHUNK_SIZE = 500;           // Words per chunk (default for transcripts)
 export const CHUNK_OVERLAP = 50;         // Word overlap between chunks
+export const TRANSCRIPT_CHUNK_MAX_TOKENS = 600;     // Token budget per speaker-aware transcript chunk
+export const TRANSCRIPT_CHUNK_OVERLAP_TOKENS = 60;  // Trailing sentences repeated at the start of the next chunk
 
 // Search defaults
 export const DEFAULT_SEARCH_THRESHOLD = 0.3;  // Minimum similarity score
 export const DEFAULT_SEARCH_LIMIT = 10;       // Default results returned
-export const MAX_SEARCH_LIMIT = 50;           // Maximum results allowed
+export const MAX_SEARCH_LIMIT = 50;           // Maximum results allowed (per page)
+export const MAX_PAGINATION_DEPTH = 500;      // Deepest result reachable by following cursors
+export const DEFAULT_SEARCH_MODE = 'vector';  // vector | keyword | hybrid
+export const RRF_K = 60;                      // Reciprocal rank fusion damping constant
+export const HYBRID_CANDIDATE_MULTIPLIER = 2; // Candidates fetched per scorer, relative to limit
+
+// Search reranking
+export const DEFAULT_RERANKER = 'gpt';         // gpt | local (override with SEARCH_RERANKER)
+export const RERANK_MODEL = 'gpt-4o-mini';     // Model used by the GPT reranker
+export const RERANK_CANDIDATES = 30;           // Candidates over-fetched before reranking
+export const MAX_SEARCH_CANDIDATES = 100;      // Upper bound on candidates over-fetched for rerank/diversify
+
+// Search result diversification
+export const DEFAULT_MMR_LAMBDA = 0.7;             // MMR relevance weight (1 = no diversification)
+export const DIVERSIFY_CANDIDATE_MULTIPLIER = 3;   // Candidates fetched relative to limit when diversifying
+
+// MCP get_data_item
+export const DEFAULT_DATA_ITEM_MAX_LENGTH = 20000;  // Characters of a full document returned by default
+export const MAX_DATA_ITEM_MAX_LENGTH = 100000;     // Upper bound on max_length
+export const DEFAULT_CHUNK_WINDOW = 2;              // Chunks before/after in chunk-window mode
+export const MAX_CHUNK_WINDOW = 10;
+
+// MCP list_clients
+export const DEFAULT_CLIENT_LIST_LIMIT = 25;
+export const MAX_CLIENT_LIST_LIMIT = 100;
+
+// MCP resources
+export const MAX_LISTED_RESOURCES = 50;       // Client timelines / coaching models per resources/list
+
+// Session summaries (summarize_sessions MCP tool, POST /api/v2/clients/:id/summary)
+export const SUMMARY_MODEL = 'gpt-4o-mini';        // Model for the map (per session) and reduce steps
+export const MAX_SUMMARY_SESSIONS = 12;            // Transcripts summarized per request (most recent kept); bounds the LLM calls made in the request
+export const SUMMARY_PART_MAX_CHARS = 60000;       // Transcript characters per map call; longer sessions are split
+export const SUMMARY_MAP_CONCURRENCY = 4;          // Map calls in flight at once
+
+// Session type classification (api/classification/session-types.js)
+export const SESSION_TYPE_MODEL = 'gpt-4o-mini';          // LLM fallback when no rule matches (SESSION_TYPE_LLM_FALLBACK=true)
+export const SESSION_TYPE_LLM_EXCERPT_CHARS = 3000;       // Transcript characters sent to the LLM classifier
+export const SESSION_TYPE_LLM_MIN_CONFIDENCE = 0.6;       // Lower-confidence LLM answers fall back to 'untagged'
+export const SESSION_TYPE_RULES_CACHE_TTL_MS = 60 * 1000; // How long a company's rules are cached between transcripts
+export const MAX_RECLASSIFY_ITEMS = 500;                  // Transcripts compared by one dry-run reclassify call
+export const MAX_RECLASSIFY_LLM_ITEMS = 25;               // Of those, how many may be sent to the LLM classifier
 
 // Upload limits
 export const MAX_BULK_UPLOAD = 50;            // Maximum items per bulk upload
 export const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB max file size
 
+// Ingestion jobs (async uploads, api/jobs/ingestion-queue.js)
+export const INGESTION_MAX_ATTEMPTS = 3;                 // Automatic attempts per item before it is marked failed
+export const INGESTION_RETRY_BASE_MS = 30 * 1000;        // Wait before a job with retryable failures runs again (30s, 60s, 120s...)
+export const INGESTION_JOB_LOCK_TIMEOUT_MS = 10 * 60 * 1000; // A running job whose worker stops reporting is reclaimed after this
+export const INGESTION_HEARTBEAT_INTERVAL_MS = 60 * 1000; // How often a worker refreshes its job lock while an item is processed
+export const INGESTION_MAX_JOBS_PER_REQUEST = 3;         // Jobs drained by one POST /api/admin/jobs/work call (serverless time limits)
+export const INGESTION_POLL_INTERVAL_MS = 60 * 1000;     // How often a long-lived server checks for due jobs
+
+// Fireflies webhook deliveries (api/integrations/fireflies-webhook-queue.js)
+export const FIREFLIES_WEBHOOK_MAX_ATTEMPTS = 5;              // Attempts per delivery before it is dead-lettered (status 'failed')
+export const FIREFLIES_WEBHOOK_RETRY_BASE_MS = 60 * 1000;     // Wait before retrying a failed delivery (1m, 2m, 4m, 8m)
+export const FIREFLIES_WEBHOOK_LOCK_TIMEOUT_MS = 10 * 60 * 1000; // A delivery stuck in processing (crashed worker) is retried after this
+export const FIREFLIES_WEBHOOK_MAX_RETRIES_PER_RUN = 10;      // Due deliveries retried by one sync or admin work call
+
+// Fireflies polling sync (POST /api/integrations/fireflies/sync)
+export const FIREFLIES_SYNC_DEFAULT_DAYS_BACK = 7;            // Window scanned by a key without a cursor
+export const FIREFLIES_SYNC_CURSOR_OVERLAP_MS = 24 * 60 * 60 * 1000; // Rescanned before a key's cursor (meetings can finish transcribing late)
+export const FIREFLIES_LIST_PAGE_SIZE = 50;                   // Transcripts per Fireflies list request
+export const FIREFLIES_BACKFILL_TIME_BUDGET_MS = 45 * 1000;   // Backfill work per sync call; the next call resumes (serverless time limits)
+export const FIREFLIES_BACKFILL_REQUEST_DELAY_MS = 1000;      // Pause between Fireflies requests while backfilling
+export const FIREFLIES_RATE_LIMIT_MAX_RETRIES = 4;            // Retries of a Fireflies request answered 429
+export const FIREFLIES_RATE_LIMIT_BASE_MS = 2000;             // Backoff when 429 has no Retry-After (2s, 4s, 8s, 16s)
+
+// Client matching for synced transcripts (api/matching/)
+export const CLIENT_SUGGESTION_MIN_CONFIDENCE = 0.5;   // Weaker fuzzy name matches are not suggested
+export const CLIENT_SUGGESTION_MAX_RESULTS = 3;        // Ranked client suggestions per transcript
+export const CLIENT_SUGGESTION_MAX_CANDIDATES = 1000;  // Clients compared when no coach narrows the search
+export const COACH_SUGGESTION_MAX_RESULTS = 3;         // Ranked coach suggestions per pending transcript
+
+// Fireflies pending review queue (/api/admin/fireflies/pending)
+export const FIREFLIES_REVIEW_MAX_ROWS = 500;              // Pending rows scanned per listing (suggestions are ranked in memory)
+export const FIREFLIES_REVIEW_PAGE_SIZE = 25;              // Default page size
+export const FIREFLIES_REVIEW_MAX_PAGE_SIZE = 100;
+export const FIREFLIES_REVIEW_MAX_BULK = 50;               // Transcripts per bulk assign, discard or snooze
+export const FIREFLIES_REVIEW_DEFAULT_SNOOZE_HOURS = 24;
+export const FIREFLIES_REVIEW_MAX_SNOOZE_DAYS = 30;
+export const FIREFLIES_REVIEW_CLAIM_TIMEOUT_MINUTES = 15;  // Assignments still 'assigning' after this were interrupted and go back to the queue
+
+// Duplicate detection on ingest (api/dedup/)
+export const DEDUP_SHINGLE_SIZE = 5;                // Words per shingle for near-duplicate fingerprints
+export const DEDUP_MINHASH_PERMUTATIONS = 64;       // MinHash signature length
+export const DEDUP_LSH_BANDS = 16;                  // Signature bands indexed for candidate lookup (4 rows each)
+export const DEDUP_NEAR_DUPLICATE_THRESHOLD = 0.8;  // Estimated Jaccard similarity flagged as near-duplicate
+export const DEDUP_MAX_CANDIDATES = 50;             // Band matches compared per new item
+
 // Embedding configuration
 export const EMBEDDING_MODEL = 'text-embedding-3-small';
 export const EMBEDDING_DIMENSIONS = 1536;
+export const EMBEDDING_CACHE_MAX_ENTRIES = 1000; // In-memory LRU size (override with EMBEDDING_CACHE_MAX_ENTRIES)
+export const EMBEDDING_BATCH_SIZE = 100;         // Inputs per embeddings request
+export const EMBEDDING_BATCH_CONCURRENCY = 3;    // Embeddings requests in flight at once
+export const EMBEDDING_MAX_RETRIES = 3;          // Retries per request on 429/5xx
+export const EMBEDDING_RETRY_BASE_MS = 1000;     // Backoff base (1s, 2s, 4s...)
+
+// Embedding migrations (re-embedding data_chunks with a new model)
+export const REEMBED_BATCH_SIZE = 100;              // Chunks per checkpointed batch
+export const REEMBED_MAX_PASSES = 2;                // Passes over data_chunks (2nd retries failures and late inserts)
+export const REEMBED_MAX_BATCHES_PER_REQUEST = 5;   // Batches run by one admin API call (serverless time limits)
+export const EMBEDDING_MIGRATION_STATE_TTL_MS = 30 * 1000; // How long search caches the active migration lookup
 
 // Rate limiting
 export const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
@@ -0,0 +1,154 @@
+/**
+ * Content Fingerprints
+ *
+ * Computed for every data item at ingest so reimports can be recognised:
+ * - content_hash: SHA-256 of the normalized text (case, punctuation and
+ *   whitespace ignored); equal hashes are exact duplicates
+ * - content_minhash: MinHash signature over word shingles; the share of equal
+ *   positions estimates the Jaccard similarity of two texts
+ * - content_lsh_bands: the signature cut into bands and hashed, so candidates
+ *   for a near-duplicate are found with one indexed array-overlap query
+ *
+ * Signature values are kept below 2^31 to fit a Postgres INTEGER[].
+ */
+
+import crypto from 'crypto';
+import {
+  DEDUP_SHINGLE_SIZE,
+  DEDUP_MINHASH_PERMUTATIONS,
+  DEDUP_LSH_BANDS
+} from '../config/constants.js';
+
+/**
+ * Finalization step of MurmurHash3: spreads the bits of a 32-bit integer
+ */
+function mix32(value) {
+  let h = value >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function fnv1a(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// One seed per MinHash permutation, fixed so signatures stay comparable across deploys
+const SEEDS = Array.from({ length: DEDUP_MINHASH_PERMUTATIONS }, (_, i) => mix32(Math.imul(i + 1, 0x9e3779b9)));
+
+/**
+ * Normalize text for hashing: Unicode-compatible forms, lowercase,
+ * punctuation dropped, whitespace collapsed
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeContent(text) {
+  return (text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * @param {string} text
+ * @returns {string|null} Hex SHA-256 of the normalized text, null if nothing is left
+ */
+export function computeContentHash(text) {
+  const normalized = normalizeContent(text);
+  if (!normalized) return null;
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * MinHash signature over word shingles
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.shingleSize] - Words per shingle
+ * @returns {number[]|null} DEDUP_MINHASH_PERMUTATIONS values, null for empty text
+ */
+export function computeMinHash(text, { shingleSize = DEDUP_SHINGLE_SIZE } = {}) {
+  const normalized = normalizeContent(text);
+  if (!normalized) return null;
+
+  const words = normalized.split(' ');
+  const shingles = new Set();
+  if (words.length <= shingleSize) {
+    shingles.add(fnv1a(normalized));
+  } else {
+    for (let i = 0; i <= words.length - shingleSize; i++) {
+      shingles.add(fnv1a(words.slice(i, i + shingleSize).join(' ')));
+    }
+  }
+
+  const signature = new Array(SEEDS.length).fill(0x7fffffff);
+  for (const shingle of shingles) {
+    for (let i = 0; i < SEEDS.length; i++) {
+      const value = mix32(shingle ^ SEEDS[i]) >>> 1;
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+
+  return signature;
+}
+
+/**
+ * Band keys for locality-sensitive hashing: two signatures that agree on
+ * every row of any band share that key
+ *
+ * @param {number[]|null} signature - MinHash signature
+ * @returns {string[]} "<band>:<hash>" keys
+ */
+export function getLshBands(signature) {
+  if (!signature) return [];
+
+  const rows = Math.floor(signature.length / DEDUP_LSH_BANDS);
+  const bands = [];
+  for (let band = 0; band < DEDUP_LSH_BANDS; band++) {
+    const values = signature.slice(band * rows, (band + 1) * rows).join(',');
+    bands.push(`${band}:${fnv1a(values).toString(16)}`);
+  }
+  return bands;
+}
+
+/**
+ * Estimated Jaccard similarity of two MinHash signatures
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} 0-1 (0 if either is missing or they differ in length)
+ */
+export function estimateSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return equal / a.length;
+}
+
+/**
+ * Fingerprint columns for a data item
+ * @param {string} text - Content as stored in raw_content
+ * @returns {{content_hash: string|null, content_minhash: number[]|null, content_lsh_bands: string[]}}
+ */
+export function fingerprintContent(text) {
+  const signature = computeMinHash(text);
+  return {
+    content_hash: computeContentHash(text),
+    content_minhash: signature,
+    content_lsh_bands: getLshBands(signature)
+  };
+}
@@ -0,0 +1,219 @@
+/**
+ * Duplicate Detection
+ *
+ * Looks up stored data items matching new content before it is processed:
+ * - exact: same normalized content hash, data type, coach and client.
+ *   Upload routes link to it (default) or reject the upload
+ *   (on_duplicate=reject) instead of storing a second copy.
+ * - near: same data type and coach or client, and either the same hash
+ *   (stored under another owner) or a MinHash similarity of at least
+ *   DEDUP_NEAR_DUPLICATE_THRESHOLD. The new item is stored with
+ *   duplicate_of / duplicate_similarity so admins can review it.
+ *
+ * Requires the fingerprint columns of migration 030. Migration 036 adds a
+ * unique index on (data_type, content_hash, coach_id, client_id), so two
+ * uploads of the same content racing each other can't both be stored;
+ * insertUnlessDuplicate() turns the loser into an exact duplicate.
+ */
+
+import {
+  DEDUP_NEAR_DUPLICATE_THRESHOLD,
+  DEDUP_MAX_CANDIDATES
+} from '../config/constants.js';
+import { estimateSimilarity, fingerprintContent } from './content-fingerprint.js';
+
+/** What to do when an upload matches a stored item exactly */
+export const DUPLICATE_POLICIES = ['link', 'reject'];
+
+const CANDIDATE_COLUMNS = 'id, data_type, coach_id, client_id, content_hash, content_minhash, metadata, session_date, created_at';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/** Postgres unique_violation */
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Validate an on_duplicate request option
+ * @param {string} [value] - 'link' (default) | 'reject'
+ * @returns {{policy: string|null, error: string|null}}
+ */
+export function parseDuplicatePolicy(value) {
+  if (value === undefined || value === null || value === '') {
+    return { policy: 'link', error: null };
+  }
+
+  if (!DUPLICATE_POLICIES.includes(value)) {
+    return { policy: null, error: `on_duplicate must be one of: ${DUPLICATE_POLICIES.join(', ')}` };
+  }
+
+  return { policy: value, error: null };
+}
+
+/**
+ * Coach and client of processor metadata (transcripts use snake_case,
+ * other processors camelCase)
+ * @param {Object} metadata - Processor metadata
+ * @returns {{coachId: string|null, clientId: string|null}}
+ */
+export function getMetadataOwners(metadata = {}) {
+  return {
+    coachId: metadata.coach_id || metadata.coachId || null,
+    clientId: metadata.client_id || metadata.clientId || null
+  };
+}
+
+/**
+ * Stored item as reported to callers (no fingerprint columns)
+ */
+function describeMatch(row, similarity) {
+  return {
+    id: row.id,
+    data_type: row.data_type,
+    title: row.metadata?.title || null,
+    coach_id: row.coach_id,
+    client_id: row.client_id,
+    session_date: row.session_date,
+    created_at: row.created_at,
+    similarity
+  };
+}
+
+/**
+ * Restrict a data_items query to items a duplicate could be among
+ */
+function scopeCandidates(query, { dataType, coachId, clientId }) {
+  query = query.eq('data_type', dataType);
+
+  const owners = [
+    coachId && `coach_id.eq.${coachId}`,
+    clientId && `client_id.eq.${clientId}`
+  ].filter(Boolean);
+
+  return owners.length > 0
+    ? query.or(owners.join(','))
+    : query.is('coach_id', null).is('client_id', null);
+}
+
+/**
+ * Find stored items duplicating new content
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {string} content - Content about to be stored as raw_content
+ * @param {Object} scope
+ * @param {string} scope.dataType - data_type of the new item
+ * @param {string|null} [scope.coachId]
+ * @param {string|null} [scope.clientId]
+ * @returns {Promise<{exact: Object|null, near: Object|null, fingerprint: Object}>}
+ *   exact / near: { id, data_type, title, coach_id, client_id, session_date, created_at, similarity }
+ */
+export async function findDuplicates(supabase, content, { dataType, coachId, clientId }) {
+  coachId = coachId || null;
+  clientId = clientId || null;
+
+  const fingerprint = fingerprintContent(content);
+  const result = { exact: null, near: null, fingerprint };
+
+  // Owner ids go into a PostgREST filter string; anything else fails on insert anyway
+  if (!fingerprint.content_hash || [coachId, clientId].some(id => id && !UUID_PATTERN.test(id))) {
+    return result;
+  }
+
+  const scope = { dataType, coachId, clientId };
+
+  const { data: sameHash, error: hashError } = await scopeCandidates(
+    supabase.from('data_items').select(CANDIDATE_COLUMNS), scope
+  )
+    .eq('content_hash', fingerprint.content_hash)
+    .order('created_at', { ascending: true })
+    .limit(DEDUP_MAX_CANDIDATES);
+
+  if (hashError) throw new Error(`Duplicate lookup failed: ${hashError.message}`);
+
+  const exact = (sameHash || []).find(row => row.coach_id === coachId && row.client_id === clientId);
+  if (exact) {
+    result.exact = describeMatch(exact, 1);
+    return result;
+  }
+
+  if (sameHash?.length > 0) {
+    result.near = describeMatch(sameHash[0], 1);
+    return result;
+  }
+
+  const { data: candidates, error: bandError } = await scopeCandidates(
+    supabase.from('data_items').select(CANDIDATE_COLUMNS), scope
+  )
+    .overlaps('content_lsh_bands', fingerprint.content_lsh_bands)
+    .order('created_at', { ascending: false })
+    .limit(DEDUP_MAX_CANDIDATES);
+
+  if (bandError) throw new Error(`Duplicate lookup failed: ${bandError.message}`);
+
+  let best = null;
+  let bestSimilarity = 0;
+  for (const row of candidates || []) {
+    const similarity = estimateSimilarity(fingerprint.content_minhash, row.content_minhash);
+    if (similarity > bestSimilarity) {
+      best = row;
+      bestSimilarity = similarity;
+    }
+  }
+
+  if (best && bestSimilarity >= DEDUP_NEAR_DUPLICATE_THRESHOLD) {
+    result.near = describeMatch(best, Math.round(bestSimilarity * 1000) / 1000);
+  }
+
+  return result;
+}
+
+/**
+ * data_items columns flagging a near-duplicate
+ * @param {Object|null} near - findDuplicates().near
+ * @returns {Object} { duplicate_of, duplicate_similarity } or {}
+ */
+export function getDuplicateFields(near) {
+  if (!near) return {};
+  return {
+    duplicate_of: near.id,
+    duplicate_similarity: near.similarity
+  };
+}
+
+/**
+ * Insert a data item unless its content is already stored for the same coach and client
+ *
+ * An exact duplicate is not inserted (callers link to it); a near-duplicate
+ * is inserted with duplicate_of. If a concurrent upload stored the same
+ * content first, the unique index of migration 036 rejects this insert and
+ * that upload's item is returned as the exact duplicate.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} row - data_items row (data_type, raw_content, coach_id, client_id, ...);
+ *   fingerprint columns already on the row (processors set them) are kept
+ * @param {Object} [options]
+ * @param {Object} [options.checked] - findDuplicates() result already looked
+ *   up for this content (before processing it); skips the lookup
+ * @returns {Promise<{dataItem: Object|null, exact: Object|null, near: Object|null}>}
+ *   dataItem: the inserted row, or null when exact is set
+ * @throws {Error} When the lookup or the insert fails
+ */
+export async function insertUnlessDuplicate(supabase, row, { checked = null } = {}) {
+  const scope = { dataType: row.data_type, coachId: row.coach_id, clientId: row.client_id };
+
+  const { exact, near, fingerprint } = checked || await findDuplicates(supabase, row.raw_content, scope);
+  if (exact) return { dataItem: null, exact, near: null };
+
+  const { data: dataItem, error } = await supabase
+    .from('data_items')
+    .insert({ ...fingerprint, ...row, ...getDuplicateFields(near) })
+    .select()
+    .single();
+
+  if (error?.code === UNIQUE_VIOLATION) {
+    const { exact: stored } = await findDuplicates(supabase, row.raw_content, scope);
+    if (stored) return { dataItem: null, exact: stored, near: null };
+  }
+
+  if (error) throw new Error(`Failed to create data item: ${error.message}`);
+  return { dataItem, exact: null, near };
+}
@@ -0,0 +1,31 @@
+/**
+ * Dedup Module
+ *
+ * Content fingerprints and duplicate lookup for ingest paths.
+ *
+ * Usage:
+ *   import { findDuplicates, getDuplicateFields } from './dedup/index.js';
+ *   const { exact, near } = await findDuplicates(supabase, content, { dataType, coachId, clientId });
+ *   if (!exact) Object.assign(dataItem, getDuplicateFields(near));
+ *
+ *   // Or look up and insert in one step (exact duplicates are not inserted)
+ *   const { dataItem, exact } = await insertUnlessDuplicate(supabase, row);
+ */
+
+export {
+  normalizeContent,
+  computeContentHash,
+  computeMinHash,
+  getLshBands,
+  estimateSimilarity,
+  fingerprintContent
+} from './content-fingerprint.js';
+
+export {
+  DUPLICATE_POLICIES,
+  parseDuplicatePolicy,
+  getMetadataOwners,
+  findDuplicates,
+  getDuplicateFields,
+  insertUnlessDuplicate
+} from './duplicate-detector.js';
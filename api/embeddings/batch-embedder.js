@@ -0,0 +1,207 @@
+/**
+ * Batch Embedding
+ *
+ * Embeds many texts (document chunks) in as few provider requests as possible:
+ * - cache hits are served from the shared embedding cache
+ * - duplicate texts are embedded once
+ * - misses are sent as `input` arrays of EMBEDDING_BATCH_SIZE, with at most
+ *   EMBEDDING_BATCH_CONCURRENCY requests in flight
+ * - 429/5xx/network errors are retried with exponential backoff
+ * - a batch rejected outright (e.g. 400 for one oversized input) is retried
+ *   one text at a time, so only the offending text fails
+ *
+ * Failures are reported per text instead of thrown, so callers can keep
+ * the chunks that did embed.
+ */
+
+import {
+  EMBEDDING_BATCH_SIZE,
+  EMBEDDING_BATCH_CONCURRENCY,
+  EMBEDDING_MAX_RETRIES,
+  EMBEDDING_RETRY_BASE_MS
+} from '../config/constants.js';
+import { estimateTokens } from '../utils/api-expense-tracker.js';
+import { getEmbeddingCache, getEmbeddingCacheKey } from './embedding-cache.js';
+import { getEmbeddingProvider } from './providers.js';
+
+/**
+ * Whether an embeddings API error is worth retrying
+ * @param {Error} error - Error thrown by the embedding provider
+ * @returns {boolean} True for rate limits, server errors and connection failures
+ */
+export function isRetryableEmbeddingError(error) {
+  if (error.status === undefined || error.status === null) return true;
+  return error.status === 429 || error.status >= 500;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Backoff before the next attempt, honouring Retry-After when the API sends one
+ */
+function getRetryDelay(error, attempt, baseDelayMs) {
+  const retryAfter = parseFloat(error.headers?.get?.('retry-after'));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return retryAfter * 1000;
+  }
+  return Math.pow(2, attempt) * baseDelayMs;
+}
+
+/**
+ * Run async tasks with a concurrency limit
+ * @param {Array<Function>} tasks - Functions returning promises
+ * @param {number} concurrency - Tasks in flight at once
+ */
+export async function runWithConcurrency(tasks, concurrency) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, tasks.length) }, async () => {
+    while (next < tasks.length) {
+      const task = tasks[next++];
+      await task();
+    }
+  });
+  await Promise.all(workers);
+}
+
+/**
+ * Embed many texts with batching, bounded concurrency and retries
+ *
+ * @param {Object} openai - OpenAI client (used only if no provider is configured yet)
+ * @param {string[]} texts - Texts to embed
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - EmbeddingProvider (default: shared provider)
+ * @param {Object} [options.cache] - Cache instance (default: shared cache)
+ * @param {Object} [options.expenseTracker] - APIExpenseTracker; requests are tracked as 'embedding'
+ * @param {string} [options.operation] - Label for expense tracking metadata (e.g. 'data_processing')
+ * @param {number} [options.batchSize] - Inputs per request
+ * @param {number} [options.concurrency] - Requests in flight at once
+ * @param {number} [options.maxRetries] - Retries per request on 429/5xx
+ * @param {number} [options.retryBaseMs] - Backoff base in milliseconds
+ * @returns {Promise<{
+ *   model: string,
+ *   dimensions: number,
+ *   embeddings: Array<number[]|null>,
+ *   failures: Array<{index: number, error: string, status: number|null}>,
+ *   stats: {total: number, cached: number, embedded: number, failed: number, requests: number, retries: number}
+ * }>} embeddings[i] is null exactly when texts[i] appears in failures
+ */
+export async function embedBatch(openai, texts, options = {}) {
+  const provider = options.provider || getEmbeddingProvider(openai);
+  const { model, dimensions } = provider;
+  const cache = options.cache || getEmbeddingCache();
+  const batchSize = options.batchSize || EMBEDDING_BATCH_SIZE;
+  const concurrency = options.concurrency || EMBEDDING_BATCH_CONCURRENCY;
+  const maxRetries = options.maxRetries ?? EMBEDDING_MAX_RETRIES;
+  const retryBaseMs = options.retryBaseMs ?? EMBEDDING_RETRY_BASE_MS;
+
+  const embeddings = new Array(texts.length).fill(null);
+  const failures = [];
+  const stats = { total: texts.length, cached: 0, embedded: 0, failed: 0, requests: 0, retries: 0 };
+
+  const fail = (indexes, error) => {
+    for (const index of indexes) {
+      failures.push({ index, error: error.message, status: error.status ?? null });
+    }
+  };
+
+  // Group identical texts so each is looked up and embedded once
+  const pending = new Map();
+  texts.forEach((text, index) => {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      fail([index], new Error('Text is empty'));
+      return;
+    }
+    const key = getEmbeddingCacheKey(text, provider.cacheNamespace);
+    if (!pending.has(key)) {
+      pending.set(key, { key, text: text.trim(), indexes: [] });
+    }
+    pending.get(key).indexes.push(index);
+  });
+
+  const misses = [];
+  await Promise.all([...pending.values()].map(async (entry) => {
+    const cachedEmbedding = await cache.get(entry.key);
+    if (cachedEmbedding) {
+      cache.recordHit(model, provider.billable ? estimateTokens(entry.text) : 0);
+      entry.indexes.forEach(index => { embeddings[index] = cachedEmbedding; });
+      stats.cached += entry.indexes.length;
+    } else {
+      cache.recordMiss();
+      misses.push(entry);
+    }
+  }));
+
+  const request = async (entries) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        stats.requests++;
+        const { embeddings: batchEmbeddings, promptTokens } = await provider.embed(entries.map(entry => entry.text));
+
+        if (options.expenseTracker && provider.billable && promptTokens) {
+          options.expenseTracker.track({
+            model,
+            operation: 'embedding',
+            inputTokens: promptTokens,
+            metadata: {
+              source: options.operation || 'unknown',
+              provider: provider.name,
+              inputs: entries.length,
+              attempt: attempt + 1
+            }
+          });
+        }
+
+        return batchEmbeddings;
+      } catch (error) {
+        if (attempt >= maxRetries || !isRetryableEmbeddingError(error)) {
+          throw error;
+        }
+        stats.retries++;
+        await sleep(getRetryDelay(error, attempt, retryBaseMs));
+      }
+    }
+  };
+
+  const store = async (entries, batchEmbeddings) => {
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      entry.indexes.forEach(index => { embeddings[index] = batchEmbeddings[i]; });
+      stats.embedded += entry.indexes.length;
+      await cache.set(entry.key, batchEmbeddings[i], model);
+    }
+  };
+
+  const batches = [];
+  for (let i = 0; i < misses.length; i += batchSize) {
+    batches.push(misses.slice(i, i + batchSize));
+  }
+
+  await runWithConcurrency(batches.map(batch => async () => {
+    try {
+      await store(batch, await request(batch));
+    } catch (error) {
+      // Rate limits / outages that outlived the retries affect every input alike
+      if (batch.length === 1 || isRetryableEmbeddingError(error)) {
+        fail(batch.flatMap(entry => entry.indexes), error);
+        return;
+      }
+
+      // The batch was rejected as a whole; isolate the input(s) responsible
+      console.warn(`[Embeddings] Batch of ${batch.length} rejected (${error.message}), retrying inputs individually`);
+      for (const entry of batch) {
+        try {
+          await store([entry], await request([entry]));
+        } catch (entryError) {
+          fail(entry.indexes, entryError);
+        }
+      }
+    }
+  }), concurrency);
+
+  failures.sort((a, b) => a.index - b.index);
+  stats.failed = failures.length;
+
+  return { model, dimensions, embeddings, failures, stats };
+}
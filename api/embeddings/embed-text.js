@@ -0,0 +1,57 @@
+/**
+ * Cached Text Embedding
+ *
+ * Single entry point for embedding one piece of text through the shared
+ * embedding cache and the configured embedding provider. Used by search
+ * handlers and ingestion paths that embed one text at a time.
+ */
+
+import { estimateTokens } from '../utils/api-expense-tracker.js';
+import { getEmbeddingCache, getEmbeddingCacheKey } from './embedding-cache.js';
+import { getEmbeddingProvider } from './providers.js';
+
+/**
+ * Embed text, reusing a cached embedding when available
+ *
+ * @param {Object} openai - OpenAI client (used only if no provider is configured yet)
+ * @param {string} text - Text to embed
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - EmbeddingProvider (default: shared provider)
+ * @param {Object} [options.cache] - Cache instance (default: shared cache)
+ * @param {Object} [options.expenseTracker] - APIExpenseTracker; misses are tracked as 'embedding'
+ * @param {string} [options.operation] - Label for expense tracking metadata (e.g. 'search_query')
+ * @returns {Promise<{key: string, embedding: number[], cached: boolean, model: string, dimensions: number}>}
+ */
+export async function embedText(openai, text, options = {}) {
+  const provider = options.provider || getEmbeddingProvider(openai);
+  const cache = options.cache || getEmbeddingCache();
+  const { model, dimensions } = provider;
+  const key = getEmbeddingCacheKey(text, provider.cacheNamespace);
+
+  const cachedEmbedding = await cache.get(key);
+  if (cachedEmbedding) {
+    cache.recordHit(model, provider.billable ? estimateTokens(text) : 0);
+    return { key, embedding: cachedEmbedding, cached: true, model, dimensions };
+  }
+
+  cache.recordMiss();
+
+  const { embeddings, promptTokens } = await provider.embed([text.trim()]);
+  const embedding = embeddings[0];
+
+  if (options.expenseTracker && provider.billable && promptTokens) {
+    options.expenseTracker.track({
+      model,
+      operation: 'embedding',
+      inputTokens: promptTokens,
+      metadata: {
+        source: options.operation || 'unknown',
+        provider: provider.name
+      }
+    });
+  }
+
+  await cache.set(key, embedding, model);
+
+  return { key, embedding, cached: false, model, dimensions };
+}
@@ -0,0 +1,258 @@
+/**
+ * Embedding Cache
+ *
+ * Avoids re-embedding identical text (repeated searches, re-uploaded chunks).
+ * Entries are keyed by sha256(provider cache namespace + normalized text),
+ * where the namespace is the model and dimensions (see providers.js).
+ *
+ * Backends (EMBEDDING_CACHE env):
+ * - memory   (default): in-process LRU, per server instance
+ * - postgres: embedding_cache table, fronted by a small in-process LRU so hot
+ *             keys skip the round trip. Survives serverless cold starts.
+ * - none:     caching disabled (stats still count misses)
+ *
+ * Cache failures never fail the caller: lookups degrade to misses and writes
+ * are logged and counted as errors.
+ */
+
+import crypto from 'crypto';
+import { EMBEDDING_CACHE_MAX_ENTRIES } from '../config/constants.js';
+import { calculateCost } from '../utils/api-expense-tracker.js';
+
+export const EMBEDDING_CACHE_BACKENDS = ['memory', 'postgres', 'none'];
+
+/**
+ * Normalize text for cache keying: trim, collapse whitespace, lowercase
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+export function normalizeEmbeddingText(text) {
+  return (text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Cache key for an embedding
+ * @param {string} text - Raw text
+ * @param {string} model - Embedding model namespace (EmbeddingProvider.cacheNamespace)
+ * @returns {string} Hex sha256 of model + normalized text
+ */
+export function getEmbeddingCacheKey(text, model) {
+  return crypto
+    .createHash('sha256')
+    .update(`${model}\n${normalizeEmbeddingText(text)}`)
+    .digest('hex');
+}
+
+/**
+ * Shared hit/miss accounting for all backends
+ */
+class BaseEmbeddingCache {
+  constructor(backend) {
+    this.backend = backend;
+    this.startedAt = new Date().toISOString();
+    this.hits = 0;
+    this.misses = 0;
+    this.errors = 0;
+    this.tokensSaved = 0;
+    this.costSaved = 0;
+  }
+
+  /**
+   * Record a hit and the OpenAI spend it avoided
+   * @param {string} model - Embedding model
+   * @param {number} tokens - Estimated input tokens of the cached text
+   */
+  recordHit(model, tokens) {
+    this.hits++;
+    this.tokensSaved += tokens;
+    this.costSaved += calculateCost(model, tokens);
+  }
+
+  recordMiss() {
+    this.misses++;
+  }
+
+  recordError(operation, error) {
+    this.errors++;
+    console.error(`[EmbeddingCache] ${this.backend} ${operation} failed:`, error.message);
+  }
+
+  /**
+   * Counters since this instance started (per server instance)
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      backend: this.backend,
+      since: this.startedAt,
+      hits: this.hits,
+      misses: this.misses,
+      hit_rate: lookups > 0 ? Number((this.hits / lookups).toFixed(4)) : 0,
+      errors: this.errors,
+      entries: this.size(),
+      tokens_saved: this.tokensSaved,
+      estimated_cost_saved_usd: Number(this.costSaved.toFixed(6))
+    };
+  }
+
+  size() {
+    return null;
+  }
+}
+
+/**
+ * In-process LRU cache
+ */
+export class MemoryEmbeddingCache extends BaseEmbeddingCache {
+  constructor(options = {}) {
+    super(options.backend || 'memory');
+    this.maxEntries = options.maxEntries || EMBEDDING_CACHE_MAX_ENTRIES;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    if (!this.entries.has(key)) return null;
+
+    // Refresh recency
+    const embedding = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, embedding);
+    return embedding;
+  }
+
+  async set(key, embedding) {
+    this.entries.delete(key);
+    this.entries.set(key, embedding);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Postgres-backed cache (embedding_cache table) with an in-process LRU in front
+ */
+export class PostgresEmbeddingCache extends BaseEmbeddingCache {
+  constructor(supabase, options = {}) {
+    super('postgres');
+    this.supabase = supabase;
+    this.memory = new MemoryEmbeddingCache({ maxEntries: options.memoryEntries || 200 });
+  }
+
+  async get(key) {
+    const local = await this.memory.get(key);
+    if (local) return local;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('embedding_cache')
+        .select('embedding')
+        .eq('cache_key', key)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) return null;
+
+      await this.memory.set(key, data.embedding);
+      return data.embedding;
+    } catch (error) {
+      this.recordError('get', error);
+      return null;
+    }
+  }
+
+  async set(key, embedding, model) {
+    await this.memory.set(key, embedding);
+
+    try {
+      const { error } = await this.supabase
+        .from('embedding_cache')
+        .upsert({
+          cache_key: key,
+          model,
+          dimensions: embedding.length,
+          embedding
+        }, { onConflict: 'cache_key' });
+
+      if (error) throw error;
+    } catch (error) {
+      this.recordError('set', error);
+    }
+  }
+
+  size() {
+    return this.memory.size();
+  }
+}
+
+/**
+ * Cache that stores nothing (EMBEDDING_CACHE=none)
+ */
+export class NoopEmbeddingCache extends BaseEmbeddingCache {
+  constructor() {
+    super('none');
+  }
+
+  async get() {
+    return null;
+  }
+
+  async set() {}
+}
+
+/**
+ * Create a cache for the configured backend
+ * @param {Object} [options]
+ * @param {string} [options.backend] - memory | postgres | none (default: EMBEDDING_CACHE env or memory)
+ * @param {Object} [options.supabase] - Supabase client (required for postgres)
+ * @param {number} [options.maxEntries] - LRU size for the memory backend
+ * @returns {BaseEmbeddingCache} Cache instance
+ */
+export function createEmbeddingCache(options = {}) {
+  const backend = options.backend || process.env.EMBEDDING_CACHE || 'memory';
+  const maxEntries = options.maxEntries || parseInt(process.env.EMBEDDING_CACHE_MAX_ENTRIES) || undefined;
+
+  switch (backend) {
+    case 'postgres':
+      if (!options.supabase) {
+        console.warn('[EmbeddingCache] postgres backend needs a Supabase client, falling back to memory');
+        return new MemoryEmbeddingCache({ maxEntries });
+      }
+      return new PostgresEmbeddingCache(options.supabase);
+    case 'none':
+      return new NoopEmbeddingCache();
+    case 'memory':
+      return new MemoryEmbeddingCache({ maxEntries });
+    default:
+      console.warn(`[EmbeddingCache] Unknown backend "${backend}", using memory (valid: ${EMBEDDING_CACHE_BACKENDS.join(', ')})`);
+      return new MemoryEmbeddingCache({ maxEntries });
+  }
+}
+
+let sharedCache = null;
+
+/**
+ * Configure the process-wide cache (call once at startup with the Supabase
+ * client so the postgres backend is available)
+ * @param {Object} [options] - See createEmbeddingCache
+ * @returns {BaseEmbeddingCache} The shared cache
+ */
+export function configureEmbeddingCache(options = {}) {
+  sharedCache = createEmbeddingCache(options);
+  return sharedCache;
+}
+
+/**
+ * Process-wide cache shared by search handlers and data processors
+ * @returns {BaseEmbeddingCache} The shared cache (memory backend if never configured)
+ */
+export function getEmbeddingCache() {
+  if (!sharedCache) {
+    sharedCache = createEmbeddingCache();
+  }
+  return sharedCache;
+}
@@ -0,0 +1,50 @@
+/**
+ * Embeddings Module
+ *
+ * Shared embedding helpers: pluggable providers (OpenAI, Azure OpenAI, local),
+ * a pluggable cache, batched embedding and re-embedding migrations.
+ *
+ * Usage:
+ *   import { embedText, configureEmbeddingProvider, configureEmbeddingCache } from './embeddings/index.js';
+ *
+ *   configureEmbeddingProvider({ openai });          // once at startup (EMBEDDING_PROVIDER)
+ *   configureEmbeddingCache({ supabase });           // once at startup
+ *   const { embedding, cached } = await embedText(openai, 'leadership goals');
+ *   const { embeddings, failures } = await embedBatch(openai, chunkTexts);
+ */
+
+export {
+  EMBEDDING_CACHE_BACKENDS,
+  normalizeEmbeddingText,
+  getEmbeddingCacheKey,
+  MemoryEmbeddingCache,
+  PostgresEmbeddingCache,
+  NoopEmbeddingCache,
+  createEmbeddingCache,
+  configureEmbeddingCache,
+  getEmbeddingCache
+} from './embedding-cache.js';
+export {
+  EMBEDDING_PROVIDERS,
+  LOCAL_EMBEDDING_MODEL,
+  EmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  AzureOpenAIEmbeddingProvider,
+  LocalHashEmbeddingProvider,
+  createEmbeddingProvider,
+  configureEmbeddingProvider,
+  getEmbeddingProvider
+} from './providers.js';
+export { embedText } from './embed-text.js';
+export { embedBatch, isRetryableEmbeddingError, runWithConcurrency } from './batch-embedder.js';
+export {
+  MIGRATION_STATUSES,
+  ACTIVE_MIGRATION_STATUSES,
+  RUNNABLE_MIGRATION_STATUSES,
+  validateMigrationTarget,
+  EmbeddingMigrationRunner,
+  createMigrationProvider,
+  invalidateEmbeddingMigrationState,
+  getDualReadMigration,
+  getDualReadSearch
+} from './reembedding.js';
@@ -0,0 +1,322 @@
+/**
+ * Embedding Providers
+ *
+ * Every embedding in the system (chunks and search queries) goes through one
+ * provider, selected by EMBEDDING_PROVIDER:
+ * - openai (default): OpenAI embeddings API (EMBEDDING_MODEL)
+ * - azure:            Azure OpenAI deployment of the same model
+ * - local:            deterministic feature-hashing embeddings, no network.
+ *                     For offline dev and CI only: similarity reflects shared
+ *                     words, not meaning.
+ *
+ * Chunks embedded by different providers/models are not comparable, so the
+ * provider's model and dimensions are stored on each data_chunks row.
+ * data_chunks.embedding is vector(1536); providers must produce 1536 dimensions.
+ */
+
+import OpenAI, { AzureOpenAI } from 'openai';
+import { EMBEDDING_MODEL, EMBEDDING_DIMENSIONS } from '../config/constants.js';
+import { estimateTokens } from '../utils/api-expense-tracker.js';
+
+export const EMBEDDING_PROVIDERS = ['openai', 'azure', 'local'];
+
+export const LOCAL_EMBEDDING_MODEL = 'local-hash-v1';
+
+/**
+ * Provider interface
+ *
+ * Subclasses implement embed(). Errors from remote providers keep the HTTP
+ * `status` of the underlying API error so callers can decide whether to retry.
+ */
+export class EmbeddingProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name (openai | azure | local)
+   * @param {string} options.model - Model producing the embeddings
+   * @param {number} options.dimensions - Embedding length
+   * @param {boolean} options.billable - Whether requests cost money (expense tracking)
+   */
+  constructor({ name, model, dimensions, billable }) {
+    this.name = name;
+    this.model = model;
+    this.dimensions = dimensions;
+    this.billable = billable;
+  }
+
+  /**
+   * Identifies embeddings that are interchangeable (used for cache keys):
+   * the same model and dimensions give the same vectors on OpenAI and Azure.
+   */
+  get cacheNamespace() {
+    return `${this.model}@${this.dimensions}`;
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {string[]} texts - Non-empty texts
+   * @returns {Promise<{embeddings: number[][], promptTokens: number|null}>}
+   *   embeddings[i] belongs to texts[i]
+   */
+  async embed(texts) {
+    throw new Error('embed() must be implemented by subclass');
+  }
+
+  /**
+   * Provider fields stored alongside a chunk embedding
+   * @returns {{embedding_model: string, embedding_dimensions: number}}
+   */
+  getChunkFields() {
+    return {
+      embedding_model: this.model,
+      embedding_dimensions: this.dimensions
+    };
+  }
+}
+
+/**
+ * Shared request/response handling for the OpenAI-compatible APIs
+ */
+class OpenAICompatibleProvider extends EmbeddingProvider {
+  /**
+   * Model (OpenAI) or deployment name (Azure) sent with each request
+   */
+  get requestModel() {
+    return this.model;
+  }
+
+  getClient() {
+    throw new Error('getClient() must be implemented by subclass');
+  }
+
+  async embed(texts) {
+    const request = {
+      model: this.requestModel,
+      input: texts
+    };
+
+    // text-embedding-3 models can shorten vectors; only ask when configured
+    if (this.dimensions !== EMBEDDING_DIMENSIONS) {
+      request.dimensions = this.dimensions;
+    }
+
+    const response = await this.getClient().embeddings.create(request);
+
+    const embeddings = new Array(texts.length);
+    for (const item of response.data) {
+      embeddings[item.index] = item.embedding;
+    }
+
+    return {
+      embeddings,
+      promptTokens: response.usage?.prompt_tokens ?? null
+    };
+  }
+}
+
+/**
+ * OpenAI embeddings API
+ */
+export class OpenAIEmbeddingProvider extends OpenAICompatibleProvider {
+  /**
+   * @param {Object} [openai] - OpenAI client (created from OPENAI_API_KEY on first use if omitted)
+   * @param {Object} [options]
+   * @param {string} [options.model] - Embedding model
+   * @param {number} [options.dimensions] - Embedding length
+   */
+  constructor(openai, options = {}) {
+    super({
+      name: 'openai',
+      model: options.model || EMBEDDING_MODEL,
+      dimensions: options.dimensions || EMBEDDING_DIMENSIONS,
+      billable: true
+    });
+    this.client = openai || null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return this.client;
+  }
+}
+
+/**
+ * Azure OpenAI deployment
+ */
+export class AzureOpenAIEmbeddingProvider extends OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - https://<resource>.openai.azure.com
+   * @param {string} options.apiKey - Azure OpenAI key
+   * @param {string} options.deployment - Deployment name of the embedding model
+   * @param {string} [options.apiVersion] - Azure OpenAI API version
+   * @param {string} [options.model] - Model behind the deployment (for pricing and cache keys)
+   * @param {number} [options.dimensions] - Embedding length
+   */
+  constructor(options = {}) {
+    if (!options.endpoint || !options.apiKey || !options.deployment) {
+      throw new Error('Azure embedding provider requires AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY and AZURE_OPENAI_EMBEDDING_DEPLOYMENT');
+    }
+
+    super({
+      name: 'azure',
+      model: options.model || EMBEDDING_MODEL,
+      dimensions: options.dimensions || EMBEDDING_DIMENSIONS,
+      billable: true
+    });
+    this.deployment = options.deployment;
+    this.client = new AzureOpenAI({
+      endpoint: options.endpoint,
+      apiKey: options.apiKey,
+      apiVersion: options.apiVersion || '2024-10-21',
+      deployment: options.deployment
+    });
+  }
+
+  get requestModel() {
+    return this.deployment;
+  }
+
+  getClient() {
+    return this.client;
+  }
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic offline embeddings (feature hashing)
+ *
+ * Word unigrams and bigrams are hashed into a signed bag-of-features vector
+ * and L2-normalized, so texts sharing words have positive cosine similarity.
+ * The same text always yields the same vector.
+ */
+export class LocalHashEmbeddingProvider extends EmbeddingProvider {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.dimensions] - Embedding length
+   */
+  constructor(options = {}) {
+    super({
+      name: 'local',
+      model: LOCAL_EMBEDDING_MODEL,
+      dimensions: options.dimensions || EMBEDDING_DIMENSIONS,
+      billable: false
+    });
+  }
+
+  /**
+   * Embed one text
+   * @param {string} text - Text to embed
+   * @returns {number[]} Unit-length vector
+   */
+  embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+    const features = [
+      ...words,
+      ...words.slice(1).map((word, i) => `${words[i]} ${word}`)
+    ];
+
+    for (const feature of features) {
+      const hash = fnv1a(feature);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % this.dimensions] += sign;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    if (norm === 0) {
+      // No words (e.g. punctuation only): fixed unit vector keeps cosine defined
+      vector[0] = 1;
+      return vector;
+    }
+    return vector.map(v => v / norm);
+  }
+
+  async embed(texts) {
+    return {
+      embeddings: texts.map(text => this.embedOne(text)),
+      promptTokens: texts.reduce((sum, text) => sum + estimateTokens(text), 0)
+    };
+  }
+}
+
+/**
+ * Create the configured provider
+ *
+ * @param {Object} [options]
+ * @param {string} [options.provider] - openai | azure | local (default: EMBEDDING_PROVIDER env or openai)
+ * @param {Object} [options.openai] - OpenAI client for the openai provider
+ * @param {string} [options.model] - Model override (default: EMBEDDING_MODEL env or constant)
+ * @param {number} [options.dimensions] - Dimensions override (default: EMBEDDING_DIMENSIONS env or constant)
+ * @returns {EmbeddingProvider} Provider instance
+ */
+export function createEmbeddingProvider(options = {}) {
+  const name = options.provider || process.env.EMBEDDING_PROVIDER || 'openai';
+  const model = options.model || process.env.EMBEDDING_MODEL || undefined;
+  const dimensions = options.dimensions || parseInt(process.env.EMBEDDING_DIMENSIONS) || undefined;
+
+  let provider;
+  switch (name) {
+    case 'openai':
+      provider = new OpenAIEmbeddingProvider(options.openai, { model, dimensions });
+      break;
+    case 'azure':
+      provider = new AzureOpenAIEmbeddingProvider({
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        deployment: process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT,
+        apiVersion: process.env.AZURE_OPENAI_API_VERSION,
+        model,
+        dimensions
+      });
+      break;
+    case 'local':
+      provider = new LocalHashEmbeddingProvider({ dimensions });
+      break;
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${name}" (valid: ${EMBEDDING_PROVIDERS.join(', ')})`);
+  }
+
+  if (provider.dimensions !== EMBEDDING_DIMENSIONS) {
+    console.warn(`[Embeddings] ${provider.name} produces ${provider.dimensions}-dimension embeddings but data_chunks.embedding is vector(${EMBEDDING_DIMENSIONS})`);
+  }
+
+  return provider;
+}
+
+let sharedProvider = null;
+
+/**
+ * Configure the process-wide provider (call once at startup)
+ * @param {Object} [options] - See createEmbeddingProvider
+ * @returns {EmbeddingProvider} The shared provider
+ */
+export function configureEmbeddingProvider(options = {}) {
+  sharedProvider = createEmbeddingProvider(options);
+  console.log(`[Embeddings] Using ${sharedProvider.name} provider (${sharedProvider.model}, ${sharedProvider.dimensions} dimensions)`);
+  return sharedProvider;
+}
+
+/**
+ * Process-wide provider shared by search handlers, processors and scripts
+ * @param {Object} [openai] - OpenAI client used if the provider is created here
+ * @returns {EmbeddingProvider} The shared provider (from env if never configured)
+ */
+export function getEmbeddingProvider(openai) {
+  if (!sharedProvider) {
+    sharedProvider = createEmbeddingProvider({ openai });
+  }
+  return sharedProvider;
+}
@@ -0,0 +1,541 @@
+/**
+ * Embedding Migrations
+ *
+ * Re-embeds every data_chunks row when switching embedding models or
+ * providers (e.g. text-embedding-3-small → text-embedding-3-large, or OpenAI
+ * → Azure), without a search outage:
+ *
+ *   1. create   Record source (current provider) and target model
+ *   2. run      Embed chunks into data_chunks.embedding_next in batches. Each
+ *               batch writes vectors and advances the checkpoint (last chunk
+ *               id) atomically, so a crashed or paused job resumes where it
+ *               stopped. A second pass picks up failures and chunks inserted
+ *               behind the checkpoint.
+ *   3. dual-read  While the migration is active, search (v2 unified and filtered,
+ *               legacy /api/search, MCP search_data) queries both models
+ *               (see getDualReadSearch) and fuses the rankings.
+ *   4. complete Swap embedding_next into embedding (SQL, all-or-nothing),
+ *               after deploying with EMBEDDING_PROVIDER/EMBEDDING_MODEL set
+ *               to the target.
+ *
+ * Jobs live in the embedding_migrations table (migration 024) and are driven
+ * by the admin API (routes/embedding-migrations.js) or scripts/reembed-chunks.js.
+ */
+
+import {
+  REEMBED_BATCH_SIZE,
+  REEMBED_MAX_PASSES,
+  EMBEDDING_MIGRATION_STATE_TTL_MS
+} from '../config/constants.js';
+import { NoopEmbeddingCache } from './embedding-cache.js';
+import { EMBEDDING_PROVIDERS, createEmbeddingProvider, getEmbeddingProvider } from './providers.js';
+import { embedBatch } from './batch-embedder.js';
+import { embedText } from './embed-text.js';
+
+export const MIGRATION_STATUSES = ['pending', 'running', 'paused', 'backfilled', 'completed', 'failed', 'cancelled'];
+
+/** Statuses that block creating another migration */
+export const ACTIVE_MIGRATION_STATUSES = ['pending', 'running', 'paused', 'backfilled'];
+
+/** Statuses during which search reads both models */
+const DUAL_READ_STATUSES = ['running', 'paused', 'backfilled'];
+
+/** Statuses from which run() may (re)start the job */
+export const RUNNABLE_MIGRATION_STATUSES = ['pending', 'running', 'paused', 'failed', 'backfilled'];
+
+function toVectorLiteral(embedding) {
+  return '[' + embedding.map(v => parseFloat(v.toPrecision(10))).join(',') + ']';
+}
+
+/**
+ * Provider for one side of a migration
+ * @param {Object} migration - embedding_migrations row
+ * @param {string} side - 'source' | 'target'
+ * @param {Object} [openai] - OpenAI client for the openai provider
+ * @returns {Object} EmbeddingProvider
+ */
+export function createMigrationProvider(migration, side, openai) {
+  return createEmbeddingProvider({
+    provider: migration[`${side}_provider`],
+    model: migration[`${side}_model`],
+    dimensions: migration[`${side}_dimensions`],
+    openai
+  });
+}
+
+/**
+ * Validate a migration target against the current provider
+ *
+ * @param {Object} params - { provider, model, dimensions }
+ * @param {Object} [openai] - OpenAI client for the openai provider
+ * @returns {{source: Object|null, target: Object|null, error: string|null}} Providers, or error
+ */
+export function validateMigrationTarget(params, openai) {
+  if (!EMBEDDING_PROVIDERS.includes(params.provider)) {
+    return { source: null, target: null, error: `provider must be one of: ${EMBEDDING_PROVIDERS.join(', ')}` };
+  }
+  if (params.dimensions !== undefined && (!Number.isInteger(params.dimensions) || params.dimensions < 1)) {
+    return { source: null, target: null, error: 'dimensions must be a positive integer' };
+  }
+
+  let target;
+  try {
+    target = createEmbeddingProvider({ ...params, openai });
+  } catch (error) {
+    // e.g. Azure selected without its environment variables
+    return { source: null, target: null, error: error.message };
+  }
+
+  const source = getEmbeddingProvider(openai);
+  if (target.cacheNamespace === source.cacheNamespace) {
+    return {
+      source,
+      target,
+      error: `Chunks are already embedded with ${source.model} (${source.dimensions} dimensions)`
+    };
+  }
+
+  return { source, target, error: null };
+}
+
+/**
+ * Runs and reports on embedding migrations
+ */
+export class EmbeddingMigrationRunner {
+  /**
+   * @param {Object} supabase - Supabase client
+   * @param {Object} [options]
+   * @param {Object} [options.openai] - OpenAI client for openai providers
+   * @param {Object} [options.expenseTracker] - APIExpenseTracker for embedding spend
+   */
+  constructor(supabase, options = {}) {
+    this.supabase = supabase;
+    this.openai = options.openai || null;
+    this.expenseTracker = options.expenseTracker || null;
+    // Re-embedding the whole corpus would only churn the shared cache
+    this.cache = new NoopEmbeddingCache();
+    this.targetProviders = new Map();
+  }
+
+  /**
+   * @param {string} id - Migration id
+   * @returns {Promise<Object|null>} embedding_migrations row
+   */
+  async getMigration(id) {
+    const { data, error } = await this.supabase
+      .from('embedding_migrations')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The migration blocking new ones, if any
+   */
+  async getActiveMigration() {
+    const { data, error } = await this.supabase
+      .from('embedding_migrations')
+      .select('*')
+      .in('status', ACTIVE_MIGRATION_STATUSES)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  /**
+   * @param {number} [limit=20] - Rows to return
+   * @returns {Promise<Array<Object>>} Recent migrations, newest first
+   */
+  async listMigrations(limit = 20) {
+    const { data, error } = await this.supabase
+      .from('embedding_migrations')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Create a migration from the current provider to a target
+   *
+   * @param {Object} params
+   * @param {string} params.provider - Target provider (openai | azure | local)
+   * @param {string} [params.model] - Target model
+   * @param {number} [params.dimensions] - Target dimensions
+   * @param {number} [params.batchSize] - Chunks per batch
+   * @param {boolean} [params.dualRead=true] - Search both models until completion
+   * @param {string} [params.createdBy] - Admin id
+   * @returns {Promise<Object>} Inserted embedding_migrations row
+   * @throws {Error} If the target is invalid (see validateMigrationTarget)
+   */
+  async create(params) {
+    const { source, target, error: targetError } = validateMigrationTarget({
+      provider: params.provider,
+      model: params.model,
+      dimensions: params.dimensions
+    }, this.openai);
+
+    if (targetError) throw new Error(targetError);
+
+    const { count: totalChunks, error: countError } = await this.supabase
+      .from('data_chunks')
+      .select('id', { count: 'exact', head: true });
+
+    if (countError) throw countError;
+
+    const { data: latest, error: versionError } = await this.supabase
+      .from('data_chunks')
+      .select('embedding_version')
+      .not('embedding_version', 'is', null)
+      .order('embedding_version', { ascending: false })
+      .limit(1);
+
+    if (versionError) throw versionError;
+
+    const { data: migration, error } = await this.supabase
+      .from('embedding_migrations')
+      .insert({
+        source_provider: source.name,
+        source_model: source.model,
+        source_dimensions: source.dimensions,
+        target_provider: target.name,
+        target_model: target.model,
+        target_dimensions: target.dimensions,
+        target_version: (latest?.[0]?.embedding_version || 1) + 1,
+        batch_size: params.batchSize || REEMBED_BATCH_SIZE,
+        dual_read: params.dualRead !== false,
+        total_chunks: totalChunks || 0,
+        created_by: params.createdBy || null
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return migration;
+  }
+
+  getTargetProvider(migration) {
+    if (!this.targetProviders.has(migration.id)) {
+      this.targetProviders.set(migration.id, createMigrationProvider(migration, 'target', this.openai));
+    }
+    return this.targetProviders.get(migration.id);
+  }
+
+  /**
+   * @param {Object} migration - embedding_migrations row
+   * @returns {Promise<number>} Chunks still lacking a target-model vector
+   */
+  async countRemaining(migration) {
+    const { data, error } = await this.supabase.rpc('count_embedding_migration_pending', {
+      p_target_model: migration.target_model
+    });
+
+    if (error) throw error;
+    return data || 0;
+  }
+
+  async updateMigration(id, fields) {
+    const { data, error } = await this.supabase
+      .from('embedding_migrations')
+      .update(fields)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    invalidateEmbeddingMigrationState();
+    return data;
+  }
+
+  /**
+   * Embed and store one batch after the checkpoint
+   *
+   * @param {Object} migration - Running migration row
+   * @returns {Promise<{migration: Object, done: boolean, processed: number, failed: number}>}
+   */
+  async runBatch(migration) {
+    const { data: rows, error } = await this.supabase.rpc('embedding_migration_pending_chunks', {
+      p_target_model: migration.target_model,
+      p_after_id: migration.last_chunk_id,
+      p_limit: migration.batch_size
+    });
+
+    if (error) throw error;
+
+    if (!rows || rows.length === 0) {
+      // End of a pass: sweep again from the start for failures and late inserts
+      if (migration.last_chunk_id && migration.pass < REEMBED_MAX_PASSES) {
+        const next = await this.updateMigration(migration.id, { pass: migration.pass + 1, last_chunk_id: null });
+        return { migration: next, done: false, processed: 0, failed: 0 };
+      }
+
+      const finished = await this.updateMigration(migration.id, { status: 'backfilled' });
+      return { migration: finished, done: true, processed: 0, failed: 0 };
+    }
+
+    const { embeddings, failures } = await embedBatch(this.openai, rows.map(row => row.content), {
+      provider: this.getTargetProvider(migration),
+      cache: this.cache,
+      expenseTracker: this.expenseTracker,
+      operation: 'reembedding'
+    });
+
+    const updates = rows
+      .map((row, i) => embeddings[i] ? { id: row.id, embedding: toVectorLiteral(embeddings[i]) } : null)
+      .filter(Boolean);
+
+    const { data: processed, error: applyError } = await this.supabase.rpc('apply_embedding_migration_batch', {
+      p_migration_id: migration.id,
+      p_updates: updates,
+      p_failures: failures.map(f => ({
+        id: rows[f.index].id,
+        error: f.error,
+        status: f.status,
+        pass: migration.pass
+      })),
+      p_last_chunk_id: rows[rows.length - 1].id
+    });
+
+    if (applyError) throw applyError;
+
+    const refreshed = await this.getMigration(migration.id);
+    return { migration: refreshed, done: false, processed: processed || 0, failed: failures.length };
+  }
+
+  /**
+   * Run batches until the backfill finishes, the job is paused elsewhere,
+   * or maxBatches is reached. Safe to call repeatedly: each call resumes
+   * from the stored checkpoint.
+   *
+   * @param {string} id - Migration id
+   * @param {Object} [options]
+   * @param {number} [options.maxBatches=Infinity] - Stop after this many batches
+   * @param {Function} [options.onBatch] - Called with each batch result
+   * @returns {Promise<Object>} Migration row after the run
+   * @throws {Error} If the migration can't be run from its current status
+   */
+  async run(id, options = {}) {
+    const { maxBatches = Infinity, onBatch } = options;
+    let migration = await this.getMigration(id);
+
+    if (!migration) throw new Error(`Embedding migration ${id} not found`);
+    if (!RUNNABLE_MIGRATION_STATUSES.includes(migration.status)) {
+      throw new Error(`Embedding migration is ${migration.status} and cannot be run`);
+    }
+
+    if (migration.status !== 'running') {
+      const restart = {
+        status: 'running',
+        last_error: null,
+        started_at: migration.started_at || new Date().toISOString()
+      };
+      // Re-running a finished backfill does one more sweep from the start
+      if (migration.status === 'backfilled') {
+        restart.pass = REEMBED_MAX_PASSES;
+        restart.last_chunk_id = null;
+      }
+      migration = await this.updateMigration(id, restart);
+    }
+
+    try {
+      for (let batch = 0; batch < maxBatches; batch++) {
+        const result = await this.runBatch(migration);
+        migration = result.migration;
+        if (onBatch) onBatch(result);
+
+        // Stop when finished or paused/cancelled by another caller
+        if (result.done || migration.status !== 'running') break;
+      }
+    } catch (error) {
+      // Paused or cancelled while a batch was in flight: the batch was rejected, not failed
+      const current = await this.getMigration(id);
+      if (current && current.status !== 'running') {
+        return current;
+      }
+
+      console.error(`[Reembedding] Migration ${id} failed:`, error.message);
+      return this.updateMigration(id, { status: 'failed', last_error: error.message });
+    }
+
+    return migration;
+  }
+
+  /**
+   * @param {string} id - Running migration id
+   * @returns {Promise<Object>} Paused migration row
+   */
+  async pause(id) {
+    return this.updateMigration(id, { status: 'paused' });
+  }
+
+  /**
+   * Abandon a migration and clear the vectors it wrote
+   * @param {string} id - Migration id
+   * @returns {Promise<Object>} Cancelled migration row
+   */
+  async cancel(id) {
+    // Cancel first so an in-flight batch is rejected instead of rewriting vectors
+    const cancelled = await this.updateMigration(id, { status: 'cancelled' });
+
+    const { error } = await this.supabase
+      .from('data_chunks')
+      .update({
+        embedding_next: null,
+        embedding_next_model: null,
+        embedding_next_dimensions: null,
+        embedding_next_version: null
+      })
+      .eq('embedding_next_version', cancelled.target_version);
+
+    if (error) throw error;
+    return cancelled;
+  }
+
+  /**
+   * Swap re-embedded vectors into data_chunks.embedding
+   * @param {string} id - Backfilled migration id
+   * @returns {Promise<{migration: Object, swapped: number}>}
+   * @throws {Error} If any chunk still lacks a target-model vector (nothing is changed)
+   */
+  async complete(id) {
+    const { data: swapped, error } = await this.supabase.rpc('complete_embedding_migration', {
+      p_migration_id: id
+    });
+
+    if (error) throw error;
+    invalidateEmbeddingMigrationState();
+    return { migration: await this.getMigration(id), swapped: swapped || 0 };
+  }
+
+  /**
+   * Progress report for the admin endpoint
+   * @param {Object} migration - embedding_migrations row
+   * @returns {Promise<Object>} Migration plus remaining count, rate and ETA
+   */
+  async getProgress(migration) {
+    const active = ACTIVE_MIGRATION_STATUSES.includes(migration.status);
+    const remaining = active ? await this.countRemaining(migration) : 0;
+    const total = Math.max(migration.total_chunks, migration.processed_chunks + remaining);
+    const done = total - remaining;
+
+    const elapsedSeconds = migration.started_at
+      ? ((migration.completed_at ? new Date(migration.completed_at) : new Date()) - new Date(migration.started_at)) / 1000
+      : 0;
+    const rate = elapsedSeconds > 0 ? migration.processed_chunks / elapsedSeconds : 0;
+
+    const configured = getEmbeddingProvider(this.openai);
+
+    return {
+      ...migration,
+      remaining_chunks: remaining,
+      percent_complete: total > 0 ? Number(((done / total) * 100).toFixed(1)) : 100,
+      chunks_per_second: Number(rate.toFixed(2)),
+      eta_seconds: migration.status === 'running' && rate > 0 ? Math.ceil(remaining / rate) : null,
+      dual_read_active: migration.dual_read && DUAL_READ_STATUSES.includes(migration.status),
+      configured_provider: {
+        provider: configured.name,
+        model: configured.model,
+        dimensions: configured.dimensions,
+        matches_target: configured.cacheNamespace === `${migration.target_model}@${migration.target_dimensions}`
+      }
+    };
+  }
+}
+
+// ============================================
+// DUAL-READ STATE (used by search)
+// ============================================
+
+let migrationState = { value: null, expiresAt: 0 };
+const dualReadProviders = new Map();
+
+/**
+ * Forget the cached migration lookup (after status changes in this process)
+ */
+export function invalidateEmbeddingMigrationState() {
+  migrationState = { value: null, expiresAt: 0 };
+}
+
+/**
+ * Migration search should dual-read for, cached for EMBEDDING_MIGRATION_STATE_TTL_MS
+ *
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<Object|null>} embedding_migrations row, or null
+ */
+export async function getDualReadMigration(supabase) {
+  if (Date.now() < migrationState.expiresAt) {
+    return migrationState.value;
+  }
+
+  let value = null;
+  try {
+    const { data, error } = await supabase
+      .from('embedding_migrations')
+      .select('*')
+      .in('status', DUAL_READ_STATUSES)
+      .eq('dual_read', true)
+      .limit(1);
+
+    if (error) throw error;
+    value = data?.[0] || null;
+  } catch (error) {
+    // Table missing (migration 024 not applied) or transient error: single-read
+    console.error('[Reembedding] Could not check for an active embedding migration:', error.message);
+  }
+
+  migrationState = { value, expiresAt: Date.now() + EMBEDDING_MIGRATION_STATE_TTL_MS };
+  return value;
+}
+
+/**
+ * Dual-read parameters for searchChunks() while a migration is active
+ *
+ * Each side embeds the query with its own model, so the result is correct
+ * whichever provider this server is configured with during the cutover.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} openai - OpenAI client
+ * @param {string} query - Search query
+ * @param {Object} [options]
+ * @param {Object} [options.expenseTracker] - APIExpenseTracker for query embeddings
+ * @returns {Promise<Object|null>} { migrationId, sourceModel, targetModel,
+ *   getSourceEmbeddingText, getTargetEmbeddingText }, or null when no migration is active
+ */
+export async function getDualReadSearch(supabase, openai, query, options = {}) {
+  const migration = await getDualReadMigration(supabase);
+  if (!migration) return null;
+
+  const key = migration.id;
+  if (!dualReadProviders.has(key)) {
+    dualReadProviders.clear();
+    dualReadProviders.set(key, {
+      source: createMigrationProvider(migration, 'source', openai),
+      target: createMigrationProvider(migration, 'target', openai)
+    });
+  }
+  const providers = dualReadProviders.get(key);
+
+  const embedWith = provider => async () => {
+    const { embedding } = await embedText(openai, query, {
+      provider,
+      expenseTracker: options.expenseTracker,
+      operation: 'search_query'
+    });
+    return `[${embedding.map(n => n.toPrecision(10)).join(',')}]`;
+  };
+
+  return {
+    migrationId: migration.id,
+    sourceModel: migration.source_model,
+    targetModel: migration.target_model,
+    getSourceEmbeddingText: embedWith(providers.source),
+    getTargetEmbeddingText: embedWith(providers.target)
+  };
+}
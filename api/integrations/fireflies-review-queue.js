@@ -0,0 +1,510 @@
+/**
+ * Fireflies Review Queue
+ *
+ * Transcripts without a matched coach wait in fireflies_pending until an
+ * admin reviews them (/api/admin/fireflies/pending). Statuses:
+ *
+ *   pending_coach_assignment -> assigning (while stored) -> processed
+ *                            -> discarded (internal meeting, never stored)
+ *
+ * A pending transcript can be snoozed (snoozed_until, migration 035) to
+ * hide it from the queue for a while. State changes only apply to rows
+ * still pending, so two admins (or a bulk request and a single assign)
+ * can't both act on one transcript. Every decision is recorded in
+ * fireflies_review_decisions.
+ *
+ * An assignment claims the transcript ('assigning') while it is stored. If
+ * the server stops mid-assignment, the claim is released when the queue is
+ * next listed, once older than FIREFLIES_REVIEW_CLAIM_TIMEOUT_MINUTES.
+ *
+ * Coach and client suggestions are ranked when the queue is read, so aliases
+ * learned since a transcript was queued count (api/matching/). A listing
+ * looks up the aliases of all its transcripts at once.
+ */
+
+import {
+  getParticipantNames,
+  lookupClientAliases,
+  findClientByAliases,
+  suggestClients,
+  rankCoachSuggestions
+} from '../matching/index.js';
+import {
+  CLIENT_SUGGESTION_MAX_CANDIDATES,
+  FIREFLIES_REVIEW_MAX_ROWS,
+  FIREFLIES_REVIEW_CLAIM_TIMEOUT_MINUTES
+} from '../config/constants.js';
+
+export const PENDING_STATUS = 'pending_coach_assignment';
+
+// Queue views and the fireflies_pending status each lists
+const VIEW_STATUSES = {
+  pending: PENDING_STATUS,
+  snoozed: PENDING_STATUS,
+  processed: 'processed',
+  discarded: 'discarded'
+};
+
+export const REVIEW_QUEUE_VIEWS = Object.keys(VIEW_STATUSES);
+
+const CLIENT_COLUMNS = 'id, name, email, client_organization_id, primary_coach_id';
+
+const PREVIEW_LENGTH = 1000;
+
+const ABANDONED_CLAIM_MESSAGE = 'Assignment did not finish; returned to the queue';
+
+/**
+ * Coaches and clients an admin may assign transcripts to, for suggestions
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object|null} admin - { coaching_company_id, role }; null or a
+ *   super admin: all coaches and up to CLIENT_SUGGESTION_MAX_CANDIDATES clients
+ * @returns {Promise<{coaches: Array, clients: Array, scoped: boolean}>}
+ *   scoped: limited to the admin's company
+ */
+export async function loadSuggestionCandidates(supabase, admin = null) {
+  const scoped = !!admin && admin.role !== 'super_admin';
+
+  let coachQuery = supabase
+    .from('coaches')
+    .select('id, name, email, coaching_company_id');
+  if (scoped) coachQuery = coachQuery.eq('coaching_company_id', admin.coaching_company_id);
+
+  const { data: coaches, error: coachError } = await coachQuery;
+  if (coachError) throw new Error(`Failed to load coaches: ${coachError.message}`);
+
+  if (!scoped) {
+    const { data: clients, error } = await supabase
+      .from('clients')
+      .select(CLIENT_COLUMNS)
+      .limit(CLIENT_SUGGESTION_MAX_CANDIDATES);
+
+    if (error) throw new Error(`Failed to load clients: ${error.message}`);
+    return { coaches: coaches || [], clients: clients || [], scoped };
+  }
+
+  const coachIds = (coaches || []).map(coach => coach.id);
+  if (coachIds.length === 0) return { coaches: [], clients: [], scoped };
+
+  const [primary, assigned] = await Promise.all([
+    supabase.from('clients').select(CLIENT_COLUMNS).in('primary_coach_id', coachIds),
+    supabase.from('coach_clients').select(`client:clients(${CLIENT_COLUMNS})`).in('coach_id', coachIds)
+  ]);
+
+  if (primary.error) throw new Error(`Failed to load clients: ${primary.error.message}`);
+  if (assigned.error) throw new Error(`Failed to load clients: ${assigned.error.message}`);
+
+  const clients = new Map((primary.data || []).map(client => [client.id, client]));
+  for (const { client } of assigned.data || []) {
+    if (client) clients.set(client.id, client);
+  }
+  return { coaches, clients: [...clients.values()], scoped };
+}
+
+/**
+ * Unmatched emails and participant names of a pending transcript
+ * @param {Object} pending - fireflies_pending row
+ * @returns {{emails: Array<string>, names: Array<Object>}}
+ */
+function getPendingParticipants(pending) {
+  const transcript = pending.transcript_data || {};
+  return {
+    emails: transcript.unmatched_emails || [],
+    names: getParticipantNames(transcript, transcript.attendees)
+  };
+}
+
+/**
+ * Ranked coach and client suggestions for a pending transcript
+ *
+ * An alias pointing to one client is suggested with confidence 1; otherwise
+ * clients are ranked by name. Coaches are ranked from those clients' primary
+ * coaches and the names in the meeting. Alias lookup failures only drop the
+ * alias suggestions.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} pending - fireflies_pending row
+ * @param {Object} candidates - loadSuggestionCandidates() result
+ * @param {Array<Object>|null} [aliasRows] - lookupClientAliases() result
+ *   covering this transcript (listing many); default: looked up here
+ * @returns {Promise<{client_suggestions: Array, coach_suggestions: Array}>}
+ */
+export async function getPendingSuggestions(supabase, pending, candidates, aliasRows = null) {
+  const transcript = pending.transcript_data || {};
+  const participants = getPendingParticipants(pending);
+
+  const { match, aliases } = await findClientByAliases(supabase, {
+    ...participants,
+    aliasRows
+  }).catch(error => {
+    console.error('[Fireflies] Client alias lookup failed:', error.message);
+    return { match: null, aliases: [] };
+  });
+
+  // Aliases of clients outside the admin's company are not suggested
+  const clientIds = new Set(candidates.clients.map(client => client.id));
+  const allowed = alias => !candidates.scoped || clientIds.has(alias.client_id);
+
+  const clientSuggestions = match && allowed(match.alias)
+    ? [{
+      client_id: match.client.id,
+      name: match.client.name,
+      email: match.client.email,
+      confidence: 1,
+      match_type: 'alias',
+      matched_on: match.via,
+      matched_text: match.alias.alias,
+      via: 'alias'
+    }]
+    : await suggestClients(supabase, {
+      title: pending.title,
+      names: participants.names,
+      coach: null,
+      aliases: aliases.filter(allowed),
+      clients: candidates.clients
+    });
+
+  return {
+    client_suggestions: clientSuggestions,
+    coach_suggestions: rankCoachSuggestions({
+      transcript,
+      clientSuggestions,
+      clients: [...candidates.clients, ...aliases.map(alias => alias.client), ...(match ? [match.client] : [])],
+      coaches: candidates.coaches
+    })
+  };
+}
+
+/**
+ * Queue fields of a pending transcript (transcript_data holds the full text)
+ * @param {Object} row - fireflies_pending row
+ * @returns {Object}
+ */
+function toQueueItem(row) {
+  const transcript = row.transcript_data || {};
+  return {
+    id: row.id,
+    meeting_id: row.meeting_id,
+    title: row.title,
+    status: row.status,
+    session_date: row.session_date || transcript.session_date || null,
+    created_at: row.created_at,
+    host_email: row.host_email,
+    organizer_email: row.organizer_email,
+    fireflies_user_email: transcript.fireflies_user_email || null,
+    fireflies_user_name: transcript.fireflies_user_name || null,
+    participants: transcript.metadata?.participants || [],
+    duration_seconds: transcript.metadata?.duration_seconds ?? null,
+    unmatched_emails: transcript.unmatched_emails || [],
+    snoozed_until: row.snoozed_until || null,
+    assigned_coach_id: row.assigned_coach_id || null,
+    assigned_client_id: row.assigned_client_id || null,
+    data_item_id: row.data_item_id || null,
+    review_note: row.review_note || null,
+    error_message: row.error_message || null
+  };
+}
+
+/**
+ * List a page of the review queue with suggestions
+ *
+ * Filtering by coach means: assigned to the coach (view 'processed'), or the
+ * coach is among the suggestions (other views). Suggestions are ranked in
+ * memory, so a coach filter scans at most FIREFLIES_REVIEW_MAX_ROWS rows.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {string} options.view - One of REVIEW_QUEUE_VIEWS
+ * @param {string} [options.coachId] - Coach filter
+ * @param {string} [options.from] - Earliest meeting date (YYYY-MM-DD)
+ * @param {string} [options.to] - Latest meeting date (YYYY-MM-DD)
+ * @param {number} options.page - 1-based page
+ * @param {number} options.limit - Page size
+ * @param {Object} options.candidates - loadSuggestionCandidates() result
+ * @returns {Promise<{items: Array, total: number, truncated: boolean}>}
+ *   truncated: the coach filter didn't see every matching row
+ */
+export async function listReviewQueue(supabase, { view, coachId, from, to, page, limit, candidates }) {
+  const now = new Date().toISOString();
+  const filterBySuggestion = !!coachId && view !== 'processed';
+
+  let query = supabase
+    .from('fireflies_pending')
+    .select('*', { count: 'exact' })
+    .eq('status', VIEW_STATUSES[view]);
+
+  if (view === 'pending') query = query.or(`snoozed_until.is.null,snoozed_until.lte.${now}`);
+  if (view === 'snoozed') query = query.gt('snoozed_until', now);
+  if (coachId && view === 'processed') query = query.eq('assigned_coach_id', coachId);
+  if (from) query = query.gte('session_date', from);
+  if (to) query = query.lte('session_date', to);
+
+  query = query
+    .order('session_date', { ascending: false, nullsFirst: false })
+    .order('created_at', { ascending: false });
+
+  const offset = (page - 1) * limit;
+  query = filterBySuggestion
+    ? query.limit(FIREFLIES_REVIEW_MAX_ROWS)
+    : query.range(offset, offset + limit - 1);
+
+  const { data: rows, count, error } = await query;
+  if (error) throw new Error(`Failed to list pending transcripts: ${error.message}`);
+
+  // One alias lookup for the whole listing; failures only drop alias suggestions
+  const aliasRows = await lookupClientAliases(supabase, (rows || []).map(getPendingParticipants))
+    .catch(error => {
+      console.error('[Fireflies] Client alias lookup failed:', error.message);
+      return [];
+    });
+
+  const items = [];
+  for (const row of rows || []) {
+    const suggestions = await getPendingSuggestions(supabase, row, candidates, aliasRows);
+    if (filterBySuggestion && !suggestions.coach_suggestions.some(coach => coach.coach_id === coachId)) continue;
+    items.push({ ...toQueueItem(row), ...suggestions });
+  }
+
+  if (!filterBySuggestion) {
+    return { items, total: count || 0, truncated: false };
+  }
+
+  return {
+    items: items.slice(offset, offset + limit),
+    total: items.length,
+    truncated: (count || 0) > FIREFLIES_REVIEW_MAX_ROWS
+  };
+}
+
+/**
+ * Number of transcripts in each queue view
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<Object>} { pending, snoozed, processed, discarded }
+ */
+export async function countReviewQueue(supabase) {
+  const now = new Date().toISOString();
+  const counts = {};
+
+  for (const view of REVIEW_QUEUE_VIEWS) {
+    let query = supabase
+      .from('fireflies_pending')
+      .select('id', { count: 'exact', head: true })
+      .eq('status', VIEW_STATUSES[view]);
+
+    if (view === 'pending') query = query.or(`snoozed_until.is.null,snoozed_until.lte.${now}`);
+    if (view === 'snoozed') query = query.gt('snoozed_until', now);
+
+    const { count, error } = await query;
+    if (error) throw new Error(`Failed to count pending transcripts: ${error.message}`);
+    counts[view] = count || 0;
+  }
+
+  return counts;
+}
+
+/**
+ * A pending transcript for review: queue fields, a preview of the text,
+ * suggestions and the decisions made on it
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {string} pendingId
+ * @param {Object} candidates - loadSuggestionCandidates() result
+ * @returns {Promise<Object|null>} null when not found
+ */
+export async function getReviewItem(supabase, pendingId, candidates) {
+  const { data: row, error } = await supabase
+    .from('fireflies_pending')
+    .select('*')
+    .eq('id', pendingId)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to load pending transcript: ${error.message}`);
+  if (!row) return null;
+
+  const content = row.transcript_data?.content || '';
+
+  return {
+    ...toQueueItem(row),
+    preview: content.slice(0, PREVIEW_LENGTH),
+    content_length: content.length,
+    ...(await getPendingSuggestions(supabase, row, candidates)),
+    decisions: await listReviewDecisions(supabase, { pendingId: row.id })
+  };
+}
+
+/**
+ * Record a review decision (failures are only logged: the decision itself
+ * has already been applied)
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} decision
+ * @param {Object} decision.pending - fireflies_pending row decided on
+ * @param {string} decision.action - 'assign' | 'discard' | 'snooze' | 'unsnooze'
+ * @param {string|null} [decision.adminId] - Deciding admin (null: integration endpoint)
+ * @param {string|null} [decision.batchId] - Bulk request the decision was part of
+ * @param {string|null} [decision.coachId]
+ * @param {string|null} [decision.clientId]
+ * @param {string|null} [decision.dataItemId] - Transcript stored by an assignment
+ * @param {string|null} [decision.snoozedUntil]
+ * @param {string|null} [decision.reason]
+ * @param {Object} [decision.details] - e.g. the suggestions shown
+ * @returns {Promise<Object|null>} Decision row
+ */
+export async function recordReviewDecision(supabase, {
+  pending,
+  action,
+  adminId = null,
+  batchId = null,
+  coachId = null,
+  clientId = null,
+  dataItemId = null,
+  snoozedUntil = null,
+  reason = null,
+  details = {}
+}) {
+  const { data, error } = await supabase
+    .from('fireflies_review_decisions')
+    .insert({
+      pending_id: pending.id,
+      meeting_id: pending.meeting_id,
+      action,
+      admin_id: adminId,
+      batch_id: batchId,
+      coach_id: coachId,
+      client_id: clientId,
+      data_item_id: dataItemId,
+      snoozed_until: snoozedUntil,
+      reason,
+      details
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`[Fireflies] Failed to record ${action} decision for ${pending.meeting_id}:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Review decisions, newest first
+ * @param {Object} supabase - Supabase client
+ * @param {Object} [options] - { pendingId, adminId, action, limit }
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listReviewDecisions(supabase, { pendingId, adminId, action, limit = 100 } = {}) {
+  let query = supabase
+    .from('fireflies_review_decisions')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (pendingId) query = query.eq('pending_id', pendingId);
+  if (adminId) query = query.eq('admin_id', adminId);
+  if (action) query = query.eq('action', action);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to load review decisions: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Update a transcript only if it is still pending
+ * @returns {Promise<Object|null>} Updated row, or null when it was no longer pending
+ */
+async function updateIfPending(supabase, pendingId, fields) {
+  const { data, error } = await supabase
+    .from('fireflies_pending')
+    .update(fields)
+    .eq('id', pendingId)
+    .eq('status', PENDING_STATUS)
+    .select()
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to update pending transcript: ${error.message}`);
+  return data || null;
+}
+
+/**
+ * Claim a pending transcript for assignment (status 'assigning')
+ * @returns {Promise<Object|null>} Claimed row, or null when already reviewed or being assigned
+ */
+export function claimPendingTranscript(supabase, pendingId) {
+  return updateIfPending(supabase, pendingId, {
+    status: 'assigning',
+    claimed_at: new Date().toISOString(),
+    error_message: null
+  });
+}
+
+/**
+ * Put transcripts whose assignment was interrupted (claimed longer than
+ * FIREFLIES_REVIEW_CLAIM_TIMEOUT_MINUTES ago) back in the queue. Failures
+ * are only logged.
+ *
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<number>} Transcripts released
+ */
+export async function releaseStaleClaims(supabase) {
+  const cutoff = new Date(Date.now() - FIREFLIES_REVIEW_CLAIM_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+
+  // claimed_at is null for claims made before migration 035 added it
+  const { data, error } = await supabase
+    .from('fireflies_pending')
+    .update({ status: PENDING_STATUS, error_message: ABANDONED_CLAIM_MESSAGE })
+    .eq('status', 'assigning')
+    .or(`claimed_at.is.null,claimed_at.lt.${cutoff}`)
+    .select('id');
+
+  if (error) {
+    console.error('[Fireflies] Failed to release interrupted assignments:', error.message);
+    return 0;
+  }
+  if (data?.length > 0) {
+    console.warn(`[Fireflies] Returned ${data.length} interrupted assignment(s) to the review queue`);
+  }
+  return data?.length || 0;
+}
+
+/**
+ * Put a transcript whose assignment failed back in the queue
+ * @param {Object} supabase - Supabase client
+ * @param {string} pendingId
+ * @param {string} errorMessage - Why storing it failed
+ */
+export async function releasePendingTranscript(supabase, pendingId, errorMessage) {
+  const { error } = await supabase
+    .from('fireflies_pending')
+    .update({ status: PENDING_STATUS, error_message: errorMessage })
+    .eq('id', pendingId)
+    .eq('status', 'assigning');
+
+  if (error) {
+    console.error(`[Fireflies] Failed to release pending transcript ${pendingId}:`, error.message);
+  }
+}
+
+/**
+ * Mark a pending transcript as an internal meeting: it is never stored, and
+ * Fireflies resends of the meeting stay out of the queue
+ *
+ * @returns {Promise<Object|null>} Updated row, or null when no longer pending
+ */
+export function discardPendingTranscript(supabase, pendingId, { adminId, reason = null }) {
+  return updateIfPending(supabase, pendingId, {
+    status: 'discarded',
+    snoozed_until: null,
+    reviewed_by: adminId,
+    reviewed_at: new Date().toISOString(),
+    review_note: reason
+  });
+}
+
+/**
+ * Hide a pending transcript from the queue until a time (null: show it again)
+ * @returns {Promise<Object|null>} Updated row, or null when no longer pending
+ */
+export function snoozePendingTranscript(supabase, pendingId, until) {
+  return updateIfPending(supabase, pendingId, { snoozed_until: until });
+}
@@ -0,0 +1,233 @@
+/**
+ * Fireflies Sync State
+ *
+ * fireflies_sync_state (migrations 011, 033) holds two kinds of rows:
+ * - record_type 'meeting': one per Fireflies meeting the polling sync has
+ *   handled (synced, skipped or failed), so it isn't imported twice
+ * - record_type 'cursor': one per API key label, with the key's high-water
+ *   mark (cursor_at, the newest meeting date the sync has listed), the
+ *   position of a resumable historical backfill and the last run's counts
+ *
+ * An incremental sync lists meetings from cursor_at (less
+ * FIREFLIES_SYNC_CURSOR_OVERLAP_MS) instead of re-scanning a days_back
+ * window. A cursor remembers a fingerprint of its key: when the key behind a
+ * label changes, the cursor is ignored until the new key has synced.
+ */
+
+import crypto from 'crypto';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Short, non-reversible identifier for an API key
+ * @param {string} apiKey
+ * @returns {string} First 12 hex characters of its SHA-256
+ */
+export function getApiKeyFingerprint(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Hours between a timestamp and now (one decimal)
+ * @returns {number|null}
+ */
+function hoursSince(timestamp) {
+  if (!timestamp) return null;
+  return Math.round((Date.now() - new Date(timestamp).getTime()) / HOUR_MS * 10) / 10;
+}
+
+/**
+ * Load the cursor of an API key
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} key - { label, key } from getFirefliesApiKeys().allKeys
+ * @returns {Promise<{cursor: Object|null, keyChanged: boolean}>} Cursor row
+ *   (null if the key has never synced); keyChanged when the row belongs to a
+ *   different key than the one now configured under the label
+ */
+export async function loadSyncCursor(supabase, key) {
+  const { data: cursor, error } = await supabase
+    .from('fireflies_sync_state')
+    .select('*')
+    .eq('record_type', 'cursor')
+    .eq('api_key_label', key.label)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to load sync cursor for ${key.label}: ${error.message}`);
+
+  return {
+    cursor: cursor || null,
+    keyChanged: !!cursor?.api_key_fingerprint && cursor.api_key_fingerprint !== getApiKeyFingerprint(key.key)
+  };
+}
+
+/**
+ * Create or update the cursor of an API key
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} key - { label, key, coachId }
+ * @param {Object} fields - Cursor columns to set (cursor_at, backfill_*, last_run_at, last_run)
+ * @returns {Promise<Object>} Cursor row
+ */
+export async function saveSyncCursor(supabase, key, fields) {
+  const { cursor } = await loadSyncCursor(supabase, key);
+  const columns = {
+    ...fields,
+    api_key_fingerprint: getApiKeyFingerprint(key.key),
+    coach_id: key.coachId || null
+  };
+
+  const query = cursor
+    ? supabase.from('fireflies_sync_state').update(columns).eq('id', cursor.id)
+    : supabase.from('fireflies_sync_state').insert({ record_type: 'cursor', api_key_label: key.label, status: 'synced', ...columns });
+
+  const { data, error } = await query.select().single();
+  if (error) throw new Error(`Failed to save sync cursor for ${key.label}: ${error.message}`);
+  return data;
+}
+
+/**
+ * Later of two timestamps (either may be null)
+ * @returns {string|null} ISO timestamp
+ */
+export function laterOf(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return new Date(a) >= new Date(b) ? a : b;
+}
+
+/**
+ * Count meeting rows with a status
+ */
+async function countMeetings(supabase, status) {
+  const { count, error } = await supabase
+    .from('fireflies_sync_state')
+    .select('id', { count: 'exact', head: true })
+    .eq('record_type', 'meeting')
+    .eq('status', status);
+
+  if (error) throw error;
+  return count || 0;
+}
+
+/**
+ * Newest Fireflies transcript of a coach
+ * @returns {Promise<{latest: Object|null, latestMeeting: Object|null, total: number}>}
+ */
+async function getCoachTranscripts(supabase, coachId) {
+  const base = () => supabase
+    .from('data_items')
+    .select('id, session_date, created_at', { count: 'exact' })
+    .eq('data_type', 'transcript')
+    .eq('coach_id', coachId)
+    .like('metadata->>slug', 'fireflies-%');
+
+  const [bySync, byMeeting] = await Promise.all([
+    base().order('created_at', { ascending: false }).limit(1),
+    base().not('session_date', 'is', null).order('session_date', { ascending: false }).limit(1)
+  ]);
+
+  if (bySync.error) throw bySync.error;
+  if (byMeeting.error) throw byMeeting.error;
+
+  return {
+    latest: bySync.data?.[0] || null,
+    latestMeeting: byMeeting.data?.[0] || null,
+    total: bySync.count || 0
+  };
+}
+
+/**
+ * Sync lag per API key (cursor) and per coach (newest synced transcript)
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Array<Object>} keys - getFirefliesApiKeys().allKeys
+ * @returns {Promise<Object>} { generated_at, keys, coaches, meetings }
+ */
+export async function buildSyncReport(supabase, keys) {
+  const { data: cursors, error: cursorError } = await supabase
+    .from('fireflies_sync_state')
+    .select('*')
+    .eq('record_type', 'cursor');
+
+  if (cursorError) throw new Error(`Failed to load sync cursors: ${cursorError.message}`);
+
+  const keyReports = keys.map(key => {
+    const cursor = (cursors || []).find(row => row.api_key_label === key.label);
+    return {
+      key: key.label,
+      configured: true,
+      coach_id: key.coachId || null,
+      key_changed: !!cursor?.api_key_fingerprint && cursor.api_key_fingerprint !== getApiKeyFingerprint(key.key),
+      cursor_at: cursor?.cursor_at || null,
+      lag_hours: hoursSince(cursor?.cursor_at),
+      last_run_at: cursor?.last_run_at || null,
+      last_run: cursor?.last_run || null,
+      backfill_status: cursor?.backfill_status || null,
+      backfill_skip: cursor?.backfill_skip ?? null,
+      backfill_completed_at: cursor?.backfill_completed_at || null
+    };
+  });
+
+  // Cursors of keys no longer configured
+  for (const cursor of cursors || []) {
+    if (keys.some(key => key.label === cursor.api_key_label)) continue;
+    keyReports.push({
+      key: cursor.api_key_label,
+      configured: false,
+      coach_id: cursor.coach_id,
+      cursor_at: cursor.cursor_at,
+      lag_hours: hoursSince(cursor.cursor_at),
+      last_run_at: cursor.last_run_at
+    });
+  }
+
+  const { data: coaches, error: coachError } = await supabase
+    .from('coaches')
+    .select('id, name, email')
+    .order('name', { ascending: true });
+
+  if (coachError) throw new Error(`Failed to load coaches: ${coachError.message}`);
+
+  const keyCoachIds = new Set(keys.map(key => key.coachId).filter(Boolean));
+  const coachReports = [];
+
+  for (const coach of coaches || []) {
+    const { latest, latestMeeting, total } = await getCoachTranscripts(supabase, coach.id);
+    if (!latest && !keyCoachIds.has(coach.id)) continue;
+
+    coachReports.push({
+      coach_id: coach.id,
+      name: coach.name,
+      email: coach.email,
+      transcripts: total,
+      last_synced_at: latest?.created_at || null,
+      last_meeting_date: latestMeeting?.session_date || null,
+      hours_since_last_sync: hoursSince(latest?.created_at),
+      hours_since_last_meeting: hoursSince(latestMeeting?.session_date),
+      api_keys: keys.filter(key => key.coachId === coach.id).map(key => key.label)
+    });
+  }
+
+  // Most behind first; coaches never synced at the top
+  coachReports.sort((a, b) => (b.hours_since_last_sync ?? Infinity) - (a.hours_since_last_sync ?? Infinity));
+
+  const { count: pending, error: pendingError } = await supabase
+    .from('fireflies_pending')
+    .select('id', { count: 'exact', head: true })
+    .eq('status', 'pending_coach_assignment');
+
+  if (pendingError) throw pendingError;
+
+  return {
+    generated_at: new Date().toISOString(),
+    keys: keyReports,
+    coaches: coachReports,
+    meetings: {
+      synced: await countMeetings(supabase, 'synced'),
+      skipped: await countMeetings(supabase, 'skipped'),
+      failed: await countMeetings(supabase, 'failed'),
+      pending_coach_assignment: pending || 0
+    }
+  };
+}
@@ -0,0 +1,298 @@
+/**
+ * Fireflies Webhook Delivery Queue
+ *
+ * Every verified POST /api/integrations/fireflies/webhook payload is stored in
+ * fireflies_webhook_deliveries (migration 032) before it is processed, so an
+ * event whose transcript can't be fetched or stored is retried instead of lost:
+ *
+ *   received -> processing -> succeeded | ignored
+ *                          \-> retrying (after next_attempt_at) -> processing ...
+ *                          \-> failed (dead letter, after FIREFLIES_WEBHOOK_MAX_ATTEMPTS)
+ *
+ * - Retries back off exponentially (FIREFLIES_WEBHOOK_RETRY_BASE_MS, doubled
+ *   per attempt). Due deliveries are retried by long-lived servers on a timer,
+ *   by the polling /sync endpoint and by POST /api/admin/fireflies/deliveries/work.
+ * - Failed deliveries can be inspected and replayed from the admin API
+ *   (routes/fireflies-deliveries.js).
+ * - Processing is idempotent per meeting: the processor skips meetings that
+ *   are already stored or queued for assignment, and only one delivery per
+ *   meeting can be processing at a time (unique index), so Fireflies resends
+ *   and replays never insert a transcript twice.
+ */
+
+import {
+  FIREFLIES_WEBHOOK_MAX_ATTEMPTS,
+  FIREFLIES_WEBHOOK_RETRY_BASE_MS,
+  FIREFLIES_WEBHOOK_LOCK_TIMEOUT_MS,
+  FIREFLIES_WEBHOOK_MAX_RETRIES_PER_RUN
+} from '../config/constants.js';
+
+export const FIREFLIES_DELIVERY_STATUSES = ['received', 'processing', 'succeeded', 'ignored', 'retrying', 'failed'];
+
+/** Statuses an admin can replay */
+export const REPLAYABLE_DELIVERY_STATUSES = ['retrying', 'failed'];
+
+/** Columns listed by the admin API (payload and error history are shown per delivery) */
+const DELIVERY_LIST_COLUMNS = 'id, meeting_id, event_type, status, outcome, attempts, replays, next_attempt_at, last_error, data_item_id, created_at, processed_at';
+
+/** Errors kept per delivery */
+const MAX_DELIVERY_ERRORS = 10;
+
+/** Postgres unique_violation: another delivery of the meeting is processing */
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Stores, processes and retries Fireflies webhook deliveries
+ */
+export class FirefliesWebhookQueue {
+  /**
+   * @param {Object} supabase - Supabase client
+   * @param {Object} options
+   * @param {Function} options.processEvent - async payload => { outcome, data_item_id?, response };
+   *   throws when the event should be retried
+   */
+  constructor(supabase, options = {}) {
+    this.supabase = supabase;
+    this.processEvent = options.processEvent;
+    this.retrying = null;
+  }
+
+  /**
+   * Store an incoming webhook payload
+   * @param {Object} payload - Parsed webhook body
+   * @returns {Promise<Object>} Inserted fireflies_webhook_deliveries row
+   */
+  async record(payload) {
+    const { data, error } = await this.supabase
+      .from('fireflies_webhook_deliveries')
+      .insert({
+        meeting_id: payload?.meetingId ? String(payload.meetingId) : null,
+        event_type: payload?.eventType || null,
+        client_reference_id: payload?.clientReferenceId || null,
+        payload: payload ?? {}
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getDelivery(id) {
+    const { data, error } = await this.supabase
+      .from('fireflies_webhook_deliveries')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Recent deliveries, newest first
+   * @param {Object} [filters] - { status, meetingId, limit }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listDeliveries({ status, meetingId, limit = 50 } = {}) {
+    let query = this.supabase
+      .from('fireflies_webhook_deliveries')
+      .select(DELIVERY_LIST_COLUMNS)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) query = query.eq('status', status);
+    if (meetingId) query = query.eq('meeting_id', meetingId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Delivery counts by status
+   * @returns {Promise<Object>} { received, processing, ... }
+   */
+  async countByStatus() {
+    const counts = {};
+    for (const status of FIREFLIES_DELIVERY_STATUSES) {
+      const { count, error } = await this.supabase
+        .from('fireflies_webhook_deliveries')
+        .select('id', { count: 'exact', head: true })
+        .eq('status', status);
+
+      if (error) throw error;
+      counts[status] = count || 0;
+    }
+    return counts;
+  }
+
+  async updateDelivery(id, fields) {
+    const { data, error } = await this.supabase
+      .from('fireflies_webhook_deliveries')
+      .update(fields)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Mark a delivery processing, unless another worker got to it first
+   *
+   * @param {Object} delivery - Row as last read
+   * @returns {Promise<{delivery: Object|null, busy: boolean}>} Claimed row, or
+   *   busy when another delivery of the same meeting is processing
+   */
+  async claim(delivery) {
+    const { data, error } = await this.supabase
+      .from('fireflies_webhook_deliveries')
+      .update({
+        status: 'processing',
+        attempts: delivery.attempts + 1,
+        locked_at: new Date().toISOString(),
+        next_attempt_at: null
+      })
+      .eq('id', delivery.id)
+      .eq('status', delivery.status)
+      .eq('attempts', delivery.attempts)
+      .select();
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) return { delivery: null, busy: true };
+      throw error;
+    }
+
+    return { delivery: data?.[0] || null, busy: false };
+  }
+
+  /**
+   * Record a failed attempt: retry with backoff, or dead-letter once attempts run out
+   * @returns {Promise<Object>} Updated row
+   */
+  async recordFailure(delivery, message) {
+    const retry = delivery.attempts < FIREFLIES_WEBHOOK_MAX_ATTEMPTS;
+    const delay = FIREFLIES_WEBHOOK_RETRY_BASE_MS * Math.pow(2, Math.max(0, delivery.attempts - 1));
+
+    console.error(`[Fireflies] Delivery ${delivery.id} (meeting ${delivery.meeting_id}) attempt ${delivery.attempts} failed:`, message);
+    if (!retry) {
+      console.error(`[Fireflies] Delivery ${delivery.id} moved to the dead-letter queue after ${delivery.attempts} attempts`);
+    }
+
+    return this.updateDelivery(delivery.id, {
+      status: retry ? 'retrying' : 'failed',
+      next_attempt_at: retry ? new Date(Date.now() + delay).toISOString() : null,
+      locked_at: null,
+      last_error: message,
+      errors: [
+        ...(delivery.errors || []),
+        { attempt: delivery.attempts, error: message, at: new Date().toISOString() }
+      ].slice(-MAX_DELIVERY_ERRORS)
+    });
+  }
+
+  /**
+   * Process a stored delivery now
+   *
+   * @param {Object} delivery - Row in status received or retrying (or stuck in processing)
+   * @returns {Promise<{delivery: Object, result: Object|null, error: string|null}>}
+   *   result is the processor's result on success; error the failure message
+   */
+  async run(delivery) {
+    const { delivery: claimed, busy } = await this.claim(delivery);
+
+    if (busy) {
+      // Retried shortly; by then the other delivery has stored the meeting
+      const deferred = await this.updateDelivery(delivery.id, {
+        status: 'retrying',
+        next_attempt_at: new Date(Date.now() + FIREFLIES_WEBHOOK_RETRY_BASE_MS).toISOString()
+      });
+      return { delivery: deferred, result: null, error: 'Another delivery of this meeting is being processed' };
+    }
+
+    if (!claimed) {
+      return { delivery: await this.getDelivery(delivery.id), result: null, error: 'Delivery was claimed by another worker' };
+    }
+
+    try {
+      const result = await this.processEvent(claimed.payload);
+
+      const updated = await this.updateDelivery(claimed.id, {
+        status: result.outcome === 'ignored' ? 'ignored' : 'succeeded',
+        outcome: result.outcome,
+        data_item_id: result.data_item_id || null,
+        locked_at: null,
+        last_error: null,
+        processed_at: new Date().toISOString()
+      });
+
+      return { delivery: updated, result, error: null };
+
+    } catch (error) {
+      const updated = await this.recordFailure(claimed, error.message);
+      return { delivery: updated, result: null, error: error.message };
+    }
+  }
+
+  /**
+   * Retry deliveries whose backoff has elapsed, plus any left in received or
+   * processing by a crashed worker
+   *
+   * @param {Object} [options]
+   * @param {number} [options.maxDeliveries] - Default FIREFLIES_WEBHOOK_MAX_RETRIES_PER_RUN
+   * @returns {Promise<Array<Object>>} Delivery rows after their runs
+   */
+  async retryDue({ maxDeliveries = FIREFLIES_WEBHOOK_MAX_RETRIES_PER_RUN } = {}) {
+    const now = new Date().toISOString();
+    const stale = new Date(Date.now() - FIREFLIES_WEBHOOK_LOCK_TIMEOUT_MS).toISOString();
+
+    const { data: due, error } = await this.supabase
+      .from('fireflies_webhook_deliveries')
+      .select('*')
+      .or(`and(status.eq.retrying,next_attempt_at.lte.${now}),and(status.eq.processing,locked_at.lt.${stale}),and(status.eq.received,created_at.lt.${stale})`)
+      .order('created_at', { ascending: true })
+      .limit(maxDeliveries);
+
+    if (error) throw error;
+
+    const processed = [];
+    for (const delivery of due || []) {
+      const { delivery: updated } = await this.run(delivery);
+      processed.push(updated);
+    }
+
+    return processed;
+  }
+
+  /**
+   * Start retrying due deliveries in this process unless a run is in progress.
+   * Used by long-lived servers on a timer.
+   */
+  retryInBackground() {
+    if (this.retrying) return;
+
+    this.retrying = this.retryDue()
+      .catch(error => console.error('[Fireflies] Background delivery retry failed:', error.message))
+      .finally(() => {
+        this.retrying = null;
+      });
+  }
+
+  /**
+   * Process a retrying or failed delivery again now, with a fresh set of attempts
+   * @param {Object} delivery - Row in a REPLAYABLE_DELIVERY_STATUSES status
+   * @returns {Promise<{delivery: Object, result: Object|null, error: string|null}>}
+   */
+  async replay(delivery) {
+    const reset = await this.updateDelivery(delivery.id, {
+      status: 'retrying',
+      attempts: 0,
+      replays: (delivery.replays || 0) + 1,
+      next_attempt_at: new Date().toISOString()
+    });
+
+    return this.run(reset);
+  }
+}
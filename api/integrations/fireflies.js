@@ -9,15 +9,77 @@
  * 2. We verify the webhook signature (HMAC SHA-256)
  * 3. Fetch full transcript via GraphQL API
  * 4. Match coach by email
- * 5. Process: chunk → PII scrub → embed → store
+ * 5. Process: chunk by speaker turn → PII scrub → embed → store
+ *
+ * Stored transcripts carry content fingerprints (api/dedup/). Webhook, sync
+ * and pending assignment flag a transcript already stored for the coach or
+ * client with duplicate_of; a manual /import links to or rejects it.
+ *
+ * Transcripts are tagged with a session_type from the coach's company rules
+ * (api/classification/, managed at /api/admin/session-type-rules).
+ *
+ * Webhook payloads are stored before processing (fireflies-webhook-queue.js);
+ * failed deliveries are retried with backoff and can be replayed from
+ * /api/admin/fireflies/deliveries. Processing is idempotent per meeting.
+ *
+ * The polling /sync keeps a cursor per API key (fireflies-sync-state.js) and
+ * only lists meetings since it; mode 'backfill' imports a key's full history
+ * in resumable, throttled runs. GET /sync/report shows lag per key and coach.
+ *
+ * Transcripts without a coach are reviewed in the queue at
+ * /api/admin/fireflies/pending (fireflies-review-queue.js): assigned in
+ * bulk with assignPendingTranscript(), discarded as internal, or snoozed.
  */
 
 import crypto from 'crypto';
 import express from 'express';
+import { embedText } from '../embeddings/index.js';
+import { chunkTranscript } from '../processors/transcript-chunker.js';
+import { findDuplicates, insertUnlessDuplicate, parseDuplicatePolicy } from '../dedup/index.js';
+import { classifySessionType, getSessionTypeMetadata } from '../classification/index.js';
+import {
+  normalizeEmail,
+  getParticipantNames,
+  findClientByAliases,
+  recordAliasMatch,
+  learnClientAliases,
+  suggestClients,
+  getClientMatchMetadata
+} from '../matching/index.js';
+import { FirefliesWebhookQueue } from './fireflies-webhook-queue.js';
+import {
+  recordReviewDecision,
+  claimPendingTranscript,
+  releasePendingTranscript
+} from './fireflies-review-queue.js';
+import { loadSyncCursor, saveSyncCursor, laterOf, buildSyncReport } from './fireflies-sync-state.js';
+import {
+  FIREFLIES_SYNC_DEFAULT_DAYS_BACK,
+  FIREFLIES_SYNC_CURSOR_OVERLAP_MS,
+  FIREFLIES_LIST_PAGE_SIZE,
+  FIREFLIES_BACKFILL_TIME_BUDGET_MS,
+  FIREFLIES_BACKFILL_REQUEST_DELAY_MS,
+  FIREFLIES_RATE_LIMIT_MAX_RETRIES,
+  FIREFLIES_RATE_LIMIT_BASE_MS
+} from '../config/constants.js';
 
 // Fireflies GraphQL endpoint
 const FIREFLIES_API_URL = 'https://api.fireflies.ai/graphql';
 
+// POST /sync modes
+const SYNC_MODES = ['incremental', 'backfill'];
+
+const LIST_TRANSCRIPTS_QUERY = `
+  query RecentTranscripts($limit: Int, $skip: Int) {
+    transcripts(limit: $limit, skip: $skip) {
+      id
+      title
+      date
+      organizer_email
+    }
+  }
+`;
+
 /**
  * Parse Fireflies API keys from environment
  * Supports both standard key and admin key configurations
@@ -258,157 +320,16 @@ async function sendTranscriptSavedNotification({ title, coach, client, sessionTy
 }
 
 /**
- * Detect session type based on meeting title patterns
- * Used to automatically categorize incoming transcripts
- *
- * @param {string} title - Meeting title from Fireflies
- * @param {boolean} hasClientMatch - Whether a client was matched
- * @returns {string} - Session type identifier
- */
-export function detectSessionType(title, hasClientMatch = false) {
-  if (!title) {
-    return hasClientMatch ? 'client_coaching' : 'untagged';
-  }
-
-  const t = title.toLowerCase();
-
-  // Internal meetings - IO company meetings, strategy, alignment
-  if (t.includes('io co-creation') || t.includes('io-co-creation') ||
-      t.includes('io ai meeting') || t.includes('io ai ') ||
-      t.includes('io vision') || t.includes('new fs thing') ||
-      t.includes('hampton') && t.includes('moderator') ||
-      t.includes('e7 ') || t.includes('e7-') ||
-      t.includes('coach ai') || t.includes('coachgpt') ||
-      t.includes('retro call') || t.includes('retro meeting') || t.includes('retro for') ||
-      t.includes('strategic framework') || t.includes('align on') ||
-      t.includes('touch base') || t.includes('discuss bamboo') ||
-      t.includes('structure on embedding') || t.includes('operating system') ||
-      t.includes('service delivery') || t.includes('proposal review') ||
-      t.includes('copiloting') || t.includes('collab chat')) {
-    return 'internal_meeting';
-  }
-
-  // Staff 1:1s
-  if (t.includes('jem') || t.includes('ryan - jem') || t.includes('jem -') ||
-      t.includes('harry - ryan') || t.includes('harry-ryan') ||
-      t.includes('derek-ryan') || t.includes('derek - ryan') ||
-      t.includes('scott - ryan') || t.includes('scott-ryan') ||
-      t.includes('santi and ryan') || t.includes('ryan - santi') ||
-      t.includes('pranab')) {
-    return 'staff_1on1';
-  }
-
-  // Training sessions
-  if (t.includes('hakomi') || t.includes('facilitator') || t.includes('pef ') ||
-      t.includes('training') || t.includes('office hours')) {
-    return 'training';
-  }
-
-  // Sales/fit calls
-  if (t.includes('fit call') || t.includes('fit-call') ||
-      t.includes('i-o fit') || t.includes('io fit') ||
-      t.includes('coach matching')) {
-    return 'sales_call';
-  }
-
-  // Personal development
-  if (t.includes('amita') || t.includes('ifs ')) {
-    return 'personal_development';
-  }
-
-  // 360 interviews
-  if (t.includes('360') && (t.includes('interview') || t.includes('review'))) {
-    return '360_interview';
-  }
-
-  // Other coach sessions (sessions for other coaches' clients)
-  if (t.includes('andrea-jason') || t.includes('andrea - jason')) {
-    return 'other_coach_session';
-  }
-
-  // Client coaching - if we matched a client, it's coaching
-  if (hasClientMatch) {
-    return 'client_coaching';
-  }
-
-  // Check for "Copy of" pattern first - these are always unmatched client copies
-  if (t.startsWith('copy of')) {
-    return 'unmatched_client';
-  }
-
-  // Check for common coaching session patterns that indicate client sessions
-  // even if no client match (for future linking)
-  if (t.includes('biweekly') || t.includes('bi-weekly') ||
-      t.includes('coaching session') || t.includes('session-transcript')) {
-    // Look for name patterns that suggest it's a client session
-    // Format: "Name - Coach biweekly" or "Name and Coach"
-    const namePatterns = [
-      /^([a-z]+)\s*[-&]\s*ryan/i,           // "Tom - Ryan", "Nick & Ryan"
-      /^([a-z]+\s+[a-z]+)\s*[-&]\s*ryan/i,  // "First Last - Ryan"
-      /ryan\s*[-&]\s*([a-z]+)/i             // "Ryan - Tom"
-    ];
-
-    for (const pattern of namePatterns) {
-      if (pattern.test(title)) {
-        return 'unmatched_client';
-      }
-    }
-  }
-
-  // Coaching sessions detected by title pattern even without client email match
-  // Catches uploaded recordings like "Jake Krask & Ryan Vaughn Session 3192026.m4a"
-  if (t.includes('session') &&
-      (t.match(/[a-z]+\s*(and|&|[-_])\s*ryan/i) || t.match(/ryan\s*(and|&|[-_])\s*[a-z]+/i))) {
-    return 'unmatched_client';
-  }
-
-  // Networking/external calls - named individuals without "session" context
-  // Skip titles with "session" or file extensions (uploaded recordings are coaching)
-  if (!t.includes('session') && !t.match(/\.\w{2,4}$/)) {
-    if (t.match(/ryan\s*(vaughn)?\s*(and|&|_)\s*[a-z]+/i) ||
-        t.match(/[a-z]+\s*(and|&|_)\s*ryan\s*vaughn/i)) {
-      return 'networking';
-    }
-  }
-
-  // Default - untagged for manual review
-  return 'untagged';
-}
-
-/**
- * Chunk text into smaller pieces for embedding
- * Matches base-processor.js chunking logic: 500 words with 50 word overlap
- * @param {string} text - Text to chunk
- * @param {number} chunkSize - Words per chunk (default: 500)
- * @param {number} overlap - Overlap words between chunks (default: 50)
- * @returns {string[]} - Array of text chunks
+ * Chunk a formatted transcript by speaker turn and sentence
+ * (see processors/transcript-chunker.js)
+ * @param {Object} formattedTranscript - Output of formatTranscript()
+ * @returns {Array<{content: string, metadata: Object}>} Chunks with speaker and start/end time metadata
  */
-function chunkText(text, chunkSize = 500, overlap = 50) {
-  if (!text || typeof text !== 'string') {
-    return [];
-  }
-
-  const words = text.split(/\s+/).filter(w => w.length > 0);
-
-  if (words.length <= chunkSize) {
-    return [text.trim()];
-  }
-
-  const chunks = [];
-  let start = 0;
-
-  while (start < words.length) {
-    const end = Math.min(start + chunkSize, words.length);
-    chunks.push(words.slice(start, end).join(' '));
-
-    // Move start forward, accounting for overlap
-    start += chunkSize - overlap;
-
-    // If we're close to the end, break to avoid tiny final chunks
-    if (start + overlap >= words.length) break;
-  }
-
-  return chunks;
+function chunkFormattedTranscript(formattedTranscript) {
+  return chunkTranscript(formattedTranscript.content, {
+    // Absent on transcripts queued before timings were recorded
+    timings: formattedTranscript.sentence_timings
+  });
 }
 
 /**
@@ -439,6 +360,68 @@ export function verifyWebhookSignature(payload, signature, secret) {
   }
 }
 
+/**
+ * Run a Fireflies GraphQL query, waiting out rate limits
+ *
+ * A 429 is retried up to FIREFLIES_RATE_LIMIT_MAX_RETRIES times, after its
+ * Retry-After (seconds) or an exponential backoff.
+ *
+ * @param {string} apiKey - Fireflies API key
+ * @param {string} query - GraphQL query
+ * @param {Object} [variables]
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} On API or GraphQL errors; error.rateLimited when retries ran out
+ */
+export async function queryFireflies(apiKey, query, variables = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(FIREFLIES_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({ query, variables })
+    });
+
+    if (response.status === 429) {
+      if (attempt >= FIREFLIES_RATE_LIMIT_MAX_RETRIES) {
+        const error = new Error('Fireflies API rate limit exceeded');
+        error.rateLimited = true;
+        throw error;
+      }
+
+      const retryAfter = parseInt(response.headers?.get?.('retry-after'));
+      const delay = retryAfter > 0 ? retryAfter * 1000 : FIREFLIES_RATE_LIMIT_BASE_MS * Math.pow(2, attempt);
+      console.warn(`[Fireflies] Rate limited; retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      continue;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Fireflies API error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+
+    if (data.errors) {
+      throw new Error(`Fireflies GraphQL error: ${JSON.stringify(data.errors)}`);
+    }
+
+    return data.data;
+  }
+}
+
+/**
+ * List one page of an API key's transcripts, newest first
+ * @param {string} apiKey - Fireflies API key
+ * @param {number} skip - Transcripts to skip
+ * @returns {Promise<Array<Object>>} Up to FIREFLIES_LIST_PAGE_SIZE transcripts { id, title, date, organizer_email }
+ */
+async function listTranscriptPage(apiKey, skip) {
+  const data = await queryFireflies(apiKey, LIST_TRANSCRIPTS_QUERY, { limit: FIREFLIES_LIST_PAGE_SIZE, skip });
+  return data.transcripts || [];
+}
+
 /**
  * Fetch transcript from Fireflies GraphQL API
  * @param {string} meetingId - Fireflies meeting/transcript ID
@@ -492,29 +475,8 @@ export async function fetchTranscript(meetingId, apiKey) {
     }
   `;
 
-  const response = await fetch(FIREFLIES_API_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      query,
-      variables: { transcriptId: meetingId }
-    })
-  });
-
-  if (!response.ok) {
-    throw new Error(`Fireflies API error: ${response.status} ${response.statusText}`);
-  }
-
-  const data = await response.json();
-
-  if (data.errors) {
-    throw new Error(`Fireflies GraphQL error: ${JSON.stringify(data.errors)}`);
-  }
-
-  return data.data.transcript;
+  const data = await queryFireflies(apiKey, query, { transcriptId: meetingId });
+  return data.transcript;
 }
 
 /**
@@ -523,11 +485,17 @@ export async function fetchTranscript(meetingId, apiKey) {
  * @returns {Object} - Formatted transcript for our system
  */
 export function formatTranscript(transcript) {
-  // Build the transcript text from sentences
+  // Build the transcript text from sentences, one line per sentence
   const transcriptText = transcript.sentences
-    .map(s => `${s.speaker_name}: ${s.text}`)
+    .map(s => `${s.speaker_name}: ${(s.text || '').replace(/\s*\n\s*/g, ' ')}`)
     .join('\n');
 
+  // Line-aligned sentence times (seconds), recorded on chunks for citations
+  const sentenceTimings = transcript.sentences.map(s => ({
+    start_time: s.start_time ?? null,
+    end_time: s.end_time ?? null
+  }));
+
   // Extract participant names
   const participants = transcript.meeting_attendees
     ?.map(a => a.displayName || a.name || a.email)
@@ -547,6 +515,7 @@ export function formatTranscript(transcript) {
   return {
     title: transcript.title || `Coaching Session - ${transcript.dateString}`,
     content: transcriptText,
+    sentence_timings: sentenceTimings,
     session_date: transcript.date ? new Date(transcript.date).toISOString().split('T')[0] : null,
     host_email: transcript.host_email,
     organizer_email: transcript.organizer_email,
@@ -639,7 +608,8 @@ export async function findCoachById(supabase, coachId) {
  * @param {Array} attendees - Array of {email, name, displayName} from Fireflies
  * @param {Object} options - Optional settings
  * @param {string} options.fallbackCoachId - Coach ID to use if no email match (e.g., API key owner)
- * @returns {Object} - { coach, client, organization_id, unmatched_emails, matched_via }
+ * @returns {Object} - { coach, client, organization_id, unmatched_emails, matched_via,
+ *   client_matched_via, client_suggestions }
  */
 export async function matchParticipants(supabase, transcript, attendees, options = {}) {
   const { fallbackCoachId } = options;
@@ -648,7 +618,9 @@ export async function matchParticipants(supabase, transcript, attendees, options
     client: null,
     organization_id: null,
     unmatched_emails: [],
-    matched_via: null  // 'email', 'fireflies_user', 'primary_coach', or 'api_key_owner'
+    matched_via: null,  // 'email', 'fireflies_user', 'primary_coach', or 'api_key_owner'
+    client_matched_via: null,  // 'email', 'alias_email' or 'alias_name' (client_aliases)
+    client_suggestions: []  // Ranked guesses when no client matched (never assigned automatically)
   };
 
   // Build ordered list of emails to check
@@ -727,6 +699,36 @@ export async function matchParticipants(supabase, transcript, attendees, options
     result.unmatched_emails.push(email);
   }
 
+  if (result.client) {
+    result.client_matched_via = 'email';
+  }
+
+  // Then alternate emails and names learned from earlier assignments.
+  // Aliases must not block ingestion: a failed lookup means no alias match
+  const participantNames = getParticipantNames(transcript, attendees, [result.coach?.name]);
+  let nameAliases = [];
+  if (!result.client) {
+    try {
+      const { match, aliases } = await findClientByAliases(supabase, {
+        emails: result.unmatched_emails,
+        names: participantNames,
+        coach: result.coach
+      });
+      nameAliases = aliases;
+
+      if (match) {
+        result.client = match.client;
+        result.organization_id = match.client.client_organization_id;
+        result.client_matched_via = match.via;
+        result.unmatched_emails = result.unmatched_emails.filter(email => normalizeEmail(email) !== match.alias.normalized_alias);
+        console.log(`[Fireflies] Client matched via alias: ${match.client.name} (${match.alias.alias})`);
+        await recordAliasMatch(supabase, match.alias);
+      }
+    } catch (error) {
+      console.error('[Fireflies] Client alias lookup failed:', error.message);
+    }
+  }
+
   // If we found a client but no coach, try to use the client's primary coach
   if (result.client && !result.coach && result.client.primary_coach_id) {
     const { data: primaryCoach } = await supabase
@@ -752,20 +754,490 @@ export async function matchParticipants(supabase, transcript, attendees, options
     }
   }
 
+  // Still no client: rank the coach's clients by name for an admin to confirm
+  // (without a coach, the review queue suggests clients of the admin's company)
+  if (!result.client) {
+    result.client_suggestions = await suggestClients(supabase, {
+      title: transcript.title,
+      names: participantNames,
+      coach: result.coach,
+      aliases: nameAliases
+    }).catch(error => {
+      console.error('[Fireflies] Client suggestions failed:', error.message);
+      return [];
+    });
+  }
+
   return result;
 }
 
+/**
+ * Session type for a transcript, from the coach's company rules
+ * @param {Object} deps - { supabase, openai, expenseTracker }
+ * @returns {Promise<Object>} classifySessionType() result
+ */
+function classifyTranscript({ supabase, openai, expenseTracker = null }, formattedTranscript, coach, hasClientMatch) {
+  return classifySessionType(supabase, openai, {
+    companyId: coach.coaching_company_id,
+    title: formattedTranscript.title,
+    participants: formattedTranscript.metadata?.participants,
+    content: formattedTranscript.content,
+    hasClientMatch
+  }, { expenseTracker });
+}
+
+/**
+ * Record a webhook-handled meeting so the polling sync skips it (errors only
+ * logged; a meeting already recorded is left as it is)
+ */
+async function recordWebhookSyncState(supabase, { meetingId, coachId, meetingDate, dataItemId, status, errorMessage = null }) {
+  const { error } = await supabase.from('fireflies_sync_state').insert({
+    fireflies_meeting_id: meetingId,
+    coach_id: coachId,
+    meeting_date: meetingDate ? new Date(meetingDate).toISOString() : null,
+    data_item_id: dataItemId,
+    status,
+    error_message: errorMessage
+  });
+  if (error && !error.message?.includes('duplicate')) {
+    console.error('[Fireflies] Failed to record sync state:', error.message);
+  }
+}
+
+/**
+ * Process a webhook event: fetch the transcript, match participants, then
+ * store it (chunk → embed) or queue it for coach assignment.
+ *
+ * Idempotent per meeting, so Fireflies resends and delivery replays are safe:
+ * a meeting already stored (by webhook, sync, import or assignment) or
+ * waiting for assignment is not stored again, and a transcript whose chunks
+ * can't be embedded is removed again so the retry starts clean.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.supabase - Supabase client
+ * @param {Object} deps.openai - OpenAI client
+ * @param {Object} [deps.expenseTracker] - Tracks LLM session type classification
+ * @param {Object} payload - Webhook body { meetingId, eventType, clientReferenceId }
+ * @returns {Promise<{outcome: string, data_item_id?: string, response: Object}>}
+ *   outcome: 'processed' | 'duplicate' | 'queued_for_assignment' | 'already_processed' | 'ignored'
+ *   ('duplicate': the content is already stored for the coach and client, e.g. by a manual import);
+ *   response is the webhook's JSON answer
+ * @throws {Error} When the transcript can't be fetched or stored (the delivery is retried)
+ */
+export async function processWebhookEvent(deps, payload) {
+  const { supabase, openai } = deps;
+  const startTime = Date.now();
+  const { meetingId, eventType } = payload || {};
+
+  // Only process transcription complete events
+  if (eventType !== 'Transcription completed') {
+    return {
+      outcome: 'ignored',
+      response: { status: 'ignored', reason: `Event type '${eventType}' not processed` }
+    };
+  }
+
+  if (!meetingId) {
+    return {
+      outcome: 'ignored',
+      response: { status: 'ignored', reason: 'Payload has no meetingId' }
+    };
+  }
+
+  const FIREFLIES_API_KEY = process.env.FIREFLIES_API_KEY;
+  if (!FIREFLIES_API_KEY) {
+    throw new Error('Fireflies API key not configured');
+  }
+
+  // Stored already? Webhook, sync, import and assignment share the slug
+  const { data: existing, error: existingError } = await supabase
+    .from('data_items')
+    .select('id')
+    .eq('metadata->>slug', `fireflies-${meetingId}`)
+    .limit(1)
+    .maybeSingle();
+
+  if (existingError) {
+    throw new Error(`Failed to check for a stored transcript: ${existingError.message}`);
+  }
+
+  if (existing) {
+    console.log(`[Fireflies] Meeting ${meetingId} already stored as ${existing.id}`);
+    return {
+      outcome: 'already_processed',
+      data_item_id: existing.id,
+      response: { status: 'already_processed', meeting_id: meetingId, data_item_id: existing.id }
+    };
+  }
+
+  const { data: alreadyPending, error: pendingError } = await supabase
+    .from('fireflies_pending')
+    .select('id')
+    .eq('meeting_id', meetingId)
+    .limit(1)
+    .maybeSingle();
+
+  if (pendingError) {
+    throw new Error(`Failed to check pending transcripts: ${pendingError.message}`);
+  }
+
+  if (alreadyPending) {
+    return {
+      outcome: 'queued_for_assignment',
+      response: { status: 'queued', reason: 'Already queued for manual assignment', meeting_id: meetingId }
+    };
+  }
+
+  // Fetch the full transcript
+  console.log(`[Fireflies] Fetching transcript ${meetingId}...`);
+  const transcript = await fetchTranscript(meetingId, FIREFLIES_API_KEY);
+
+  if (!transcript) {
+    // Fireflies can announce a transcript before serving it; retried with backoff
+    throw new Error('Transcript not found');
+  }
+
+  // Format transcript for our system
+  const formattedTranscript = formatTranscript(transcript);
+
+  // Match all participants (coach, client, organization) from attendee emails
+  const matches = await matchParticipants(
+    supabase,
+    formattedTranscript,
+    transcript.meeting_attendees
+  );
+
+  if (!matches.coach) {
+    console.warn(`[Fireflies] No coach found for meeting ${meetingId}`);
+    console.warn(`[Fireflies] Checked emails: ${formattedTranscript.host_email}, ${formattedTranscript.organizer_email}`);
+    if (matches.unmatched_emails.length > 0) {
+      console.warn(`[Fireflies] Unmatched attendee emails: ${matches.unmatched_emails.join(', ')}`);
+    }
+
+    // Store in a queue for manual review instead of failing
+    const { error: queueError } = await supabase
+      .from('fireflies_pending')
+      .insert({
+        meeting_id: meetingId,
+        host_email: formattedTranscript.host_email,
+        organizer_email: formattedTranscript.organizer_email,
+        title: formattedTranscript.title,
+        session_date: formattedTranscript.session_date,
+        transcript_data: {
+          ...formattedTranscript,
+          attendees: transcript.meeting_attendees,
+          unmatched_emails: matches.unmatched_emails,
+          client_suggestions: matches.client_suggestions
+        },
+        status: 'pending_coach_assignment'
+      });
+
+    if (queueError) {
+      throw new Error(`Failed to queue transcript for assignment: ${queueError.message}`);
+    }
+
+    return {
+      outcome: 'queued_for_assignment',
+      response: {
+        status: 'queued',
+        reason: 'No matching coach found - queued for manual assignment',
+        meeting_id: meetingId,
+        unmatched_emails: matches.unmatched_emails
+      }
+    };
+  }
+
+  // Process and store the transcript with all matched relationships
+  console.log(`[Fireflies] Processing transcript for coach: ${matches.coach.name}`);
+  if (matches.client) {
+    console.log(`[Fireflies] Matched client: ${matches.client.name}`);
+  }
+  if (matches.organization_id) {
+    console.log(`[Fireflies] Matched organization: ${matches.organization_id}`);
+  }
+
+  // Classify with the company's session type rules
+  const classification = await classifyTranscript(deps, formattedTranscript, matches.coach, !!matches.client);
+  const sessionType = classification.session_type;
+  console.log(`[Fireflies] Detected session type: ${sessionType} (${classification.source})`);
+
+  const chunks = chunkFormattedTranscript(formattedTranscript);
+
+  // Create data item with all relationship fields populated (not if the
+  // same content is already stored for this coach and client, e.g. a manual import)
+  const { dataItem, exact } = await insertUnlessDuplicate(supabase, {
+    data_type: 'transcript',
+    raw_content: formattedTranscript.content,
+    metadata: {
+      ...formattedTranscript.metadata,
+      title: formattedTranscript.title,
+      slug: `fireflies-${meetingId}`,
+      ...getSessionTypeMetadata(classification),
+      ...getClientMatchMetadata(matches),
+      unmatched_emails: matches.unmatched_emails
+    },
+    coach_id: matches.coach.id,
+    client_id: matches.client?.id || null,
+    client_organization_id: matches.organization_id || null,
+    session_date: formattedTranscript.session_date
+  });
+
+  if (exact) {
+    console.log(`[Fireflies] Meeting ${meetingId} is already stored as data item ${exact.id}`);
+    await recordWebhookSyncState(supabase, {
+      meetingId,
+      coachId: matches.coach.id,
+      meetingDate: transcript.date,
+      dataItemId: exact.id,
+      status: 'skipped',
+      errorMessage: `Duplicate of data item ${exact.id}`
+    });
+
+    return {
+      outcome: 'duplicate',
+      data_item_id: exact.id,
+      response: {
+        status: 'duplicate',
+        meeting_id: meetingId,
+        data_item_id: exact.id,
+        duplicate_of: exact
+      }
+    };
+  }
+
+  // Generate embeddings and store chunks
+  let chunksProcessed = 0;
+  try {
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = chunks[i];
+
+      // Generate embedding
+      const { embedding, model, dimensions } = await embedText(openai, chunk.content, { operation: 'fireflies' });
+
+      // Store chunk with embedding
+      const { error: chunkError } = await supabase
+        .from('data_chunks')
+        .insert({
+          data_item_id: dataItem.id,
+          chunk_index: i,
+          content: chunk.content,
+          embedding,
+          embedding_model: model,
+          embedding_dimensions: dimensions,
+          metadata: { source: 'fireflies', meeting_id: meetingId, ...chunk.metadata }
+        });
+
+      if (chunkError) {
+        console.error(`[Fireflies] Failed to store chunk ${i}:`, chunkError);
+      } else {
+        chunksProcessed++;
+      }
+    }
+  } catch (error) {
+    // Remove the partial transcript (chunks cascade) so the retry stores it once
+    await supabase.from('data_items').delete().eq('id', dataItem.id);
+    throw error;
+  }
+
+  await recordWebhookSyncState(supabase, {
+    meetingId,
+    coachId: matches.coach.id,
+    meetingDate: transcript.date,
+    dataItemId: dataItem.id,
+    status: 'synced'
+  });
+
+  const elapsed = Date.now() - startTime;
+  console.log(`[Fireflies] Processed ${chunksProcessed}/${chunks.length} chunks in ${elapsed}ms`);
+
+  // Send notification about saved transcript
+  await sendTranscriptSavedNotification({
+    title: formattedTranscript.title,
+    coach: matches.coach.name,
+    client: matches.client?.name || null,
+    sessionType,
+    chunks: chunksProcessed,
+    syncMethod: 'webhook',
+    sessionDate: formattedTranscript.session_date
+  });
+
+  return {
+    outcome: 'processed',
+    data_item_id: dataItem.id,
+    response: {
+      status: 'processed',
+      data_item_id: dataItem.id,
+      coach: matches.coach.name,
+      client: matches.client?.name || null,
+      client_id: matches.client?.id || null,
+      organization_id: matches.organization_id || null,
+      chunks_processed: chunksProcessed,
+      elapsed_ms: elapsed
+    }
+  };
+}
+
+/**
+ * Store a pending transcript under the coach (and client) an admin chose
+ *
+ * The transcript is claimed first (status 'assigning'), so it is stored
+ * once even when assigned twice at the same time. If storing fails the
+ * partial transcript is removed and the transcript goes back to the queue
+ * with the error. A transcript whose content is already stored for the
+ * coach and client is not stored again: the row links to that item
+ * (duplicate_of). Assigning a client teaches its aliases (client_aliases)
+ * from a 1:1 meeting, so the client's future meetings match without review.
+ *
+ * @param {Object} deps - { supabase, openai, expenseTracker }
+ * @param {Object} pending - fireflies_pending row
+ * @param {Object} assignment
+ * @param {Object} assignment.coach - { id, name, email, coaching_company_id }
+ * @param {Object|null} [assignment.client] - { id, name, email, client_organization_id }
+ * @param {string|null} [assignment.adminId] - Assigning admin
+ * @returns {Promise<Object>} { data_item_id, duplicate_of?, session_type, chunks_processed, learned_aliases }
+ * @throws {Error} When storing fails; error.conflict when the transcript
+ *   was no longer pending
+ */
+export async function assignPendingTranscript(deps, pending, { coach, client = null, adminId = null }) {
+  const { supabase, openai } = deps;
+
+  const claimed = await claimPendingTranscript(supabase, pending.id);
+  if (!claimed) {
+    const error = new Error('Transcript was already reviewed or is being assigned');
+    error.conflict = true;
+    throw error;
+  }
+
+  const formattedTranscript = pending.transcript_data;
+  let dataItem;
+  let duplicateOf;
+  let sessionType;
+  let chunks;
+
+  try {
+    // Classify with the company's session type rules
+    const classification = await classifyTranscript(deps, formattedTranscript, coach, !!client);
+    sessionType = classification.session_type;
+
+    chunks = chunkFormattedTranscript(formattedTranscript);
+
+    // Not stored again if the same content is already stored for this coach
+    // and client (e.g. a manual import): the pending row links to that item
+    ({ dataItem, exact: duplicateOf } = await insertUnlessDuplicate(supabase, {
+      data_type: 'transcript',
+      raw_content: formattedTranscript.content,
+      metadata: {
+        ...formattedTranscript.metadata,
+        title: formattedTranscript.title,
+        slug: `fireflies-${pending.meeting_id}`,
+        ...getSessionTypeMetadata(classification)
+      },
+      coach_id: coach.id,
+      client_id: client?.id || null,
+      client_organization_id: client?.client_organization_id || null,
+      session_date: formattedTranscript.session_date
+    }));
+
+    // Generate embeddings
+    if (dataItem) {
+      try {
+        for (let i = 0; i < chunks.length; i++) {
+          const { embedding, model, dimensions } = await embedText(openai, chunks[i].content, { operation: 'fireflies' });
+
+          await supabase.from('data_chunks').insert({
+            data_item_id: dataItem.id,
+            chunk_index: i,
+            content: chunks[i].content,
+            embedding,
+            embedding_model: model,
+            embedding_dimensions: dimensions,
+            metadata: { source: 'fireflies', meeting_id: pending.meeting_id, ...chunks[i].metadata }
+          });
+        }
+      } catch (error) {
+        // Remove the partial transcript (chunks cascade) so it can be assigned again
+        await supabase.from('data_items').delete().eq('id', dataItem.id);
+        throw error;
+      }
+    }
+  } catch (error) {
+    await releasePendingTranscript(supabase, pending.id, error.message);
+    throw error;
+  }
+
+  const dataItemId = dataItem?.id || duplicateOf.id;
+  const now = new Date().toISOString();
+  const { error: updateError } = await supabase
+    .from('fireflies_pending')
+    .update({
+      status: 'processed',
+      processed_at: now,
+      assigned_coach_id: coach.id,
+      assigned_client_id: client?.id || null,
+      assigned_by: adminId,
+      assigned_at: now,
+      data_item_id: dataItemId,
+      snoozed_until: null,
+      error_message: duplicateOf ? `Duplicate of data item ${duplicateOf.id}` : null
+    })
+    .eq('id', pending.id);
+
+  if (updateError) {
+    console.error(`[Fireflies] Failed to mark pending transcript ${pending.id} processed:`, updateError.message);
+  }
+
+  // Remember how this client appeared in the meeting (failures only logged)
+  const learnedAliases = client
+    ? await learnClientAliases(supabase, {
+      client,
+      coach,
+      transcript: formattedTranscript,
+      meetingId: pending.meeting_id
+    }).catch(error => {
+      console.error('[Fireflies] Failed to learn client aliases:', error.message);
+      return [];
+    })
+    : [];
+
+  // Send notification about saved transcript
+  if (dataItem) {
+    await sendTranscriptSavedNotification({
+      title: formattedTranscript.title,
+      coach: coach.name,
+      client: client?.name || null,
+      sessionType,
+      chunks: chunks.length,
+      syncMethod: 'pending_assignment',
+      sessionDate: formattedTranscript.session_date
+    });
+  }
+
+  return {
+    data_item_id: dataItemId,
+    ...(duplicateOf && { duplicate_of: duplicateOf }),
+    session_type: sessionType,
+    chunks_processed: dataItem ? chunks.length : 0,
+    learned_aliases: learnedAliases.map(alias => ({ id: alias.id, alias_type: alias.alias_type, alias: alias.alias }))
+  };
+}
+
 /**
  * Create Express routes for Fireflies integration
  * @param {Object} supabase - Supabase client
  * @param {Object} openai - OpenAI client
+ * @param {Object} [options]
+ * @param {Object} [options.expenseTracker] - Tracks LLM session type classification
+ * @param {FirefliesWebhookQueue} [options.webhookQueue] - Stores and retries webhook deliveries
+ *   (default: a queue processing with processWebhookEvent)
  * @returns {express.Router} - Express router
  */
-export function createFirefliesRoutes(supabase, openai) {
+export function createFirefliesRoutes(supabase, openai, options = {}) {
   const router = express.Router();
+  const deps = { supabase, openai, expenseTracker: options.expenseTracker || null };
+  const webhookQueue = options.webhookQueue ||
+    new FirefliesWebhookQueue(supabase, { processEvent: payload => processWebhookEvent(deps, payload) });
 
   // Get config from environment
-  const FIREFLIES_API_KEY = process.env.FIREFLIES_API_KEY;
   const FIREFLIES_WEBHOOK_SECRET = process.env.FIREFLIES_WEBHOOK_SECRET;
 
   /**
@@ -773,10 +1245,11 @@ export function createFirefliesRoutes(supabase, openai) {
    * POST /api/integrations/fireflies/webhook
    *
    * Note: We use express.raw() to get the raw body for signature verification
+   *
+   * Responds 202 when processing failed after the delivery was stored (it is
+   * retried from there), and 500 only when it could not be stored.
    */
   router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-    const startTime = Date.now();
-
     try {
       // Get raw body for signature verification
       const rawBody = req.body.toString('utf8');
@@ -792,171 +1265,34 @@ export function createFirefliesRoutes(supabase, openai) {
       }
 
       // Parse the webhook payload
-      const payload = JSON.parse(rawBody);
-      const { meetingId, eventType, clientReferenceId } = payload;
-
-      console.log(`[Fireflies] Webhook received: ${eventType} for meeting ${meetingId}`);
-
-      // Only process transcription complete events
-      if (eventType !== 'Transcription completed') {
-        return res.json({
-          status: 'ignored',
-          reason: `Event type '${eventType}' not processed`
-        });
-      }
-
-      if (!FIREFLIES_API_KEY) {
-        console.error('[Fireflies] FIREFLIES_API_KEY not configured');
-        return res.status(500).json({ error: 'Fireflies API key not configured' });
-      }
-
-      // Fetch the full transcript
-      console.log(`[Fireflies] Fetching transcript ${meetingId}...`);
-      const transcript = await fetchTranscript(meetingId, FIREFLIES_API_KEY);
-
-      if (!transcript) {
-        return res.status(404).json({ error: 'Transcript not found' });
+      let payload;
+      try {
+        payload = JSON.parse(rawBody);
+      } catch {
+        return res.status(400).json({ error: 'Invalid JSON payload' });
       }
 
-      // Format transcript for our system
-      const formattedTranscript = formatTranscript(transcript);
-
-      // Match all participants (coach, client, organization) from attendee emails
-      const matches = await matchParticipants(
-        supabase,
-        formattedTranscript,
-        transcript.meeting_attendees
-      );
-
-      if (!matches.coach) {
-        console.warn(`[Fireflies] No coach found for meeting ${meetingId}`);
-        console.warn(`[Fireflies] Checked emails: ${formattedTranscript.host_email}, ${formattedTranscript.organizer_email}`);
-        if (matches.unmatched_emails.length > 0) {
-          console.warn(`[Fireflies] Unmatched attendee emails: ${matches.unmatched_emails.join(', ')}`);
-        }
+      console.log(`[Fireflies] Webhook received: ${payload?.eventType} for meeting ${payload?.meetingId}`);
 
-        // Store in a queue for manual review instead of failing
-        const { error: queueError } = await supabase
-          .from('fireflies_pending')
-          .insert({
-            meeting_id: meetingId,
-            host_email: formattedTranscript.host_email,
-            organizer_email: formattedTranscript.organizer_email,
-            title: formattedTranscript.title,
-            transcript_data: {
-              ...formattedTranscript,
-              attendees: transcript.meeting_attendees,
-              unmatched_emails: matches.unmatched_emails
-            },
-            status: 'pending_coach_assignment'
-          });
+      // Stored before processing, so a failure is retried instead of lost
+      const delivery = await webhookQueue.record(payload);
 
-        if (queueError) {
-          console.error('[Fireflies] Failed to queue transcript:', queueError);
-        }
+      // Once stored, a failure is retried from the delivery: answer 202 so
+      // Fireflies doesn't resend the event as well
+      const { delivery: stored, result, error } = await webhookQueue.run(delivery)
+        .catch(runError => ({ delivery: null, result: null, error: runError.message }));
 
-        return res.json({
-          status: 'queued',
-          reason: 'No matching coach found - queued for manual assignment',
-          meeting_id: meetingId,
-          unmatched_emails: matches.unmatched_emails
+      if (error) {
+        return res.status(202).json({
+          status: 'accepted',
+          reason: `Processing failed; the delivery is retried: ${error}`,
+          delivery_id: delivery.id,
+          delivery_status: stored?.status || delivery.status,
+          next_attempt_at: stored?.next_attempt_at || null
         });
       }
 
-      // Process and store the transcript with all matched relationships
-      console.log(`[Fireflies] Processing transcript for coach: ${matches.coach.name}`);
-      if (matches.client) {
-        console.log(`[Fireflies] Matched client: ${matches.client.name}`);
-      }
-      if (matches.organization_id) {
-        console.log(`[Fireflies] Matched organization: ${matches.organization_id}`);
-      }
-
-      // Detect session type based on title and client match
-      const sessionType = detectSessionType(formattedTranscript.title, !!matches.client);
-      console.log(`[Fireflies] Detected session type: ${sessionType}`);
-
-      const chunks = chunkText(formattedTranscript.content);
-
-      // Create data item with all relationship fields populated
-      const { data: dataItem, error: itemError } = await supabase
-        .from('data_items')
-        .insert({
-          data_type: 'transcript',
-          raw_content: formattedTranscript.content,
-          metadata: {
-            ...formattedTranscript.metadata,
-            title: formattedTranscript.title,
-            slug: `fireflies-${meetingId}`,
-            session_type: sessionType,
-            unmatched_emails: matches.unmatched_emails
-          },
-          coach_id: matches.coach.id,
-          client_id: matches.client?.id || null,
-          client_organization_id: matches.organization_id || null,
-          session_date: formattedTranscript.session_date
-        })
-        .select()
-        .single();
-
-      if (itemError) {
-        throw new Error(`Failed to create data item: ${itemError.message}`);
-      }
-
-      // Generate embeddings and store chunks
-      let chunksProcessed = 0;
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-
-        // Generate embedding
-        const embeddingResponse = await openai.embeddings.create({
-          model: 'text-embedding-3-small',
-          input: chunk
-        });
-        const embedding = embeddingResponse.data[0].embedding;
-
-        // Store chunk with embedding
-        const { error: chunkError } = await supabase
-          .from('data_chunks')
-          .insert({
-            data_item_id: dataItem.id,
-            chunk_index: i,
-            content: chunk,
-            embedding,
-            metadata: { source: 'fireflies', meeting_id: meetingId }
-          });
-
-        if (chunkError) {
-          console.error(`[Fireflies] Failed to store chunk ${i}:`, chunkError);
-        } else {
-          chunksProcessed++;
-        }
-      }
-
-      const elapsed = Date.now() - startTime;
-      console.log(`[Fireflies] Processed ${chunksProcessed}/${chunks.length} chunks in ${elapsed}ms`);
-
-      // Send notification about saved transcript
-      await sendTranscriptSavedNotification({
-        title: formattedTranscript.title,
-        coach: matches.coach.name,
-        client: matches.client?.name || null,
-        sessionType,
-        chunks: chunksProcessed,
-        syncMethod: 'webhook',
-        sessionDate: formattedTranscript.session_date
-      });
-
-      return res.json({
-        status: 'processed',
-        data_item_id: dataItem.id,
-        coach: matches.coach.name,
-        client: matches.client?.name || null,
-        client_id: matches.client?.id || null,
-        organization_id: matches.organization_id || null,
-        chunks_processed: chunksProcessed,
-        elapsed_ms: elapsed
-      });
+      return res.json({ ...result.response, delivery_id: stored.id });
 
     } catch (error) {
       console.error('[Fireflies] Webhook error:', error);
@@ -975,15 +1311,22 @@ export function createFirefliesRoutes(supabase, openai) {
    * - meeting_id: Required - Fireflies meeting ID
    * - coach_id: Optional - Override coach assignment
    * - api_key_label: Optional - Which API key to use (e.g., 'default', 'coach-9185bd98')
+   * - on_duplicate: Optional - 'link' (default) returns the transcript already stored
+   *   for the same coach and client instead of importing it again; 'reject' answers 409
    */
   router.post('/import', express.json(), async (req, res) => {
     try {
-      const { meeting_id, coach_id, api_key_label } = req.body;
+      const { meeting_id, coach_id, api_key_label, on_duplicate } = req.body;
 
       if (!meeting_id) {
         return res.status(400).json({ error: 'meeting_id is required' });
       }
 
+      const { policy: onDuplicate, error: policyError } = parseDuplicatePolicy(on_duplicate);
+      if (policyError) {
+        return res.status(400).json({ error: policyError });
+      }
+
       // Get API key configuration
       const apiKeyConfig = getFirefliesApiKeys();
       if (!apiKeyConfig.hasAnyKey) {
@@ -1047,57 +1390,78 @@ export function createFirefliesRoutes(supabase, openai) {
         });
       }
 
-      // Detect session type based on title and client match
-      const sessionType = detectSessionType(formattedTranscript.title, !!matches.client);
+      const respondDuplicate = (exact) => {
+        if (onDuplicate === 'reject') {
+          return res.status(409).json({
+            error: `Transcript already imported as data item ${exact.id}`,
+            duplicate_of: exact
+          });
+        }
+
+        return res.json({
+          status: 'duplicate',
+          data_item_id: exact.id,
+          duplicate_of: exact,
+          coach: coach.name,
+          client: matches.client?.name || null,
+          client_id: matches.client?.id || null,
+          chunks_processed: 0,
+          api_key_used: selectedKey.label
+        });
+      };
+
+      const checked = await findDuplicates(supabase, formattedTranscript.content, {
+        dataType: 'transcript',
+        coachId: coach.id,
+        clientId: matches.client?.id
+      });
+      if (checked.exact) return respondDuplicate(checked.exact);
+
+      // Classify with the company's session type rules
+      const classification = await classifyTranscript(deps, formattedTranscript, coach, !!matches.client);
+      const sessionType = classification.session_type;
 
       // Process transcript with all matched relationships
-      const chunks = chunkText(formattedTranscript.content);
+      const chunks = chunkFormattedTranscript(formattedTranscript);
 
       // Determine matched_via - if coach_id was explicitly provided, note that
       const matchedVia = coach_id ? 'explicit_override' : (matches.matched_via || 'unknown');
 
-      const { data: dataItem, error: itemError } = await supabase
-        .from('data_items')
-        .insert({
-          data_type: 'transcript',
-          raw_content: formattedTranscript.content,
-          metadata: {
-            ...formattedTranscript.metadata,
-            title: formattedTranscript.title,
-            slug: `fireflies-${meeting_id}`,
-            session_type: sessionType,
-            synced_via: 'manual_import',
-            api_key_label: selectedKey.label,
-            matched_via: matchedVia,
-            unmatched_emails: matches.unmatched_emails
-          },
-          coach_id: coach.id,
-          client_id: matches.client?.id || null,
-          client_organization_id: matches.organization_id || null,
-          session_date: formattedTranscript.session_date
-        })
-        .select()
-        .single();
-
-      if (itemError) {
-        throw new Error(`Failed to create data item: ${itemError.message}`);
-      }
+      const { dataItem, exact } = await insertUnlessDuplicate(supabase, {
+        data_type: 'transcript',
+        raw_content: formattedTranscript.content,
+        metadata: {
+          ...formattedTranscript.metadata,
+          title: formattedTranscript.title,
+          slug: `fireflies-${meeting_id}`,
+          ...getSessionTypeMetadata(classification),
+          synced_via: 'manual_import',
+          api_key_label: selectedKey.label,
+          matched_via: matchedVia,
+          ...getClientMatchMetadata(matches),
+          unmatched_emails: matches.unmatched_emails
+        },
+        coach_id: coach.id,
+        client_id: matches.client?.id || null,
+        client_organization_id: matches.organization_id || null,
+        session_date: formattedTranscript.session_date
+      }, { checked });
+      if (exact) return respondDuplicate(exact);
 
       // Generate embeddings
       let chunksProcessed = 0;
       for (let i = 0; i < chunks.length; i++) {
         const chunk = chunks[i];
-        const embeddingResponse = await openai.embeddings.create({
-          model: 'text-embedding-3-small',
-          input: chunk
-        });
+        const { embedding, model, dimensions } = await embedText(openai, chunk.content, { operation: 'fireflies' });
 
         await supabase.from('data_chunks').insert({
           data_item_id: dataItem.id,
           chunk_index: i,
-          content: chunk,
-          embedding: embeddingResponse.data[0].embedding,
-          metadata: { source: 'fireflies', meeting_id, api_key_label: selectedKey.label }
+          content: chunk.content,
+          embedding,
+          embedding_model: model,
+          embedding_dimensions: dimensions,
+          metadata: { source: 'fireflies', meeting_id, api_key_label: selectedKey.label, ...chunk.metadata }
         });
         chunksProcessed++;
       }
@@ -1123,7 +1487,8 @@ export function createFirefliesRoutes(supabase, openai) {
         session_type: sessionType,
         chunks_processed: chunksProcessed,
         api_key_used: selectedKey.label,
-        matched_via: matchedVia
+        matched_via: matchedVia,
+        duplicate_of: checked.near
       });
 
     } catch (error) {
@@ -1135,6 +1500,9 @@ export function createFirefliesRoutes(supabase, openai) {
   /**
    * List pending transcripts (no coach match)
    * GET /api/integrations/fireflies/pending
+   *
+   * Raw rows only: ranked suggestions are scoped to an admin's company and
+   * served by the review queue (/api/admin/fireflies/pending).
    */
   router.get('/pending', async (req, res) => {
     try {
@@ -1156,6 +1524,10 @@ export function createFirefliesRoutes(supabase, openai) {
    * Assign a pending transcript to a coach (and optionally a client)
    * POST /api/integrations/fireflies/pending/:id/assign
    * Body: { coach_id: required, client_id: optional }
+   *
+   * See assignPendingTranscript(); 409 when the transcript was already
+   * assigned or discarded. Admins use the review queue instead
+   * (/api/admin/fireflies/pending), which records who decided.
    */
   router.post('/pending/:id/assign', express.json(), async (req, res) => {
     try {
@@ -1180,7 +1552,7 @@ export function createFirefliesRoutes(supabase, openai) {
       // Get coach
       const { data: coach, error: coachError } = await supabase
         .from('coaches')
-        .select('id, name, coaching_company_id')
+        .select('id, name, email, coaching_company_id')
         .eq('id', coach_id)
         .single();
 
@@ -1190,11 +1562,10 @@ export function createFirefliesRoutes(supabase, openai) {
 
       // Get client if provided
       let client = null;
-      let organizationId = null;
       if (client_id) {
         const { data: clientData, error: clientError } = await supabase
           .from('clients')
-          .select('id, name, client_organization_id')
+          .select('id, name, email, client_organization_id')
           .eq('id', client_id)
           .single();
 
@@ -1202,107 +1573,337 @@ export function createFirefliesRoutes(supabase, openai) {
           return res.status(404).json({ error: 'Client not found' });
         }
         client = clientData;
-        organizationId = client.client_organization_id;
       }
 
-      // Process the transcript
-      const formattedTranscript = pending.transcript_data;
+      let assigned;
+      try {
+        assigned = await assignPendingTranscript(deps, pending, { coach, client });
+      } catch (error) {
+        if (error.conflict) {
+          return res.status(409).json({ error: error.message, status: pending.status });
+        }
+        throw error;
+      }
 
-      // Detect session type based on title and client match
-      const sessionType = detectSessionType(formattedTranscript.title, !!client);
+      await recordReviewDecision(supabase, {
+        pending,
+        action: 'assign',
+        coachId: coach.id,
+        clientId: client?.id || null,
+        dataItemId: assigned.data_item_id
+      });
 
-      const chunks = chunkText(formattedTranscript.content);
+      return res.json({
+        status: 'assigned',
+        data_item_id: assigned.data_item_id,
+        ...(assigned.duplicate_of && { duplicate_of: assigned.duplicate_of }),
+        coach: coach.name,
+        client: client?.name || null,
+        client_id: client?.id || null,
+        organization_id: client?.client_organization_id || null,
+        chunks_processed: assigned.chunks_processed,
+        learned_aliases: assigned.learned_aliases
+      });
 
-      const { data: dataItem, error: itemError } = await supabase
-        .from('data_items')
-        .insert({
-          data_type: 'transcript',
-          raw_content: formattedTranscript.content,
-          metadata: {
-            ...formattedTranscript.metadata,
-            title: formattedTranscript.title,
-            slug: `fireflies-${pending.meeting_id}`,
-            session_type: sessionType
-          },
-          coach_id: coach.id,
-          client_id: client?.id || null,
-          client_organization_id: organizationId,
-          session_date: formattedTranscript.session_date
-        })
-        .select()
-        .single();
+    } catch (error) {
+      console.error('[Fireflies] Assign error:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
 
-      if (itemError) {
-        throw new Error(`Failed to create data item: ${itemError.message}`);
+  /**
+   * Sync one listed transcript: fetch it, match participants, store it and
+   * record the meeting in fireflies_sync_state
+   *
+   * @param {Object} transcript - Listed transcript { id, title, date }
+   * @param {Object} options
+   * @param {string} options.apiKey - Fireflies API key to fetch with
+   * @param {string|null} options.coachId - Coach ID associated with the key (for fallback matching)
+   * @param {string} options.keyLabel - Label for logging and sync state
+   * @param {Object} options.results - { synced, skipped, failed } to append to
+   * @throws {Error} When Fireflies rate limits outlast the retries; nothing is
+   *   recorded for the meeting, so a later run picks it up
+   */
+  async function syncTranscript(transcript, { apiKey, coachId, keyLabel, results }) {
+    // Columns every meeting row of this key carries (for the sync report)
+    const meetingState = {
+      fireflies_meeting_id: transcript.id,
+      record_type: 'meeting',
+      api_key_label: keyLabel,
+      meeting_date: transcript.date ? new Date(transcript.date).toISOString() : null
+    };
+
+    try {
+      // Fetch full transcript using this specific API key
+      const fullTranscript = await fetchTranscript(transcript.id, apiKey);
+      if (!fullTranscript) {
+        results.skipped.push({ id: transcript.id, title: transcript.title, reason: 'Transcript not found', key: keyLabel });
+        // Record skip in sync state (ignore errors if already exists)
+        const { error: skipError } = await supabase.from('fireflies_sync_state').insert({
+          ...meetingState,
+          status: 'skipped',
+          error_message: 'Transcript not found in Fireflies API'
+        });
+        if (skipError && !skipError.message?.includes('duplicate')) {
+          console.error(`[Fireflies Sync] [${keyLabel}] Failed to record skip state:`, skipError.message);
+        }
+        return;
       }
 
-      // Generate embeddings
-      for (let i = 0; i < chunks.length; i++) {
-        const embeddingResponse = await openai.embeddings.create({
-          model: 'text-embedding-3-small',
-          input: chunks[i]
+      // Format and match participants (with coach fallback for private transcripts)
+      const formattedTranscript = formatTranscript(fullTranscript);
+      const matches = await matchParticipants(
+        supabase,
+        formattedTranscript,
+        fullTranscript.meeting_attendees,
+        { fallbackCoachId: coachId }  // Use API key owner as fallback
+      );
+
+      // Skip if no coach found
+      if (!matches.coach) {
+        results.skipped.push({ id: transcript.id, title: transcript.title, reason: 'No coach matched', key: keyLabel });
+        // Record skip in sync state (ignore errors if already exists)
+        const { error: noCoachError } = await supabase.from('fireflies_sync_state').insert({
+          ...meetingState,
+          status: 'skipped',
+          error_message: `No coach matched. Emails checked: ${matches.unmatched_emails.join(', ')}`
         });
+        if (noCoachError && !noCoachError.message?.includes('duplicate')) {
+          console.error(`[Fireflies Sync] [${keyLabel}] Failed to record skip state:`, noCoachError.message);
+        }
+        return;
+      }
 
-        await supabase.from('data_chunks').insert({
-          data_item_id: dataItem.id,
-          chunk_index: i,
-          content: chunks[i],
-          embedding: embeddingResponse.data[0].embedding,
-          metadata: { source: 'fireflies', meeting_id: pending.meeting_id }
+      // Classify with the company's session type rules
+      const classification = await classifyTranscript(deps, formattedTranscript, matches.coach, !!matches.client);
+      const sessionType = classification.session_type;
+
+      // Process transcript
+      const chunks = chunkFormattedTranscript(formattedTranscript);
+
+      // Not stored again if the same content is already stored for this
+      // coach and client (e.g. a manual import)
+      const { dataItem, exact } = await insertUnlessDuplicate(supabase, {
+        data_type: 'transcript',
+        raw_content: formattedTranscript.content,
+        metadata: {
+          ...formattedTranscript.metadata,
+          title: formattedTranscript.title,
+          slug: `fireflies-${transcript.id}`,
+          ...getSessionTypeMetadata(classification),
+          synced_via: 'polling',
+          api_key_label: keyLabel,
+          matched_via: matches.matched_via,
+          ...getClientMatchMetadata(matches)
+        },
+        coach_id: matches.coach.id,
+        client_id: matches.client?.id || null,
+        client_organization_id: matches.organization_id || null,
+        session_date: formattedTranscript.session_date
+      });
+
+      if (exact) {
+        results.skipped.push({
+          id: transcript.id,
+          title: transcript.title,
+          reason: `Duplicate of data item ${exact.id}`,
+          data_item_id: exact.id,
+          key: keyLabel
         });
+        // Record skip in sync state, linked to the stored item (ignore errors if already exists)
+        const { error: duplicateError } = await supabase.from('fireflies_sync_state').insert({
+          ...meetingState,
+          coach_id: matches.coach.id,
+          data_item_id: exact.id,
+          status: 'skipped',
+          error_message: `Duplicate of data item ${exact.id}`
+        });
+        if (duplicateError && !duplicateError.message?.includes('duplicate')) {
+          console.error(`[Fireflies Sync] [${keyLabel}] Failed to record skip state:`, duplicateError.message);
+        }
+        return;
       }
 
-      // Update pending status
-      await supabase
-        .from('fireflies_pending')
-        .update({
-          status: 'processed',
-          processed_at: new Date().toISOString(),
-          assigned_coach_id: coach.id,
-          assigned_client_id: client?.id || null
-        })
-        .eq('id', id);
+      // Generate embeddings
+      try {
+        for (let i = 0; i < chunks.length; i++) {
+          const { embedding, model, dimensions } = await embedText(openai, chunks[i].content, { operation: 'fireflies' });
+
+          await supabase.from('data_chunks').insert({
+            data_item_id: dataItem.id,
+            chunk_index: i,
+            content: chunks[i].content,
+            embedding,
+            embedding_model: model,
+            embedding_dimensions: dimensions,
+            metadata: {
+              source: 'fireflies',
+              meeting_id: transcript.id,
+              synced_via: 'polling',
+              api_key_label: keyLabel,
+              ...chunks[i].metadata
+            }
+          });
+        }
+      } catch (error) {
+        // Remove the partial transcript (chunks cascade) before it is recorded
+        await supabase.from('data_items').delete().eq('id', dataItem.id);
+        throw error;
+      }
+
+      // Record successful sync (ignore errors if already exists)
+      const { error: syncError } = await supabase.from('fireflies_sync_state').insert({
+        ...meetingState,
+        coach_id: matches.coach.id,
+        data_item_id: dataItem.id,
+        status: 'synced'
+      });
+      if (syncError && !syncError.message?.includes('duplicate')) {
+        console.error(`[Fireflies Sync] [${keyLabel}] Failed to record sync state:`, syncError.message);
+      }
+
+      results.synced.push({
+        id: transcript.id,
+        title: transcript.title,
+        data_item_id: dataItem.id,
+        coach: matches.coach.name,
+        client: matches.client?.name || null,
+        session_type: sessionType,
+        chunks: chunks.length,
+        key: keyLabel,
+        matched_via: matches.matched_via
+      });
+
+      console.log(`[Fireflies Sync] [${keyLabel}] Synced: ${transcript.title} (matched via ${matches.matched_via})`);
 
       // Send notification about saved transcript
       await sendTranscriptSavedNotification({
         title: formattedTranscript.title,
-        coach: coach.name,
-        client: client?.name || null,
+        coach: matches.coach.name,
+        client: matches.client?.name || null,
         sessionType,
         chunks: chunks.length,
-        syncMethod: 'pending_assignment',
+        syncMethod: 'polling',
         sessionDate: formattedTranscript.session_date
       });
 
-      return res.json({
-        status: 'assigned',
-        data_item_id: dataItem.id,
-        coach: coach.name,
-        client: client?.name || null,
-        client_id: client?.id || null,
-        organization_id: organizationId,
-        chunks_processed: chunks.length
+      // Send Slack notification if coach matched but no client
+      if (!matches.client && matches.unmatched_emails && matches.unmatched_emails.length > 0) {
+        await sendSlackNotification({
+          title: 'New Transcript - Client Not Found',
+          message: `A coaching transcript was synced but the client wasn't found in the database. Consider adding the client so future transcripts are properly linked.`,
+          fields: [
+            { title: 'Meeting Title', value: transcript.title },
+            { title: 'Coach', value: matches.coach.name },
+            { title: 'Unmatched Emails', value: matches.unmatched_emails.join(', ') },
+            { title: 'Session Date', value: new Date(fullTranscript.date).toLocaleDateString() },
+            ...(matches.client_suggestions.length > 0 ? [{
+              title: 'Suggested Clients',
+              value: matches.client_suggestions.map(suggestion => `${suggestion.name} (${Math.round(suggestion.confidence * 100)}%)`).join(', ')
+            }] : [])
+          ],
+          color: 'warning'
+        });
+      }
+
+    } catch (error) {
+      // Not the meeting's fault: leave it unrecorded for the next run
+      if (error.rateLimited) throw error;
+
+      console.error(`[Fireflies Sync] [${keyLabel}] Failed to sync ${transcript.id}:`, error);
+      results.failed.push({ id: transcript.id, title: transcript.title, error: error.message, key: keyLabel });
+
+      // Record failure in sync state (ignore errors if already exists)
+      const { error: failError } = await supabase.from('fireflies_sync_state').insert({
+        ...meetingState,
+        status: 'failed',
+        error_message: error.message
       });
+      if (failError && !failError.message?.includes('duplicate')) {
+        console.error(`[Fireflies Sync] [${keyLabel}] Failed to record fail state:`, failError.message);
+      }
+    }
+  }
+
+  /**
+   * Drop transcripts already recorded in fireflies_sync_state or already
+   * seen from another key this run
+   *
+   * @param {Array<Object>} transcripts - Listed transcripts
+   * @param {Set} seenMeetingIds - Meeting IDs already processed this run
+   * @returns {Promise<Array<Object>>} Transcripts to sync
+   */
+  async function filterUnsynced(transcripts, seenMeetingIds) {
+    if (transcripts.length === 0) return [];
+
+    const { data: existingSyncs, error } = await supabase
+      .from('fireflies_sync_state')
+      .select('fireflies_meeting_id')
+      .in('fireflies_meeting_id', transcripts.map(t => t.id));
+
+    if (error) {
+      throw new Error(`Failed to load sync state: ${error.message}`);
+    }
+
+    const syncedIds = new Set((existingSyncs || []).map(s => s.fireflies_meeting_id));
+    return transcripts.filter(t => !syncedIds.has(t.id) && !seenMeetingIds.has(t.id));
+  }
 
+  /**
+   * Load a key's cursor; without one (e.g. migration 033 not applied yet)
+   * the sync falls back to the default window
+   */
+  async function loadCursorOrNull(keyConfig) {
+    try {
+      return await loadSyncCursor(supabase, keyConfig);
     } catch (error) {
-      console.error('[Fireflies] Assign error:', error);
-      return res.status(500).json({ error: error.message });
+      console.error(`[Fireflies Sync] [${keyConfig.label}] ${error.message}`);
+      return { cursor: null, keyChanged: false };
     }
-  });
+  }
+
+  /**
+   * Save a key's cursor; a failure is logged, the synced meetings are recorded either way
+   * @returns {Promise<Object|null>} Cursor row
+   */
+  async function saveCursorOrNull(keyConfig, fields) {
+    try {
+      return await saveSyncCursor(supabase, keyConfig, fields);
+    } catch (error) {
+      console.error(`[Fireflies Sync] [${keyConfig.label}] ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Newest meeting date among listed transcripts
+   * @returns {string|null} ISO timestamp
+   */
+  function newestMeetingDate(transcripts) {
+    const dates = transcripts.map(t => t.date).filter(Boolean);
+    return dates.length ? new Date(Math.max(...dates)).toISOString() : null;
+  }
 
   /**
-   * Helper function to sync transcripts using a specific API key
-   * Extracted for multi-key support
+   * Incrementally sync the transcripts of one API key
+   *
+   * Lists meetings newer than the key's cursor (less
+   * FIREFLIES_SYNC_CURSOR_OVERLAP_MS, for transcripts that finish processing
+   * late) and advances the cursor to the newest meeting listed. Without a
+   * cursor, or when days_back is given, the last daysBack days are scanned.
+   * If the page limit stops the listing before the window start, the older
+   * meetings of the window were not seen: the cursor stays put (run
+   * mode 'backfill' to catch up).
    *
    * @param {Object} options - Sync options
-   * @param {string} options.apiKey - Fireflies API key to use
-   * @param {string|null} options.coachId - Coach ID associated with this key (for fallback matching)
-   * @param {string} options.keyLabel - Label for logging (e.g., 'default', 'coach-9185bd98')
-   * @param {number} options.daysBack - Days to look back for transcripts
+   * @param {Object} options.keyConfig - { key, label, coachId } from getFirefliesApiKeys()
+   * @param {number|null} options.daysBack - Days to look back instead of using the cursor
    * @param {Set} options.seenMeetingIds - Set of meeting IDs already processed (for deduplication)
-   * @returns {Object} - Results { synced, skipped, failed, transcriptsFound, keyLabel }
+   * @returns {Object} - Results { synced, skipped, failed, transcriptsFound, keyLabel, windowStart, cursor }
    */
-  async function syncWithApiKey({ apiKey, coachId, keyLabel, daysBack, seenMeetingIds }) {
+  async function syncWithApiKey({ keyConfig, daysBack, seenMeetingIds }) {
+    const { key: apiKey, coachId, label: keyLabel } = keyConfig;
+    const startTime = Date.now();
     const results = {
       synced: [],
       skipped: [],
@@ -1313,53 +1914,29 @@ export function createFirefliesRoutes(supabase, openai) {
 
     console.log(`[Fireflies Sync] Processing key: ${keyLabel}`);
 
-    // Paginated query to fetch ALL transcripts (not just first 50)
-    const listQuery = `
-      query RecentTranscripts($limit: Int, $skip: Int) {
-        transcripts(limit: $limit, skip: $skip) {
-          id
-          title
-          date
-          organizer_email
-        }
-      }
-    `;
+    // A cursor saved for a different key under this label is ignored
+    const { cursor, keyChanged } = await loadCursorOrNull(keyConfig);
+    const cursorAt = keyChanged ? null : cursor?.cursor_at || null;
+    if (keyChanged) {
+      console.log(`[Fireflies Sync] [${keyLabel}] API key changed; ignoring its cursor`);
+    }
 
-    // Calculate cutoff date upfront for pagination efficiency
-    const cutoffDate = Date.now() - (daysBack * 24 * 60 * 60 * 1000);
+    const cutoffDate = daysBack || !cursorAt
+      ? Date.now() - ((daysBack || FIREFLIES_SYNC_DEFAULT_DAYS_BACK) * 24 * 60 * 60 * 1000)
+      : new Date(cursorAt).getTime() - FIREFLIES_SYNC_CURSOR_OVERLAP_MS;
+    results.windowStart = new Date(cutoffDate).toISOString();
 
-    // Fetch ALL transcripts using pagination
-    const PAGE_SIZE = 50;
+    // Fetch transcripts page by page (newest first) until past the cutoff
     let allTranscripts = [];
     let skip = 0;
     let hasMore = true;
+    let truncated = false;
 
-    console.log(`[Fireflies Sync] [${keyLabel}] Fetching transcripts with pagination (cutoff: ${new Date(cutoffDate).toISOString()})`);
+    console.log(`[Fireflies Sync] [${keyLabel}] Fetching transcripts with pagination (cutoff: ${results.windowStart})`);
 
     while (hasMore) {
-      const listResponse = await fetch(FIREFLIES_API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
-          query: listQuery,
-          variables: { limit: PAGE_SIZE, skip }
-        })
-      });
-
-      if (!listResponse.ok) {
-        throw new Error(`Fireflies API error: ${listResponse.status}`);
-      }
-
-      const listData = await listResponse.json();
-      if (listData.errors) {
-        throw new Error(`Fireflies GraphQL error: ${JSON.stringify(listData.errors)}`);
-      }
-
-      const pageTranscripts = listData.data.transcripts || [];
-      console.log(`[Fireflies Sync] [${keyLabel}] Page ${Math.floor(skip / PAGE_SIZE) + 1}: ${pageTranscripts.length} transcripts`);
+      const pageTranscripts = await listTranscriptPage(apiKey, skip);
+      console.log(`[Fireflies Sync] [${keyLabel}] Page ${Math.floor(skip / FIREFLIES_LIST_PAGE_SIZE) + 1}: ${pageTranscripts.length} transcripts`);
 
       // Add transcripts from this page
       allTranscripts.push(...pageTranscripts);
@@ -1367,7 +1944,7 @@ export function createFirefliesRoutes(supabase, openai) {
       // Check if we should continue:
       // - Got a full page (might be more)
       // - All transcripts on this page are still within date range
-      if (pageTranscripts.length < PAGE_SIZE) {
+      if (pageTranscripts.length < FIREFLIES_LIST_PAGE_SIZE) {
         // Less than full page = no more data
         hasMore = false;
       } else {
@@ -1378,11 +1955,12 @@ export function createFirefliesRoutes(supabase, openai) {
           hasMore = false;
         } else {
           // Continue to next page
-          skip += PAGE_SIZE;
-          // Safety limit: max 20 pages (1000 transcripts) to prevent runaway
+          skip += FIREFLIES_LIST_PAGE_SIZE;
+          // Safety limit: 1000 transcripts per run; older history is for backfill mode
           if (skip >= 1000) {
             console.log(`[Fireflies Sync] [${keyLabel}] Reached max pagination limit (1000 transcripts)`);
             hasMore = false;
+            truncated = true;
           }
         }
       }
@@ -1398,184 +1976,136 @@ export function createFirefliesRoutes(supabase, openai) {
 
     // Filter to only transcripts within the date range
     const recentTranscripts = allTranscripts.filter(t => t.date >= cutoffDate);
-
-    // Check which ones are already synced OR already seen from another key
-    const meetingIds = recentTranscripts.map(t => t.id);
-    const { data: existingSyncs } = await supabase
-      .from('fireflies_sync_state')
-      .select('fireflies_meeting_id')
-      .in('fireflies_meeting_id', meetingIds);
-
-    const syncedIds = new Set((existingSyncs || []).map(s => s.fireflies_meeting_id));
-
-    // Filter out already-synced and already-seen-this-run transcripts
-    const unsyncedTranscripts = recentTranscripts.filter(t => {
-      if (syncedIds.has(t.id)) return false;
-      if (seenMeetingIds.has(t.id)) return false;
-      return true;
-    });
+    const unsyncedTranscripts = await filterUnsynced(recentTranscripts, seenMeetingIds);
 
     console.log(`[Fireflies Sync] [${keyLabel}] ${unsyncedTranscripts.length} new transcripts to sync`);
 
     for (const transcript of unsyncedTranscripts) {
       // Mark as seen to prevent duplicate processing by other keys
       seenMeetingIds.add(transcript.id);
+      await syncTranscript(transcript, { apiKey, coachId, keyLabel, results });
+    }
 
-      try {
-        // Fetch full transcript using this specific API key
-        const fullTranscript = await fetchTranscript(transcript.id, apiKey);
-        if (!fullTranscript) {
-          results.skipped.push({ id: transcript.id, title: transcript.title, reason: 'Transcript not found', key: keyLabel });
-          // Record skip in sync state (ignore errors if already exists)
-          const { error: skipError } = await supabase.from('fireflies_sync_state').insert({
-            fireflies_meeting_id: transcript.id,
-            status: 'skipped',
-            error_message: 'Transcript not found in Fireflies API'
-          });
-          if (skipError && !skipError.message?.includes('duplicate')) {
-            console.error(`[Fireflies Sync] [${keyLabel}] Failed to record skip state:`, skipError.message);
-          }
-          continue;
-        }
-
-        // Format and match participants (with coach fallback for private transcripts)
-        const formattedTranscript = formatTranscript(fullTranscript);
-        const matches = await matchParticipants(
-          supabase,
-          formattedTranscript,
-          fullTranscript.meeting_attendees,
-          { fallbackCoachId: coachId }  // Use API key owner as fallback
-        );
-
-        // Skip if no coach found
-        if (!matches.coach) {
-          results.skipped.push({ id: transcript.id, title: transcript.title, reason: 'No coach matched', key: keyLabel });
-          // Record skip in sync state (ignore errors if already exists)
-          const { error: noCoachError } = await supabase.from('fireflies_sync_state').insert({
-            fireflies_meeting_id: transcript.id,
-            status: 'skipped',
-            error_message: `No coach matched. Emails checked: ${matches.unmatched_emails.join(', ')}`
-          });
-          if (noCoachError && !noCoachError.message?.includes('duplicate')) {
-            console.error(`[Fireflies Sync] [${keyLabel}] Failed to record skip state:`, noCoachError.message);
-          }
-          continue;
-        }
+    // Advance the high-water mark (never backwards, e.g. on a short days_back
+    // run), unless meetings between the window start and the oldest listed
+    // one were never reached
+    if (truncated) {
+      console.warn(`[Fireflies Sync] [${keyLabel}] Listing stopped before ${results.windowStart}; cursor not advanced (run a backfill)`);
+    }
+    results.truncated = truncated;
+    results.cursor = await saveCursorOrNull(keyConfig, {
+      cursor_at: truncated ? cursorAt : laterOf(cursorAt, newestMeetingDate(recentTranscripts)),
+      last_run_at: new Date().toISOString(),
+      last_run: {
+        mode: 'incremental',
+        truncated,
+        listed: recentTranscripts.length,
+        synced: results.synced.length,
+        skipped: results.skipped.length,
+        failed: results.failed.length,
+        elapsed_ms: Date.now() - startTime
+      }
+    });
 
-        // Detect session type based on title and client match
-        const sessionType = detectSessionType(formattedTranscript.title, !!matches.client);
+    return results;
+  }
 
-        // Process transcript
-        const chunks = chunkText(formattedTranscript.content);
+  /**
+   * Backfill the full history of one API key
+   *
+   * Pages through every meeting (newest first) from the cursor's
+   * backfill_skip, pausing FIREFLIES_BACKFILL_REQUEST_DELAY_MS between
+   * Fireflies requests, until the history ends, the deadline passes or the
+   * rate limit holds. The position is saved after every page, so the next
+   * backfill call resumes where this one stopped.
+   *
+   * @param {Object} options - Sync options
+   * @param {Object} options.keyConfig - { key, label, coachId } from getFirefliesApiKeys()
+   * @param {Set} options.seenMeetingIds - Set of meeting IDs already processed (for deduplication)
+   * @param {number} options.deadline - Stop starting new requests after this time (ms)
+   * @returns {Object} - Results { synced, skipped, failed, transcriptsFound, keyLabel, backfill, cursor }
+   */
+  async function backfillWithApiKey({ keyConfig, seenMeetingIds, deadline }) {
+    const { key: apiKey, coachId, label: keyLabel } = keyConfig;
+    const startTime = Date.now();
+    const results = {
+      synced: [],
+      skipped: [],
+      failed: [],
+      transcriptsFound: 0,
+      keyLabel
+    };
 
-        const { data: dataItem, error: itemError } = await supabase
-          .from('data_items')
-          .insert({
-            data_type: 'transcript',
-            raw_content: formattedTranscript.content,
-            metadata: {
-              ...formattedTranscript.metadata,
-              title: formattedTranscript.title,
-              slug: `fireflies-${transcript.id}`,
-              session_type: sessionType,
-              synced_via: 'polling',
-              api_key_label: keyLabel,
-              matched_via: matches.matched_via
-            },
-            coach_id: matches.coach.id,
-            client_id: matches.client?.id || null,
-            client_organization_id: matches.organization_id || null,
-            session_date: formattedTranscript.session_date
-          })
-          .select()
-          .single();
+    // A finished backfill, or one made with a different key, starts over
+    const { cursor, keyChanged } = await loadCursorOrNull(keyConfig);
+    let cursorAt = keyChanged ? null : cursor?.cursor_at || null;
+    let skip = !keyChanged && cursor?.backfill_status === 'running' ? cursor.backfill_skip || 0 : 0;
+    let complete = false;
 
-        if (itemError) {
-          throw new Error(`Failed to create data item: ${itemError.message}`);
-        }
+    if (Date.now() >= deadline) {
+      results.backfill = { skip, complete, deferred: true };
+      return results;
+    }
 
-        // Generate embeddings
-        for (let i = 0; i < chunks.length; i++) {
-          const embeddingResponse = await openai.embeddings.create({
-            model: 'text-embedding-3-small',
-            input: chunks[i]
-          });
+    console.log(`[Fireflies Sync] [${keyLabel}] Backfilling from offset ${skip}`);
 
-          await supabase.from('data_chunks').insert({
-            data_item_id: dataItem.id,
-            chunk_index: i,
-            content: chunks[i],
-            embedding: embeddingResponse.data[0].embedding,
-            metadata: { source: 'fireflies', meeting_id: transcript.id, synced_via: 'polling', api_key_label: keyLabel }
-          });
-        }
+    const throttle = () => new Promise(resolve => setTimeout(resolve, FIREFLIES_BACKFILL_REQUEST_DELAY_MS));
 
-        // Record successful sync (ignore errors if already exists)
-        const { error: syncError } = await supabase.from('fireflies_sync_state').insert({
-          fireflies_meeting_id: transcript.id,
-          data_item_id: dataItem.id,
-          status: 'synced'
-        });
-        if (syncError && !syncError.message?.includes('duplicate')) {
-          console.error(`[Fireflies Sync] [${keyLabel}] Failed to record sync state:`, syncError.message);
+    try {
+      while (Date.now() < deadline) {
+        const pageTranscripts = await listTranscriptPage(apiKey, skip);
+        results.transcriptsFound += pageTranscripts.length;
+
+        // Synced meetings are skipped when a page is listed again, so an
+        // unfinished page is simply resumed from its start
+        let pageDone = true;
+        for (const transcript of await filterUnsynced(pageTranscripts, seenMeetingIds)) {
+          if (Date.now() >= deadline) {
+            pageDone = false;
+            break;
+          }
+          seenMeetingIds.add(transcript.id);
+          await throttle();
+          await syncTranscript(transcript, { apiKey, coachId, keyLabel, results });
         }
+        if (!pageDone) break;
 
-        results.synced.push({
-          id: transcript.id,
-          title: transcript.title,
-          data_item_id: dataItem.id,
-          coach: matches.coach.name,
-          client: matches.client?.name || null,
-          session_type: sessionType,
-          chunks: chunks.length,
-          key: keyLabel,
-          matched_via: matches.matched_via
-        });
-
-        console.log(`[Fireflies Sync] [${keyLabel}] Synced: ${transcript.title} (matched via ${matches.matched_via})`);
-
-        // Send notification about saved transcript
-        await sendTranscriptSavedNotification({
-          title: formattedTranscript.title,
-          coach: matches.coach.name,
-          client: matches.client?.name || null,
-          sessionType,
-          chunks: chunks.length,
-          syncMethod: 'polling',
-          sessionDate: formattedTranscript.session_date
-        });
+        // The cursor only covers pages that were worked through
+        cursorAt = laterOf(cursorAt, newestMeetingDate(pageTranscripts));
 
-        // Send Slack notification if coach matched but no client
-        if (!matches.client && matches.unmatched_emails && matches.unmatched_emails.length > 0) {
-          await sendSlackNotification({
-            title: 'New Transcript - Client Not Found',
-            message: `A coaching transcript was synced but the client wasn't found in the database. Consider adding the client so future transcripts are properly linked.`,
-            fields: [
-              { title: 'Meeting Title', value: transcript.title },
-              { title: 'Coach', value: matches.coach.name },
-              { title: 'Unmatched Emails', value: matches.unmatched_emails.join(', ') },
-              { title: 'Session Date', value: new Date(fullTranscript.date).toLocaleDateString() }
-            ],
-            color: 'warning'
-          });
+        if (pageTranscripts.length < FIREFLIES_LIST_PAGE_SIZE) {
+          complete = true;
+          break;
         }
 
-      } catch (error) {
-        console.error(`[Fireflies Sync] [${keyLabel}] Failed to sync ${transcript.id}:`, error);
-        results.failed.push({ id: transcript.id, title: transcript.title, error: error.message, key: keyLabel });
-
-        // Record failure in sync state (ignore errors if already exists)
-        const { error: failError } = await supabase.from('fireflies_sync_state').insert({
-          fireflies_meeting_id: transcript.id,
-          status: 'failed',
-          error_message: error.message
-        });
-        if (failError && !failError.message?.includes('duplicate')) {
-          console.error(`[Fireflies Sync] [${keyLabel}] Failed to record fail state:`, failError.message);
-        }
+        skip += FIREFLIES_LIST_PAGE_SIZE;
+        await saveCursorOrNull(keyConfig, { cursor_at: cursorAt, backfill_status: 'running', backfill_skip: skip });
+        await throttle();
       }
+    } catch (error) {
+      if (!error.rateLimited) throw error;
+      console.warn(`[Fireflies Sync] [${keyLabel}] Backfill paused at offset ${skip}: ${error.message}`);
+      results.rateLimited = true;
     }
 
+    results.backfill = { skip: complete ? null : skip, complete };
+    results.cursor = await saveCursorOrNull(keyConfig, {
+      cursor_at: cursorAt,
+      backfill_status: complete ? 'completed' : 'running',
+      backfill_skip: complete ? null : skip,
+      ...(complete && { backfill_completed_at: new Date().toISOString() }),
+      last_run_at: new Date().toISOString(),
+      last_run: {
+        mode: 'backfill',
+        listed: results.transcriptsFound,
+        synced: results.synced.length,
+        skipped: results.skipped.length,
+        failed: results.failed.length,
+        elapsed_ms: Date.now() - startTime
+      }
+    });
+
+    console.log(`[Fireflies Sync] [${keyLabel}] Backfill ${complete ? 'complete' : `paused at offset ${skip}`}`);
     return results;
   }
 
@@ -1583,9 +2113,17 @@ export function createFirefliesRoutes(supabase, openai) {
    * Sync endpoint for GitHub Actions polling
    * POST /api/integrations/fireflies/sync
    *
-   * Fetches recent transcripts from Fireflies and imports any that haven't been synced yet.
-   * Supports multiple API keys for accessing private transcripts.
+   * Imports transcripts that haven't been synced yet, for every configured
+   * API key (multiple keys give access to private transcripts).
+   * Also retries failed webhook deliveries that are due.
    * Protected by x-sync-secret header.
+   *
+   * Body:
+   * - mode: 'incremental' (default) lists meetings since each key's cursor;
+   *   'backfill' imports each key's full history, resuming across calls
+   *   (repeat until every per_key backfill.complete is true)
+   * - days_back: Optional incremental window instead of the cursor
+   * - key: Optional API key label to sync only that key
    */
   router.post('/sync', express.json(), async (req, res) => {
     const startTime = Date.now();
@@ -1599,14 +2137,37 @@ export function createFirefliesRoutes(supabase, openai) {
         return res.status(401).json({ error: 'Unauthorized' });
       }
 
+      const mode = req.body?.mode || 'incremental';
+      if (!SYNC_MODES.includes(mode)) {
+        return res.status(400).json({ error: `mode must be one of: ${SYNC_MODES.join(', ')}` });
+      }
+
+      // Retry failed webhook deliveries whose backoff has elapsed first, so
+      // the polling below skips meetings they store
+      const retriedDeliveries = await webhookQueue.retryDue().catch(error => {
+        console.error('[Fireflies Sync] Webhook delivery retry failed:', error.message);
+        return [];
+      });
+
       // Get all configured API keys
       const apiKeyConfig = getFirefliesApiKeys();
       if (!apiKeyConfig.hasAnyKey) {
         return res.status(500).json({ error: 'No Fireflies API keys configured' });
       }
 
-      const daysBack = req.body.days_back || 7;
-      console.log(`[Fireflies Sync] Starting multi-key sync for last ${daysBack} days with ${apiKeyConfig.allKeys.length} key(s)`);
+      const keys = req.body?.key
+        ? apiKeyConfig.allKeys.filter(k => k.label === req.body.key)
+        : apiKeyConfig.allKeys;
+      if (keys.length === 0) {
+        return res.status(400).json({
+          error: `API key '${req.body.key}' not found`,
+          available_keys: apiKeyConfig.allKeys.map(k => k.label)
+        });
+      }
+
+      const daysBack = parseInt(req.body?.days_back) || null;
+      const deadline = startTime + FIREFLIES_BACKFILL_TIME_BUDGET_MS;
+      console.log(`[Fireflies Sync] Starting ${mode} sync${daysBack ? ` for last ${daysBack} days` : ''} with ${keys.length} key(s)`);
 
       // Track seen meeting IDs across all keys for deduplication
       const seenMeetingIds = new Set();
@@ -1620,8 +2181,8 @@ export function createFirefliesRoutes(supabase, openai) {
       };
 
       // Process each API key sequentially (with delay to respect rate limits)
-      for (let i = 0; i < apiKeyConfig.allKeys.length; i++) {
-        const keyConfig = apiKeyConfig.allKeys[i];
+      for (let i = 0; i < keys.length; i++) {
+        const keyConfig = keys[i];
 
         if (i > 0) {
           // 1-second delay between keys to respect rate limits
@@ -1629,13 +2190,9 @@ export function createFirefliesRoutes(supabase, openai) {
         }
 
         try {
-          const keyResults = await syncWithApiKey({
-            apiKey: keyConfig.key,
-            coachId: keyConfig.coachId,
-            keyLabel: keyConfig.label,
-            daysBack,
-            seenMeetingIds
-          });
+          const keyResults = mode === 'backfill'
+            ? await backfillWithApiKey({ keyConfig, seenMeetingIds, deadline })
+            : await syncWithApiKey({ keyConfig, daysBack, seenMeetingIds });
 
           aggregatedResults.synced.push(...keyResults.synced);
           aggregatedResults.skipped.push(...keyResults.skipped);
@@ -1645,14 +2202,20 @@ export function createFirefliesRoutes(supabase, openai) {
             transcripts_found: keyResults.transcriptsFound,
             synced: keyResults.synced.length,
             skipped: keyResults.skipped.length,
-            failed: keyResults.failed.length
+            failed: keyResults.failed.length,
+            cursor_at: keyResults.cursor?.cursor_at || null,
+            ...(keyResults.windowStart && { window_start: keyResults.windowStart }),
+            ...(keyResults.truncated && { truncated: true }),
+            ...(keyResults.backfill && { backfill: keyResults.backfill }),
+            ...(keyResults.rateLimited && { rate_limited: true })
           });
 
         } catch (keyError) {
           console.error(`[Fireflies Sync] Key ${keyConfig.label} failed:`, keyError);
           aggregatedResults.per_key.push({
             key: keyConfig.label,
-            error: keyError.message
+            error: keyError.message,
+            ...(keyError.rateLimited && { rate_limited: true })
           });
           // Continue to next key - don't let one key failure stop others
         }
@@ -1663,13 +2226,23 @@ export function createFirefliesRoutes(supabase, openai) {
 
       return res.json({
         status: 'ok',
+        mode,
         elapsed_ms: elapsed,
-        keys_processed: apiKeyConfig.allKeys.length,
+        keys_processed: keys.length,
         total_unique_meetings: seenMeetingIds.size,
+        ...(mode === 'backfill' && {
+          backfill_complete: aggregatedResults.per_key.every(k => k.backfill?.complete)
+        }),
         synced: aggregatedResults.synced,
         skipped: aggregatedResults.skipped,
         failed: aggregatedResults.failed,
-        per_key: aggregatedResults.per_key
+        per_key: aggregatedResults.per_key,
+        webhook_retries: retriedDeliveries.map(delivery => ({
+          id: delivery.id,
+          meeting_id: delivery.meeting_id,
+          status: delivery.status,
+          outcome: delivery.outcome
+        }))
       });
 
     } catch (error) {
@@ -1678,6 +2251,40 @@ export function createFirefliesRoutes(supabase, openai) {
     }
   });
 
+  /**
+   * Sync report - cursor lag per API key and sync lag per coach
+   * GET /api/integrations/fireflies/sync/report
+   *
+   * Keys show their cursor, hours since it, the last run and backfill state;
+   * coaches (most behind first) show their newest synced transcript and
+   * meeting. Also counts meeting outcomes and webhook deliveries by status.
+   * Protected by sync secret header
+   */
+  router.get('/sync/report', async (req, res) => {
+    const FIREFLIES_SYNC_SECRET = process.env.FIREFLIES_SYNC_SECRET;
+
+    // Verify sync secret
+    const syncSecret = req.headers['x-sync-secret'];
+    if (!FIREFLIES_SYNC_SECRET || syncSecret !== FIREFLIES_SYNC_SECRET) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+      const report = await buildSyncReport(supabase, getFirefliesApiKeys().allKeys);
+
+      const webhookDeliveries = await webhookQueue.countByStatus().catch(error => {
+        console.error('[Fireflies Sync] Failed to count webhook deliveries:', error.message);
+        return null;
+      });
+
+      return res.json({ ...report, webhook_deliveries: webhookDeliveries });
+
+    } catch (error) {
+      console.error('[Fireflies Sync] Report error:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+
   /**
    * Debug endpoint - List all emails from recent Fireflies transcripts
    * GET /api/integrations/fireflies/debug
@@ -1851,6 +2458,7 @@ export function createFirefliesRoutes(supabase, openai) {
       const { data: lastSyncData } = await supabase
         .from('fireflies_sync_state')
         .select('created_at')
+        .eq('record_type', 'meeting')
         .eq('status', 'synced')
         .order('created_at', { ascending: false })
         .limit(1);
@@ -1864,6 +2472,7 @@ export function createFirefliesRoutes(supabase, openai) {
       const { count } = await supabase
         .from('fireflies_sync_state')
         .select('*', { count: 'exact', head: true })
+        .eq('record_type', 'meeting')
         .eq('status', 'synced')
         .gte('created_at', todayStart.toISOString());
 
@@ -1901,6 +2510,7 @@ export function createFirefliesRoutes(supabase, openai) {
 
 export default {
   createFirefliesRoutes,
+  processWebhookEvent,
   verifyWebhookSignature,
   fetchTranscript,
   formatTranscript,
@@ -1908,6 +2518,6 @@ export default {
   findCoachById,
   findClientByEmail,
   matchParticipants,
-  detectSessionType,
+  assignPendingTranscript,
   getFirefliesApiKeys
 };
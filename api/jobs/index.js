@@ -0,0 +1,23 @@
+/**
+ * Jobs Module
+ *
+ * Asynchronous ingestion: uploads are queued and processed by workers.
+ *
+ * Usage:
+ *   import { IngestionJobQueue } from './jobs/index.js';
+ *   const queue = new IngestionJobQueue(supabase, { processorFactory });
+ *   const job = await queue.enqueue({ source: 'data_upload', items, auth: req.auth });
+ *   await queue.drain();
+ */
+
+export {
+  INGESTION_JOB_STATUSES,
+  INGESTION_ITEM_STATUSES,
+  INGESTION_JOB_SOURCES,
+  RETRYABLE_JOB_STATUSES,
+  SOURCE_PROCESS_OPTIONS,
+  isValidationError,
+  hashJobViewToken,
+  getAuthCompanyId,
+  IngestionJobQueue
+} from './ingestion-queue.js';
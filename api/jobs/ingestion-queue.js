@@ -0,0 +1,556 @@
+/**
+ * Ingestion Job Queue
+ *
+ * Postgres-backed queue for uploads. POST /api/transcripts/bulk-upload and
+ * POST /api/data/upload enqueue a job with one item per document and return
+ * 202 with the job id; workers claim jobs and run each item through
+ * DataProcessorFactory (PII scrubbing, chunking, embedding):
+ *
+ *   queued -> running -> completed | partial | failed
+ *
+ * - Claiming uses FOR UPDATE SKIP LOCKED (claim_ingestion_job), so several
+ *   workers can drain the queue. The worker refreshes the job's lock every
+ *   INGESTION_HEARTBEAT_INTERVAL_MS, also while a long item is processed; a
+ *   running job whose worker stops reporting for INGESTION_JOB_LOCK_TIMEOUT_MS
+ *   is claimed again.
+ * - Each item is written all-or-nothing: if its chunks can't be saved, the
+ *   data item is deleted again, and a retry first removes anything an
+ *   interrupted attempt left behind.
+ * - Items failing with a transient error (embedding, database) are retried
+ *   up to INGESTION_MAX_ATTEMPTS times, with backoff between job runs.
+ *   Validation errors fail the item at once.
+ * - Items whose content is already stored for the same coach and client are
+ *   linked to the existing data item (status 'duplicate') or failed, per the
+ *   job's on_duplicate; near-duplicates are stored with duplicate_of.
+ * - Failed items can be retried from the admin API (routes/ingestion-jobs.js).
+ *
+ * Jobs live in ingestion_jobs / ingestion_job_items (migration 029) and are
+ * drained by the API server when it runs as a long-lived process, by
+ * POST /api/admin/jobs/work on serverless deployments (called on a schedule
+ * by .github/workflows/ingestion-worker.yml), or by scripts/ingestion-worker.js.
+ */
+
+import crypto from 'crypto';
+import {
+  INGESTION_MAX_ATTEMPTS,
+  INGESTION_RETRY_BASE_MS,
+  INGESTION_JOB_LOCK_TIMEOUT_MS,
+  INGESTION_HEARTBEAT_INTERVAL_MS
+} from '../config/constants.js';
+import { findDuplicates, getMetadataOwners, insertUnlessDuplicate } from '../dedup/index.js';
+
+export const INGESTION_JOB_STATUSES = ['queued', 'running', 'completed', 'partial', 'failed'];
+export const INGESTION_ITEM_STATUSES = ['pending', 'processing', 'succeeded', 'duplicate', 'failed'];
+export const INGESTION_JOB_SOURCES = ['bulk_upload', 'data_upload'];
+
+/** Statuses from which failed items can be retried */
+export const RETRYABLE_JOB_STATUSES = ['partial', 'failed'];
+
+/** Item columns reported by job status (content and metadata stay internal) */
+const ITEM_STATUS_COLUMNS = 'id, item_index, data_type, status, attempts, data_item_id, chunks_created, chunks_failed, last_error, errors, started_at, completed_at';
+
+/** Errors kept per item */
+const MAX_ITEM_ERRORS = 10;
+
+/**
+ * Processor options per job source: bulk uploads keep accepting transcripts
+ * without coach or client ids, as before they were queued
+ */
+export const SOURCE_PROCESS_OPTIONS = {
+  bulk_upload: { requireOwners: false }
+};
+
+/**
+ * Hash of a job view token, as stored in ingestion_jobs.view_token_hash
+ * @param {string} token - View token returned to the uploader
+ * @returns {string} Hex sha256
+ */
+export function hashJobViewToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Whether a processing error is caused by the input (retrying won't help)
+ *
+ * Same rule the upload routes use to answer 400: processor validation
+ * messages say what is "required" or what a value "must be".
+ *
+ * @param {Error} error - Error thrown while processing an item
+ * @returns {boolean} True for validation errors
+ */
+export function isValidationError(error) {
+  const message = error?.message || '';
+  return message.includes('required') || message.includes('must be') || message.startsWith('Invalid') ||
+    message.startsWith('Unsupported data type');
+}
+
+/**
+ * Resolve the coaching company an upload belongs to
+ * @param {Object} supabase - Supabase client
+ * @param {Object|null} auth - req.auth (null for unauthenticated uploads)
+ * @returns {Promise<string|null>} coaching_company_id
+ */
+export async function getAuthCompanyId(supabase, auth) {
+  if (!auth) return null;
+
+  const lookup = auth.adminId
+    ? supabase.from('admins').select('coaching_company_id').eq('id', auth.adminId)
+    : auth.coachId
+      ? supabase.from('coaches').select('coaching_company_id').eq('id', auth.coachId)
+      : null;
+
+  if (!lookup) return null;
+
+  const { data } = await lookup.maybeSingle();
+  return data?.coaching_company_id || null;
+}
+
+/**
+ * Enqueues, runs and reports on ingestion jobs
+ */
+export class IngestionJobQueue {
+  /**
+   * @param {Object} supabase - Supabase client
+   * @param {Object} options
+   * @param {Object} options.processorFactory - DataProcessorFactory
+   * @param {string} [options.workerId] - Name recorded on claimed jobs
+   */
+  constructor(supabase, options = {}) {
+    this.supabase = supabase;
+    this.processorFactory = options.processorFactory;
+    this.workerId = options.workerId || `${process.env.VERCEL ? 'vercel' : 'api'}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+    this.draining = null;
+  }
+
+  /**
+   * Create a job for uploaded documents
+   *
+   * @param {Object} params
+   * @param {string} params.source - 'bulk_upload' | 'data_upload'
+   * @param {Array<{data_type: string, content: string, metadata: Object}>} params.items - Processor input per document
+   * @param {Object|null} [params.auth] - req.auth of the uploader
+   * @param {string} [params.onDuplicate='link'] - 'link' | 'reject' items already stored (see api/dedup/)
+   * @returns {Promise<Object>} Inserted ingestion_jobs row; for unauthenticated
+   *   uploads with view_token, required to read the job (only its hash is stored)
+   */
+  async enqueue({ source, items, auth = null, onDuplicate = 'link' }) {
+    const viewToken = auth?.userId ? null : crypto.randomBytes(24).toString('hex');
+
+    const { data: job, error } = await this.supabase
+      .from('ingestion_jobs')
+      .insert({
+        source,
+        on_duplicate: onDuplicate,
+        total_items: items.length,
+        created_by: auth?.userId || null,
+        created_by_role: auth?.userRole || null,
+        coaching_company_id: await getAuthCompanyId(this.supabase, auth),
+        view_token_hash: viewToken ? hashJobViewToken(viewToken) : null
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { error: itemsError } = await this.supabase
+      .from('ingestion_job_items')
+      .insert(items.map((item, index) => ({
+        job_id: job.id,
+        item_index: index,
+        data_type: item.data_type,
+        content: item.content,
+        metadata: item.metadata || {}
+      })));
+
+    if (itemsError) {
+      await this.supabase.from('ingestion_jobs').delete().eq('id', job.id);
+      throw itemsError;
+    }
+
+    return viewToken ? { ...job, view_token: viewToken } : job;
+  }
+
+  /**
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} ingestion_jobs row
+   */
+  async getJob(id) {
+    const { data, error } = await this.supabase
+      .from('ingestion_jobs')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * @param {Object} [filters]
+   * @param {string} [filters.companyId] - Only jobs of this coaching company
+   * @param {string} [filters.status] - Only jobs with this status
+   * @param {number} [filters.limit=20] - Rows to return
+   * @returns {Promise<Array<Object>>} Recent jobs, newest first
+   */
+  async listJobs({ companyId, status, limit = 20 } = {}) {
+    let query = this.supabase
+      .from('ingestion_jobs')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (companyId) query = query.eq('coaching_company_id', companyId);
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Job with per-item status, errors and attempt counts
+   * @param {Object} job - ingestion_jobs row
+   * @returns {Promise<Object>} Job plus pending_items and items[]
+   */
+  async getJobStatus(job) {
+    const { data: items, error } = await this.supabase
+      .from('ingestion_job_items')
+      .select(ITEM_STATUS_COLUMNS)
+      .eq('job_id', job.id)
+      .order('item_index', { ascending: true });
+
+    if (error) throw error;
+
+    const { locked_by, locked_at, view_token_hash, ...fields } = job;
+    return {
+      ...fields,
+      pending_items: (items || []).filter(item => ['pending', 'processing'].includes(item.status)).length,
+      items: items || []
+    };
+  }
+
+  async updateJob(id, fields) {
+    const { data, error } = await this.supabase
+      .from('ingestion_jobs')
+      .update(fields)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async updateItem(id, fields) {
+    const { error } = await this.supabase
+      .from('ingestion_job_items')
+      .update(fields)
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Claim the next available job for this worker
+   * @returns {Promise<Object|null>} Running job, or null if none is available
+   */
+  async claimNext() {
+    const { data, error } = await this.supabase.rpc('claim_ingestion_job', {
+      p_worker_id: this.workerId,
+      p_lock_timeout_seconds: Math.round(INGESTION_JOB_LOCK_TIMEOUT_MS / 1000)
+    });
+
+    if (error) throw error;
+    return (Array.isArray(data) ? data[0] : data) || null;
+  }
+
+  /**
+   * Remove a data item and its chunks (data_chunks cascade)
+   */
+  async deleteDataItem(dataItemId) {
+    const { error } = await this.supabase
+      .from('data_items')
+      .delete()
+      .eq('id', dataItemId);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Record a failed attempt: back to pending while retryable, else failed
+   * @returns {Promise<string>} New item status
+   */
+  async recordFailure(item, attempt, message, retryable) {
+    const status = retryable ? 'pending' : 'failed';
+
+    console.error(`[Ingestion] Job ${item.job_id} item ${item.item_index} attempt ${attempt} failed:`, message);
+
+    await this.updateItem(item.id, {
+      status,
+      attempts: attempt,
+      last_error: message,
+      errors: [
+        ...(item.errors || []),
+        { attempt, error: message, retryable, at: new Date().toISOString() }
+      ].slice(-MAX_ITEM_ERRORS),
+      completed_at: retryable ? null : new Date().toISOString()
+    });
+
+    return status;
+  }
+
+  /**
+   * Settle an item whose content is already stored: a failure with
+   * on_duplicate=reject, otherwise linked to the existing data item
+   *
+   * @param {Object} item - ingestion_job_items row
+   * @param {Object} job - ingestion_jobs row
+   * @param {number} attempt - Current attempt number
+   * @param {Object} exact - The stored data item
+   * @returns {Promise<string>} New item status
+   */
+  async recordDuplicate(item, job, attempt, exact) {
+    if (job.on_duplicate === 'reject') {
+      return this.recordFailure(item, attempt, `Identical content already stored as data item ${exact.id}`, false);
+    }
+
+    await this.updateItem(item.id, {
+      status: 'duplicate',
+      content: null,
+      data_item_id: exact.id,
+      chunks_created: 0,
+      chunks_failed: 0,
+      last_error: null,
+      completed_at: new Date().toISOString()
+    });
+
+    return 'duplicate';
+  }
+
+  /**
+   * Process one item: run its processor, then save the data item and chunks
+   *
+   * @param {Object} item - ingestion_job_items row
+   * @param {Object} job - ingestion_jobs row (for on_duplicate)
+   * @returns {Promise<string>} New item status
+   */
+  async processItem(item, job) {
+    const attempt = item.attempts + 1;
+
+    try {
+      // An interrupted attempt may have saved a data item without its chunks
+      if (item.data_item_id) {
+        await this.deleteDataItem(item.data_item_id);
+      }
+
+      await this.updateItem(item.id, {
+        status: 'processing',
+        attempts: attempt,
+        data_item_id: null,
+        started_at: new Date().toISOString()
+      });
+
+      const processor = this.processorFactory.getProcessor(item.data_type);
+
+      const checked = await findDuplicates(this.supabase, item.content, {
+        dataType: item.data_type,
+        ...getMetadataOwners(item.metadata)
+      });
+      if (checked.exact) return this.recordDuplicate(item, job, attempt, checked.exact);
+
+      const { dataItem, chunks, embeddingFailures } = await processor.process(
+        item.content,
+        item.metadata,
+        SOURCE_PROCESS_OPTIONS[job.source]
+      );
+
+      // Another item (or upload) with the same content may have won the unique index
+      const { dataItem: insertedItem, exact } = await insertUnlessDuplicate(this.supabase, dataItem, { checked });
+      if (exact) return this.recordDuplicate(item, job, attempt, exact);
+
+      // Recorded before the chunks, so a crash here is cleaned up on retry
+      await this.updateItem(item.id, { data_item_id: insertedItem.id });
+
+      const chunkRecords = chunks.map(chunk => ({
+        data_item_id: insertedItem.id,
+        chunk_index: chunk.chunkIndex,
+        content: chunk.content,
+        embedding: processor.formatEmbeddingForDB(chunk.embedding),
+        embedding_model: chunk.embeddingModel,
+        embedding_dimensions: chunk.embeddingDimensions,
+        ...(chunk.metadata && { metadata: chunk.metadata })
+      }));
+
+      const { error: chunksError } = await this.supabase
+        .from('data_chunks')
+        .insert(chunkRecords);
+
+      if (chunksError) {
+        await this.deleteDataItem(insertedItem.id);
+        await this.updateItem(item.id, { data_item_id: null });
+        throw new Error(`Failed to save ${item.data_type} chunks: ${chunksError.message}`);
+      }
+
+      await this.updateItem(item.id, {
+        status: 'succeeded',
+        content: null,
+        chunks_created: chunks.length,
+        chunks_failed: embeddingFailures.length,
+        last_error: null,
+        completed_at: new Date().toISOString()
+      });
+
+      return 'succeeded';
+
+    } catch (error) {
+      const retryable = !isValidationError(error) && attempt < INGESTION_MAX_ATTEMPTS;
+      return this.recordFailure(item, attempt, error.message, retryable);
+    }
+  }
+
+  /**
+   * Process a claimed job's unfinished items, then record its outcome.
+   * Items left pending (transient failures) requeue the job with backoff.
+   *
+   * @param {Object} job - Running ingestion_jobs row
+   * @returns {Promise<Object>} Job row after the run
+   */
+  async processJob(job) {
+    const { data: items, error } = await this.supabase
+      .from('ingestion_job_items')
+      .select('*')
+      .eq('job_id', job.id)
+      .in('status', ['pending', 'processing'])
+      .order('item_index', { ascending: true });
+
+    if (error) throw error;
+
+    // Heartbeat so a long job (or a single long item) isn't reclaimed by another worker
+    const heartbeat = setInterval(() => {
+      this.updateJob(job.id, { locked_at: new Date().toISOString() })
+        .catch(error => console.error(`[Ingestion] Job ${job.id} heartbeat failed:`, error.message));
+    }, INGESTION_HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref?.();
+
+    try {
+      for (const item of items || []) {
+        await this.processItem(item, job);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    return this.finishRun(job);
+  }
+
+  /**
+   * Recount items and set the job's status after a run
+   */
+  async finishRun(job) {
+    const { data: items, error } = await this.supabase
+      .from('ingestion_job_items')
+      .select('status, last_error')
+      .eq('job_id', job.id);
+
+    if (error) throw error;
+
+    const count = status => items.filter(item => item.status === status).length;
+    const succeeded = count('succeeded');
+    const duplicates = count('duplicate');
+    const failed = count('failed');
+    const pending = items.length - succeeded - duplicates - failed;
+    const lastError = items.filter(item => item.last_error).map(item => item.last_error).pop() || null;
+
+    const fields = {
+      succeeded_items: succeeded,
+      duplicate_items: duplicates,
+      failed_items: failed,
+      last_error: lastError,
+      locked_by: null,
+      locked_at: null
+    };
+
+    if (pending > 0) {
+      const delay = INGESTION_RETRY_BASE_MS * Math.pow(2, Math.max(0, job.attempts - 1));
+      Object.assign(fields, {
+        status: 'queued',
+        available_at: new Date(Date.now() + delay).toISOString()
+      });
+    } else {
+      Object.assign(fields, {
+        status: failed === 0 ? 'completed' : succeeded + duplicates === 0 ? 'failed' : 'partial',
+        completed_at: new Date().toISOString()
+      });
+    }
+
+    return this.updateJob(job.id, fields);
+  }
+
+  /**
+   * Claim and process jobs until none is available or maxJobs is reached
+   *
+   * @param {Object} [options]
+   * @param {number} [options.maxJobs=Infinity] - Stop after this many jobs
+   * @returns {Promise<Array<Object>>} Job rows after their runs
+   */
+  async drain({ maxJobs = Infinity } = {}) {
+    const processed = [];
+
+    while (processed.length < maxJobs) {
+      const job = await this.claimNext();
+      if (!job) break;
+
+      try {
+        processed.push(await this.processJob(job));
+      } catch (error) {
+        // Leave the job locked; it is reclaimed after the lock timeout
+        console.error(`[Ingestion] Job ${job.id} run failed:`, error.message);
+        await this.updateJob(job.id, { last_error: error.message }).catch(() => {});
+        break;
+      }
+    }
+
+    return processed;
+  }
+
+  /**
+   * Start draining in this process unless a drain is already running.
+   * Used by long-lived servers right after enqueueing.
+   */
+  drainInBackground() {
+    if (this.draining) return;
+
+    this.draining = this.drain()
+      .catch(error => console.error('[Ingestion] Background drain failed:', error.message))
+      .finally(() => {
+        this.draining = null;
+      });
+  }
+
+  /**
+   * Reset a finished job's failed items and queue it again
+   * @param {string} id - Job id (status partial or failed)
+   * @returns {Promise<{job: Object, retried: number}>} Queued job and items reset
+   */
+  async retry(id) {
+    const { data: reset, error } = await this.supabase
+      .from('ingestion_job_items')
+      .update({ status: 'pending', attempts: 0, completed_at: null })
+      .eq('job_id', id)
+      .eq('status', 'failed')
+      .select('id');
+
+    if (error) throw error;
+
+    const job = await this.getJob(id);
+    const updated = await this.updateJob(id, {
+      status: 'queued',
+      available_at: new Date().toISOString(),
+      retries: job.retries + 1,
+      failed_items: 0,
+      completed_at: null
+    });
+
+    return { job: updated, retried: reset?.length || 0 };
+  }
+}
@@ -0,0 +1,403 @@
+/**
+ * Client Aliases
+ *
+ * client_aliases (migration 034) maps alternate emails, attendee display
+ * names and Fireflies speaker names to a client, for clients who join
+ * meetings from addresses or under names that aren't on their client record.
+ *
+ * - matchParticipants() tries aliases after exact emails. An email alias
+ *   matches the client; a name alias only when it belongs to one of the
+ *   matched coach's clients (names are too common to match across coaches
+ *   or companies). An alias shared by several clients is ambiguous. Name
+ *   aliases that don't match are only suggested.
+ * - Aliases are learned when an admin assigns a pending transcript to a
+ *   client, from 1:1 meetings only: with several participants besides the
+ *   coach it is unclear which one is the client.
+ * - Without a match, suggestClients() ranks the coach's (or company's)
+ *   clients by fuzzy name matching (client-names.js) for an admin to confirm.
+ */
+
+import { CLIENT_SUGGESTION_MAX_CANDIDATES } from '../config/constants.js';
+import {
+  normalizeName,
+  normalizeEmail,
+  scoreNameMatch,
+  extractNamesFromTitle,
+  rankClientSuggestions
+} from './client-names.js';
+
+export const CLIENT_ALIAS_TYPES = ['email', 'display_name', 'speaker_name'];
+
+const NAME_ALIAS_TYPES = ['display_name', 'speaker_name'];
+
+const CLIENT_COLUMNS = 'id, name, email, client_organization_id, primary_coach_id';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/** Postgres unique_violation: the client already has the alias */
+const UNIQUE_VIOLATION = '23505';
+
+/** Aliases per .in() lookup, keeping the request URL short */
+const ALIAS_LOOKUP_BATCH = 200;
+
+/**
+ * Lookup key of an alias
+ * @param {string} aliasType - One of CLIENT_ALIAS_TYPES
+ * @param {string} alias
+ * @returns {string}
+ */
+export function normalizeAlias(aliasType, alias) {
+  return aliasType === 'email' ? normalizeEmail(alias) : normalizeName(alias);
+}
+
+/**
+ * Validate an alias from the admin API
+ * @param {Object} input - { alias_type, alias }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateClientAlias({ alias_type, alias } = {}) {
+  if (!CLIENT_ALIAS_TYPES.includes(alias_type)) {
+    return `alias_type must be one of: ${CLIENT_ALIAS_TYPES.join(', ')}`;
+  }
+  if (typeof alias !== 'string' || !normalizeAlias(alias_type, alias)) {
+    return 'alias is required';
+  }
+  if (alias_type === 'email' && !EMAIL_PATTERN.test(alias.trim())) {
+    return 'alias must be an email address';
+  }
+  return null;
+}
+
+/**
+ * Names of a meeting's participants, without the coach's
+ *
+ * @param {Object} transcript - formatTranscript() result (or a pending transcript_data)
+ * @param {Array} [attendees] - Fireflies meeting_attendees
+ * @param {Array<string>} [excludeNames] - Names to leave out (the coach)
+ * @returns {Array<{text: string, source: string}>} source 'attendee_name' or 'speaker_name'
+ */
+export function getParticipantNames(transcript, attendees, excludeNames = []) {
+  const exclude = [...excludeNames, transcript?.fireflies_user_name].filter(Boolean);
+  const seen = new Set();
+  const names = [];
+
+  const add = (text, source) => {
+    const normalized = normalizeName(text);
+    if (!normalized || text.includes('@') || seen.has(normalized)) return;
+    if (exclude.some(name => scoreNameMatch(text, name) >= 0.8)) return;
+    seen.add(normalized);
+    names.push({ text: text.trim(), source });
+  };
+
+  for (const attendee of attendees || []) {
+    add(attendee.displayName || attendee.name, 'attendee_name');
+  }
+  for (const speaker of transcript?.metadata?.speakers || []) {
+    add(speaker.name, 'speaker_name');
+  }
+
+  return names;
+}
+
+/**
+ * Lookup keys of a meeting's unmatched emails and participant names
+ * @param {Object} participants - { emails, names } as for findClientByAliases()
+ * @returns {{emailKeys: Array<string>, nameKeys: Array<string>}}
+ */
+function getAliasKeys({ emails = [], names = [] }) {
+  return {
+    emailKeys: emails.map(normalizeEmail).filter(Boolean),
+    nameKeys: names.map(name => normalizeName(name.text)).filter(Boolean)
+  };
+}
+
+/**
+ * Alias rows (with their client) for the participants of one or many meetings
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Array<Object>} meetings - { emails, names } per meeting
+ * @returns {Promise<Array<Object>>} client_aliases rows, for findClientByAliases({ aliasRows })
+ */
+export async function lookupClientAliases(supabase, meetings) {
+  const keys = new Set();
+  for (const meeting of meetings) {
+    const { emailKeys, nameKeys } = getAliasKeys(meeting);
+    [...emailKeys, ...nameKeys].forEach(key => keys.add(key));
+  }
+
+  const allKeys = [...keys];
+  const rows = [];
+  for (let i = 0; i < allKeys.length; i += ALIAS_LOOKUP_BATCH) {
+    const { data, error } = await supabase
+      .from('client_aliases')
+      .select(`id, client_id, alias_type, alias, normalized_alias, times_matched, client:clients(${CLIENT_COLUMNS})`)
+      .in('normalized_alias', allKeys.slice(i, i + ALIAS_LOOKUP_BATCH));
+
+    if (error) throw new Error(`Failed to look up client aliases: ${error.message}`);
+    rows.push(...(data || []));
+  }
+  return rows;
+}
+
+/**
+ * Find the client behind unmatched emails or participant names
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {Array<string>} options.emails - Attendee emails that matched no coach or client
+ * @param {Array<{text: string}>} options.names - getParticipantNames() result
+ * @param {Object|null} [options.coach] - Matched coach; name aliases only
+ *   match the coach's clients, and never without a coach
+ * @param {Array<Object>|null} [options.aliasRows] - lookupClientAliases()
+ *   result covering these participants (matching many meetings); default:
+ *   looked up here
+ * @returns {Promise<{match: Object|null, aliases: Array<Object>}>} match is
+ *   { client, alias, via: 'alias_email' | 'alias_name' } when the email
+ *   aliases (or the coach's name aliases) point to exactly one client;
+ *   aliases are all name aliases found (for suggestions)
+ */
+export async function findClientByAliases(supabase, { emails = [], names = [], coach = null, aliasRows = null }) {
+  const { emailKeys, nameKeys } = getAliasKeys({ emails, names });
+  if (emailKeys.length === 0 && nameKeys.length === 0) return { match: null, aliases: [] };
+
+  const rows = (aliasRows || await lookupClientAliases(supabase, [{ emails, names }]))
+    .filter(row => row.client);
+  const emailAliases = rows.filter(row => row.alias_type === 'email' && emailKeys.includes(row.normalized_alias));
+  const nameAliases = rows.filter(row => NAME_ALIAS_TYPES.includes(row.alias_type) && nameKeys.includes(row.normalized_alias));
+
+  const matchOne = (aliases, via) => {
+    const clientIds = new Set(aliases.map(row => row.client_id));
+    return clientIds.size === 1 ? { client: aliases[0].client, alias: aliases[0], via } : null;
+  };
+
+  const emailMatch = matchOne(emailAliases, 'alias_email');
+  if (emailMatch) return { match: emailMatch, aliases: nameAliases };
+
+  if (coach && nameAliases.length > 0) {
+    const coachClientIds = new Set((await loadCandidateClients(supabase, { coach })).map(client => client.id));
+    const nameMatch = matchOne(nameAliases.filter(row => coachClientIds.has(row.client_id)), 'alias_name');
+    if (nameMatch) return { match: nameMatch, aliases: nameAliases };
+  }
+
+  return { match: null, aliases: nameAliases };
+}
+
+/**
+ * Count a transcript matched through an alias (failures are only logged)
+ * @param {Object} supabase - Supabase client
+ * @param {Object} alias - client_aliases row
+ */
+export async function recordAliasMatch(supabase, alias) {
+  const { error } = await supabase
+    .from('client_aliases')
+    .update({
+      times_matched: (alias.times_matched || 0) + 1,
+      last_matched_at: new Date().toISOString()
+    })
+    .eq('id', alias.id);
+
+  if (error) {
+    console.error('[ClientAliases] Failed to record alias match:', error.message);
+  }
+}
+
+/**
+ * Add an alias to a client
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {string} options.clientId
+ * @param {string} options.aliasType - One of CLIENT_ALIAS_TYPES
+ * @param {string} options.alias
+ * @param {string} [options.source] - 'admin' (default) | 'pending_assignment'
+ * @param {string} [options.meetingId] - Fireflies meeting it was learned from
+ * @param {string} [options.createdBy] - Admin ID
+ * @returns {Promise<{alias: Object|null, duplicate: boolean}>} Inserted row, or
+ *   duplicate when the client already has the alias
+ */
+export async function addClientAlias(supabase, { clientId, aliasType, alias, source = 'admin', meetingId = null, createdBy = null }) {
+  const { data, error } = await supabase
+    .from('client_aliases')
+    .insert({
+      client_id: clientId,
+      alias_type: aliasType,
+      alias: alias.trim(),
+      normalized_alias: normalizeAlias(aliasType, alias),
+      source,
+      source_meeting_id: meetingId,
+      created_by: createdBy
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === UNIQUE_VIOLATION) return { alias: null, duplicate: true };
+    throw new Error(`Failed to add client alias: ${error.message}`);
+  }
+
+  return { alias: data, duplicate: false };
+}
+
+/**
+ * Learn aliases from a transcript an admin assigned to a client
+ *
+ * Only 1:1 meetings teach aliases. The Fireflies user, organizer and host
+ * are taken to be the coach's side; the one remaining attendee gives an
+ * email and display name alias, and the one remaining speaker a speaker
+ * name alias. The client's own email is skipped.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {Object} options.client - Assigned client { id, name, email }
+ * @param {Object} options.coach - Assigned coach { name, email }
+ * @param {Object} options.transcript - fireflies_pending.transcript_data
+ * @param {string} options.meetingId - Fireflies meeting ID
+ * @returns {Promise<Array<Object>>} Aliases added
+ */
+export async function learnClientAliases(supabase, { client, coach, transcript, meetingId }) {
+  const coachEmails = new Set(
+    [transcript.fireflies_user_email, transcript.organizer_email, transcript.host_email, coach?.email]
+      .filter(Boolean)
+      .map(normalizeEmail)
+  );
+  const coachNames = [coach?.name, transcript.fireflies_user_name].filter(Boolean);
+
+  const others = (transcript.attendees || []).filter(attendee =>
+    attendee.email
+      ? !coachEmails.has(normalizeEmail(attendee.email))
+      : !coachNames.some(name => scoreNameMatch(attendee.displayName || attendee.name, name) >= 0.8)
+  );
+  const speakers = getParticipantNames(transcript, [], [coach?.name]);
+
+  const candidates = [];
+  if (others.length === 1) {
+    const [attendee] = others;
+    if (attendee.email && normalizeEmail(attendee.email) !== normalizeEmail(client.email)) {
+      candidates.push({ aliasType: 'email', alias: attendee.email });
+    }
+    const displayName = attendee.displayName || attendee.name;
+    if (displayName && !displayName.includes('@')) {
+      candidates.push({ aliasType: 'display_name', alias: displayName });
+    }
+  }
+  if (speakers.length === 1) {
+    candidates.push({ aliasType: 'speaker_name', alias: speakers[0].text });
+  }
+
+  if (candidates.length === 0) {
+    console.log(`[ClientAliases] Meeting ${meetingId}: no single client participant to learn aliases from`);
+    return [];
+  }
+
+  const learned = [];
+  for (const candidate of candidates) {
+    const { alias } = await addClientAlias(supabase, {
+      clientId: client.id,
+      ...candidate,
+      source: 'pending_assignment',
+      meetingId
+    });
+    if (alias) learned.push(alias);
+  }
+
+  if (learned.length > 0) {
+    console.log(`[ClientAliases] Learned ${learned.length} alias(es) for ${client.name}: ${learned.map(a => a.alias).join(', ')}`);
+  }
+  return learned;
+}
+
+/**
+ * Clients of a set of coaches (primary or assigned)
+ */
+async function loadClientsOfCoaches(supabase, coachIds) {
+  if (coachIds.length === 0) return [];
+
+  const [primary, assigned] = await Promise.all([
+    supabase.from('clients').select(CLIENT_COLUMNS).in('primary_coach_id', coachIds).limit(CLIENT_SUGGESTION_MAX_CANDIDATES),
+    supabase.from('coach_clients').select(`client:clients(${CLIENT_COLUMNS})`).in('coach_id', coachIds).limit(CLIENT_SUGGESTION_MAX_CANDIDATES)
+  ]);
+
+  if (primary.error) throw new Error(`Failed to load clients: ${primary.error.message}`);
+  if (assigned.error) throw new Error(`Failed to load clients: ${assigned.error.message}`);
+
+  const clients = new Map((primary.data || []).map(client => [client.id, client]));
+  for (const { client } of assigned.data || []) {
+    if (client) clients.set(client.id, client);
+  }
+  return [...clients.values()];
+}
+
+/**
+ * Clients a transcript could belong to: the coach's clients, or the clients
+ * of the company's coaches when no coach matched. Without either there are
+ * no candidates: clients are never suggested across companies.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} scope - { coach, companyId }
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadCandidateClients(supabase, { coach = null, companyId = null }) {
+  if (coach) return loadClientsOfCoaches(supabase, [coach.id]);
+  if (!companyId) return [];
+
+  const { data: coaches, error } = await supabase
+    .from('coaches')
+    .select('id')
+    .eq('coaching_company_id', companyId);
+
+  if (error) throw new Error(`Failed to load coaches: ${error.message}`);
+  return loadClientsOfCoaches(supabase, (coaches || []).map(c => c.id));
+}
+
+/**
+ * Ranked client suggestions for a transcript no client matched
+ *
+ * Names from the meeting title and the participants are compared with the
+ * candidate clients' names and with the name aliases found for the meeting
+ * (aliases of other clients are ignored).
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {string} options.title - Meeting title
+ * @param {Array<{text: string, source: string}>} options.names - getParticipantNames() result
+ * @param {Object|null} options.coach - Matched coach, narrowing the candidates to their clients
+ * @param {string|null} [options.companyId] - Without a coach: the company whose clients are candidates
+ * @param {Array<Object>} [options.aliases] - Name aliases from findClientByAliases()
+ * @param {Array<Object>} [options.clients] - Candidate clients already loaded
+ *   (ranking many transcripts); default: loaded for the coach
+ * @returns {Promise<Array<Object>>} rankClientSuggestions() result
+ */
+export async function suggestClients(supabase, { title, names, coach, companyId = null, aliases = [], clients = null }) {
+  const meetingNames = [
+    ...extractNamesFromTitle(title, [coach?.name]).map(text => ({ text, source: 'title' })),
+    ...names
+  ];
+  if (meetingNames.length === 0) return [];
+
+  const candidateClients = clients || await loadCandidateClients(supabase, { coach, companyId });
+  if (candidateClients.length === 0) return [];
+
+  const candidateIds = new Set(candidateClients.map(client => client.id));
+  const candidates = [
+    ...candidateClients.map(client => ({ client, label: client.name, via: 'client_name' })),
+    ...aliases
+      .filter(alias => candidateIds.has(alias.client_id))
+      .map(alias => ({ client: alias.client, label: alias.alias, via: 'alias' }))
+  ];
+
+  return rankClientSuggestions(meetingNames, candidates);
+}
+
+/**
+ * Client matching fields for a transcript's metadata
+ * @param {Object} matches - matchParticipants() result
+ * @returns {Object} { client_matched_via, client_suggestions? }
+ */
+export function getClientMatchMetadata(matches) {
+  return {
+    client_matched_via: matches.client_matched_via || null,
+    ...(!matches.client && matches.client_suggestions?.length > 0 && {
+      client_suggestions: matches.client_suggestions
+    })
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * Client Name Matching
+ *
+ * Fuzzy matching of names seen in a meeting (names extracted from the title,
+ * attendee display names, Fireflies speaker names) against client names and
+ * name aliases. Scores follow scripts/utilities/propose-client-matches.js:
+ * - 1.0: same name
+ * - 0.8: one name contains the other
+ * - otherwise the share of name parts in common ("Sam Lee" / "Sam Park": 0.5)
+ *
+ * Scores only rank suggestions; a name never assigns a client by itself.
+ */
+
+import {
+  CLIENT_SUGGESTION_MIN_CONFIDENCE,
+  CLIENT_SUGGESTION_MAX_RESULTS
+} from '../config/constants.js';
+
+// Titles naming two people: "Client <> Coach", "Client and Coach Session",
+// "Client & Coach", "Coach - Client"
+const TITLE_PATTERNS = [
+  /^([^<>]+)\s*<>\s*([^<>]+)$/,
+  /^([^&]+)\s+and\s+([^&]+?)(?:\s+Session)?$/i,
+  /^([^&]+)\s*&\s*([^&]+?)(?:\s+Session)?$/i,
+  /^([^-]+)\s*-\s*([^-]+)$/
+];
+
+// Title parts that name the meeting, not a person
+const GENERIC_TITLE_WORDS = ['coaching', 'session', 'call', 'meeting', 'sync', 'check', 'intro'];
+
+// "Contains" only counts for names at least this long ("Al" is in too many names)
+const MIN_CONTAINED_LENGTH = 3;
+
+/**
+ * Lookup form of a person's name: lowercase, accents and punctuation removed
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Lookup form of an email address
+ * @param {string} email
+ * @returns {string}
+ */
+export function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Confidence that two names refer to the same person
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0-1
+ */
+export function scoreNameMatch(a, b) {
+  const nameA = normalizeName(a);
+  const nameB = normalizeName(b);
+  if (!nameA || !nameB) return 0;
+
+  if (nameA === nameB) return 1;
+
+  const [shorter, longer] = nameA.length <= nameB.length ? [nameA, nameB] : [nameB, nameA];
+  if (shorter.length >= MIN_CONTAINED_LENGTH && longer.includes(shorter)) return 0.8;
+
+  const partsA = nameA.split(' ');
+  const partsB = nameB.split(' ');
+  const common = partsA.filter(part => partsB.includes(part));
+  return common.length / Math.max(partsA.length, partsB.length);
+}
+
+/**
+ * Names of people in a meeting title ("Jordan Lee <> Casey" -> ["Jordan Lee"])
+ *
+ * @param {string} title - Meeting title
+ * @param {Array<string>} [excludeNames] - Names to leave out (the coach)
+ * @returns {Array<string>} Up to two names
+ */
+export function extractNamesFromTitle(title, excludeNames = []) {
+  if (!title) return [];
+
+  for (const pattern of TITLE_PATTERNS) {
+    const match = title.trim().match(pattern);
+    if (!match) continue;
+
+    return match.slice(1)
+      .map(part => part.trim())
+      .filter(part => {
+        const normalized = normalizeName(part);
+        if (!normalized) return false;
+        if (GENERIC_TITLE_WORDS.some(word => normalized.split(' ').includes(word))) return false;
+        return !excludeNames.some(name => name && scoreNameMatch(part, name) >= 0.8);
+      });
+  }
+
+  return [];
+}
+
+/**
+ * Rank clients by how well meeting names match their names and name aliases
+ *
+ * @param {Array<{text: string, source: string}>} names - Names from the meeting;
+ *   source is 'title', 'attendee_name' or 'speaker_name'
+ * @param {Array<{client: Object, label: string, via: string}>} candidates - Client
+ *   names (via 'client_name') and name aliases (via 'alias') to compare with
+ * @returns {Array<Object>} Best match per client, highest confidence first:
+ *   { client_id, name, email, confidence, match_type, matched_on, matched_text, via }
+ */
+export function rankClientSuggestions(names, candidates) {
+  const best = new Map();
+
+  for (const { text, source } of names) {
+    for (const { client, label, via } of candidates) {
+      const confidence = Math.round(scoreNameMatch(text, label) * 100) / 100;
+      if (confidence < CLIENT_SUGGESTION_MIN_CONFIDENCE) continue;
+      if (best.get(client.id)?.confidence >= confidence) continue;
+
+      best.set(client.id, {
+        client_id: client.id,
+        name: client.name,
+        email: client.email,
+        confidence,
+        match_type: confidence === 1 ? 'exact' : confidence >= 0.8 ? 'high' : 'medium',
+        matched_on: source,
+        matched_text: text,
+        via
+      });
+    }
+  }
+
+  return [...best.values()]
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, CLIENT_SUGGESTION_MAX_RESULTS);
+}
@@ -0,0 +1,100 @@
+/**
+ * Coach Suggestions
+ *
+ * A transcript lands in fireflies_pending when no attendee email matched a
+ * coach. The review queue still has hints about whose meeting it was,
+ * strongest first:
+ * - the Fireflies account owner: they recorded the meeting
+ * - the primary coach of a client the transcript was matched or suggested to
+ *   (a client may meet other coaches too)
+ * - the name part of the owner, organizer and host emails
+ *   ("jordan.lee@personal.com" -> "jordan lee")
+ * - attendee and speaker names, which include the client's
+ *
+ * Like client suggestions, these only prefill the review form.
+ */
+
+import {
+  CLIENT_SUGGESTION_MIN_CONFIDENCE,
+  COACH_SUGGESTION_MAX_RESULTS
+} from '../config/constants.js';
+import { scoreNameMatch } from './client-names.js';
+import { getParticipantNames } from './client-aliases.js';
+
+// Scores are scaled by how likely the source names the meeting's coach
+const SOURCE_WEIGHTS = {
+  fireflies_user: 1,
+  client_primary_coach: 0.9,
+  email_name: 0.9,
+  attendee_name: 0.8,
+  speaker_name: 0.8
+};
+
+/**
+ * Names in a pending transcript that may be the coach's
+ * @param {Object} transcript - fireflies_pending.transcript_data
+ * @returns {Array<{text: string, source: string}>}
+ */
+function getCoachNames(transcript) {
+  const names = [];
+
+  if (transcript.fireflies_user_name) {
+    names.push({ text: transcript.fireflies_user_name, source: 'fireflies_user' });
+  }
+
+  const emails = [transcript.fireflies_user_email, transcript.organizer_email, transcript.host_email];
+  for (const email of new Set(emails.filter(Boolean).map(email => email.toLowerCase()))) {
+    names.push({ text: email.split('@')[0], source: 'email_name' });
+  }
+
+  return [...names, ...getParticipantNames(transcript, transcript.attendees)];
+}
+
+/**
+ * Rank coaches for a pending transcript
+ *
+ * @param {Object} options
+ * @param {Object} options.transcript - fireflies_pending.transcript_data
+ * @param {Array<Object>} [options.clientSuggestions] - Ranked client suggestions
+ *   ({ client_id, name, confidence })
+ * @param {Array<Object>} [options.clients] - Candidate clients with primary_coach_id
+ * @param {Array<Object>} options.coaches - Candidate coaches ({ id, name, email })
+ * @returns {Array<Object>} Best match per coach, highest confidence first:
+ *   { coach_id, name, email, confidence, match_type, matched_on, matched_text }
+ */
+export function rankCoachSuggestions({ transcript, clientSuggestions = [], clients = [], coaches }) {
+  const coachesById = new Map(coaches.map(coach => [coach.id, coach]));
+  const primaryCoachIds = new Map(clients.map(client => [client.id, client.primary_coach_id]));
+  const best = new Map();
+
+  const consider = (coach, confidence, matchedOn, matchedText) => {
+    confidence = Math.round(confidence * 100) / 100;
+    if (confidence < CLIENT_SUGGESTION_MIN_CONFIDENCE) return;
+    if (best.get(coach.id)?.confidence >= confidence) return;
+
+    best.set(coach.id, {
+      coach_id: coach.id,
+      name: coach.name,
+      email: coach.email,
+      confidence,
+      match_type: confidence === 1 ? 'exact' : confidence >= 0.8 ? 'high' : 'medium',
+      matched_on: matchedOn,
+      matched_text: matchedText
+    });
+  };
+
+  for (const suggestion of clientSuggestions) {
+    const coach = coachesById.get(primaryCoachIds.get(suggestion.client_id));
+    if (coach) consider(coach, suggestion.confidence * SOURCE_WEIGHTS.client_primary_coach, 'client_primary_coach', suggestion.name);
+  }
+
+  for (const { text, source } of getCoachNames(transcript || {})) {
+    for (const coach of coaches) {
+      consider(coach, scoreNameMatch(text, coach.name) * SOURCE_WEIGHTS[source], source, text);
+    }
+  }
+
+  return [...best.values()]
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, COACH_SUGGESTION_MAX_RESULTS);
+}
@@ -0,0 +1,36 @@
+/**
+ * Matching Module
+ *
+ * Matching meeting participants to clients beyond exact emails: learned
+ * aliases (alternate emails and names) and ranked fuzzy-name suggestions of
+ * clients and, for transcripts without a coach, coaches.
+ *
+ * Usage:
+ *   import { findClientByAliases, suggestClients } from './matching/index.js';
+ *   const { match, aliases } = await findClientByAliases(supabase, { emails, names });
+ *   const suggestions = match ? [] : await suggestClients(supabase, { title, names, coach, aliases });
+ */
+
+export {
+  normalizeName,
+  normalizeEmail,
+  scoreNameMatch,
+  extractNamesFromTitle,
+  rankClientSuggestions
+} from './client-names.js';
+
+export {
+  CLIENT_ALIAS_TYPES,
+  normalizeAlias,
+  validateClientAlias,
+  getParticipantNames,
+  lookupClientAliases,
+  findClientByAliases,
+  recordAliasMatch,
+  addClientAlias,
+  learnClientAliases,
+  suggestClients,
+  getClientMatchMetadata
+} from './client-aliases.js';
+
+export { rankCoachSuggestions } from './coach-suggestions.js';
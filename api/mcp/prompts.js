@@ -0,0 +1,101 @@
+/**
+ * MCP Prompt Templates
+ *
+ * Loads the prompts offered to MCP clients from mcp_prompt_templates
+ * (migration 027) and renders them. Each coaching company sees the default
+ * templates (coaching_company_id NULL) with its own rows replacing defaults
+ * of the same name.
+ *
+ * Template syntax:
+ *   {{name}}                argument or built-in value ('' if not set)
+ *   {{#name}}...{{/name}}   kept only when the value is set
+ *   {{^name}}...{{/name}}   kept only when it is not
+ *
+ * Usage:
+ *   const templates = await listPromptTemplates(supabase, companyId);
+ *   const text = renderPromptTemplate(templates[0].template, { client_name: 'Jane' });
+ */
+
+/**
+ * Load the active prompt templates for a coaching company
+ * @param {Object} supabase - Supabase client
+ * @param {string|null} companyId - Caller's coaching company (null: defaults only)
+ * @returns {Promise<Array<Object>>} Templates sorted by name, company rows
+ *   replacing defaults with the same name
+ */
+export async function listPromptTemplates(supabase, companyId) {
+  let query = supabase
+    .from('mcp_prompt_templates')
+    .select('id, coaching_company_id, name, title, description, arguments, template, is_active');
+
+  query = companyId
+    ? query.or(`coaching_company_id.is.null,coaching_company_id.eq.${companyId}`)
+    : query.is('coaching_company_id', null);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const byName = new Map();
+  for (const template of data || []) {
+    const existing = byName.get(template.name);
+    if (!existing || (template.coaching_company_id && !existing.coaching_company_id)) {
+      byName.set(template.name, template);
+    }
+  }
+
+  // A company row with is_active = false hides the default too
+  return [...byName.values()]
+    .filter(template => template.is_active)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Check that required prompt arguments are present
+ * @param {Object} template - mcp_prompt_templates row
+ * @param {Object} args - Arguments from prompts/get
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validatePromptArguments(template, args = {}) {
+  const missing = (template.arguments || [])
+    .filter(arg => arg.required && !hasValue(args[arg.name]))
+    .map(arg => arg.name);
+
+  return missing.length > 0
+    ? `Missing required argument${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`
+    : null;
+}
+
+/**
+ * Built-in template values
+ * @param {Date} [now] - Current time
+ * @returns {{today: string, month_ago: string}} Dates as YYYY-MM-DD
+ */
+export function getPromptBuiltins(now = new Date()) {
+  const monthAgo = new Date(now);
+  monthAgo.setMonth(monthAgo.getMonth() - 1);
+
+  return {
+    today: now.toISOString().substring(0, 10),
+    month_ago: monthAgo.toISOString().substring(0, 10)
+  };
+}
+
+/**
+ * Render a template with argument and built-in values
+ * @param {string} template - Template text
+ * @param {Object} values - Values by placeholder name
+ * @returns {string} Prompt text
+ */
+export function renderPromptTemplate(template, values = {}) {
+  return template
+    .replace(/{{([#^])(\w+)}}([\s\S]*?){{\/\2}}/g, (match, kind, name, body) =>
+      (kind === '#') === hasValue(values[name]) ? body : ''
+    )
+    .replace(/{{(\w+)}}/g, (match, name) => (hasValue(values[name]) ? String(values[name]) : ''))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
@@ -2,29 +2,122 @@
  * MCP Server for Unified Data Layer
  *
  * Provides Model Context Protocol tools for AI assistants to interact
- * with coaching data. Supports both Streamable HTTP (recommended) and SSE (legacy) transports.
+ * with coaching data. Supports Streamable HTTP (recommended), SSE (legacy)
+ * and stdio (local hosts, see bin/udl-mcp.js) transports.
  *
  * Tools:
- * - search_data: Semantic search across coaching data with filters
+ * - search_data: Semantic, keyword or hybrid search across coaching data with filters
  * - upload_data: Upload new coaching data items
  * - get_client_timeline: Get chronological history for a client
+ * - get_data_item: Read a full document, or the chunks around a search hit
+ * - list_clients: Find clients (and their IDs) the caller can access
+ * - get_client_profile: Client, organization, coaches and intake material
+ * - summarize_sessions: Themes, commitments and open questions across a client's sessions
+ *
+ * Resources (attachable context):
+ * - udl://client/{id}/timeline
+ * - udl://data_item/{id}
+ * - udl://coaching_model/{id}
+ *
+ * Prompts: coaching workflows from mcp_prompt_templates (see prompts.js)
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
-  ListToolsRequestSchema
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode
 } from '@modelcontextprotocol/sdk/types.js';
+import {
+  SEARCH_MODES,
+  isValidSearchMode,
+  searchChunks,
+  COLLAPSE_MODES,
+  createReranker,
+  parseRerankOption,
+  parseDiversifyOptions,
+  getRefinedPoolSize,
+  refineChunks,
+  embedQuery,
+  getQueryEmbeddingKey,
+  hashFilters,
+  resolveCursor,
+  getPageDepth,
+  paginateChunks,
+  buildCitation
+} from '../search/index.js';
+import { formatChunkCitation, joinChunkContents } from '../processors/index.js';
+import { embedBatch, getEmbeddingProvider, getDualReadSearch } from '../embeddings/index.js';
+import { verifyClientAccess } from '../routes/v2/clients.js';
+import { authenticateApiKey, logAuditTrail } from '../middleware/auth.js';
+import { parseSummaryDateRange, summarizeClientSessions } from '../summaries/index.js';
+import { insertUnlessDuplicate, parseDuplicatePolicy } from '../dedup/index.js';
+import {
+  listPromptTemplates,
+  validatePromptArguments,
+  getPromptBuiltins,
+  renderPromptTemplate
+} from './prompts.js';
+import {
+  DEFAULT_SEARCH_MODE,
+  DEFAULT_DATA_ITEM_MAX_LENGTH,
+  MAX_DATA_ITEM_MAX_LENGTH,
+  DEFAULT_CHUNK_WINDOW,
+  MAX_CHUNK_WINDOW,
+  DEFAULT_CLIENT_LIST_LIMIT,
+  MAX_CLIENT_LIST_LIMIT,
+  MAX_LISTED_RESOURCES
+} from '../config/constants.js';
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'udl://client/{id}/timeline',
+    name: 'client_timeline',
+    title: 'Client timeline',
+    description: 'Chronological history of sessions, assessments and documents for a client',
+    mimeType: 'text/plain'
+  },
+  {
+    uriTemplate: 'udl://data_item/{id}',
+    name: 'data_item',
+    title: 'Data item',
+    description: 'Full (PII-scrubbed) content of a transcript, assessment or document',
+    mimeType: 'text/plain'
+  },
+  {
+    uriTemplate: 'udl://coaching_model/{id}',
+    name: 'coaching_model',
+    title: 'Coaching model',
+    description: 'A coaching model, framework or methodology',
+    mimeType: 'text/plain'
+  }
+];
+
+const RESOURCE_URI_PATTERNS = {
+  client_timeline: /^udl:\/\/client\/([^/]+)\/timeline$/,
+  data_item: /^udl:\/\/data_item\/([^/]+)$/,
+  coaching_model: /^udl:\/\/coaching_model\/([^/]+)$/
+};
 
 /**
  * Create MCP Server instance
  * @param {Object} supabase - Supabase client
  * @param {Object} openai - OpenAI client
+ * @param {Object} [options] - Optional dependencies
+ * @param {Object} [options.expenseTracker] - APIExpenseTracker for GPT calls (reranking)
+ * @param {Object} [options.auth] - req.auth of the connection, for per-caller access checks
  * @returns {Server} MCP Server instance
  */
-export function createMCPServer(supabase, openai) {
+export function createMCPServer(supabase, openai, options = {}) {
   const server = new Server(
     {
       name: 'unified-data-layer',
@@ -32,7 +125,9 @@ export function createMCPServer(supabase, openai) {
     },
     {
       capabilities: {
-        tools: {}
+        tools: {},
+        resources: {},
+        prompts: {}
       }
     }
   );
@@ -41,7 +136,7 @@ export function createMCPServer(supabase, openai) {
   const tools = [
     {
       name: 'search_data',
-      description: 'Search coaching data semantically across transcripts, assessments, coaching models, and company documents. Returns relevant chunks with similarity scores.',
+      description: 'Search coaching data semantically across transcripts, assessments, coaching models, and company documents. Returns relevant chunks with similarity scores; transcript hits include the speaker, timestamp and a link to that moment in the recording.',
       inputSchema: {
         type: 'object',
         properties: {
@@ -76,6 +171,28 @@ export function createMCPServer(supabase, openai) {
           limit: {
             type: 'number',
             description: 'Maximum results to return. Default: 10, Max: 50'
+          },
+          mode: {
+            type: 'string',
+            enum: SEARCH_MODES,
+            description: 'Scoring mode. vector = semantic similarity, keyword = exact-term full-text match (names, acronyms like "OKR"), hybrid = both fused. Default: vector'
+          },
+          rerank: {
+            type: 'boolean',
+            description: 'Over-fetch candidates and rerank them for relevance before returning the top results. Slower; use when the best answer may be buried. Default: false'
+          },
+          diversify: {
+            type: 'boolean',
+            description: 'Reduce near-duplicate results (maximal marginal relevance) so one long transcript does not fill every slot. Default: false'
+          },
+          collapse_by: {
+            type: 'string',
+            enum: COLLAPSE_MODES,
+            description: 'Group results per source document (data_item) or per client, showing the best chunk and listing other matches. Default: none'
+          },
+          cursor: {
+            type: 'string',
+            description: 'Pagination cursor from a previous search_data result ("next_cursor"). Repeat the same query and filters to get the next page.'
           }
         },
         required: ['query']
@@ -102,7 +219,7 @@ export function createMCPServer(supabase, openai) {
           },
           coach_id: {
             type: 'string',
-            description: 'Coach ID who owns this data (UUID)'
+            description: 'Coach ID who owns this data (UUID). Defaults to you when using a coach API key'
           },
           session_date: {
             type: 'string',
@@ -115,6 +232,11 @@ export function createMCPServer(supabase, openai) {
           metadata: {
             type: 'object',
             description: 'Additional type-specific metadata'
+          },
+          on_duplicate: {
+            type: 'string',
+            enum: ['link', 'reject'],
+            description: 'If identical content is already stored for this coach and client: link (default) returns the existing item, reject returns an error'
           }
         },
         required: ['data_type', 'content']
@@ -153,6 +275,97 @@ export function createMCPServer(supabase, openai) {
         },
         required: ['client_id']
       }
+    },
+    {
+      name: 'get_data_item',
+      description: 'Read a full document (transcript, assessment, etc.) by id, or only the chunks around a search_data hit. Use this to read the context around a search result instead of guessing it.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          data_item_id: {
+            type: 'string',
+            description: 'Data item ID (UUID), shown as "item" in search_data results'
+          },
+          chunk_id: {
+            type: 'string',
+            description: 'Return only the chunks around this chunk (shown as "chunk" in search_data results)'
+          },
+          chunk_index: {
+            type: 'number',
+            description: 'Return only the chunks around this chunk number (0-based). Ignored if chunk_id is given'
+          },
+          window: {
+            type: 'number',
+            description: `Chunks to include before and after the chunk. Default: ${DEFAULT_CHUNK_WINDOW}, Max: ${MAX_CHUNK_WINDOW}`
+          },
+          max_length: {
+            type: 'number',
+            description: `Maximum characters of content for a full document. Default: ${DEFAULT_DATA_ITEM_MAX_LENGTH}, Max: ${MAX_DATA_ITEM_MAX_LENGTH}`
+          }
+        },
+        required: ['data_item_id']
+      }
+    },
+    {
+      name: 'list_clients',
+      description: 'List the clients you have access to, with their IDs, organization, session count and last session date. Use this to find a client_id for the other tools.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          search: {
+            type: 'string',
+            description: 'Match part of the client name (case-insensitive)'
+          },
+          organization: {
+            type: 'string',
+            description: 'Client organization ID (UUID) or part of its name'
+          },
+          limit: {
+            type: 'number',
+            description: `Maximum clients to return. Default: ${DEFAULT_CLIENT_LIST_LIMIT}, Max: ${MAX_CLIENT_LIST_LIMIT}`
+          }
+        }
+      }
+    },
+    {
+      name: 'get_client_profile',
+      description: 'Get a client\'s profile: organization, assigned coaches, session history, assessments on file and intake questionnaire summary.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          client_id: {
+            type: 'string',
+            description: 'Client ID (UUID), from list_clients'
+          }
+        },
+        required: ['client_id']
+      }
+    },
+    {
+      name: 'summarize_sessions',
+      description: 'Summarize a client\'s coaching sessions over a date range (e.g. "what did we cover in Q3?"): themes, commitments and open questions, each citing the transcripts (data_item ids) it comes from. Covers the 12 most recent sessions in the range; use narrower ranges for longer periods. Prefer this to paging through get_client_timeline.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          client_id: {
+            type: 'string',
+            description: 'Client ID (UUID), from list_clients'
+          },
+          start_date: {
+            type: 'string',
+            description: 'Earliest session date (YYYY-MM-DD). Default: no lower bound'
+          },
+          end_date: {
+            type: 'string',
+            description: 'Latest session date (YYYY-MM-DD). Default: no upper bound'
+          },
+          refresh: {
+            type: 'boolean',
+            description: 'Rebuild instead of using a cached summary of the same sessions. Default: false'
+          }
+        },
+        required: ['client_id']
+      }
     }
   ];
 
@@ -168,13 +381,25 @@ export function createMCPServer(supabase, openai) {
     try {
       switch (name) {
         case 'search_data':
-          return await handleSearchData(supabase, openai, args);
+          return await handleSearchData(supabase, openai, args, options);
 
         case 'upload_data':
-          return await handleUploadData(supabase, openai, args);
+          return await handleUploadData(supabase, openai, args, options);
 
         case 'get_client_timeline':
-          return await handleGetClientTimeline(supabase, args);
+          return await handleGetClientTimeline(supabase, args, options);
+
+        case 'get_data_item':
+          return await handleGetDataItem(supabase, args, options);
+
+        case 'list_clients':
+          return await handleListClients(supabase, args, options);
+
+        case 'get_client_profile':
+          return await handleGetClientProfile(supabase, args, options);
+
+        case 'summarize_sessions':
+          return await handleSummarizeSessions(supabase, openai, args, options);
 
         default:
           return {
@@ -191,13 +416,273 @@ export function createMCPServer(supabase, openai) {
     }
   });
 
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates: RESOURCE_TEMPLATES };
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: await listResources(supabase, options.auth) };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    return await readResource(supabase, request.params.uri, options);
+  });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    const templates = await listPromptTemplates(supabase, await getCallerCompanyId(supabase, options.auth));
+
+    return {
+      prompts: templates.map(template => ({
+        name: template.name,
+        title: template.title || undefined,
+        description: template.description || undefined,
+        arguments: (template.arguments || []).map(arg => ({
+          name: arg.name,
+          description: arg.description,
+          required: !!arg.required
+        }))
+      }))
+    };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    return await getPrompt(supabase, request.params.name, request.params.arguments || {}, options);
+  });
+
   return server;
 }
 
+/**
+ * Parse a udl:// resource URI
+ * @param {string} uri - Resource URI
+ * @returns {{type: string, id: string}|null} Resource type (RESOURCE_TEMPLATES name) and id
+ */
+function parseResourceUri(uri) {
+  for (const [type, pattern] of Object.entries(RESOURCE_URI_PATTERNS)) {
+    const match = pattern.exec(uri || '');
+    if (match) return { type, id: decodeURIComponent(match[1]) };
+  }
+  return null;
+}
+
+/**
+ * Look up the caller's coaching company
+ * @param {Object} supabase - Supabase client
+ * @param {Object|null} auth - req.auth of the MCP connection
+ * @returns {Promise<string|null>} coaching_company_id, or null if unknown
+ */
+async function getCallerCompanyId(supabase, auth) {
+  if (!auth) return null;
+
+  if (auth.userRole === 'admin' || auth.adminId) {
+    const { data: admin } = await supabase
+      .from('admins')
+      .select('coaching_company_id')
+      .eq('id', auth.adminId || auth.userId)
+      .single();
+    return admin?.coaching_company_id || null;
+  }
+
+  if (auth.coachId) {
+    const { data: coach } = await supabase
+      .from('coaches')
+      .select('coaching_company_id')
+      .eq('id', auth.coachId)
+      .single();
+    return coach?.coaching_company_id || null;
+  }
+
+  if (auth.clientId) {
+    // Clients belong to the company of the coach they work with
+    const { data: links } = await supabase
+      .from('coach_clients')
+      .select('coach:coaches(coaching_company_id)')
+      .eq('client_id', auth.clientId)
+      .limit(1);
+    return links?.[0]?.coach?.coaching_company_id || null;
+  }
+
+  return null;
+}
+
+/**
+ * Concrete resources offered in resources/list: accessible clients'
+ * timelines and the caller's coaching models. Individual data items are
+ * reachable through the udl://data_item/{id} template.
+ */
+async function listResources(supabase, auth) {
+  if (!auth) return [];
+
+  const { query: clientsQuery } = await scopedClientsQuery(supabase, auth, 'id, name');
+  const companyId = await getCallerCompanyId(supabase, auth);
+
+  const [clientsResult, companyModelsResult, modelItemsResult] = await Promise.all([
+    clientsQuery
+      ? clientsQuery.order('name', { ascending: true }).limit(MAX_LISTED_RESOURCES)
+      : { data: [] },
+    companyId
+      ? supabase
+        .from('coaching_models')
+        .select('id, name, description')
+        .eq('coaching_company_id', companyId)
+        .order('name', { ascending: true })
+      : { data: [] },
+    supabase
+      .from('data_items')
+      .select('id, coach_id, client_id, visibility_level, metadata')
+      .eq('data_type', 'coaching_model')
+      .limit(MAX_LISTED_RESOURCES)
+  ]);
+
+  const seen = new Set();
+  const clients = (clientsResult.data || []).filter(client => {
+    if (seen.has(client.id)) return false;
+    seen.add(client.id);
+    return true;
+  });
+
+  const modelItems = [];
+  for (const item of modelItemsResult.data || []) {
+    if (await canAccessDataItem(supabase, auth, item)) modelItems.push(item);
+  }
+
+  return [
+    ...clients.map(client => ({
+      uri: `udl://client/${client.id}/timeline`,
+      name: `${client.name} - timeline`,
+      mimeType: 'text/plain'
+    })),
+    ...(companyModelsResult.data || []).map(model => ({
+      uri: `udl://coaching_model/${model.id}`,
+      name: model.name,
+      description: model.description || undefined,
+      mimeType: 'text/plain'
+    })),
+    ...modelItems.map(item => ({
+      uri: `udl://coaching_model/${item.id}`,
+      name: item.metadata?.model_name || 'Coaching model',
+      mimeType: 'text/plain'
+    }))
+  ];
+}
+
+/**
+ * Read a udl:// resource
+ *
+ * Uses the same access checks as the matching tools; unknown and
+ * inaccessible resources are both reported as not found.
+ */
+async function readResource(supabase, uri, options = {}) {
+  const resource = parseResourceUri(uri);
+  if (!resource) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown resource URI: ${uri}`);
+  }
+
+  let result;
+  if (resource.type === 'client_timeline') {
+    result = await handleGetClientTimeline(supabase, { client_id: resource.id }, options);
+  } else if (resource.type === 'data_item') {
+    result = await handleGetDataItem(supabase, { data_item_id: resource.id }, options);
+  } else {
+    result = await readCoachingModel(supabase, resource.id, options);
+  }
+
+  if (result.isError) {
+    throw new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+  }
+
+  return {
+    contents: [{
+      uri,
+      mimeType: 'text/plain',
+      text: result.content[0].text
+    }]
+  };
+}
+
+/**
+ * Read a coaching model: a coaching_models row of the caller's company, or a
+ * data item uploaded with data_type 'coaching_model'
+ */
+async function readCoachingModel(supabase, id, options = {}) {
+  const { data: model } = await supabase
+    .from('coaching_models')
+    .select('id, coaching_company_id, name, description, content')
+    .eq('id', id)
+    .single();
+
+  if (model) {
+    if (model.coaching_company_id !== await getCallerCompanyId(supabase, options.auth)) {
+      return { isError: true };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `COACHING MODEL | ${model.name}\n` +
+          (model.description ? `${model.description}\n` : '') +
+          `\n${model.content}`
+      }]
+    };
+  }
+
+  const { data: item } = await supabase
+    .from('data_items')
+    .select('id')
+    .eq('id', id)
+    .eq('data_type', 'coaching_model')
+    .single();
+
+  return item
+    ? await handleGetDataItem(supabase, { data_item_id: id }, options)
+    : { isError: true };
+}
+
+/**
+ * Render a prompt template for prompts/get
+ */
+async function getPrompt(supabase, name, args, options = {}) {
+  const templates = await listPromptTemplates(supabase, await getCallerCompanyId(supabase, options.auth));
+  const template = templates.find(t => t.name === name);
+
+  if (!template) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+
+  const argumentError = validatePromptArguments(template, args);
+  if (argumentError) {
+    throw new McpError(ErrorCode.InvalidParams, argumentError);
+  }
+
+  const values = { ...getPromptBuiltins(), ...args };
+
+  if (args.client_id) {
+    const { data: client } = options.auth && await verifyClientAccess(supabase, options.auth, args.client_id)
+      ? await supabase.from('clients').select('name').eq('id', args.client_id).single()
+      : { data: null };
+
+    if (!client) {
+      throw new McpError(ErrorCode.InvalidParams, `Client not found: ${args.client_id}`);
+    }
+    values.client_name = client.name;
+  }
+
+  return {
+    description: template.description || undefined,
+    messages: [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: renderPromptTemplate(template.template, values)
+      }
+    }]
+  };
+}
+
 /**
  * Handle search_data tool
  */
-async function handleSearchData(supabase, openai, args) {
+async function handleSearchData(supabase, openai, args, options = {}) {
   const {
     query,
     types = null,
@@ -205,7 +690,12 @@ async function handleSearchData(supabase, openai, args) {
     coach_id = null,
     organization_id = null,
     threshold = 0.3,
-    limit = 10
+    limit = 10,
+    mode = DEFAULT_SEARCH_MODE,
+    rerank = false,
+    diversify = false,
+    collapse_by = 'none',
+    cursor = null
   } = args;
 
   if (!query || query.trim().length === 0) {
@@ -215,27 +705,118 @@ async function handleSearchData(supabase, openai, args) {
     };
   }
 
-  // Generate embedding for query
-  const embeddingResponse = await openai.embeddings.create({
-    model: 'text-embedding-3-small',
-    input: query.trim()
+  if (!isValidSearchMode(mode)) {
+    return {
+      content: [{ type: 'text', text: `Error: mode must be one of: ${SEARCH_MODES.join(', ')}` }],
+      isError: true
+    };
+  }
+
+  const rerankOption = parseRerankOption(rerank);
+  const diversifyOptions = parseDiversifyOptions({ diversify, collapse_by });
+  if (rerankOption.error || diversifyOptions.error) {
+    return {
+      content: [{ type: 'text', text: `Error: ${rerankOption.error || diversifyOptions.error}` }],
+      isError: true
+    };
+  }
+
+  // Generate embedding for query (skipped for keyword-only searches)
+  const embeddingProvider = getEmbeddingProvider(openai);
+  const getQueryEmbeddingText = async () => (await embedQuery(openai, query, {
+    provider: embeddingProvider,
+    expenseTracker: options.expenseTracker
+  })).embeddingText;
+
+  // Pin coach/client filters to what the caller's API key may see, before
+  // anything is embedded for the query
+  const scope = await resolveCallerScope(supabase, options.auth, { coach_id, client_id });
+  if (scope.error) {
+    return {
+      content: [{ type: 'text', text: `Error: ${scope.error}` }],
+      isError: true
+    };
+  }
+
+  // Search both models while an embedding migration is in progress
+  const dualRead = mode === 'keyword' ? null : await getDualReadSearch(supabase, openai, query, {
+    expenseTracker: options.expenseTracker
+  });
+
+  const resultLimit = Math.min(limit, 50);
+  const filters = {
+    types,
+    coachId: scope.coachId,
+    clientId: scope.clientId,
+    orgId: organization_id
+  };
+
+  // Refined searches rank one fixed pool and page through it
+  const refinedPool = getRefinedPoolSize(resultLimit, {
+    rerank: rerankOption.enabled,
+    diversify: diversifyOptions.diversify,
+    collapseBy: diversifyOptions.collapseBy
+  });
+
+  // Resolve pagination cursor against this exact search
+  const queryKey = getQueryEmbeddingKey(query, embeddingProvider);
+  const filtersHash = hashFilters({
+    ...filters,
+    mode,
+    threshold,
+    rerank: rerankOption.enabled ? (rerankOption.name || 'default') : false,
+    diversify: diversifyOptions.diversify,
+    lambda: diversifyOptions.lambda,
+    collapseBy: diversifyOptions.collapseBy,
+    refinedPool,
+    embeddingMigration: dualRead?.migrationId || null
   });
-  const queryEmbedding = embeddingResponse.data[0].embedding;
-  const queryEmbeddingText = '[' + queryEmbedding.map(v => parseFloat(v.toPrecision(10))).join(',') + ']';
-
-  // Call vector search function
-  const { data: chunks, error } = await supabase
-    .rpc('match_data_chunks', {
-      query_embedding_text: queryEmbeddingText,
-      filter_types: types,
-      filter_coach_id: coach_id,
-      filter_client_id: client_id,
-      filter_org_id: organization_id,
-      match_threshold: threshold,
-      match_count: Math.min(limit, 50)
+  const { state: cursorState, offset, error: cursorError } = resolveCursor(cursor, { queryKey, filtersHash });
+  if (cursorError) {
+    return {
+      content: [{ type: 'text', text: `Error: ${cursorError}` }],
+      isError: true
+    };
+  }
+
+  // Plain retrieval fetches down to this page; refined searches fetch the whole pool
+  const refining = refinedPool !== null;
+  const depth = refining ? refinedPool : getPageDepth(offset, resultLimit);
+
+  let chunks;
+  let hasMore;
+  let nextCursor;
+  try {
+    const { chunks: candidates } = await searchChunks(supabase, {
+      query: query.trim(),
+      mode,
+      getQueryEmbeddingText,
+      dualRead,
+      filters,
+      threshold,
+      limit: depth
     });
 
-  if (error) {
+    const ranked = await refineChunks(supabase, candidates, {
+      query: query.trim(),
+      limit: depth,
+      reranker: rerankOption.enabled
+        ? createReranker(rerankOption.name, { openai, expenseTracker: options.expenseTracker })
+        : null,
+      diversify: diversifyOptions.diversify,
+      lambda: diversifyOptions.lambda,
+      collapseBy: diversifyOptions.collapseBy
+    });
+
+    ({ page: chunks, hasMore, nextCursor } = paginateChunks(ranked, {
+      state: cursorState,
+      offset,
+      limit: resultLimit,
+      keyset: !refining,
+      queryKey,
+      filtersHash
+    }));
+  } catch (error) {
     return {
       content: [{ type: 'text', text: `Search error: ${error.message}` }],
       isError: true
@@ -260,19 +841,26 @@ async function handleSearchData(supabase, openai, args) {
         chunk.session_date = item.session_date;
         chunk.title = item.metadata?.title || null;
       }
+      // Deep link to the chunk's moment in the recording (transcripts with timings)
+      chunk.citation = buildCitation(chunk, null);
     });
   }
 
   // Format response with confidence labels
   const resultText = chunks && chunks.length > 0
-    ? `Found ${chunks.length} results:\n\n${chunks.map((c, i) => {
-        const confidence = c.similarity > 0.6 ? 'HIGH' : c.similarity > 0.4 ? 'MEDIUM' : 'LOW';
-        return `[${i + 1}] ${c.data_type.toUpperCase()} | Confidence: ${confidence} (${(c.similarity * 100).toFixed(1)}%)` +
-          (c.similarity < 0.4 ? ' [LOW CONFIDENCE - USE WITH CAUTION]' : '') + '\n' +
+    ? `Found ${chunks.length} results (${mode} search${rerankOption.enabled ? ', reranked' : ''}):\n\n${chunks.map((c, i) => {
+        return `[${offset + i + 1}] ${c.data_type.toUpperCase()} | ${formatMatchLabel(c)}\n` +
           (c.title ? `Title: ${c.title}\n` : '') +
+          `Source: item ${c.data_item_id}, chunk ${c.id}\n` +
           (c.session_date ? `Date: ${c.session_date}\n` : '') +
-          `Content: ${c.content.substring(0, 500)}${c.content.length > 500 ? '...' : ''}`;
-      }).join('\n\n---\n\n')}`
+          (c.citation.location ? `At: ${c.citation.location}\n` : '') +
+          (c.citation.start_time !== null && c.citation.source_url ? `Recording: ${c.citation.source_url}\n` : '') +
+          `Content: ${c.content.substring(0, 500)}${c.content.length > 500 ? '...' : ''}` +
+          (c.also_matched && c.also_matched.length > 0
+            ? `\nAlso matched: ${c.also_matched.length} more chunk(s) from this ${collapse_by === 'client' ? 'client' : 'source'}`
+            : '');
+      }).join('\n\n---\n\n')}` +
+      (hasMore ? `\n\n---\n\nMore results available. To see them, call search_data again with the same arguments and cursor: "${nextCursor}"` : '')
     : 'No results found. I don\'t have data matching this query. Try different search terms or check if this topic has been discussed in sessions.';
 
   return {
@@ -280,10 +868,28 @@ async function handleSearchData(supabase, openai, args) {
   };
 }
 
+/**
+ * Describe how a search hit matched
+ *
+ * Vector hits keep the confidence label; keyword-only hits have no similarity
+ * score, so they are labelled as exact-term matches instead.
+ */
+function formatMatchLabel(chunk) {
+  const matchedBy = `Matched by: ${chunk.scorers.join(' + ')}`;
+
+  if (chunk.similarity === null || chunk.similarity === undefined) {
+    return `Keyword match | ${matchedBy}`;
+  }
+
+  const confidence = chunk.similarity > 0.6 ? 'HIGH' : chunk.similarity > 0.4 ? 'MEDIUM' : 'LOW';
+  return `Confidence: ${confidence} (${(chunk.similarity * 100).toFixed(1)}%) | ${matchedBy}` +
+    (chunk.similarity < 0.4 ? ' [LOW CONFIDENCE - USE WITH CAUTION]' : '');
+}
+
 /**
  * Handle upload_data tool
  */
-async function handleUploadData(supabase, openai, args) {
+async function handleUploadData(supabase, openai, args, options = {}) {
   const {
     data_type,
     content,
@@ -291,7 +897,8 @@ async function handleUploadData(supabase, openai, args) {
     coach_id,
     session_date,
     title,
-    metadata = {}
+    metadata = {},
+    on_duplicate
   } = args;
 
   // Validation
@@ -317,56 +924,94 @@ async function handleUploadData(supabase, openai, args) {
     };
   }
 
-  // Create data item
+  const { policy: onDuplicate, error: policyError } = parseDuplicatePolicy(on_duplicate);
+  if (policyError) {
+    return {
+      content: [{ type: 'text', text: `Error: ${policyError}` }],
+      isError: true
+    };
+  }
+
+  // Coach keys upload as themselves, client keys for themselves
+  const scope = await resolveCallerScope(supabase, options.auth, { coach_id, client_id });
+  if (scope.error) {
+    return {
+      content: [{ type: 'text', text: `Error: ${scope.error}` }],
+      isError: true
+    };
+  }
+
+  // Create data item (data_items has no title column; search reads metadata.title)
   const dataItemRecord = {
     data_type,
     raw_content: content,
-    title: title || null,
     session_date: session_date || new Date().toISOString(),
-    client_id: client_id || null,
-    coach_id: coach_id || null,
-    metadata,
+    client_id: scope.clientId,
+    coach_id: scope.coachId,
+    metadata: { ...metadata, ...(title && { title }) },
     visibility_level: 'coach_only'
   };
 
-  const { data: dataItem, error: dataItemError } = await supabase
-    .from('data_items')
-    .insert(dataItemRecord)
-    .select()
-    .single();
-
-  if (dataItemError) {
+  let inserted;
+  try {
+    inserted = await insertUnlessDuplicate(supabase, dataItemRecord);
+  } catch (error) {
     return {
-      content: [{ type: 'text', text: `Database error: ${dataItemError.message}` }],
+      content: [{ type: 'text', text: `Database error: ${error.message}` }],
       isError: true
     };
   }
 
+  const { dataItem, exact, near } = inserted;
+  if (exact) {
+    return {
+      content: [{
+        type: 'text',
+        text: onDuplicate === 'reject'
+          ? `Error: identical content is already stored as data item ${exact.id}`
+          : `Identical content is already stored; nothing new was uploaded.\nData Item ID: ${exact.id}`
+      }],
+      ...(onDuplicate === 'reject' && { isError: true })
+    };
+  }
+
   // Chunk and embed content
   const chunks = chunkText(content);
-  const chunkRecords = [];
+  const { model, dimensions, embeddings, failures } = await embedBatch(openai, chunks, {
+    expenseTracker: options.expenseTracker,
+    operation: 'mcp_upload'
+  });
 
-  for (let i = 0; i < chunks.length; i++) {
-    const embeddingResponse = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: chunks[i].trim()
-    });
-    const embedding = embeddingResponse.data[0].embedding;
-    const embeddingText = '[' + embedding.map(v => parseFloat(v.toPrecision(10))).join(',') + ']';
+  // Nothing searchable was saved: remove the item again, so a retry isn't
+  // taken for an exact duplicate
+  if (failures.length === chunks.length) {
+    await deleteDataItem(supabase, dataItem.id);
+    return {
+      content: [{ type: 'text', text: `Error generating embeddings: ${failures[0].error}` }],
+      isError: true
+    };
+  }
+
+  const chunkRecords = [];
+  chunks.forEach((chunk, i) => {
+    if (!embeddings[i]) return;
 
     chunkRecords.push({
       data_item_id: dataItem.id,
       chunk_index: i,
-      content: chunks[i],
-      embedding: embeddingText
+      content: chunk,
+      embedding: '[' + embeddings[i].map(v => parseFloat(v.toPrecision(10))).join(',') + ']',
+      embedding_model: model,
+      embedding_dimensions: dimensions
     });
-  }
+  });
 
   const { error: chunksError } = await supabase
     .from('data_chunks')
     .insert(chunkRecords);
 
   if (chunksError) {
+    await deleteDataItem(supabase, dataItem.id);
     return {
       content: [{ type: 'text', text: `Error saving chunks: ${chunksError.message}` }],
       isError: true
@@ -378,16 +1023,32 @@ async function handleUploadData(supabase, openai, args) {
       type: 'text',
       text: `Successfully uploaded ${data_type}!\n` +
         `Data Item ID: ${dataItem.id}\n` +
-        `Chunks created: ${chunks.length}\n` +
+        `Chunks created: ${chunkRecords.length}\n` +
+        (failures.length > 0 ? `Chunks failed to embed: ${failures.length}\n` : '') +
+        (near ? `Similar to existing item ${near.id} (${Math.round(near.similarity * 100)}%), flagged for review\n` : '') +
         (title ? `Title: ${title}` : '')
     }]
   };
 }
 
+/**
+ * Remove a data item saved by a failed upload (data_chunks cascade)
+ */
+async function deleteDataItem(supabase, dataItemId) {
+  const { error } = await supabase
+    .from('data_items')
+    .delete()
+    .eq('id', dataItemId);
+
+  if (error) {
+    console.error(`MCP upload cleanup failed (data item ${dataItemId}):`, error.message);
+  }
+}
+
 /**
  * Handle get_client_timeline tool
  */
-async function handleGetClientTimeline(supabase, args) {
+async function handleGetClientTimeline(supabase, args, options = {}) {
   const {
     client_id,
     start_date,
@@ -403,12 +1064,17 @@ async function handleGetClientTimeline(supabase, args) {
     };
   }
 
+  // Same message for missing and inaccessible clients
+  const hasAccess = options.auth && await verifyClientAccess(supabase, options.auth, client_id);
+
   // Get client info
-  const { data: client, error: clientError } = await supabase
-    .from('clients')
-    .select('id, name, email')
-    .eq('id', client_id)
-    .single();
+  const { data: client, error: clientError } = hasAccess
+    ? await supabase
+      .from('clients')
+      .select('id, name, email')
+      .eq('id', client_id)
+      .single()
+    : { data: null, error: null };
 
   if (clientError || !client) {
     return {
@@ -484,15 +1150,615 @@ async function handleGetClientTimeline(supabase, args) {
 }
 
 /**
- * Chunk text into overlapping segments
+ * Resolve the coach/client filters a tool call runs with
+ *
+ * Same rules as /api/search: coach keys are pinned to their own coach_id and
+ * may only name assigned clients, client keys are pinned to their own
+ * client_id, and admins may name coaches and clients in their company.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object|null} auth - req.auth of the MCP connection
+ * @param {Object} requested - coach_id / client_id from the tool arguments
+ * @returns {Promise<{coachId: string|null, clientId: string|null, error: string|null}>}
  */
-function chunkText(text, chunkSize = 500, overlap = 50) {
-  const words = text.split(/\s+/);
-  const chunks = [];
-  let start = 0;
+async function resolveCallerScope(supabase, auth, { coach_id = null, client_id = null } = {}) {
+  const denied = error => ({ coachId: null, clientId: null, error });
 
-  while (start < words.length) {
-    const end = Math.min(start + chunkSize, words.length);
+  if (!auth) return denied('Authentication required');
+
+  if (client_id && !(await verifyClientAccess(supabase, auth, client_id))) {
+    return denied('You do not have access to this client');
+  }
+
+  if (auth.coachId) {
+    if (coach_id && coach_id !== auth.coachId) {
+      return denied('A coach API key can only access its own coaching data');
+    }
+    return { coachId: auth.coachId, clientId: client_id || null, error: null };
+  }
+
+  if (auth.clientId) {
+    if (coach_id) {
+      const { data: relationship } = await supabase
+        .from('coach_clients')
+        .select('id')
+        .eq('coach_id', coach_id)
+        .eq('client_id', auth.clientId)
+        .single();
+
+      if (!relationship) return denied('You do not have access to this coach');
+    }
+    return { coachId: coach_id || null, clientId: auth.clientId, error: null };
+  }
+
+  if (auth.userRole === 'admin' || auth.adminId) {
+    if (coach_id) {
+      const [companyId, { data: coach }] = await Promise.all([
+        getCallerCompanyId(supabase, auth),
+        supabase.from('coaches').select('coaching_company_id').eq('id', coach_id).single()
+      ]);
+
+      if (!coach || coach.coaching_company_id !== companyId) {
+        return denied('You do not have access to this coach');
+      }
+    }
+    return { coachId: coach_id || null, clientId: client_id || null, error: null };
+  }
+
+  return denied('API key is not linked to a coach, client or admin');
+}
+
+/**
+ * Check whether the caller may read a data item
+ *
+ * Client-linked items follow verifyClientAccess() (as the v2 client routes).
+ * Items without a client (coaching models, company docs, blog posts) are
+ * readable by their coach, admins of that coach's company, other coaches in
+ * the company when org_visible, and anyone when public.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object|null} auth - req.auth of the MCP connection
+ * @param {Object} item - data_items row (coach_id, client_id, visibility_level)
+ * @returns {Promise<boolean>} True if the caller may read the item
+ */
+async function canAccessDataItem(supabase, auth, item) {
+  if (!auth) return false;
+
+  if (auth.coachId && item.coach_id === auth.coachId) return true;
+
+  if (item.client_id) {
+    return verifyClientAccess(supabase, auth, item.client_id);
+  }
+
+  if (item.visibility_level === 'public') return true;
+
+  // Company-wide documents: compare companies
+  const isAdmin = auth.userRole === 'admin' || auth.adminId;
+  if (!item.coach_id || (!isAdmin && !(auth.coachId && item.visibility_level === 'org_visible'))) {
+    return false;
+  }
+
+  const [{ data: owner }, { data: caller }] = await Promise.all([
+    supabase.from('coaches').select('coaching_company_id').eq('id', item.coach_id).single(),
+    isAdmin
+      ? supabase.from('admins').select('coaching_company_id').eq('id', auth.adminId || auth.userId).single()
+      : supabase.from('coaches').select('coaching_company_id').eq('id', auth.coachId).single()
+  ]);
+
+  return !!owner && !!caller && owner.coaching_company_id === caller.coaching_company_id;
+}
+
+/**
+ * Handle get_data_item tool
+ *
+ * Content comes from data_chunks, which hold the PII-scrubbed text;
+ * data_items.raw_content is only returned when the item was stored without
+ * scrubbing (it is then identical to the chunk text).
+ */
+async function handleGetDataItem(supabase, args, options = {}) {
+  const {
+    data_item_id,
+    chunk_id,
+    chunk_index,
+    window = DEFAULT_CHUNK_WINDOW,
+    max_length = DEFAULT_DATA_ITEM_MAX_LENGTH
+  } = args;
+
+  if (!data_item_id) {
+    return {
+      content: [{ type: 'text', text: 'Error: data_item_id is required' }],
+      isError: true
+    };
+  }
+
+  const { data: item, error: itemError } = await supabase
+    .from('data_items')
+    .select(`
+      id,
+      data_type,
+      coach_id,
+      client_id,
+      client_organization_id,
+      visibility_level,
+      session_date,
+      raw_content,
+      metadata,
+      created_at,
+      coaches(id, name),
+      clients(id, name)
+    `)
+    .eq('id', data_item_id)
+    .single();
+
+  // Same message for missing and forbidden items, so ids can't be probed
+  if (itemError || !item || !(await canAccessDataItem(supabase, options.auth, item))) {
+    return {
+      content: [{ type: 'text', text: `Data item not found: ${data_item_id}` }],
+      isError: true
+    };
+  }
+
+  const title = item.metadata?.title || item.metadata?.model_name || `${item.data_type} - ${item.session_date || 'No date'}`;
+  const header =
+    `${item.data_type.toUpperCase()} | ${title}\n` +
+    `Item: ${item.id}\n` +
+    (item.session_date ? `Date: ${item.session_date}\n` : '') +
+    (item.coaches ? `Coach: ${item.coaches.name}\n` : '') +
+    (item.clients ? `Client: ${item.clients.name}\n` : '') +
+    (item.metadata?.transcript_url ? `Recording: ${item.metadata.transcript_url}\n` : '');
+
+  // Chunk-window mode: the chunks around a search hit
+  if (chunk_id || chunk_index !== undefined) {
+    let center = chunk_index;
+
+    if (chunk_id) {
+      const { data: hit } = await supabase
+        .from('data_chunks')
+        .select('chunk_index')
+        .eq('id', chunk_id)
+        .eq('data_item_id', item.id)
+        .single();
+
+      if (!hit) {
+        return {
+          content: [{ type: 'text', text: `Chunk ${chunk_id} not found in data item ${item.id}` }],
+          isError: true
+        };
+      }
+      center = hit.chunk_index;
+    }
+
+    if (!Number.isInteger(center) || center < 0) {
+      return {
+        content: [{ type: 'text', text: 'Error: chunk_index must be a non-negative integer' }],
+        isError: true
+      };
+    }
+
+    const span = Math.min(Math.max(0, parseInt(window) || 0), MAX_CHUNK_WINDOW);
+    const { data: chunks, error: chunksError } = await supabase
+      .from('data_chunks')
+      .select('id, chunk_index, content, metadata')
+      .eq('data_item_id', item.id)
+      .gte('chunk_index', center - span)
+      .lte('chunk_index', center + span)
+      .order('chunk_index', { ascending: true });
+
+    if (chunksError) {
+      return {
+        content: [{ type: 'text', text: `Error fetching chunks: ${chunksError.message}` }],
+        isError: true
+      };
+    }
+
+    const { count: totalChunks } = await supabase
+      .from('data_chunks')
+      .select('id', { count: 'exact', head: true })
+      .eq('data_item_id', item.id);
+
+    const resultText = header +
+      `Chunks ${chunks?.[0]?.chunk_index ?? center}-${chunks?.[chunks.length - 1]?.chunk_index ?? center} of ${totalChunks ?? '?'} (around chunk ${center}; consecutive chunks overlap slightly):\n\n` +
+      (chunks || []).map(c => {
+        const location = formatChunkCitation(c.metadata);
+        return `[Chunk ${c.chunk_index}${c.chunk_index === center ? ' - search hit' : ''}]` +
+          (location ? ` ${location}` : '') + `\n${c.content}`;
+      }).join('\n\n---\n\n');
+
+    return {
+      content: [{ type: 'text', text: resultText }]
+    };
+  }
+
+  // Full document
+  let content = item.raw_content || '';
+  if (item.metadata?.pii_scrubbing) {
+    const { data: chunks, error: chunksError } = await supabase
+      .from('data_chunks')
+      .select('content')
+      .eq('data_item_id', item.id)
+      .order('chunk_index', { ascending: true });
+
+    if (chunksError) {
+      return {
+        content: [{ type: 'text', text: `Error fetching chunks: ${chunksError.message}` }],
+        isError: true
+      };
+    }
+    content = joinChunkContents((chunks || []).map(c => c.content));
+  }
+
+  const limit = Math.min(Math.max(1000, parseInt(max_length) || DEFAULT_DATA_ITEM_MAX_LENGTH), MAX_DATA_ITEM_MAX_LENGTH);
+  const truncated = content.length > limit;
+
+  const resultText = header +
+    (item.metadata?.summary?.overview ? `Summary: ${item.metadata.summary.overview}\n` : '') +
+    `Length: ${content.length} characters${truncated ? ` (showing first ${limit}; use chunk_index or a larger max_length for the rest)` : ''}\n\n` +
+    (truncated ? `${content.substring(0, limit)}... [truncated]` : content);
+
+  return {
+    content: [{ type: 'text', text: resultText }]
+  };
+}
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function formatDate(value) {
+  return value ? String(value).substring(0, 10) : null;
+}
+
+/**
+ * Build a clients query limited to the caller's API key, with the same scope
+ * as GET /api/v2/clients: admins see their company's clients, coaches their
+ * assigned clients, clients themselves.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object|null} auth - req.auth of the MCP connection
+ * @param {string} fields - Client columns and embeds to select
+ * @returns {Promise<{query: Object|null}>} Query builder (wrapped, since builders are
+ *   thenables), or null if the caller can see no clients
+ */
+async function scopedClientsQuery(supabase, auth, fields) {
+  if (!auth) return { query: null };
+
+  if (auth.userRole === 'admin' || auth.adminId) {
+    const { data: admin } = await supabase
+      .from('admins')
+      .select('coaching_company_id')
+      .eq('id', auth.adminId || auth.userId)
+      .single();
+
+    if (!admin) return { query: null };
+
+    return {
+      query: supabase
+        .from('clients')
+        .select(`${fields}, coach_clients!inner(coach:coaches!inner(coaching_company_id))`)
+        .eq('coach_clients.coach.coaching_company_id', admin.coaching_company_id)
+    };
+  }
+
+  if (auth.coachId) {
+    return {
+      query: supabase
+        .from('clients')
+        .select(`${fields}, coach_clients!inner(coach_id)`)
+        .eq('coach_clients.coach_id', auth.coachId)
+    };
+  }
+
+  if (auth.clientId) {
+    return {
+      query: supabase
+        .from('clients')
+        .select(fields)
+        .eq('id', auth.clientId)
+    };
+  }
+
+  return { query: null };
+}
+
+/**
+ * Session count, last session date and data item count per client
+ * @returns {Promise<Map<string, Object>>} Stats keyed by client ID
+ */
+async function getClientSessionStats(supabase, clientIds) {
+  if (clientIds.length === 0) return new Map();
+
+  const { data, error } = await supabase.rpc('client_session_stats', {
+    p_client_ids: clientIds
+  });
+
+  if (error) throw error;
+  return new Map((data || []).map(row => [row.client_id, row]));
+}
+
+/**
+ * Handle list_clients tool
+ */
+async function handleListClients(supabase, args, options = {}) {
+  const {
+    search = null,
+    organization = null,
+    limit = DEFAULT_CLIENT_LIST_LIMIT
+  } = args;
+
+  const resultLimit = Math.min(Math.max(1, parseInt(limit) || DEFAULT_CLIENT_LIST_LIMIT), MAX_CLIENT_LIST_LIMIT);
+
+  let { query } = await scopedClientsQuery(
+    supabase,
+    options.auth,
+    'id, name, title, client_organization_id, client_organizations!inner(id, name)'
+  );
+
+  if (!query) {
+    return {
+      content: [{ type: 'text', text: 'No clients are accessible with this API key.' }]
+    };
+  }
+
+  if (search && search.trim()) {
+    query = query.ilike('name', `%${search.trim()}%`);
+  }
+  if (organization && organization.trim()) {
+    query = UUID_REGEX.test(organization.trim())
+      ? query.eq('client_organization_id', organization.trim())
+      : query.ilike('client_organizations.name', `%${organization.trim()}%`);
+  }
+
+  // Admin and coach queries return one row per coach assignment
+  const { data, error } = await query
+    .order('name', { ascending: true })
+    .limit(resultLimit * 2);
+
+  if (error) {
+    return {
+      content: [{ type: 'text', text: `Error listing clients: ${error.message}` }],
+      isError: true
+    };
+  }
+
+  const seen = new Set();
+  const clients = (data || []).filter(client => {
+    if (seen.has(client.id)) return false;
+    seen.add(client.id);
+    return true;
+  }).slice(0, resultLimit);
+
+  if (clients.length === 0) {
+    return {
+      content: [{ type: 'text', text: 'No clients found matching your filters.' }]
+    };
+  }
+
+  const stats = await getClientSessionStats(supabase, clients.map(c => c.id));
+
+  const resultText = `Clients (${clients.length}${clients.length === resultLimit ? `, limit ${resultLimit} reached - narrow with search or organization` : ''}):\n\n` +
+    clients.map((client, i) => {
+      const clientStats = stats.get(client.id);
+      const org = client.client_organizations;
+      return `[${i + 1}] ${client.name}${client.title ? ` (${client.title})` : ''}${org ? ` - ${org.name}` : ''}\n` +
+        `Client ID: ${client.id}\n` +
+        (org ? `Organization ID: ${org.id}\n` : '') +
+        `Sessions: ${clientStats?.session_count ?? 0}` +
+        ` | Last session: ${formatDate(clientStats?.last_session_date) || 'none'}` +
+        ` | Data items: ${clientStats?.item_count ?? 0}`;
+    }).join('\n\n');
+
+  return {
+    content: [{ type: 'text', text: resultText }]
+  };
+}
+
+/**
+ * Handle get_client_profile tool
+ *
+ * Questionnaire excerpts come from the first (PII-scrubbed) chunk, not
+ * raw_content.
+ */
+async function handleGetClientProfile(supabase, args, options = {}) {
+  const { client_id } = args;
+
+  if (!client_id) {
+    return {
+      content: [{ type: 'text', text: 'Error: client_id is required' }],
+      isError: true
+    };
+  }
+
+  // Same message for missing and inaccessible clients
+  if (!options.auth || !(await verifyClientAccess(supabase, options.auth, client_id))) {
+    return {
+      content: [{ type: 'text', text: `Client not found: ${client_id}` }],
+      isError: true
+    };
+  }
+
+  const { data: client, error: clientError } = await supabase
+    .from('clients')
+    .select(`
+      id,
+      name,
+      title,
+      primary_coach_id,
+      created_at,
+      client_organizations(id, name, industry),
+      coach_clients(created_at, coach:coaches(id, name))
+    `)
+    .eq('id', client_id)
+    .single();
+
+  if (clientError || !client) {
+    return {
+      content: [{ type: 'text', text: `Client not found: ${client_id}` }],
+      isError: true
+    };
+  }
+
+  const [stats, { data: items, error: itemsError }] = await Promise.all([
+    getClientSessionStats(supabase, [client.id]),
+    supabase
+      .from('data_items')
+      .select('id, data_type, session_date, metadata, created_at')
+      .eq('client_id', client.id)
+      .in('data_type', ['assessment', 'questionnaire'])
+      .order('session_date', { ascending: false, nullsFirst: false })
+  ]);
+
+  if (itemsError) {
+    return {
+      content: [{ type: 'text', text: `Error fetching client data: ${itemsError.message}` }],
+      isError: true
+    };
+  }
+
+  const assessments = (items || []).filter(item => item.data_type === 'assessment');
+  const questionnaires = (items || []).filter(item => item.data_type === 'questionnaire');
+
+  // Latest questionnaire excerpt
+  let questionnaireExcerpt = null;
+  if (questionnaires.length > 0) {
+    const { data: firstChunk } = await supabase
+      .from('data_chunks')
+      .select('content')
+      .eq('data_item_id', questionnaires[0].id)
+      .eq('chunk_index', 0)
+      .single();
+
+    if (firstChunk?.content) {
+      questionnaireExcerpt = firstChunk.content.substring(0, 500) + (firstChunk.content.length > 500 ? '...' : '');
+    }
+  }
+
+  const clientStats = stats.get(client.id);
+  const org = client.client_organizations;
+  const coaches = (client.coach_clients || []).filter(link => link.coach);
+
+  const resultText =
+    `Client: ${client.name}${client.title ? ` (${client.title})` : ''}\n` +
+    `Client ID: ${client.id}\n` +
+    (org ? `Organization: ${org.name}${org.industry ? ` (${org.industry})` : ''}\nOrganization ID: ${org.id}\n` : '') +
+    `Coaches: ${coaches.length > 0
+      ? coaches.map(link =>
+        `${link.coach.name}${link.coach.id === client.primary_coach_id ? ' (primary)' : ''} [${link.coach.id}], since ${formatDate(link.created_at)}`
+      ).join('; ')
+      : 'none assigned'}\n` +
+    `Sessions: ${clientStats?.session_count ?? 0} | Last session: ${formatDate(clientStats?.last_session_date) || 'none'} | Data items: ${clientStats?.item_count ?? 0}\n` +
+    `\nAssessments on file (${assessments.length}):\n` +
+    (assessments.length > 0
+      ? assessments.map(a =>
+        `- ${a.metadata?.assessment_type || 'assessment'}` +
+        `${a.metadata?.assessment_provider ? ` (${a.metadata.assessment_provider})` : ''}, ` +
+        `${formatDate(a.metadata?.date_taken || a.session_date) || 'no date'} [item ${a.id}]` +
+        (a.metadata?.profile_summary ? `\n  ${a.metadata.profile_summary}` : '')
+      ).join('\n')
+      : '- none') +
+    `\n\nQuestionnaires (${questionnaires.length}):\n` +
+    (questionnaires.length > 0
+      ? questionnaires.map(q =>
+        `- ${q.metadata?.questionnaire_type || 'questionnaire'}, ` +
+        `completed ${formatDate(q.metadata?.completion_date || q.session_date) || 'no date'}` +
+        `${q.metadata?.question_count ? `, ${q.metadata.question_count} questions` : ''} [item ${q.id}]` +
+        (q.metadata?.key_topics?.length > 0 ? `\n  Topics: ${q.metadata.key_topics.join(', ')}` : '')
+      ).join('\n') +
+        (questionnaireExcerpt ? `\n\nLatest questionnaire (excerpt):\n${questionnaireExcerpt}` : '')
+      : '- none') +
+    `\n\nUse get_client_timeline for session history or get_data_item for a full document.`;
+
+  return {
+    content: [{ type: 'text', text: resultText }]
+  };
+}
+
+/**
+ * Handle summarize_sessions tool
+ */
+async function handleSummarizeSessions(supabase, openai, args, options = {}) {
+  const { client_id, start_date, end_date, refresh = false } = args;
+
+  if (!client_id) {
+    return {
+      content: [{ type: 'text', text: 'Error: client_id is required' }],
+      isError: true
+    };
+  }
+
+  const { startDate, endDate, error: rangeError } = parseSummaryDateRange(start_date, end_date);
+  if (rangeError) {
+    return {
+      content: [{ type: 'text', text: `Error: ${rangeError}` }],
+      isError: true
+    };
+  }
+
+  // Same message for missing and inaccessible clients
+  const hasAccess = options.auth && await verifyClientAccess(supabase, options.auth, client_id);
+
+  const { data: client, error: clientError } = hasAccess
+    ? await supabase
+      .from('clients')
+      .select('id, name')
+      .eq('id', client_id)
+      .single()
+    : { data: null, error: null };
+
+  if (clientError || !client) {
+    return {
+      content: [{ type: 'text', text: `Client not found: ${client_id}` }],
+      isError: true
+    };
+  }
+
+  const summary = await summarizeClientSessions(supabase, openai, {
+    clientId: client.id,
+    startDate,
+    endDate,
+    refresh: !!refresh,
+    expenseTracker: options.expenseTracker
+  });
+
+  const period = startDate || endDate
+    ? `${startDate ? formatDate(startDate) : 'the start'} to ${endDate ? formatDate(endDate) : 'today'}`
+    : 'all sessions';
+
+  if (summary.session_count === 0) {
+    return {
+      content: [{ type: 'text', text: `No session transcripts for ${client.name} (${period})` }]
+    };
+  }
+
+  const cite = ids => ids.map(id => `[item ${id}]`).join(' ');
+  const section = (title, entries, format) =>
+    `\n\n${title} (${entries.length}):\n` +
+    (entries.length > 0 ? entries.map(entry => `- ${format(entry)}`).join('\n') : '- none');
+
+  const resultText =
+    `Session summary for ${client.name} (${period})\n` +
+    `Sessions: ${summary.session_count}` +
+    (summary.truncated ? ' (most recent only; narrow the date range to cover earlier sessions)' : '') +
+    (summary.cached ? ` | cached ${formatDate(summary.generated_at)}` : '') + '\n' +
+    (summary.overview ? `\n${summary.overview}` : '') +
+    section('Themes', summary.themes, t => `${t.theme}${t.detail ? `: ${t.detail}` : ''} ${cite(t.data_item_ids)}`) +
+    section('Commitments', summary.commitments, c => `${c.commitment} (${c.owner}, ${c.status}) ${cite(c.data_item_ids)}`) +
+    section('Open questions', summary.open_questions, q => `${q.question} ${cite(q.data_item_ids)}`) +
+    section('Sessions', summary.sessions, s => `${formatDate(s.session_date) || 'No date'} - ${s.title} [item ${s.data_item_id}]${s.summary ? `\n  ${s.summary}` : ''}`) +
+    '\n\nUse get_data_item with an item id to read a session in full.';
+
+  return {
+    content: [{ type: 'text', text: resultText }]
+  };
+}
+
+/**
+ * Chunk text into overlapping segments
+ */
+function chunkText(text, chunkSize = 500, overlap = 50) {
+  const words = text.split(/\s+/);
+  const chunks = [];
+  let start = 0;
+
+  while (start < words.length) {
+    const end = Math.min(start + chunkSize, words.length);
     const chunk = words.slice(start, end).join(' ');
     chunks.push(chunk);
     start += chunkSize - overlap;
@@ -507,15 +1773,13 @@ function chunkText(text, chunkSize = 500, overlap = 50) {
  * @param {Object} supabase - Supabase client
  * @param {Object} openai - OpenAI client
  * @param {Function} authMiddleware - Authentication middleware
+ * @param {Object} [options] - Passed through to createMCPServer
  * @returns {Object} Express router and transport handler
  */
-export function createMCPRoutes(supabase, openai, authMiddleware) {
-  const server = createMCPServer(supabase, openai);
+export function createMCPRoutes(supabase, openai, authMiddleware, options = {}) {
   const transports = new Map();
 
   return {
-    server,
-
     /**
      * SSE endpoint handler
      * GET /api/mcp/sse
@@ -529,12 +1793,15 @@ export function createMCPRoutes(supabase, openai, authMiddleware) {
       // Store transport using the SDK's internal session ID (accessible after start())
       // The SDK sends session ID via 'endpoint' event automatically
 
+      // One server per connection, bound to the caller's identity
+      const server = createMCPServer(supabase, openai, { ...options, auth: req.auth });
+
       // Connect server to transport - this calls transport.start() internally
       await server.connect(transport);
 
       // Store transport by session ID after start() (session ID is in transport._sessionId)
       const sessionId = transport._sessionId;
-      transports.set(sessionId, transport);
+      transports.set(sessionId, { transport, auth: req.auth });
 
       // Handle client disconnect
       req.on('close', () => {
@@ -549,17 +1816,25 @@ export function createMCPRoutes(supabase, openai, authMiddleware) {
      */
     handleMessages: [authMiddleware, async (req, res) => {
       const sessionId = req.query.sessionId;
-      const transport = transports.get(sessionId);
+      const session = transports.get(sessionId);
 
-      if (!transport) {
+      if (!session) {
         return res.status(400).json({
           error: 'Invalid session',
           message: 'No active SSE connection found for this session'
         });
       }
 
+      // Messages must come from the identity that opened the session
+      if (session.auth?.userId !== req.auth?.userId) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Session belongs to another user'
+        });
+      }
+
       // Handle the message
-      await transport.handlePostMessage(req, res);
+      await session.transport.handlePostMessage(req, res);
     }]
   };
 }
@@ -573,16 +1848,17 @@ export function createMCPRoutes(supabase, openai, authMiddleware) {
  * @param {Object} supabase - Supabase client
  * @param {Object} openai - OpenAI client
  * @param {Function} authMiddleware - Authentication middleware
+ * @param {Object} [options] - Passed through to createMCPServer
  * @returns {Object} Express route handlers for POST, GET, DELETE on /api/mcp
  */
-export function createStreamableHTTPHandler(supabase, openai, authMiddleware) {
+export function createStreamableHTTPHandler(supabase, openai, authMiddleware, options = {}) {
   return {
     /**
      * Streamable HTTP endpoint
      * POST /api/mcp
      */
     handlePost: [authMiddleware, async (req, res) => {
-      const server = createMCPServer(supabase, openai);
+      const server = createMCPServer(supabase, openai, { ...options, auth: req.auth });
       const transport = new StreamableHTTPServerTransport({
         sessionIdGenerator: undefined, // stateless mode for Vercel serverless
       });
@@ -630,3 +1906,41 @@ export function createStreamableHTTPHandler(supabase, openai, authMiddleware) {
     }],
   };
 }
+
+/**
+ * Run the MCP server over stdio for local MCP hosts (e.g. Claude Desktop)
+ *
+ * The API key is validated once at startup; tool calls then run with that
+ * key's scoping, as they do over HTTP. stdout carries the protocol, so
+ * callers must send their own logging to stderr.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} openai - OpenAI client
+ * @param {string} apiKey - Plain-text API key (coach, client or admin)
+ * @param {Object} [options] - createMCPServer options (e.g. expenseTracker)
+ * @returns {Promise<{server: Server, auth: Object}>} Connected server and the key's auth context
+ */
+export async function startStdioServer(supabase, openai, apiKey, options = {}) {
+  const { auth, body } = await authenticateApiKey(supabase, apiKey);
+  if (!auth) {
+    throw new Error(`API key rejected: ${body.message}`);
+  }
+
+  logAuditTrail(supabase, {
+    user_id: auth.userId,
+    user_role: auth.userRole,
+    action: 'API_ACCESS',
+    resource_type: 'mcp_stdio',
+    resource_id: null,
+    api_key_id: auth.apiKeyId,
+    request_method: null,
+    request_path: 'stdio',
+    metadata: { pid: process.pid },
+    success: true
+  });
+
+  const server = createMCPServer(supabase, openai, { ...options, auth });
+  await server.connect(new StdioServerTransport());
+
+  return { server, auth };
+}
@@ -47,113 +47,19 @@ export function createAuthMiddleware(supabase) {
 
       const apiKey = parts[1];
 
-      // Validate API key format (basic check)
-      if (!apiKey || apiKey.length < 10) {
-        return res.status(401).json({
-          error: 'Unauthorized',
-          message: 'Invalid API key format'
-        });
-      }
-
-      // Look up API key in database
-      // Note: We need to query all keys and compare hashes (bcrypt comparison)
-      const { data: apiKeys, error: fetchError } = await supabase
-        .from('api_keys')
-        .select('*')
-        .eq('is_revoked', false);
-
-      if (fetchError) {
-        console.error('Error fetching API keys:', fetchError);
-        return res.status(500).json({
-          error: 'Internal Server Error',
-          message: 'Failed to validate API key'
-        });
+      const result = await authenticateApiKey(supabase, apiKey);
+      if (!result.auth) {
+        return res.status(result.status).json(result.body);
       }
 
-      // Find matching key by comparing hashes
-      let matchedKey = null;
-      for (const key of apiKeys) {
-        const isMatch = await bcrypt.compare(apiKey, key.key_hash);
-        if (isMatch) {
-          matchedKey = key;
-          break;
-        }
-      }
-
-      if (!matchedKey) {
-        return res.status(401).json({
-          error: 'Unauthorized',
-          message: 'Invalid API key'
-        });
-      }
-
-      // Check expiration
-      if (matchedKey.expires_at) {
-        const expiresAt = new Date(matchedKey.expires_at);
-        if (expiresAt < new Date()) {
-          return res.status(401).json({
-            error: 'Unauthorized',
-            message: 'API key has expired',
-            expires_at: matchedKey.expires_at
-          });
-        }
-      }
-
-      // Determine user role and identity
-      let userId, userRole, coachId, clientId, adminId;
-
-      if (matchedKey.admin_id) {
-        // Admin key
-        userRole = 'admin';
-        userId = matchedKey.admin_id;
-        adminId = matchedKey.admin_id;
-        coachId = null;
-        clientId = null;
-      } else if (matchedKey.coach_id) {
-        // Coach key
-        userRole = 'coach';
-        userId = matchedKey.coach_id;
-        coachId = matchedKey.coach_id;
-        adminId = null;
-        clientId = null;
-      } else if (matchedKey.client_id) {
-        // Client key
-        userRole = 'client';
-        userId = matchedKey.client_id;
-        coachId = null;
-        adminId = null;
-        clientId = matchedKey.client_id;
-      } else {
-        // Invalid key (shouldn't happen due to DB constraint, but handle anyway)
-        return res.status(500).json({
-          error: 'Internal Server Error',
-          message: 'API key has invalid ownership'
-        });
-      }
-
-      // Update last_used_at timestamp (async, don't wait)
-      supabase
-        .from('api_keys')
-        .update({ last_used_at: new Date().toISOString() })
-        .eq('id', matchedKey.id)
-        .then(() => {})
-        .catch(err => console.error('Failed to update last_used_at:', err));
-
       // Set session variables for RLS
       // Note: Supabase JS client doesn't support setting session variables directly
       // We need to use RPC or modify the client's connection
 
       // For now, we'll attach the auth context to the request object
       // and create a new Supabase client with proper context for this request
-      req.auth = {
-        userId,
-        userRole,
-        coachId,
-        clientId,
-        adminId,
-        apiKeyId: matchedKey.id,
-        scopes: matchedKey.scopes || []
-      };
+      req.auth = result.auth;
+      const { userId, userRole, apiKeyId } = result.auth;
 
       // Create authenticated Supabase client for this request
       // This client will have session variables set
@@ -166,7 +72,7 @@ export function createAuthMiddleware(supabase) {
         action: 'API_ACCESS',
         resource_type: 'api_endpoint',
         resource_id: null,
-        api_key_id: matchedKey.id,
+        api_key_id: apiKeyId,
         request_method: req.method,
         request_path: req.path,
         metadata: {
@@ -187,6 +93,126 @@ export function createAuthMiddleware(supabase) {
   };
 }
 
+/**
+ * Validate an API key and resolve the identity it belongs to
+ *
+ * Shared by the HTTP middleware and the MCP stdio entry point.
+ *
+ * @param {Object} supabase - Supabase client instance
+ * @param {string} apiKey - Plain-text API key
+ * @returns {Promise<{auth: Object|null, status: number|null, body: Object|null}>}
+ *   auth context (as set on req.auth), or the error response to send
+ */
+export async function authenticateApiKey(supabase, apiKey) {
+  const denied = (status, body) => ({ auth: null, status, body });
+
+  // Validate API key format (basic check)
+  if (!apiKey || apiKey.length < 10) {
+    return denied(401, {
+      error: 'Unauthorized',
+      message: 'Invalid API key format'
+    });
+  }
+
+  // Look up API key in database
+  // Note: We need to query all keys and compare hashes (bcrypt comparison)
+  const { data: apiKeys, error: fetchError } = await supabase
+    .from('api_keys')
+    .select('*')
+    .eq('is_revoked', false);
+
+  if (fetchError) {
+    console.error('Error fetching API keys:', fetchError);
+    return denied(500, {
+      error: 'Internal Server Error',
+      message: 'Failed to validate API key'
+    });
+  }
+
+  // Find matching key by comparing hashes
+  let matchedKey = null;
+  for (const key of apiKeys) {
+    const isMatch = await bcrypt.compare(apiKey, key.key_hash);
+    if (isMatch) {
+      matchedKey = key;
+      break;
+    }
+  }
+
+  if (!matchedKey) {
+    return denied(401, {
+      error: 'Unauthorized',
+      message: 'Invalid API key'
+    });
+  }
+
+  // Check expiration
+  if (matchedKey.expires_at) {
+    const expiresAt = new Date(matchedKey.expires_at);
+    if (expiresAt < new Date()) {
+      return denied(401, {
+        error: 'Unauthorized',
+        message: 'API key has expired',
+        expires_at: matchedKey.expires_at
+      });
+    }
+  }
+
+  // Determine user role and identity
+  let userId, userRole, coachId, clientId, adminId;
+
+  if (matchedKey.admin_id) {
+    // Admin key
+    userRole = 'admin';
+    userId = matchedKey.admin_id;
+    adminId = matchedKey.admin_id;
+    coachId = null;
+    clientId = null;
+  } else if (matchedKey.coach_id) {
+    // Coach key
+    userRole = 'coach';
+    userId = matchedKey.coach_id;
+    coachId = matchedKey.coach_id;
+    adminId = null;
+    clientId = null;
+  } else if (matchedKey.client_id) {
+    // Client key
+    userRole = 'client';
+    userId = matchedKey.client_id;
+    coachId = null;
+    adminId = null;
+    clientId = matchedKey.client_id;
+  } else {
+    // Invalid key (shouldn't happen due to DB constraint, but handle anyway)
+    return denied(500, {
+      error: 'Internal Server Error',
+      message: 'API key has invalid ownership'
+    });
+  }
+
+  // Update last_used_at timestamp (async, don't wait)
+  supabase
+    .from('api_keys')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', matchedKey.id)
+    .then(() => {})
+    .catch(err => console.error('Failed to update last_used_at:', err));
+
+  return {
+    auth: {
+      userId,
+      userRole,
+      coachId,
+      clientId,
+      adminId,
+      apiKeyId: matchedKey.id,
+      scopes: matchedKey.scopes || []
+    },
+    status: null,
+    body: null
+  };
+}
+
 /**
  * Create authenticated Supabase client with session variables
  *
@@ -238,7 +264,7 @@ function createAuthenticatedSupabaseClient(supabase, auth) {
  * @param {Object} supabase - Supabase client
  * @param {Object} logEntry - Audit log entry
  */
-async function logAuditTrail(supabase, logEntry) {
+export async function logAuditTrail(supabase, logEntry) {
   try {
     const { error } = await supabase
       .from('audit_logs')
@@ -6,10 +6,10 @@
  *
  * Processing Flow:
  * 1. Validate input (type-specific)
- * 2. Process content (type-specific)
+ * 2. Process content (type-specific), then fingerprint it for duplicate detection
  * 3. PII Scrubbing (universal - NEW in Phase 3)
  * 4. Chunk content (configurable per type)
- * 5. Generate embeddings (shared)
+ * 5. Generate embeddings (shared, batched; failed chunks are reported, not fatal)
  *
  * Subclasses must implement:
  * - validate(rawContent, metadata)
@@ -18,6 +18,8 @@
  */
 
 import { PIIScrubber } from '../pii/index.js';
+import { embedText, embedBatch } from '../embeddings/index.js';
+import { fingerprintContent } from '../dedup/index.js';
 
 export class BaseDataProcessor {
   constructor(openaiClient) {
@@ -40,15 +42,20 @@ export class BaseDataProcessor {
    *
    * @param {string} rawContent - Raw input content
    * @param {object} metadata - Type-specific metadata
-   * @returns {Promise<{dataItem: object, chunks: object[]}>}
+   * @param {object} [options] - Validation options (see the subclass's validate())
+   * @returns {Promise<{dataItem: object, chunks: object[], embeddingFailures: object[]}>}
+   *   chunks only contains chunks that embedded; each keeps its original chunkIndex
    */
-  async process(rawContent, metadata) {
+  async process(rawContent, metadata, options = {}) {
     // Step 1: Validate input
-    this.validate(rawContent, metadata);
+    this.validate(rawContent, metadata, options);
 
     // Step 2: Type-specific processing
     const processed = await this.typeSpecificProcessing(rawContent, metadata);
 
+    // content_hash / content_minhash / content_lsh_bands of the unscrubbed content
+    Object.assign(processed.dataItem, fingerprintContent(processed.dataItem.raw_content));
+
     // Step 3: PII Scrubbing (NEW in Phase 3)
     const scrubbingEnabled =
       process.env.PII_SCRUBBING_ENABLED === 'true' &&
@@ -84,14 +91,28 @@ export class BaseDataProcessor {
     }
 
     // Step 4: Chunk content (scrubbed or original)
-    const chunks = this.chunkContent(contentToChunk, this.getChunkConfig());
+    const chunks = this.chunkContent(contentToChunk, this.getChunkConfig(), metadata);
 
     // Step 5: Generate embeddings
-    const embeddedChunks = await this.generateEmbeddings(chunks);
+    const { embeddedChunks, failures } = await this.generateEmbeddings(chunks);
+
+    if (failures.length > 0) {
+      if (!processed.dataItem.metadata) {
+        processed.dataItem.metadata = {};
+      }
+
+      // Record skipped chunks so they can be re-embedded later
+      processed.dataItem.metadata.embedding_failures = {
+        chunks_total: chunks.length,
+        chunks_failed: failures.length,
+        failures
+      };
+    }
 
     return {
       dataItem: processed.dataItem,
-      chunks: embeddedChunks
+      chunks: embeddedChunks,
+      embeddingFailures: failures
     };
   }
 
@@ -100,9 +121,10 @@ export class BaseDataProcessor {
    *
    * @param {string} rawContent
    * @param {object} metadata
+   * @param {object} [options] - Type-specific validation options
    * @throws {Error} if validation fails
    */
-  validate(rawContent, metadata) {
+  validate(rawContent, metadata, options = {}) {
     throw new Error('validate() must be implemented by subclass');
   }
 
@@ -129,11 +151,15 @@ export class BaseDataProcessor {
   /**
    * Chunk text into overlapping segments
    *
+   * Subclasses may return `{content, metadata}` objects instead of strings to
+   * attach per-chunk metadata (stored in data_chunks.metadata).
+   *
    * @param {string} text - Full text to chunk
    * @param {{chunkSize: number, overlap: number}} config - Chunking config
-   * @returns {string[]} Array of text chunks
+   * @param {object} [metadata] - Metadata passed to process()
+   * @returns {Array<string|{content: string, metadata: object}>} Array of text chunks
    */
-  chunkContent(text, config) {
+  chunkContent(text, config, metadata) {
     const { chunkSize, overlap } = config;
     const words = text.split(/\s+/);
     const chunks = [];
@@ -157,37 +183,64 @@ export class BaseDataProcessor {
   /**
    * Generate embeddings for all chunks
    *
-   * @param {string[]} chunks - Array of text chunks
-   * @returns {Promise<Array<{content: string, embedding: number[]}>>}
+   * Chunks are embedded in batches (see embeddings/batch-embedder.js). A chunk
+   * that fails is left out and reported instead of failing the document;
+   * only a document where every chunk fails throws.
+   *
+   * @param {Array<string|{content: string, metadata: object}>} chunks - Chunks from chunkContent()
+   * @returns {Promise<{
+   *   embeddedChunks: Array<{chunkIndex: number, content: string, metadata: object|null, embedding: number[], embeddingModel: string, embeddingDimensions: number}>,
+   *   failures: Array<{chunk_index: number, error: string, status: number|null}>
+   * }>}
    */
   async generateEmbeddings(chunks) {
-    const embeddedChunks = [];
+    const texts = chunks.map(chunk => typeof chunk === 'string' ? chunk : chunk.content);
+    const { model, dimensions, embeddings, failures, stats } = await embedBatch(this.openai, texts, {
+      operation: 'data_processing'
+    });
+
+    if (chunks.length > 0 && failures.length === chunks.length) {
+      throw new Error(`Failed to generate embeddings: ${failures[0].error}`);
+    }
 
-    for (const chunk of chunks) {
-      const embedding = await this.generateEmbedding(chunk);
-      embeddedChunks.push({
-        content: chunk,
-        embedding: embedding
-      });
+    if (failures.length > 0) {
+      console.warn(`[Embeddings] ${failures.length}/${chunks.length} chunks failed to embed, continuing with the rest`);
     }
+    console.log(
+      `[Embeddings] ${stats.embedded} embedded, ${stats.cached} cached in ${stats.requests} request(s)`
+    );
+
+    const embeddedChunks = [];
+    chunks.forEach((chunk, index) => {
+      if (embeddings[index]) {
+        embeddedChunks.push({
+          chunkIndex: index,
+          content: texts[index],
+          metadata: typeof chunk === 'string' ? null : chunk.metadata,
+          embedding: embeddings[index],
+          embeddingModel: model,
+          embeddingDimensions: dimensions
+        });
+      }
+    });
 
-    return embeddedChunks;
+    return {
+      embeddedChunks,
+      failures: failures.map(({ index, error, status }) => ({ chunk_index: index, error, status }))
+    };
   }
 
   /**
    * Generate embedding for a single text chunk
+   * Identical text (e.g. a re-uploaded document) is served from the shared embedding cache.
    *
    * @param {string} text - Text to embed
-   * @returns {Promise<number[]>} 1536-dimensional embedding vector
+   * @returns {Promise<number[]>} Embedding vector from the configured provider
    */
   async generateEmbedding(text) {
     try {
-      const response = await this.openai.embeddings.create({
-        model: 'text-embedding-3-small',
-        input: text.trim()
-      });
-
-      return response.data[0].embedding;
+      const { embedding } = await embedText(this.openai, text, { operation: 'data_processing' });
+      return embedding;
     } catch (error) {
       console.error('Error generating embedding:', error.message);
       throw new Error(`Failed to generate embedding: ${error.message}`);
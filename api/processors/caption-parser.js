@@ -0,0 +1,199 @@
+/**
+ * Caption Parser
+ *
+ * Converts WebVTT (.vtt) and SubRip (.srt) caption files, as exported by
+ * Zoom, Teams and most recorders, into the transcript shape produced by
+ * formatTranscript() in integrations/fireflies.js: one "Speaker: text" line
+ * per cue plus line-aligned cue times, so TranscriptProcessor chunks them by
+ * speaker turn and records start/end times for citations.
+ *
+ * Speaker labels are read from WebVTT voice spans (<v Name>, Teams), a leading
+ * "[Name]", or a leading "Name:" of up to three capitalised words (Zoom, most
+ * SRT exports). Cues without a label continue the previous speaker.
+ *
+ * Usage:
+ *   const parsed = parseCaptionFile(buffer.toString('utf-8'), 'session.vtt');
+ *   await processor.process(parsed.content, { ...metadata, sentence_timings: parsed.sentence_timings });
+ */
+
+export const CAPTION_FORMATS = ['vtt', 'srt'];
+
+const CAPTION_MIME_TYPES = {
+  'text/vtt': 'vtt',
+  'application/x-subrip': 'srt',
+  'application/srt': 'srt',
+  'text/srt': 'srt'
+};
+
+// 01:02:03.456 / 02:03.456 (WebVTT) and 01:02:03,456 (SRT)
+const TIMESTAMP = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/;
+const CUE_TIMING = new RegExp(`^\\s*${TIMESTAMP.source}\\s*-->\\s*${TIMESTAMP.source}`);
+
+// Leading speaker label in cue text: "[Name] text", or "Name: text" where the
+// name is 1-3 capitalised words ("Jordan Lee", "Dr. Park", "Speaker 2") so a
+// sentence with a colon ("The main thing this week: ...") is not a label
+const BRACKET_LABEL = /^(?:-\s*)?\[([^\]\n]{1,60})\]\s*:?\s+/;
+const NAME_LABEL = /^(?:-\s*)?(\p{Lu}[\p{L}'’-]*\.?(?:\s+\p{Lu}[\p{L}'’-]*\.?){0,2}(?:\s+\d{1,3})?):\s+/u;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&quot;': '"', '&#39;': '\'', '&lrm;': '', '&rlm;': '' };
+
+/**
+ * Work out whether a file is a caption file
+ * @param {string} [filename] - Original file name
+ * @param {string} [mimetype] - Uploaded MIME type
+ * @param {string} [text] - File content (checked for the WEBVTT header)
+ * @returns {'vtt'|'srt'|null} Caption format, or null if not a caption file
+ */
+export function detectCaptionFormat(filename = '', mimetype = '', text = '') {
+  const extension = (filename || '').toLowerCase().match(/\.(vtt|srt)$/)?.[1];
+  if (extension) return extension;
+  if (CAPTION_MIME_TYPES[mimetype]) return CAPTION_MIME_TYPES[mimetype];
+  if (/^\uFEFF?WEBVTT\b/.test(text || '')) return 'vtt';
+  return null;
+}
+
+/**
+ * Parse a caption timestamp into seconds
+ * @param {string} value - e.g. "00:14:32.500" or "00:14:32,500"
+ * @returns {number|null} Seconds, or null if the value is not a timestamp
+ */
+export function parseCaptionTimestamp(value) {
+  const match = (value || '').match(TIMESTAMP);
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds) +
+    parseInt(fraction.padEnd(3, '0')) / 1000;
+}
+
+/**
+ * Parse a WebVTT file
+ * @param {string} text - File content
+ * @returns {Object} Parsed transcript (see parseCaptionFile)
+ */
+export function parseWebVTT(text) {
+  const blocks = splitBlocks(text);
+
+  if (!/^WEBVTT\b/.test(blocks[0] || '')) {
+    throw new Error('WebVTT file must start with a WEBVTT header');
+  }
+
+  // NOTE, STYLE and REGION blocks carry no cue text
+  const cueBlocks = blocks.slice(1).filter(block => !/^(NOTE|STYLE|REGION)\b/.test(block));
+  return buildTranscript('vtt', cueBlocks.map(parseCueBlock).filter(Boolean));
+}
+
+/**
+ * Parse a SubRip (SRT) file
+ * @param {string} text - File content
+ * @returns {Object} Parsed transcript (see parseCaptionFile)
+ */
+export function parseSRT(text) {
+  return buildTranscript('srt', splitBlocks(text).map(parseCueBlock).filter(Boolean));
+}
+
+/**
+ * Parse a caption file of either format
+ * @param {string} text - File content (UTF-8)
+ * @param {string} [filename] - Original file name, used to pick the format
+ * @param {string} [mimetype] - Uploaded MIME type
+ * @returns {{
+ *   format: 'vtt'|'srt',
+ *   content: string,
+ *   sentence_timings: Array<{start_time: number, end_time: number}>,
+ *   speakers: string[],
+ *   cue_count: number,
+ *   duration_seconds: number
+ * }} One "Speaker: text" line per cue (unlabelled if no cue has a speaker),
+ *   with sentence_timings aligned to the lines
+ * @throws {Error} If the format is unknown or the file has no cues
+ */
+export function parseCaptionFile(text, filename = '', mimetype = '') {
+  const format = detectCaptionFormat(filename, mimetype, text);
+
+  if (format === 'vtt') return parseWebVTT(text);
+  if (format === 'srt') return parseSRT(text);
+
+  throw new Error(`Caption file must be one of: ${CAPTION_FORMATS.map(f => `.${f}`).join(', ')}`);
+}
+
+/**
+ * Split caption text into blank-line separated blocks
+ */
+function splitBlocks(text) {
+  return (text || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse one cue block: optional identifier line, timing line, text lines
+ */
+function parseCueBlock(block) {
+  const lines = block.split('\n');
+  const timingIndex = lines.findIndex(line => CUE_TIMING.test(line));
+  if (timingIndex === -1 || timingIndex > 1) return null;
+
+  const [startText, endText] = lines[timingIndex].split('-->');
+  const rawText = lines.slice(timingIndex + 1).join('\n');
+
+  // WebVTT voice span: <v Name> or <v.class Name>
+  const voice = rawText.match(/<v(?:\.[^\s>]+)*\s+([^>]+)>/)?.[1]?.trim() || null;
+
+  let cueText = decodeEntities(rawText.replace(/<[^>]*>/g, ''))
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join(' ');
+
+  let speaker = voice;
+  const label = voice ? null : cueText.match(BRACKET_LABEL) || cueText.match(NAME_LABEL);
+  if (label) {
+    speaker = label[1].trim();
+    cueText = cueText.substring(label[0].length).trim();
+  }
+
+  if (!cueText) return null;
+
+  return {
+    speaker,
+    text: cueText,
+    start_time: parseCaptionTimestamp(startText),
+    end_time: parseCaptionTimestamp(endText)
+  };
+}
+
+/**
+ * Build the transcript lines and line-aligned timings from parsed cues
+ */
+function buildTranscript(format, cues) {
+  if (cues.length === 0) {
+    throw new Error(`No caption cues found in ${format === 'vtt' ? 'WebVTT' : 'SRT'} file`);
+  }
+
+  const hasSpeakers = cues.some(cue => cue.speaker);
+  const speakers = [];
+  let speaker = null;
+
+  const lines = cues.map(cue => {
+    speaker = cue.speaker || speaker;
+    if (speaker && !speakers.includes(speaker)) speakers.push(speaker);
+    return hasSpeakers ? `${speaker || 'Unknown'}: ${cue.text}` : cue.text;
+  });
+
+  return {
+    format,
+    content: lines.join('\n'),
+    sentence_timings: cues.map(cue => ({ start_time: cue.start_time, end_time: cue.end_time })),
+    speakers,
+    cue_count: cues.length,
+    duration_seconds: Math.round(Math.max(...cues.map(cue => cue.end_time || 0)))
+  };
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(amp|lt|gt|nbsp|quot|#39|lrm|rlm);/g, entity => ENTITIES[entity]);
+}
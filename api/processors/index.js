@@ -16,3 +16,24 @@ export { CoachAssessmentProcessor } from './coach-assessment-processor.js';
 export { CoachingModelProcessor } from './coaching-model-processor.js';
 export { CompanyDocProcessor } from './company-doc-processor.js';
 export { DataProcessorFactory } from './processor-factory.js';
+export {
+  chunkTranscript,
+  isSpeakerFormatted,
+  formatTimestamp,
+  formatChunkCitation,
+  joinChunkContents
+} from './transcript-chunker.js';
+export {
+  CAPTION_FORMATS,
+  detectCaptionFormat,
+  parseCaptionFile,
+  parseWebVTT,
+  parseSRT
+} from './caption-parser.js';
+export {
+  TRANSCRIPT_FILE_FORMATS,
+  importTranscriptFile,
+  detectTranscriptFormat,
+  parseTranscriptExport,
+  toTranscriptInput
+} from './transcript-formats.js';
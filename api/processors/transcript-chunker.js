@@ -0,0 +1,309 @@
+/**
+ * Transcript Chunker
+ *
+ * Structure-aware chunking for speaker-labelled transcripts ("Name: text",
+ * one line per sentence, as produced by formatTranscript() in
+ * integrations/fireflies.js). Compared to the word-count chunker in
+ * BaseDataProcessor, chunks:
+ * - break between speaker turns where possible, otherwise between sentences
+ * - fit a token budget (estimateTokens) instead of a word count
+ * - repeat the speaker label when a chunk starts mid-turn, so every line
+ *   still says who is talking
+ * - carry speakers and start/end times (seconds) as chunk metadata
+ *
+ * Usage:
+ *   const chunks = chunkTranscript(formatted.content, { timings: formatted.sentence_timings });
+ *   // [{ content: 'Client: ...\nCoach: ...', metadata: { speaker, speakers, start_time, end_time } }]
+ */
+
+import {
+  TRANSCRIPT_CHUNK_MAX_TOKENS,
+  TRANSCRIPT_CHUNK_OVERLAP_TOKENS
+} from '../config/constants.js';
+import { estimateTokens } from '../utils/api-expense-tracker.js';
+
+// "Speaker Name: text" (labels are short and contain no colon)
+const SPEAKER_LINE = /^([^:\n]{1,60}):\s+(.*)$/;
+
+// Whitespace after ., ! or ? (optionally closed by a quote/bracket) followed by
+// what looks like the start of a new sentence
+const SENTENCE_BOUNDARY = /(?<=[.!?…]["')\]]?)\s+(?=["'“(\[]?[\p{Lu}\p{N}])/u;
+
+// Once a chunk is this full, a new speaker turn starts a new chunk
+const TURN_BREAK_RATIO = 0.6;
+
+/**
+ * Format seconds as HH:MM:SS
+ * @param {number} seconds - Offset into the recording
+ * @returns {string|null} e.g. "00:14:32", or null if seconds is missing
+ */
+export function formatTimestamp(seconds) {
+  if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds < 0) {
+    return null;
+  }
+
+  const total = Math.floor(seconds);
+  return [
+    Math.floor(total / 3600),
+    Math.floor((total % 3600) / 60),
+    total % 60
+  ].map(n => String(n).padStart(2, '0')).join(':');
+}
+
+/**
+ * Citation label for a chunk, e.g. "Client, 00:14:32"
+ * @param {Object} [chunkMetadata] - data_chunks.metadata written by chunkTranscript()
+ * @returns {string|null} Speaker and/or timestamp, or null if the chunk has neither
+ */
+export function formatChunkCitation(chunkMetadata) {
+  if (!chunkMetadata) return null;
+
+  const parts = [chunkMetadata.speaker, formatTimestamp(chunkMetadata.start_time)].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * Join consecutive chunk texts, dropping the overlap each chunk repeats
+ * from the previous one (word overlap, or sentence overlap after a
+ * repeated "Speaker:" label)
+ * @param {string[]} contents - data_chunks.content in chunk_index order
+ * @returns {string} Document text
+ */
+export function joinChunkContents(contents) {
+  let words = [];
+  let text = '';
+
+  for (const content of contents) {
+    const next = content.split(/\s+/).filter(Boolean);
+    const unlabelled = next[0]?.endsWith(':') ? next.slice(1) : null;
+
+    let skip = 0;
+    for (const candidate of [next, unlabelled].filter(Boolean)) {
+      const maxOverlap = Math.min(words.length, candidate.length, 200);
+      for (let k = maxOverlap; k > 0; k--) {
+        if (words.slice(-k).join(' ') === candidate.slice(0, k).join(' ')) {
+          skip = k + (candidate === unlabelled ? 1 : 0);
+          break;
+        }
+      }
+      if (skip > 0) break;
+    }
+
+    // Drop the overlapping words but keep the rest's line breaks
+    const rest = content.trim().replace(new RegExp(`^(\\S+\\s+){${skip}}`), '');
+    if (skip < next.length) {
+      const separator = !text ? '' : /^[^:\n]{1,60}:\s/.test(rest) ? '\n' : ' ';
+      text += separator + rest;
+    }
+    words = words.concat(next.slice(skip));
+  }
+
+  return text;
+}
+
+/**
+ * Check whether text is a speaker-labelled transcript
+ * @param {string} text - Transcript text
+ * @returns {boolean} True if most lines start with a "Speaker:" label
+ */
+export function isSpeakerFormatted(text) {
+  if (!text || typeof text !== 'string') return false;
+
+  const lines = text.split('\n').filter(line => line.trim().length > 0);
+  if (lines.length < 2) return false;
+
+  const labelled = lines.filter(line => SPEAKER_LINE.test(line.trim())).length;
+  return labelled / lines.length >= 0.6;
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - One speaker's text
+ * @returns {string[]} Non-empty sentences
+ */
+export function splitSentences(text) {
+  return text
+    .split(SENTENCE_BOUNDARY)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse transcript lines into speaker-attributed lines
+ *
+ * Unlabelled lines continue the previous speaker. Timings are only used when
+ * there is exactly one per non-empty line (PII scrubbing or manual edits can
+ * change the line structure, in which case times are dropped rather than
+ * attached to the wrong text).
+ *
+ * @param {string} text - Transcript text
+ * @param {Array<{start_time: number, end_time: number}>} [timings] - One entry per line
+ * @returns {Array<{speaker: string|null, text: string, start_time: number|null, end_time: number|null}>}
+ */
+export function parseTranscriptLines(text, timings = null) {
+  const rawLines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  const useTimings = Array.isArray(timings) && timings.length === rawLines.length;
+
+  let speaker = null;
+  return rawLines.map((line, i) => {
+    const match = line.match(SPEAKER_LINE);
+    if (match) speaker = match[1].trim();
+
+    return {
+      speaker,
+      text: match ? match[2].trim() : line,
+      start_time: useTimings ? timings[i]?.start_time ?? null : null,
+      end_time: useTimings ? timings[i]?.end_time ?? null : null
+    };
+  });
+}
+
+/**
+ * Break a line into sentence units, splitting over-long sentences by words
+ */
+function toUnits(line, turn, maxTokens) {
+  const units = [];
+
+  for (const sentence of splitSentences(line.text)) {
+    const pieces = [];
+    if (estimateTokens(sentence) <= maxTokens) {
+      pieces.push(sentence);
+    } else {
+      // A single run-on "sentence" larger than the budget (no punctuation)
+      let current = [];
+      for (const word of sentence.split(/\s+/)) {
+        if (current.length > 0 && estimateTokens([...current, word].join(' ')) > maxTokens) {
+          pieces.push(current.join(' '));
+          current = [];
+        }
+        current.push(word);
+      }
+      if (current.length > 0) pieces.push(current.join(' '));
+    }
+
+    for (const piece of pieces) {
+      units.push({
+        speaker: line.speaker,
+        text: piece,
+        turn,
+        tokens: estimateTokens(line.speaker ? `${line.speaker}: ${piece}` : piece),
+        start_time: line.start_time,
+        end_time: line.end_time
+      });
+    }
+  }
+
+  return units;
+}
+
+/**
+ * Render units as "Speaker: text" lines, one line per speaker turn
+ */
+function renderUnits(units) {
+  const lines = [];
+  let previous = null;
+
+  for (const unit of units) {
+    if (previous && unit.turn === previous.turn) {
+      lines[lines.length - 1] += ` ${unit.text}`;
+    } else {
+      lines.push(unit.speaker ? `${unit.speaker}: ${unit.text}` : unit.text);
+    }
+    previous = unit;
+  }
+
+  return lines.join('\n');
+}
+
+function describeUnits(units) {
+  const speakers = [...new Set(units.map(u => u.speaker).filter(Boolean))];
+  const starts = units.map(u => u.start_time).filter(t => t !== null);
+  const ends = units.map(u => u.end_time).filter(t => t !== null);
+
+  return {
+    speaker: units[0].speaker,
+    speakers,
+    start_time: starts.length > 0 ? Math.min(...starts) : null,
+    end_time: ends.length > 0 ? Math.max(...ends) : null
+  };
+}
+
+/**
+ * Chunk a speaker-labelled transcript
+ *
+ * @param {string} text - Transcript ("Speaker: text" lines)
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens] - Token budget per chunk
+ * @param {number} [options.overlapTokens] - Trailing sentences (up to this many tokens)
+ *   repeated at the start of the next chunk
+ * @param {Array<{start_time: number, end_time: number}>} [options.timings] - Per-line
+ *   times in seconds (formatTranscript's sentence_timings)
+ * @returns {Array<{content: string, metadata: {speaker: string|null, speakers: string[],
+ *   start_time: number|null, end_time: number|null}}>} Chunks in transcript order
+ */
+export function chunkTranscript(text, options = {}) {
+  const {
+    maxTokens = TRANSCRIPT_CHUNK_MAX_TOKENS,
+    overlapTokens = TRANSCRIPT_CHUNK_OVERLAP_TOKENS,
+    timings = null
+  } = options;
+
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  // A turn is a run of lines by the same speaker
+  const units = [];
+  let turn = -1;
+  let previousSpeaker;
+  for (const line of parseTranscriptLines(text, timings)) {
+    if (line.speaker !== previousSpeaker || line.speaker === null) turn++;
+    previousSpeaker = line.speaker;
+    units.push(...toUnits(line, turn, maxTokens));
+  }
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  let fresh = 0; // units in current that aren't overlap from the previous chunk
+
+  const flush = () => {
+    chunks.push({ content: renderUnits(current), metadata: describeUnits(current) });
+
+    // Carry whole trailing sentences forward, never the entire chunk
+    const overlap = [];
+    let overlapSize = 0;
+    for (let i = current.length - 1; i > 0; i--) {
+      if (overlapSize + current[i].tokens > overlapTokens) break;
+      overlap.unshift(current[i]);
+      overlapSize += current[i].tokens;
+    }
+
+    current = overlap;
+    currentTokens = overlapSize;
+    fresh = 0;
+  };
+
+  for (const unit of units) {
+    const startsTurn = current.length > 0 && unit.turn !== current[current.length - 1].turn;
+    const overBudget = currentTokens + unit.tokens > maxTokens;
+    const goodBreak = startsTurn && currentTokens >= maxTokens * TURN_BREAK_RATIO;
+
+    if (fresh > 0 && (overBudget || goodBreak)) {
+      flush();
+      // Drop the overlap if it would push this unit over budget
+      if (currentTokens + unit.tokens > maxTokens) {
+        current = [];
+        currentTokens = 0;
+      }
+    }
+
+    current.push(unit);
+    currentTokens += unit.tokens;
+    fresh++;
+  }
+
+  if (fresh > 0) flush();
+
+  return chunks;
+}
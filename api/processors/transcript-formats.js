@@ -0,0 +1,486 @@
+/**
+ * Transcript Export Formats
+ *
+ * Format detection in front of TranscriptProcessor: recognizes transcript
+ * exports from recording tools, normalizes them into speaker turns and pulls
+ * meeting date, duration and participants into transcript metadata.
+ *
+ * Formats:
+ * - zoom_json:  Zoom cloud recording JSON (topic, start_time, duration in
+ *               minutes, participants, and a transcript array of
+ *               { speaker_name | username, text, start_time, end_time })
+ * - otter_txt:  Otter.ai TXT export ("Name  0:15" line, then the text);
+ *               recognized by its header or footer, or by a short header
+ *               followed only by speaker/timestamp blocks
+ * - otter_docx: Otter.ai DOCX export (same layout, read with mammoth)
+ * - teams_docx: Microsoft Teams DOCX transcript ("Name   0:03" or
+ *               "0:0:3.0 --> 0:0:8.5" / name / text blocks)
+ * - vtt, srt:   Caption files (see caption-parser.js)
+ *
+ * Normalized transcript:
+ *   { format, title, meeting_date, duration_seconds, participants,
+ *     turns: [{ speaker, text, start_time, end_time }] }   // times in seconds
+ *
+ * Export headers give the meeting time without a timezone; it is read as
+ * UTC (never the server's zone), so meeting_date is the same on every host.
+ *
+ * Usage:
+ *   const { transcript } = await importTranscriptFile(req.file.buffer, { filename, mimetype });
+ *   if (transcript) {
+ *     const { content, metadata } = toTranscriptInput(transcript, filename);
+ *     await processor.process(content, { ...metadata, coach_id, client_id });
+ *   }
+ */
+
+import mammoth from 'mammoth';
+import { detectCaptionFormat, parseCaptionFile } from './caption-parser.js';
+import { parseTranscriptLines } from './transcript-chunker.js';
+
+export const TRANSCRIPT_FILE_FORMATS = ['zoom_json', 'otter_txt', 'otter_docx', 'teams_docx', 'vtt', 'srt'];
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// "Jane Doe  0:15" / "Speaker 1   1:02:33" (Otter, Teams)
+const SPEAKER_TIME_LINE = /^(\S.{0,59}?)(?:\s{2,}|\t)\s*(\d{1,2}(?::\d{2}){1,2})$/;
+
+// "0:0:3.0 --> 0:0:8.5" (older Teams exports)
+const TEAMS_CUE_LINE = /^(\d+:\d+:\d+(?:\.\d+)?)\s*-->\s*(\d+:\d+:\d+(?:\.\d+)?)$/;
+
+// "Jane Doe started transcription" / "... stopped transcription"
+const TEAMS_TRANSCRIPTION_NOTICE = /^.{1,60} (started|stopped) transcription$/i;
+
+// Otter header and footer: "Tue, Jul 2, 2024 10:03AM • 45:12", SUMMARY KEYWORDS,
+// SPEAKERS, "Transcribed by https://otter.ai"
+const OTTER_MARKER = /^(SUMMARY KEYWORDS|SPEAKERS)$|•\s*\d{1,2}(?::\d{2}){1,2}$|^Transcribed by https?:\/\/otter\.ai/i;
+
+// Lines before the first turn of a speaker/timestamp export (title, date, duration)
+const MAX_HEADER_LINES = 8;
+
+// Text lines per turn of a speaker/timestamp export (one paragraph, maybe wrapped)
+const MAX_TURN_LINES = 5;
+
+// Timezone at the end of a date: "Z", "+02:00", "-0500", "UTC", "GMT+2"
+const EXPLICIT_TIMEZONE = /(?:\dZ|[+-]\d{2}:?\d{2}|\b(?:UTC|GMT)(?:[+-]\d{1,4})?)$/i;
+
+/**
+ * Read an uploaded transcript file and parse it if it is a known export
+ * @param {Buffer} buffer - File content
+ * @param {Object} [file]
+ * @param {string} [file.filename] - Original file name
+ * @param {string} [file.mimetype] - Uploaded MIME type
+ * @returns {Promise<{text: string, format: string|null, transcript: Object|null}>}
+ *   text is the file's plain text (DOCX extracted); transcript is null for
+ *   unrecognized files, which callers can treat as plain transcript text
+ * @throws {Error} If the file is a recognized format but cannot be parsed
+ */
+export async function importTranscriptFile(buffer, { filename = '', mimetype = '' } = {}) {
+  const docx = isDocx(filename, mimetype);
+  const text = docx
+    ? (await mammoth.extractRawText({ buffer })).value
+    : buffer.toString('utf-8');
+
+  const format = detectTranscriptFormat(text, { filename, mimetype, docx });
+  return {
+    text,
+    format,
+    transcript: format ? parseTranscriptExport(text, format, { filename, mimetype }) : null
+  };
+}
+
+/**
+ * Detect the export format of transcript text
+ * @param {string} text - File text (DOCX already extracted)
+ * @param {Object} [file]
+ * @param {string} [file.filename] - Original file name
+ * @param {string} [file.mimetype] - Uploaded MIME type
+ * @param {boolean} [file.docx] - Text was extracted from a DOCX file
+ * @returns {string|null} One of TRANSCRIPT_FILE_FORMATS, or null
+ */
+export function detectTranscriptFormat(text, { filename = '', mimetype = '', docx = false } = {}) {
+  const captionFormat = detectCaptionFormat(filename, mimetype, text);
+  if (captionFormat) return captionFormat;
+
+  const trimmed = (text || '').trim();
+  if (/^[[{]/.test(trimmed)) {
+    return getZoomEntries(safeJsonParse(trimmed)) ? 'zoom_json' : null;
+  }
+
+  const lines = toLines(trimmed);
+  const speakerLines = lines.filter(line => SPEAKER_TIME_LINE.test(line)).length;
+  const teamsCues = lines.filter(line => TEAMS_CUE_LINE.test(line)).length;
+
+  // Notes that merely contain a couple of "Name  1:00" lines are plain text
+  const otter = speakerLines >= 2 &&
+    (lines.some(line => OTTER_MARKER.test(line)) || hasSpeakerTimeBlocks(lines));
+
+  if (docx) {
+    const teamsMarkers = teamsCues > 0 ||
+      lines.some(line => TEAMS_TRANSCRIPTION_NOTICE.test(line) || parseTeamsDuration(line) !== null);
+    if (teamsMarkers && (teamsCues >= 2 || speakerLines >= 2)) return 'teams_docx';
+    return otter ? 'otter_docx' : null;
+  }
+
+  return otter ? 'otter_txt' : null;
+}
+
+/**
+ * Whether lines are laid out as speaker/timestamp blocks throughout: a short
+ * header, then "Name  0:15" lines each followed by a few lines of text, with
+ * times never going back
+ */
+function hasSpeakerTimeBlocks(lines) {
+  const firstTurn = lines.findIndex(line => SPEAKER_TIME_LINE.test(line));
+  if (firstTurn === -1 || firstTurn > MAX_HEADER_LINES) return false;
+
+  let lastTime = -1;
+  let textLines = 0;
+  for (const [index, line] of lines.slice(firstTurn).entries()) {
+    const match = line.match(SPEAKER_TIME_LINE);
+    if (!match) {
+      if (++textLines > MAX_TURN_LINES) return false;
+      continue;
+    }
+
+    // Every turn has text, and times never go back
+    const time = parseClockTime(match[2]);
+    if ((index > 0 && textLines === 0) || time < lastTime) return false;
+    lastTime = time;
+    textLines = 0;
+  }
+
+  return textLines > 0;
+}
+
+/**
+ * Parse transcript text of a known format into the normalized structure
+ * @param {string} text - File text (DOCX already extracted)
+ * @param {string} format - One of TRANSCRIPT_FILE_FORMATS
+ * @param {Object} [file] - { filename, mimetype } (caption files)
+ * @returns {Object} Normalized transcript (see module docs)
+ * @throws {Error} If the text has no transcript turns
+ */
+export function parseTranscriptExport(text, format, { filename = '', mimetype = '' } = {}) {
+  let transcript;
+
+  switch (format) {
+    case 'zoom_json':
+      transcript = parseZoomJson(text);
+      break;
+    case 'otter_txt':
+    case 'otter_docx':
+      transcript = parseSpeakerTimeBlocks(text);
+      break;
+    case 'teams_docx':
+      transcript = parseTeamsDocx(text);
+      break;
+    case 'vtt':
+    case 'srt': {
+      const parsed = parseCaptionFile(text, filename || `transcript.${format}`, mimetype);
+      transcript = {
+        title: null,
+        meeting_date: null,
+        duration_seconds: parsed.duration_seconds,
+        participants: parsed.speakers,
+        turns: parseTranscriptLines(parsed.content, parsed.sentence_timings)
+      };
+      break;
+    }
+    default:
+      throw new Error(`Unsupported transcript format: "${format}". Supported formats: ${TRANSCRIPT_FILE_FORMATS.join(', ')}`);
+  }
+
+  return finalizeTranscript(format, transcript);
+}
+
+/**
+ * TranscriptProcessor input for a normalized transcript
+ * @param {Object} transcript - Normalized transcript
+ * @param {string} [filename] - Original file name
+ * @returns {{content: string, metadata: Object}} One "Speaker: text" line per
+ *   turn, and metadata with title, meeting_date, duration_minutes,
+ *   participants, speakers, sentence_timings and source_file
+ */
+export function toTranscriptInput(transcript, filename = null) {
+  const content = transcript.turns
+    .map(turn => (turn.speaker ? `${turn.speaker}: ${turn.text}` : turn.text))
+    .join('\n');
+
+  const timed = transcript.turns.some(turn => turn.start_time !== null);
+  const speakers = [...new Set(transcript.turns.map(turn => turn.speaker).filter(Boolean))];
+
+  return {
+    content,
+    metadata: {
+      title: transcript.title,
+      meeting_date: transcript.meeting_date,
+      duration_minutes: transcript.duration_seconds ? Math.round(transcript.duration_seconds / 60) : null,
+      participants: transcript.participants.length > 0 ? transcript.participants : null,
+      speakers: speakers.length > 0 ? speakers : null,
+      sentence_timings: timed
+        ? transcript.turns.map(turn => ({ start_time: turn.start_time, end_time: turn.end_time }))
+        : null,
+      source_file: { filename, format: transcript.format, turn_count: transcript.turns.length },
+      source: 'file_upload'
+    }
+  };
+}
+
+/**
+ * Parse a clock time ("1:02:33", "0:15", "00:00:05.120") or seconds
+ * @param {string|number} value - Time value
+ * @returns {number|null} Seconds
+ */
+export function parseClockTime(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const match = String(value || '').trim().match(/^(?:(\d+):)?(\d+):(\d+(?:[.,]\d+)?)$/);
+  if (!match) {
+    const seconds = parseFloat(value);
+    return Number.isFinite(seconds) && /^\d+(\.\d+)?$/.test(String(value).trim()) ? seconds : null;
+  }
+
+  const [, hours = '0', minutes, seconds] = match;
+  return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds.replace(',', '.'));
+}
+
+// ============================================
+// FORMAT PARSERS
+// ============================================
+
+/**
+ * Zoom cloud recording JSON
+ */
+function parseZoomJson(text) {
+  const data = safeJsonParse(text.trim());
+  const entries = getZoomEntries(data);
+  if (!entries) {
+    throw new Error('Zoom JSON must contain a transcript array of speaker/text entries');
+  }
+
+  const meeting = Array.isArray(data) ? {} : data;
+  const participants = (Array.isArray(meeting.participants) ? meeting.participants : [])
+    .map(p => (typeof p === 'string' ? p : p?.name || p?.user_name || p?.username))
+    .filter(Boolean);
+
+  return {
+    title: meeting.topic || meeting.title || null,
+    meeting_date: parseMeetingDate(meeting.start_time || meeting.meeting_start_time),
+    // Zoom reports meeting duration in minutes
+    duration_seconds: Number.isFinite(Number(meeting.duration)) && meeting.duration !== null
+      ? Number(meeting.duration) * 60
+      : null,
+    participants,
+    turns: entries.map(entry => ({
+      speaker: entry.speaker_name || entry.username || entry.user_name || entry.speaker || null,
+      text: entry.text ?? entry.content ?? '',
+      start_time: parseClockTime(entry.start_time ?? entry.ts ?? entry.start),
+      end_time: parseClockTime(entry.end_time ?? entry.end)
+    }))
+  };
+}
+
+/**
+ * Transcript entries of a Zoom JSON export, or null if it is not one
+ */
+function getZoomEntries(data) {
+  if (!data || typeof data !== 'object') return null;
+
+  const entries = Array.isArray(data) ? data : data.transcript || data.transcript_items;
+  if (!Array.isArray(entries) || entries.length === 0) return null;
+
+  const valid = entries.every(entry =>
+    entry && typeof entry === 'object' &&
+    typeof (entry.text ?? entry.content) === 'string' &&
+    (entry.speaker_name || entry.username || entry.user_name || entry.speaker)
+  );
+  return valid ? entries : null;
+}
+
+/**
+ * Otter.ai (and newer Teams) layout: header lines, then blocks of
+ * "Speaker  0:15" followed by that speaker's text
+ */
+function parseSpeakerTimeBlocks(text) {
+  const lines = toLines(text).filter(line => !TEAMS_TRANSCRIPTION_NOTICE.test(line));
+  const firstTurn = lines.findIndex(line => SPEAKER_TIME_LINE.test(line));
+  const header = firstTurn > 0 ? lines.slice(0, firstTurn) : [];
+
+  const turns = [];
+  for (const line of lines.slice(Math.max(firstTurn, 0))) {
+    const match = line.match(SPEAKER_TIME_LINE);
+    if (match) {
+      turns.push({ speaker: match[1].trim(), text: '', start_time: parseClockTime(match[2]), end_time: null });
+    } else if (turns.length > 0 && !/^Transcribed by https?:\/\/otter\.ai/i.test(line)) {
+      const turn = turns[turns.length - 1];
+      turn.text = turn.text ? `${turn.text} ${line}` : line;
+    }
+  }
+
+  return { ...parseHeader(header), turns };
+}
+
+/**
+ * Microsoft Teams DOCX transcript
+ */
+function parseTeamsDocx(text) {
+  const lines = toLines(text).filter(line => !TEAMS_TRANSCRIPTION_NOTICE.test(line));
+  const firstCue = lines.findIndex(line => TEAMS_CUE_LINE.test(line));
+
+  // Newer exports use the "Name   0:03" layout
+  if (firstCue === -1) return parseSpeakerTimeBlocks(text);
+
+  const turns = [];
+  let current = null;
+  for (const line of lines.slice(firstCue)) {
+    const cue = line.match(TEAMS_CUE_LINE);
+    if (cue) {
+      current = { speaker: null, text: '', start_time: parseClockTime(cue[1]), end_time: parseClockTime(cue[2]) };
+      turns.push(current);
+    } else if (current && current.speaker === null) {
+      // First line after the cue is the speaker
+      current.speaker = line;
+    } else if (current) {
+      current.text = current.text ? `${current.text} ${line}` : line;
+    }
+  }
+
+  return { ...parseHeader(lines.slice(0, firstCue)), turns };
+}
+
+/**
+ * Title, meeting date, duration and participants from export header lines
+ *
+ * Otter: "Title" / "Tue, Jul 2, 2024 10:03AM • 45:12" / SUMMARY KEYWORDS / SPEAKERS
+ * Teams: "Title-20240702_100315-Meeting Recording" / "July 2, 2024, 10:03AM" / "45m 12s"
+ */
+function parseHeader(lines) {
+  const header = { title: null, meeting_date: null, duration_seconds: null, participants: [] };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (/^SPEAKERS$/i.test(line) && lines[i + 1]) {
+      header.participants = lines[i + 1].split(',').map(name => name.trim()).filter(Boolean);
+      i++;
+      continue;
+    }
+    if (/^SUMMARY KEYWORDS$/i.test(line)) {
+      i++;
+      continue;
+    }
+
+    const [datePart, durationPart] = line.split('•').map(part => part.trim());
+    const date = parseMeetingDate(datePart);
+    const duration = durationPart ? parseClockTime(durationPart) : parseTeamsDuration(line);
+
+    if (date && !header.meeting_date) {
+      header.meeting_date = date;
+      if (duration !== null) header.duration_seconds = duration;
+    } else if (duration !== null && header.duration_seconds === null) {
+      header.duration_seconds = duration;
+    } else if (!header.title) {
+      // Teams titles carry the recording time: "Weekly sync-20240702_100315-Meeting Recording"
+      const recorded = line.match(/-(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})-Meeting Recording$/i);
+      header.title = recorded ? line.substring(0, recorded.index) : line;
+      if (recorded && !header.meeting_date) {
+        const [, y, mo, d, h, mi, s] = recorded;
+        header.meeting_date = parseMeetingDate(`${y}-${mo}-${d}T${h}:${mi}:${s}`);
+      }
+    }
+  }
+
+  return header;
+}
+
+/**
+ * Teams duration line ("45m 12s", "1h 2m 3s"), in seconds
+ */
+function parseTeamsDuration(line) {
+  const match = line.match(/^(?:(\d+)h\s*)?(?:(\d+)m\s*)?(?:(\d+)s)?$/);
+  if (!match || !line.trim() || (!match[1] && !match[2] && !match[3])) return null;
+  return (parseInt(match[1] || 0) * 3600) + (parseInt(match[2] || 0) * 60) + parseInt(match[3] || 0);
+}
+
+/**
+ * Parse an export's meeting date; dates without a year are ignored, and
+ * times without a timezone are read as UTC
+ * @returns {string|null} ISO timestamp
+ */
+function parseMeetingDate(value) {
+  if (!value || typeof value !== 'string' || !/\d{4}/.test(value)) return null;
+
+  const normalized = value
+    .replace(/^(Meeting started|Date):\s*/i, '')
+    .replace(/^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*,?\s+/i, '')
+    .replace(/,?\s+at\s+/i, ' ')
+    .replace(/(\d)(AM|PM)\b/i, '$1 $2')
+    .trim();
+
+  const zoned = EXPLICIT_TIMEZONE.test(normalized)
+    ? normalized
+    : /^\d{4}-\d{2}-\d{2}T/.test(normalized) ? `${normalized}Z` : `${normalized} UTC`;
+
+  const timestamp = Date.parse(zoned);
+  return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+}
+
+/**
+ * Clean turns, fill missing end times from the next turn, derive duration
+ * and participants when the export header has none
+ */
+function finalizeTranscript(format, transcript) {
+  const turns = transcript.turns
+    .map(turn => ({
+      speaker: turn.speaker ? String(turn.speaker).trim() : null,
+      text: String(turn.text || '').replace(/\s+/g, ' ').trim(),
+      start_time: turn.start_time ?? null,
+      end_time: turn.end_time ?? null
+    }))
+    .filter(turn => turn.text);
+
+  if (turns.length === 0) {
+    throw new Error(`No transcript turns found in ${format} file`);
+  }
+
+  turns.forEach((turn, i) => {
+    if (turn.end_time === null && turn.start_time !== null) {
+      turn.end_time = turns[i + 1]?.start_time ?? turn.start_time;
+    }
+  });
+
+  const lastTime = Math.max(0, ...turns.map(turn => turn.end_time ?? turn.start_time ?? 0));
+  const speakers = [...new Set(turns.map(turn => turn.speaker).filter(Boolean))];
+
+  return {
+    format,
+    title: transcript.title || null,
+    meeting_date: transcript.meeting_date || null,
+    duration_seconds: transcript.duration_seconds ?? (lastTime > 0 ? Math.round(lastTime) : null),
+    participants: transcript.participants?.length > 0 ? transcript.participants : speakers,
+    turns
+  };
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function isDocx(filename, mimetype) {
+  return mimetype === DOCX_MIME_TYPE || /\.docx$/i.test(filename || '');
+}
+
+function toLines(text) {
+  return (text || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/ /g, ' ').trim())
+    .filter(Boolean);
+}
+
+function safeJsonParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
@@ -5,23 +5,40 @@
  *
  * Data Type: 'transcript'
  * Visibility Default: 'coach_only'
- * Chunk Config: 500 words with 50 word overlap
+ * Chunk Config: speaker-labelled transcripts ("Name: text" lines) are chunked
+ *   by speaker turn and sentence within a token budget (transcript-chunker.js);
+ *   other text uses 500 words with 50 word overlap
  *
  * Metadata Schema:
  * - meeting_date: ISO timestamp
+ * - title: string
  * - session_type: 'regular' | 'intake' | 'closure' | 'check-in'
  * - duration_minutes: number
  * - topics: string[]
  * - fireflies_meeting_id: string (if from Fireflies)
+ * - participants: string[] (meeting participants, from an uploaded export)
+ * - speakers: string[] (speaker names, from an uploaded export)
+ * - source_file: {filename, format, turn_count} (if from an uploaded export, see transcript-formats.js)
+ * - sentence_timings: [{start_time, end_time}] one per transcript line, in seconds
+ *   (optional; recorded as chunk start/end times, not stored on the data item)
  */
 
 import { BaseDataProcessor } from './base-processor.js';
+import { chunkTranscript, isSpeakerFormatted } from './transcript-chunker.js';
+import {
+  TRANSCRIPT_CHUNK_MAX_TOKENS,
+  TRANSCRIPT_CHUNK_OVERLAP_TOKENS
+} from '../config/constants.js';
 
 export class TranscriptProcessor extends BaseDataProcessor {
   /**
    * Validate transcript input
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.requireOwners=true] - Require coach_id and client_id
+   *   (bulk uploads may store transcripts without them)
    */
-  validate(rawContent, metadata) {
+  validate(rawContent, metadata, { requireOwners = true } = {}) {
     // Content validation
     if (!rawContent || typeof rawContent !== 'string') {
       throw new Error('Transcript content is required and must be a string');
@@ -37,11 +54,11 @@ export class TranscriptProcessor extends BaseDataProcessor {
     }
 
     // Coach and client IDs are required for transcripts
-    if (!metadata.coach_id) {
+    if (requireOwners && !metadata.coach_id) {
       throw new Error('coach_id is required in metadata for transcripts');
     }
 
-    if (!metadata.client_id) {
+    if (requireOwners && !metadata.client_id) {
       throw new Error('client_id is required in metadata for transcripts');
     }
 
@@ -79,10 +96,14 @@ export class TranscriptProcessor extends BaseDataProcessor {
 
       // Type-specific metadata
       metadata: {
+        title: metadata.title || null,
         session_type: metadata.session_type || 'regular',
         duration_minutes: metadata.duration_minutes || null,
         topics: metadata.topics || [],
         fireflies_meeting_id: metadata.fireflies_meeting_id || null,
+        participants: metadata.participants || null,
+        speakers: metadata.speakers || null,
+        source_file: metadata.source_file || null,
         source: metadata.source || 'manual_upload',
         notes: metadata.notes || null
       },
@@ -102,12 +123,30 @@ export class TranscriptProcessor extends BaseDataProcessor {
   /**
    * Get chunk configuration for transcripts
    *
-   * Uses default 500 words with 50 word overlap for good context retention
+   * Word counts apply to unlabelled text; token budgets to speaker-labelled transcripts
    */
   getChunkConfig() {
     return {
       chunkSize: 500,
-      overlap: 50
+      overlap: 50,
+      maxTokens: TRANSCRIPT_CHUNK_MAX_TOKENS,
+      overlapTokens: TRANSCRIPT_CHUNK_OVERLAP_TOKENS
     };
   }
+
+  /**
+   * Chunk by speaker turn when the transcript has speaker labels,
+   * keeping speakers and times as chunk metadata
+   */
+  chunkContent(text, config, metadata = {}) {
+    if (!isSpeakerFormatted(text)) {
+      return super.chunkContent(text, config);
+    }
+
+    return chunkTranscript(text, {
+      maxTokens: config.maxTokens,
+      overlapTokens: config.overlapTokens,
+      timings: metadata.sentence_timings
+    });
+  }
 }
@@ -6,6 +6,7 @@
  */
 
 import express from 'express';
+import { getEmbeddingCache } from '../embeddings/index.js';
 
 const router = express.Router();
 
@@ -848,10 +849,11 @@ export function createAdminRoutes(supabase, authMiddleware) {
         if (item.client_id) clientIds.add(item.client_id);
       });
 
-      // Get Fireflies sync info
+      // Get Fireflies sync info (meeting rows; cursor rows track sync progress)
       const { data: syncState, error: syncError } = await supabase
         .from('fireflies_sync_state')
         .select('created_at')
+        .eq('record_type', 'meeting')
         .order('created_at', { ascending: false })
         .limit(1);
 
@@ -859,6 +861,7 @@ export function createAdminRoutes(supabase, authMiddleware) {
       const { count: syncedToday } = await supabase
         .from('fireflies_sync_state')
         .select('id', { count: 'exact', head: true })
+        .eq('record_type', 'meeting')
         .gte('created_at', today);
 
       res.json({
@@ -886,11 +889,14 @@ export function createAdminRoutes(supabase, authMiddleware) {
   /**
    * GET /api/admin/data
    * List data items with optional filters
+   *
+   * Query: type, coach_id, client_id, duplicates (true: only items flagged
+   * as near-duplicates at ingest), limit, offset
    */
   router.get('/data', authMiddleware, async (req, res) => {
     try {
       const { auth } = req;
-      const { type, coach_id, client_id, limit = 50, offset = 0 } = req.query;
+      const { type, coach_id, client_id, duplicates, limit = 50, offset = 0 } = req.query;
 
       // Verify user is an admin
       const { data: admin, error: adminError } = await supabase
@@ -915,6 +921,8 @@ export function createAdminRoutes(supabase, authMiddleware) {
           metadata,
           session_date,
           created_at,
+          duplicate_of,
+          duplicate_similarity,
           coach:coaches(id, name),
           client:clients(id, name)
         `, { count: 'exact' });
@@ -922,6 +930,7 @@ export function createAdminRoutes(supabase, authMiddleware) {
       if (type) query = query.eq('data_type', type);
       if (coach_id) query = query.eq('coach_id', coach_id);
       if (client_id) query = query.eq('client_id', client_id);
+      if (duplicates === 'true') query = query.not('duplicate_of', 'is', null);
 
       query = query
         .order('created_at', { ascending: false })
@@ -939,7 +948,10 @@ export function createAdminRoutes(supabase, authMiddleware) {
           session_date: item.session_date,
           created_at: item.created_at,
           coach_name: item.coach?.name,
-          client_name: item.client?.name
+          client_name: item.client?.name,
+          duplicate_of: item.duplicate_of
+            ? { id: item.duplicate_of, similarity: item.duplicate_similarity }
+            : null
         })),
         total: count || 0,
         limit: parseInt(limit),
@@ -995,6 +1007,10 @@ export function createAdminRoutes(supabase, authMiddleware) {
         });
       }
 
+      // Fingerprints are only used for duplicate lookup at ingest
+      delete item.content_minhash;
+      delete item.content_lsh_bands;
+
       // Add computed title
       item.title = item.metadata?.title || item.metadata?.meeting_name || item.metadata?.doc_title || item.metadata?.assessment_type || `${item.data_type} - ${new Date(item.session_date || item.created_at).toLocaleDateString()}`;
       res.json(item);
@@ -1463,6 +1479,7 @@ export function createAdminRoutes(supabase, authMiddleware) {
         .select('id, fireflies_meeting_id, data_item_id, status, created_at')
         .gte('created_at', periodStart.toISOString())
         .lte('created_at', periodEnd.toISOString())
+        .eq('record_type', 'meeting')
         .eq('status', 'synced');
 
       if (syncError) throw syncError;
@@ -1633,6 +1650,7 @@ export function createAdminRoutes(supabase, authMiddleware) {
         .select('id, data_item_id, status, created_at')
         .gte('created_at', periodStart.toISOString())
         .lte('created_at', periodEnd.toISOString())
+        .eq('record_type', 'meeting')
         .eq('status', 'synced');
 
       const totalSynced = syncedItems?.length || 0;
@@ -1844,6 +1862,7 @@ export function createAdminRoutes(supabase, authMiddleware) {
   /**
    * GET /api/admin/analytics/performance
    * Get performance metrics (response times by percentile)
+   * Also reports embedding cache hit/miss counters for this server instance.
    * Query params: days (default 7)
    */
   router.get('/analytics/performance', authMiddleware, async (req, res) => {
@@ -1880,7 +1899,8 @@ export function createAdminRoutes(supabase, authMiddleware) {
         return res.json({
           summary: { p50: 0, p95: 0, p99: 0, max: 0 },
           slowEndpoints: [],
-          hourlyLatency: []
+          hourlyLatency: [],
+          embeddingCache: getEmbeddingCache().getStats()
         });
       }
 
@@ -1936,7 +1956,8 @@ export function createAdminRoutes(supabase, authMiddleware) {
       res.json({
         summary: { p50, p95, p99, max },
         slowEndpoints,
-        hourlyLatency
+        hourlyLatency,
+        embeddingCache: getEmbeddingCache().getStats()
       });
 
     } catch (error) {
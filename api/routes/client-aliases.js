@@ -0,0 +1,210 @@
+/**
+ * Client Alias Routes
+ *
+ * Admin endpoints for the alternate emails and names that match a client in
+ * synced meetings (see api/matching/client-aliases.js). Aliases are mostly
+ * learned from pending transcript assignments; admins can review them, add
+ * their own and delete wrong ones. Admins manage clients of their company
+ * (via coach assignments); super admins any client.
+ */
+
+import express from 'express';
+import { CLIENT_ALIAS_TYPES, validateClientAlias, addClientAlias } from '../matching/index.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Look up the caller's admin record
+ * @returns {Promise<{admin: Object|null, status: number|null, body: Object|null}>}
+ *   admin, or the 403 response to send
+ */
+async function checkAdmin(supabase, auth) {
+  const { data: admin, error: adminError } = await supabase
+    .from('admins')
+    .select('id, coaching_company_id, role')
+    .eq('id', auth.userId)
+    .single();
+
+  if (adminError || !admin) {
+    return { admin: null, status: 403, body: { error: 'Forbidden', message: 'Admin access required' } };
+  }
+
+  return { admin, status: null, body: null };
+}
+
+/**
+ * Load a client the admin may manage
+ * @returns {Promise<Object|null>} Client, or null if missing or outside the admin's company
+ */
+async function loadClient(supabase, admin, clientId) {
+  if (!UUID_PATTERN.test(clientId || '')) return null;
+
+  const { data: client } = await supabase
+    .from('clients')
+    .select('id, name, email, coach_clients(coach:coaches(coaching_company_id))')
+    .eq('id', clientId)
+    .maybeSingle();
+
+  if (!client) return null;
+
+  const inCompany = admin.role === 'super_admin' || client.coach_clients?.some(cc =>
+    cc.coach?.coaching_company_id === admin.coaching_company_id
+  );
+  if (!inCompany) return null;
+
+  const { coach_clients, ...fields } = client;
+  return fields;
+}
+
+function clientNotFound(res) {
+  return res.status(404).json({
+    error: 'Not found',
+    message: 'Client not found'
+  });
+}
+
+/**
+ * Create client alias routes
+ * @param {Object} supabase - Supabase client
+ * @param {Function} authMiddleware - Authentication middleware
+ * @returns {express.Router} Express router with client alias routes
+ */
+export function createClientAliasRoutes(supabase, authMiddleware) {
+  const router = express.Router();
+
+  /**
+   * GET /api/admin/client-aliases?client_id=<id>
+   * A client's aliases, most used first
+   */
+  router.get('/', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth);
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      if (!req.query.client_id) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: 'client_id is required'
+        });
+      }
+
+      const client = await loadClient(supabase, check.admin, req.query.client_id);
+      if (!client) return clientNotFound(res);
+
+      const { data: aliases, error } = await supabase
+        .from('client_aliases')
+        .select('*')
+        .eq('client_id', client.id)
+        .order('times_matched', { ascending: false });
+
+      if (error) throw error;
+
+      res.json({
+        client,
+        aliases: aliases || [],
+        total: aliases?.length || 0
+      });
+
+    } catch (error) {
+      console.error('Error listing client aliases:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/client-aliases
+   * Add an alias by hand
+   *
+   * Body: { client_id, alias_type (email | display_name | speaker_name), alias }
+   */
+  router.post('/', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth);
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const validationError = validateClientAlias(req.body || {});
+      if (validationError) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: validationError,
+          alias_types: CLIENT_ALIAS_TYPES
+        });
+      }
+
+      const client = await loadClient(supabase, check.admin, req.body.client_id);
+      if (!client) return clientNotFound(res);
+
+      const { alias, duplicate } = await addClientAlias(supabase, {
+        clientId: client.id,
+        aliasType: req.body.alias_type,
+        alias: req.body.alias,
+        createdBy: check.admin.id
+      });
+
+      if (duplicate) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `${client.name} already has this ${req.body.alias_type} alias`
+        });
+      }
+
+      res.status(201).json({
+        message: 'Client alias added',
+        alias
+      });
+
+    } catch (error) {
+      console.error('Error adding client alias:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/client-aliases/:id
+   * Remove a wrong alias (e.g. learned from a meeting someone else joined)
+   */
+  router.delete('/:id', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth);
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const { data: alias } = UUID_PATTERN.test(req.params.id)
+        ? await supabase.from('client_aliases').select('*').eq('id', req.params.id).maybeSingle()
+        : { data: null };
+
+      if (!alias || !(await loadClient(supabase, check.admin, alias.client_id))) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'Client alias not found'
+        });
+      }
+
+      const { error } = await supabase
+        .from('client_aliases')
+        .delete()
+        .eq('id', alias.id);
+
+      if (error) throw error;
+
+      res.json({
+        message: 'Client alias deleted',
+        alias
+      });
+
+    } catch (error) {
+      console.error('Error deleting client alias:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,364 @@
+/**
+ * Embedding Migration Routes
+ *
+ * Admin endpoints for re-embedding data_chunks with a new embedding model
+ * (see api/embeddings/reembedding.js for the lifecycle).
+ * Any admin can view progress; starting and changing jobs requires super_admin.
+ */
+
+import express from 'express';
+import { REEMBED_MAX_BATCHES_PER_REQUEST } from '../config/constants.js';
+import {
+  ACTIVE_MIGRATION_STATUSES,
+  RUNNABLE_MIGRATION_STATUSES,
+  EmbeddingMigrationRunner,
+  validateMigrationTarget
+} from '../embeddings/index.js';
+
+const router = express.Router();
+
+/** Most batches a single /run request may ask for */
+const MAX_BATCHES_PER_REQUEST_LIMIT = 50;
+
+/**
+ * Look up the caller's admin record
+ * @returns {Promise<{admin: Object|null, status: number|null, body: Object|null}>}
+ *   admin, or the 403 response to send
+ */
+async function checkAdmin(supabase, auth, { superAdmin = false } = {}) {
+  const { data: admin, error: adminError } = await supabase
+    .from('admins')
+    .select('coaching_company_id, role')
+    .eq('id', auth.userId)
+    .single();
+
+  if (adminError || !admin) {
+    return { admin: null, status: 403, body: { error: 'Forbidden', message: 'Admin access required' } };
+  }
+
+  if (superAdmin && admin.role !== 'super_admin') {
+    return {
+      admin: null,
+      status: 403,
+      body: { error: 'Forbidden', message: 'Super admin access required to manage embedding migrations' }
+    };
+  }
+
+  return { admin, status: null, body: null };
+}
+
+/**
+ * Create embedding migration routes
+ * @param {Object} supabase - Supabase client
+ * @param {Function} authMiddleware - Authentication middleware
+ * @param {Object} [options] - Optional dependencies
+ * @param {Object} [options.openai] - OpenAI client for openai embedding providers
+ * @param {Object} [options.expenseTracker] - APIExpenseTracker for embedding spend
+ * @returns {express.Router} Express router with embedding migration routes
+ */
+export function createEmbeddingMigrationRoutes(supabase, authMiddleware, options = {}) {
+  const runner = new EmbeddingMigrationRunner(supabase, {
+    openai: options.openai,
+    expenseTracker: options.expenseTracker
+  });
+
+  /**
+   * Load a migration by :id, sending 404 if missing
+   * @returns {Promise<Object|null>} Migration row, or null once the response is sent
+   */
+  async function loadMigration(req, res) {
+    const migration = await runner.getMigration(req.params.id);
+    if (!migration) {
+      res.status(404).json({
+        error: 'Not found',
+        message: 'Embedding migration not found'
+      });
+      return null;
+    }
+    return migration;
+  }
+
+  function conflict(res, migration, action) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `Embedding migration is ${migration.status} and cannot be ${action}`
+    });
+  }
+
+  /**
+   * GET /api/admin/embedding-migrations
+   * List recent migrations with progress for the active one
+   */
+  router.get('/', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth);
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const migrations = await runner.listMigrations();
+      const active = migrations.find(m => ACTIVE_MIGRATION_STATUSES.includes(m.status));
+
+      res.json({
+        migrations,
+        active: active ? await runner.getProgress(active) : null,
+        total: migrations.length
+      });
+
+    } catch (error) {
+      console.error('Error listing embedding migrations:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/admin/embedding-migrations/:id
+   * Progress for one migration: processed/remaining counts, rate, ETA
+   */
+  router.get('/:id', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth);
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const migration = await loadMigration(req, res);
+      if (!migration) return;
+
+      res.json({
+        migration: await runner.getProgress(migration)
+      });
+
+    } catch (error) {
+      console.error('Error getting embedding migration:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/embedding-migrations
+   * Start a migration from the configured provider to a new one
+   *
+   * Body: { provider, model?, dimensions?, batch_size?, dual_read? }
+   */
+  router.post('/', authMiddleware, async (req, res) => {
+    try {
+      const { auth } = req;
+      const check = await checkAdmin(supabase, auth, { superAdmin: true });
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const { provider, model, dimensions, batch_size, dual_read } = req.body || {};
+
+      const { error: targetError } = validateMigrationTarget({ provider, model, dimensions }, options.openai);
+      if (targetError) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: targetError
+        });
+      }
+
+      if (batch_size !== undefined && (!Number.isInteger(batch_size) || batch_size < 1 || batch_size > 1000)) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: 'batch_size must be an integer between 1 and 1000'
+        });
+      }
+
+      const active = await runner.getActiveMigration();
+      if (active) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Embedding migration ${active.id} is already ${active.status}; complete or cancel it first`
+        });
+      }
+
+      const migration = await runner.create({
+        provider,
+        model,
+        dimensions,
+        batchSize: batch_size,
+        dualRead: dual_read !== false,
+        createdBy: auth.userId
+      });
+
+      res.status(201).json({
+        migration: await runner.getProgress(migration)
+      });
+
+    } catch (error) {
+      console.error('Error creating embedding migration:', error);
+      // Unique index allows one active migration
+      if (error.code === '23505') {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'Another embedding migration is already active'
+        });
+      }
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/embedding-migrations/:id/run
+   * Run up to max_batches batches from the checkpoint, then return progress.
+   * Call repeatedly (or use scripts/reembed-chunks.js) until status is backfilled.
+   *
+   * Body: { max_batches? }
+   */
+  router.post('/:id/run', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth, { superAdmin: true });
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const migration = await loadMigration(req, res);
+      if (!migration) return;
+
+      if (!RUNNABLE_MIGRATION_STATUSES.includes(migration.status)) {
+        return conflict(res, migration, 'run');
+      }
+
+      const maxBatches = Math.min(
+        Math.max(1, parseInt(req.body?.max_batches) || REEMBED_MAX_BATCHES_PER_REQUEST),
+        MAX_BATCHES_PER_REQUEST_LIMIT
+      );
+
+      let batches = 0;
+      let processed = 0;
+      let failed = 0;
+      const updated = await runner.run(migration.id, {
+        maxBatches,
+        onBatch: result => {
+          batches++;
+          processed += result.processed;
+          failed += result.failed;
+        }
+      });
+
+      res.json({
+        migration: await runner.getProgress(updated),
+        run: {
+          batches,
+          chunks_processed: processed,
+          chunks_failed: failed
+        }
+      });
+
+    } catch (error) {
+      console.error('Error running embedding migration:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/embedding-migrations/:id/pause
+   * Stop after the batch in flight; resume with /run
+   */
+  router.post('/:id/pause', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth, { superAdmin: true });
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const migration = await loadMigration(req, res);
+      if (!migration) return;
+
+      if (!['pending', 'running'].includes(migration.status)) {
+        return conflict(res, migration, 'paused');
+      }
+
+      res.json({
+        migration: await runner.getProgress(await runner.pause(migration.id))
+      });
+
+    } catch (error) {
+      console.error('Error pausing embedding migration:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/embedding-migrations/:id/cancel
+   * Abandon the migration and clear the re-embedded vectors
+   */
+  router.post('/:id/cancel', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth, { superAdmin: true });
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const migration = await loadMigration(req, res);
+      if (!migration) return;
+
+      if (!ACTIVE_MIGRATION_STATUSES.includes(migration.status) && migration.status !== 'failed') {
+        return conflict(res, migration, 'cancelled');
+      }
+
+      res.json({
+        migration: await runner.cancel(migration.id)
+      });
+
+    } catch (error) {
+      console.error('Error cancelling embedding migration:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/embedding-migrations/:id/complete
+   * Swap the re-embedded vectors into data_chunks.embedding.
+   * Deploy with EMBEDDING_PROVIDER/EMBEDDING_MODEL set to the target first
+   * (progress reports configured_provider.matches_target).
+   */
+  router.post('/:id/complete', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth, { superAdmin: true });
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const migration = await loadMigration(req, res);
+      if (!migration) return;
+
+      if (migration.status !== 'backfilled') {
+        return conflict(res, migration, 'completed');
+      }
+
+      const progress = await runner.getProgress(migration);
+      if (progress.remaining_chunks > 0) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `${progress.remaining_chunks} chunks have no ${migration.target_model} embedding yet; run the migration again first`
+        });
+      }
+
+      const { migration: completed, swapped } = await runner.complete(migration.id);
+
+      res.json({
+        migration: completed,
+        chunks_swapped: swapped,
+        ...(!progress.configured_provider.matches_target && {
+          warning: `This server still embeds queries with ${progress.configured_provider.model}; set EMBEDDING_PROVIDER/EMBEDDING_MODEL to the target and redeploy`
+        })
+      });
+
+    } catch (error) {
+      console.error('Error completing embedding migration:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
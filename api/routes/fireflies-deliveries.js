@@ -0,0 +1,213 @@
+/**
+ * Fireflies Webhook Delivery Routes
+ *
+ * Admin endpoints for stored Fireflies webhook deliveries (see
+ * api/integrations/fireflies-webhook-queue.js): list deliveries, inspect a
+ * payload and its error history, replay failed deliveries and retry the ones
+ * whose backoff has elapsed. Any admin can view deliveries; replaying
+ * requires super_admin.
+ */
+
+import express from 'express';
+import { FIREFLIES_WEBHOOK_MAX_RETRIES_PER_RUN } from '../config/constants.js';
+import {
+  FIREFLIES_DELIVERY_STATUSES,
+  REPLAYABLE_DELIVERY_STATUSES
+} from '../integrations/fireflies-webhook-queue.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Look up the caller's admin record
+ * @returns {Promise<{admin: Object|null, status: number|null, body: Object|null}>}
+ *   admin, or the 403 response to send
+ */
+async function checkAdmin(supabase, auth, { superAdmin = false } = {}) {
+  const { data: admin, error: adminError } = await supabase
+    .from('admins')
+    .select('coaching_company_id, role')
+    .eq('id', auth.userId)
+    .single();
+
+  if (adminError || !admin) {
+    return { admin: null, status: 403, body: { error: 'Forbidden', message: 'Admin access required' } };
+  }
+
+  if (superAdmin && admin.role !== 'super_admin') {
+    return {
+      admin: null,
+      status: 403,
+      body: { error: 'Forbidden', message: 'Super admin access required to replay webhook deliveries' }
+    };
+  }
+
+  return { admin, status: null, body: null };
+}
+
+/**
+ * Create Fireflies webhook delivery routes
+ * @param {Object} supabase - Supabase client
+ * @param {Function} authMiddleware - Authentication middleware
+ * @param {Object} options
+ * @param {FirefliesWebhookQueue} options.queue - Queue the webhook stores deliveries in
+ * @returns {express.Router} Express router with delivery routes
+ */
+export function createFirefliesDeliveryRoutes(supabase, authMiddleware, options = {}) {
+  const { queue } = options;
+  const router = express.Router();
+
+  /**
+   * Load a delivery by :id, sending 404 if missing
+   * @returns {Promise<Object|null>} Delivery row, or null once the response is sent
+   */
+  async function loadDelivery(req, res) {
+    const delivery = UUID_PATTERN.test(req.params.id) ? await queue.getDelivery(req.params.id) : null;
+    if (!delivery) {
+      res.status(404).json({
+        error: 'Not found',
+        message: 'Webhook delivery not found'
+      });
+      return null;
+    }
+    return delivery;
+  }
+
+  /**
+   * GET /api/admin/fireflies/deliveries
+   * Recent deliveries with counts by status
+   *
+   * Query: status (received | processing | succeeded | ignored | retrying | failed),
+   *        meeting_id, limit (1-200, default 50)
+   */
+  router.get('/', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth);
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const { status, meeting_id, limit } = req.query;
+
+      if (status && !FIREFLIES_DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: `status must be one of: ${FIREFLIES_DELIVERY_STATUSES.join(', ')}`
+        });
+      }
+
+      const deliveries = await queue.listDeliveries({
+        status,
+        meetingId: meeting_id,
+        limit: Math.min(Math.max(1, parseInt(limit) || 50), 200)
+      });
+
+      res.json({
+        deliveries,
+        total: deliveries.length,
+        counts: await queue.countByStatus()
+      });
+
+    } catch (error) {
+      console.error('Error listing webhook deliveries:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/fireflies/deliveries/work
+   * Retry up to max_deliveries deliveries whose backoff has elapsed.
+   * The polling sync does this too; call it to retry sooner.
+   *
+   * Body: { max_deliveries? }
+   */
+  router.post('/work', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth, { superAdmin: true });
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const maxDeliveries = Math.min(
+        Math.max(1, parseInt(req.body?.max_deliveries) || FIREFLIES_WEBHOOK_MAX_RETRIES_PER_RUN),
+        FIREFLIES_WEBHOOK_MAX_RETRIES_PER_RUN * 5
+      );
+
+      const deliveries = await queue.retryDue({ maxDeliveries });
+
+      res.json({
+        retried: deliveries.length,
+        deliveries
+      });
+
+    } catch (error) {
+      console.error('Error retrying webhook deliveries:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/admin/fireflies/deliveries/:id
+   * Delivery with its payload and error history
+   */
+  router.get('/:id', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth);
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const delivery = await loadDelivery(req, res);
+      if (!delivery) return;
+
+      res.json(delivery);
+
+    } catch (error) {
+      console.error('Error fetching webhook delivery:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/fireflies/deliveries/:id/replay
+   * Process a retrying or failed delivery again now, with fresh retry attempts.
+   * A meeting that has been stored meanwhile is not stored twice
+   * (the delivery succeeds with outcome already_processed).
+   */
+  router.post('/:id/replay', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth, { superAdmin: true });
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const delivery = await loadDelivery(req, res);
+      if (!delivery) return;
+
+      if (!REPLAYABLE_DELIVERY_STATUSES.includes(delivery.status)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Only deliveries with status ${REPLAYABLE_DELIVERY_STATUSES.join(' or ')} can be replayed (this one is ${delivery.status})`
+        });
+      }
+
+      const { delivery: replayed, result, error } = await queue.replay(delivery);
+
+      res.json({
+        message: error ? 'Replay failed' : 'Delivery replayed successfully',
+        delivery: replayed,
+        result: result?.response || null,
+        error
+      });
+
+    } catch (error) {
+      console.error('Error replaying webhook delivery:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,529 @@
+/**
+ * Fireflies Review Queue Routes
+ *
+ * Admin endpoints for transcripts no coach matched (see
+ * api/integrations/fireflies-review-queue.js): page and filter the queue
+ * with suggested coaches and clients, then assign transcripts (one coach
+ * each, or one coach for many), discard internal meetings, or snooze them.
+ * Every decision is recorded with the admin and is listed at /decisions.
+ *
+ * Admins assign to coaches and clients of their company; super admins to
+ * any. Bulk requests take up to FIREFLIES_REVIEW_MAX_BULK transcripts and
+ * answer with a result per transcript.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import {
+  FIREFLIES_REVIEW_PAGE_SIZE,
+  FIREFLIES_REVIEW_MAX_PAGE_SIZE,
+  FIREFLIES_REVIEW_MAX_BULK,
+  FIREFLIES_REVIEW_DEFAULT_SNOOZE_HOURS,
+  FIREFLIES_REVIEW_MAX_SNOOZE_DAYS
+} from '../config/constants.js';
+import { assignPendingTranscript } from '../integrations/fireflies.js';
+import {
+  REVIEW_QUEUE_VIEWS,
+  loadSuggestionCandidates,
+  listReviewQueue,
+  countReviewQueue,
+  getReviewItem,
+  recordReviewDecision,
+  listReviewDecisions,
+  discardPendingTranscript,
+  snoozePendingTranscript,
+  releaseStaleClaims
+} from '../integrations/fireflies-review-queue.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const REVIEW_ACTIONS = ['assign', 'discard', 'snooze', 'unsnooze'];
+
+// Per-transcript result of a bulk discard, snooze or unsnooze
+const RESULT_STATUSES = { discard: 'discarded', snooze: 'snoozed', unsnooze: 'unsnoozed' };
+
+const NOT_PENDING_MESSAGE = 'Transcript was already reviewed or is being assigned';
+
+/**
+ * Look up the caller's admin record
+ * @returns {Promise<{admin: Object|null, status: number|null, body: Object|null}>}
+ *   admin, or the 403 response to send
+ */
+async function checkAdmin(supabase, auth) {
+  const { data: admin, error: adminError } = await supabase
+    .from('admins')
+    .select('id, coaching_company_id, role')
+    .eq('id', auth.userId)
+    .single();
+
+  if (adminError || !admin) {
+    return { admin: null, status: 403, body: { error: 'Forbidden', message: 'Admin access required' } };
+  }
+
+  return { admin, status: null, body: null };
+}
+
+/**
+ * Transcript IDs of a bulk request
+ * @param {*} ids - Request body ids
+ * @returns {{ids: Array<string>|null, message: string|null}} ids, or why they are invalid
+ */
+function parseIds(ids) {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return { ids: null, message: 'ids must be a non-empty array of pending transcript IDs' };
+  }
+  if (ids.length > FIREFLIES_REVIEW_MAX_BULK) {
+    return { ids: null, message: `At most ${FIREFLIES_REVIEW_MAX_BULK} transcripts per request` };
+  }
+  if (!ids.every(id => UUID_PATTERN.test(id))) {
+    return { ids: null, message: 'ids must be pending transcript IDs' };
+  }
+  return { ids: [...new Set(ids)], message: null };
+}
+
+function badRequest(res, message) {
+  return res.status(400).json({
+    error: 'Bad request',
+    message
+  });
+}
+
+/**
+ * Pending transcripts by ID
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function loadPending(supabase, ids) {
+  const { data, error } = await supabase
+    .from('fireflies_pending')
+    .select('*')
+    .in('id', ids);
+
+  if (error) throw new Error(`Failed to load pending transcripts: ${error.message}`);
+  return new Map((data || []).map(row => [row.id, row]));
+}
+
+/**
+ * Summary of per-transcript results
+ * @param {Array<{status: string}>} results
+ * @returns {Object} Count per result status
+ */
+function countResults(results) {
+  const counts = {};
+  for (const { status } of results) {
+    counts[status] = (counts[status] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Create Fireflies review queue routes
+ * @param {Object} supabase - Supabase client
+ * @param {Function} authMiddleware - Authentication middleware
+ * @param {Object} options
+ * @param {Object} options.openai - OpenAI client (embedding assigned transcripts)
+ * @param {Object} [options.expenseTracker] - Tracks LLM session type classification
+ * @returns {express.Router} Express router with review queue routes
+ */
+export function createFirefliesReviewRoutes(supabase, authMiddleware, options = {}) {
+  const deps = { supabase, openai: options.openai, expenseTracker: options.expenseTracker || null };
+  const router = express.Router();
+
+  /**
+   * Coach (and client) a transcript may be assigned to by this admin
+   * @returns {Promise<{coach: Object|null, client: Object|null, message: string|null}>}
+   *   message when either is missing or outside the admin's company
+   */
+  async function loadAssignee(admin, coachId, clientId) {
+    const { data: coach } = UUID_PATTERN.test(coachId || '')
+      ? await supabase.from('coaches').select('id, name, email, coaching_company_id').eq('id', coachId).maybeSingle()
+      : { data: null };
+
+    if (!coach || (admin.role !== 'super_admin' && coach.coaching_company_id !== admin.coaching_company_id)) {
+      return { coach: null, client: null, message: 'Coach not found' };
+    }
+
+    if (!clientId) return { coach, client: null, message: null };
+
+    const { data: client } = UUID_PATTERN.test(clientId)
+      ? await supabase
+        .from('clients')
+        .select('id, name, email, client_organization_id, coach_clients(coach:coaches(coaching_company_id))')
+        .eq('id', clientId)
+        .maybeSingle()
+      : { data: null };
+
+    const inCompany = client && (admin.role === 'super_admin' || client.coach_clients?.some(cc =>
+      cc.coach?.coaching_company_id === admin.coaching_company_id
+    ));
+    if (!inCompany) return { coach, client: null, message: 'Client not found' };
+
+    const { coach_clients, ...fields } = client;
+    return { coach, client: fields, message: null };
+  }
+
+  /**
+   * GET /api/admin/fireflies/pending
+   * A page of the review queue with suggested coaches and clients
+   *
+   * Query: status (pending | snoozed | processed | discarded, default pending),
+   *        coach_id (suggested coach; assigned coach for processed),
+   *        from, to (meeting date, YYYY-MM-DD), page, limit (1-100, default 25)
+   */
+  router.get('/', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth);
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const { status = 'pending', coach_id, from, to } = req.query;
+
+      if (!REVIEW_QUEUE_VIEWS.includes(status)) {
+        return badRequest(res, `status must be one of: ${REVIEW_QUEUE_VIEWS.join(', ')}`);
+      }
+      if (coach_id && !UUID_PATTERN.test(coach_id)) {
+        return badRequest(res, 'coach_id must be a coach ID');
+      }
+      if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+        return badRequest(res, 'from and to must be dates (YYYY-MM-DD)');
+      }
+
+      const page = Math.max(1, parseInt(req.query.page) || 1);
+      const limit = Math.min(Math.max(1, parseInt(req.query.limit) || FIREFLIES_REVIEW_PAGE_SIZE), FIREFLIES_REVIEW_MAX_PAGE_SIZE);
+
+      // Interrupted assignments show up as pending again
+      await releaseStaleClaims(supabase);
+
+      const candidates = await loadSuggestionCandidates(supabase, check.admin);
+      const { items, total, truncated } = await listReviewQueue(supabase, {
+        view: status,
+        coachId: coach_id,
+        from,
+        to,
+        page,
+        limit,
+        candidates
+      });
+
+      res.json({
+        items,
+        total,
+        page,
+        limit,
+        total_pages: Math.ceil(total / limit),
+        truncated,
+        counts: await countReviewQueue(supabase),
+        // Who the admin may assign to (for the review form)
+        coaches: candidates.coaches.map(({ id, name, email }) => ({ id, name, email })),
+        clients: candidates.clients.map(({ id, name, email, primary_coach_id }) => ({ id, name, email, primary_coach_id }))
+      });
+
+    } catch (error) {
+      console.error('Error listing review queue:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/admin/fireflies/pending/decisions
+   * Review decisions, newest first
+   *
+   * Query: pending_id, admin_id, action (assign | discard | snooze | unsnooze),
+   *        limit (1-500, default 100)
+   */
+  router.get('/decisions', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth);
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const { pending_id, admin_id, action, limit } = req.query;
+
+      if (action && !REVIEW_ACTIONS.includes(action)) {
+        return badRequest(res, `action must be one of: ${REVIEW_ACTIONS.join(', ')}`);
+      }
+      if ((pending_id && !UUID_PATTERN.test(pending_id)) || (admin_id && !UUID_PATTERN.test(admin_id))) {
+        return badRequest(res, 'pending_id and admin_id must be IDs');
+      }
+
+      const decisions = await listReviewDecisions(supabase, {
+        pendingId: pending_id,
+        adminId: admin_id,
+        action,
+        limit: Math.min(Math.max(1, parseInt(limit) || 100), 500)
+      });
+
+      res.json({
+        decisions,
+        total: decisions.length
+      });
+
+    } catch (error) {
+      console.error('Error listing review decisions:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/admin/fireflies/pending/:id
+   * A pending transcript with a preview, suggestions and its decisions
+   */
+  router.get('/:id', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth);
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const item = UUID_PATTERN.test(req.params.id)
+        ? await getReviewItem(supabase, req.params.id, await loadSuggestionCandidates(supabase, check.admin))
+        : null;
+
+      if (!item) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'Pending transcript not found'
+        });
+      }
+
+      res.json({ item });
+
+    } catch (error) {
+      console.error('Error loading pending transcript:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/fireflies/pending/assign
+   * Store transcripts under a coach (and optionally a client)
+   *
+   * Body: { items: [{ id, coach_id, client_id? }] }
+   *    or { ids, coach_id, client_id? } (same coach and client for all)
+   *
+   * Transcripts are stored one after another; a failure doesn't stop the rest.
+   */
+  router.post('/assign', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth);
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const body = req.body || {};
+      const requested = Array.isArray(body.items)
+        ? body.items
+        : (Array.isArray(body.ids) ? body.ids.map(id => ({ id, coach_id: body.coach_id, client_id: body.client_id })) : []);
+
+      const { ids, message } = parseIds(requested.map(item => item?.id));
+      if (!ids) return badRequest(res, message);
+      if (!requested.every(item => item.coach_id)) {
+        return badRequest(res, 'coach_id is required for every transcript');
+      }
+
+      // A transcript listed twice is assigned as last listed
+      const assignments = new Map(requested.map(item => [item.id, item]));
+      const pendingById = await loadPending(supabase, ids);
+      const batchId = crypto.randomUUID();
+      const results = [];
+
+      for (const { id, coach_id, client_id } of assignments.values()) {
+        const pending = pendingById.get(id);
+        if (!pending) {
+          results.push({ id, status: 'not_found', error: 'Pending transcript not found' });
+          continue;
+        }
+
+        const { coach, client, message: assigneeError } = await loadAssignee(check.admin, coach_id, client_id);
+        if (assigneeError) {
+          results.push({ id, status: 'invalid', error: assigneeError });
+          continue;
+        }
+
+        try {
+          const assigned = await assignPendingTranscript(deps, pending, { coach, client, adminId: check.admin.id });
+
+          await recordReviewDecision(supabase, {
+            pending,
+            action: 'assign',
+            adminId: check.admin.id,
+            batchId,
+            coachId: coach.id,
+            clientId: client?.id || null,
+            dataItemId: assigned.data_item_id,
+            details: {
+              session_type: assigned.session_type,
+              client_suggestions: pending.transcript_data?.client_suggestions || [],
+              ...(assigned.duplicate_of && { duplicate_of: assigned.duplicate_of.id })
+            }
+          });
+
+          results.push({
+            id,
+            status: 'assigned',
+            coach: coach.name,
+            client: client?.name || null,
+            ...assigned
+          });
+        } catch (error) {
+          console.error(`[Fireflies] Review assign failed for ${pending.meeting_id}:`, error.message);
+          results.push({ id, status: error.conflict ? 'conflict' : 'failed', error: error.message });
+        }
+      }
+
+      res.json({
+        batch_id: batchId,
+        results,
+        summary: countResults(results)
+      });
+
+    } catch (error) {
+      console.error('Error assigning pending transcripts:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * Apply a state change to each transcript of a bulk request and record it
+   *
+   * @param {Object} admin - Deciding admin
+   * @param {Array<string>} ids - Validated transcript IDs
+   * @param {string} action - Decision action
+   * @param {Function} apply - (pending) => updated row, or null when no longer pending
+   * @param {Object} [decision] - Extra recordReviewDecision() fields
+   * @returns {Promise<Object>} { batch_id, results, summary }
+   */
+  async function applyToEach(admin, ids, action, apply, decision = {}) {
+    const pendingById = await loadPending(supabase, ids);
+    const batchId = crypto.randomUUID();
+    const results = [];
+
+    for (const id of ids) {
+      const pending = pendingById.get(id);
+      if (!pending) {
+        results.push({ id, status: 'not_found', error: 'Pending transcript not found' });
+        continue;
+      }
+
+      const updated = await apply(pending);
+      if (!updated) {
+        results.push({ id, status: 'conflict', error: NOT_PENDING_MESSAGE });
+        continue;
+      }
+
+      await recordReviewDecision(supabase, { pending, action, adminId: admin.id, batchId, ...decision });
+      results.push({ id, status: RESULT_STATUSES[action], snoozed_until: updated.snoozed_until || null });
+    }
+
+    return { batch_id: batchId, results, summary: countResults(results) };
+  }
+
+  /**
+   * POST /api/admin/fireflies/pending/discard
+   * Mark transcripts as internal meetings: they are never stored
+   *
+   * Body: { ids, reason? }
+   */
+  router.post('/discard', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth);
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const { ids, message } = parseIds(req.body?.ids);
+      if (!ids) return badRequest(res, message);
+
+      const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() || null : null;
+
+      res.json(await applyToEach(check.admin, ids, 'discard',
+        pending => discardPendingTranscript(supabase, pending.id, { adminId: check.admin.id, reason }),
+        { reason }
+      ));
+
+    } catch (error) {
+      console.error('Error discarding pending transcripts:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/fireflies/pending/snooze
+   * Hide transcripts from the queue until a time
+   *
+   * Body: { ids, hours? (default 24) | until? (ISO timestamp), reason? }
+   * At most FIREFLIES_REVIEW_MAX_SNOOZE_DAYS ahead.
+   */
+  router.post('/snooze', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth);
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const { ids, message } = parseIds(req.body?.ids);
+      if (!ids) return badRequest(res, message);
+
+      const { hours, until } = req.body;
+      const snoozedUntil = until
+        ? new Date(until)
+        : new Date(Date.now() + (hours ?? FIREFLIES_REVIEW_DEFAULT_SNOOZE_HOURS) * HOUR_MS);
+
+      const maxUntil = Date.now() + FIREFLIES_REVIEW_MAX_SNOOZE_DAYS * 24 * HOUR_MS;
+      if (isNaN(snoozedUntil.getTime()) || snoozedUntil.getTime() <= Date.now() || snoozedUntil.getTime() > maxUntil) {
+        return badRequest(res, `Snooze must end in the future and within ${FIREFLIES_REVIEW_MAX_SNOOZE_DAYS} days`);
+      }
+
+      const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() || null : null;
+
+      res.json(await applyToEach(check.admin, ids, 'snooze',
+        pending => snoozePendingTranscript(supabase, pending.id, snoozedUntil.toISOString()),
+        { snoozedUntil: snoozedUntil.toISOString(), reason }
+      ));
+
+    } catch (error) {
+      console.error('Error snoozing pending transcripts:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/fireflies/pending/unsnooze
+   * Return snoozed transcripts to the queue now
+   *
+   * Body: { ids }
+   */
+  router.post('/unsnooze', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth);
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const { ids, message } = parseIds(req.body?.ids);
+      if (!ids) return badRequest(res, message);
+
+      res.json(await applyToEach(check.admin, ids, 'unsnooze',
+        pending => snoozePendingTranscript(supabase, pending.id, null)
+      ));
+
+    } catch (error) {
+      console.error('Error unsnoozing pending transcripts:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,218 @@
+/**
+ * Ingestion Job Routes
+ *
+ * Admin endpoints for the asynchronous upload queue (see
+ * api/jobs/ingestion-queue.js): list jobs, inspect per-item status, retry
+ * failed items and run the worker on serverless deployments.
+ * Admins see jobs of their own company; super admins see all jobs.
+ *
+ * On Vercel nothing works the queue in-process: the Ingestion Worker GitHub
+ * Actions workflow calls POST /work on a schedule with the x-worker-secret
+ * header (INGESTION_WORKER_SECRET) instead of an admin session.
+ */
+
+import express from 'express';
+import { INGESTION_MAX_JOBS_PER_REQUEST } from '../config/constants.js';
+import { INGESTION_JOB_STATUSES, RETRYABLE_JOB_STATUSES } from '../jobs/index.js';
+
+/**
+ * Look up the caller's admin record
+ * @returns {Promise<{admin: Object|null, status: number|null, body: Object|null}>}
+ *   admin, or the 403 response to send
+ */
+async function checkAdmin(supabase, auth) {
+  const { data: admin, error: adminError } = await supabase
+    .from('admins')
+    .select('coaching_company_id, role')
+    .eq('id', auth.userId)
+    .single();
+
+  if (adminError || !admin) {
+    return { admin: null, status: 403, body: { error: 'Forbidden', message: 'Admin access required' } };
+  }
+
+  return { admin, status: null, body: null };
+}
+
+/**
+ * Create ingestion job routes
+ * @param {Object} supabase - Supabase client
+ * @param {Function} authMiddleware - Authentication middleware
+ * @param {Object} options
+ * @param {Object} options.queue - IngestionJobQueue
+ * @param {boolean} [options.drainInBackground] - Process retried jobs in this process (long-lived servers)
+ * @returns {express.Router} Express router with ingestion job routes
+ */
+export function createIngestionJobRoutes(supabase, authMiddleware, options = {}) {
+  const { queue } = options;
+  const router = express.Router();
+
+  /**
+   * Let the scheduled worker through with the shared secret; everyone else
+   * needs an admin session
+   */
+  function workerSecretOrAuth(req, res, next) {
+    const INGESTION_WORKER_SECRET = process.env.INGESTION_WORKER_SECRET;
+    if (INGESTION_WORKER_SECRET && req.headers['x-worker-secret'] === INGESTION_WORKER_SECRET) {
+      req.scheduledWorker = true;
+      return next();
+    }
+    return authMiddleware(req, res, next);
+  }
+
+  /**
+   * Load a job by :id visible to the admin, sending 404 otherwise
+   * @returns {Promise<Object|null>} Job row, or null once the response is sent
+   */
+  async function loadJob(req, res, admin) {
+    const job = await queue.getJob(req.params.id);
+    if (!job || (admin.role !== 'super_admin' && job.coaching_company_id !== admin.coaching_company_id)) {
+      res.status(404).json({
+        error: 'Not found',
+        message: 'Job not found'
+      });
+      return null;
+    }
+    return job;
+  }
+
+  /**
+   * GET /api/admin/jobs
+   * List recent jobs
+   *
+   * Query: status (queued | running | completed | partial | failed), limit (1-100, default 20)
+   */
+  router.get('/', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth);
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const { status, limit } = req.query;
+
+      if (status && !INGESTION_JOB_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: `status must be one of: ${INGESTION_JOB_STATUSES.join(', ')}`
+        });
+      }
+
+      const jobs = await queue.listJobs({
+        companyId: check.admin.role === 'super_admin' ? null : check.admin.coaching_company_id,
+        status,
+        limit: Math.min(Math.max(1, parseInt(limit) || 20), 100)
+      });
+
+      res.json({
+        jobs,
+        total: jobs.length
+      });
+
+    } catch (error) {
+      console.error('Error listing ingestion jobs:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/jobs/work
+   * Process up to max_jobs available jobs, then return them.
+   * For serverless deployments: .github/workflows/ingestion-worker.yml calls
+   * it every 5 minutes with x-worker-secret; admins can also call it directly.
+   *
+   * Body: { max_jobs? }
+   */
+  router.post('/work', workerSecretOrAuth, async (req, res) => {
+    try {
+      if (!req.scheduledWorker) {
+        const check = await checkAdmin(supabase, req.auth);
+        if (!check.admin) return res.status(check.status).json(check.body);
+      }
+
+      const maxJobs = Math.min(
+        Math.max(1, parseInt(req.body?.max_jobs) || INGESTION_MAX_JOBS_PER_REQUEST),
+        INGESTION_MAX_JOBS_PER_REQUEST * 5
+      );
+
+      const jobs = await queue.drain({ maxJobs });
+
+      res.json({
+        jobs_processed: jobs.length,
+        jobs
+      });
+
+    } catch (error) {
+      console.error('Error running ingestion jobs:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/admin/jobs/:id
+   * Job with per-item status, errors and attempt counts
+   */
+  router.get('/:id', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth);
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const job = await loadJob(req, res, check.admin);
+      if (!job) return;
+
+      res.json({
+        job: await queue.getJobStatus(job)
+      });
+
+    } catch (error) {
+      console.error('Error getting ingestion job:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/jobs/:id/retry
+   * Queue a partial or failed job's failed items again (attempt counts reset)
+   */
+  router.post('/:id/retry', authMiddleware, async (req, res) => {
+    try {
+      const check = await checkAdmin(supabase, req.auth);
+      if (!check.admin) return res.status(check.status).json(check.body);
+
+      const job = await loadJob(req, res, check.admin);
+      if (!job) return;
+
+      if (!RETRYABLE_JOB_STATUSES.includes(job.status)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Job is ${job.status}; only ${RETRYABLE_JOB_STATUSES.join(' or ')} jobs can be retried`
+        });
+      }
+
+      const { job: queued, retried } = await queue.retry(job.id);
+
+      if (options.drainInBackground) queue.drainInBackground();
+
+      res.status(202).json({
+        job: await queue.getJobStatus(queued),
+        items_retried: retried
+      });
+
+    } catch (error) {
+      console.error('Error retrying ingestion job:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,449 @@
+/**
+ * Session Type Rule Routes
+ *
+ * Admin endpoints for the rules that tag synced meeting transcripts with a
+ * session_type (see api/classification/session-types.js): list, create,
+ * update and delete rules, and preview how existing transcripts would be
+ * reclassified. Admins manage their own company's rules; super admins may
+ * pass coaching_company_id to manage another company's.
+ */
+
+import express from 'express';
+import { MAX_RECLASSIFY_ITEMS, MAX_RECLASSIFY_LLM_ITEMS } from '../config/constants.js';
+import {
+  validateSessionTypeRule,
+  classifyWithRules,
+  classifyWithLlm,
+  getCandidateSessionTypes,
+  clearSessionTypeRulesCache
+} from '../classification/index.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Columns an admin may set (coaching_company_id, created_by and timestamps are server-managed)
+const RULE_FIELDS = ['name', 'pattern', 'match_field', 'match_type', 'client_match', 'session_type', 'priority', 'enabled'];
+
+/**
+ * Look up the caller's admin record and the company whose rules they manage
+ * @returns {Promise<{companyId: string|null, status: number|null, body: Object|null}>}
+ *   companyId, or the error response to send
+ */
+async function resolveCompany(supabase, req) {
+  const { data: admin, error: adminError } = await supabase
+    .from('admins')
+    .select('coaching_company_id, role')
+    .eq('id', req.auth.userId)
+    .single();
+
+  if (adminError || !admin) {
+    return { companyId: null, status: 403, body: { error: 'Forbidden', message: 'Admin access required' } };
+  }
+
+  const requested = req.query.coaching_company_id || req.body?.coaching_company_id;
+  if (requested && requested !== admin.coaching_company_id) {
+    if (admin.role !== 'super_admin') {
+      return { companyId: null, status: 403, body: { error: 'Forbidden', message: 'Access denied to this coaching company' } };
+    }
+    if (!UUID_PATTERN.test(requested)) {
+      return { companyId: null, status: 400, body: { error: 'Bad request', message: 'coaching_company_id must be a UUID' } };
+    }
+    return { companyId: requested, status: null, body: null };
+  }
+
+  if (!admin.coaching_company_id) {
+    return { companyId: null, status: 400, body: { error: 'Bad request', message: 'coaching_company_id is required' } };
+  }
+
+  return { companyId: admin.coaching_company_id, status: null, body: null };
+}
+
+/**
+ * Pick the rule columns out of a request body
+ */
+function pickRuleFields(body = {}) {
+  return Object.fromEntries(RULE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+/**
+ * Create session type rule routes
+ * @param {Object} supabase - Supabase client
+ * @param {Function} authMiddleware - Authentication middleware
+ * @param {Object} [options]
+ * @param {Object} [options.openai] - OpenAI client (LLM fallback in dry runs)
+ * @param {Object} [options.expenseTracker] - APIExpenseTracker
+ * @returns {express.Router} Express router with session type rule routes
+ */
+export function createSessionTypeRuleRoutes(supabase, authMiddleware, options = {}) {
+  const { openai = null, expenseTracker = null } = options;
+  const router = express.Router();
+
+  /**
+   * Load a rule by :id in the company, sending 404 otherwise
+   * @returns {Promise<Object|null>} Rule row, or null once the response is sent
+   */
+  async function loadRule(req, res, companyId) {
+    const { data: rule } = await supabase
+      .from('session_type_rules')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('coaching_company_id', companyId)
+      .maybeSingle();
+
+    if (!rule) {
+      res.status(404).json({
+        error: 'Not found',
+        message: 'Session type rule not found'
+      });
+      return null;
+    }
+    return rule;
+  }
+
+  /**
+   * GET /api/admin/session-type-rules
+   * List the company's rules in evaluation order
+   *
+   * Query: coaching_company_id (super admins)
+   */
+  router.get('/', authMiddleware, async (req, res) => {
+    try {
+      const check = await resolveCompany(supabase, req);
+      if (!check.companyId) return res.status(check.status).json(check.body);
+
+      const { data: rules, error } = await supabase
+        .from('session_type_rules')
+        .select('*')
+        .eq('coaching_company_id', check.companyId)
+        .order('priority', { ascending: false })
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      res.json({
+        rules: rules || [],
+        total: rules?.length || 0
+      });
+
+    } catch (error) {
+      console.error('Error listing session type rules:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/session-type-rules
+   * Create a rule
+   *
+   * Body: { pattern, session_type, name?, match_field? (title | participants),
+   *         match_type? (contains | starts_with | regex), client_match? (any | matched | unmatched),
+   *         priority? (default 100, higher first), enabled? }
+   */
+  router.post('/', authMiddleware, async (req, res) => {
+    try {
+      const check = await resolveCompany(supabase, req);
+      if (!check.companyId) return res.status(check.status).json(check.body);
+
+      const { rule, error: validationError } = validateSessionTypeRule(pickRuleFields(req.body));
+      if (validationError) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: validationError
+        });
+      }
+
+      const { data: created, error } = await supabase
+        .from('session_type_rules')
+        .insert({
+          ...rule,
+          coaching_company_id: check.companyId,
+          created_by: req.auth.userId
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      clearSessionTypeRulesCache(check.companyId);
+
+      res.status(201).json({
+        message: 'Session type rule created successfully',
+        rule: created
+      });
+
+    } catch (error) {
+      console.error('Error creating session type rule:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * PUT /api/admin/session-type-rules/:id
+   * Update a rule; omitted fields keep their current values
+   */
+  router.put('/:id', authMiddleware, async (req, res) => {
+    try {
+      const check = await resolveCompany(supabase, req);
+      if (!check.companyId) return res.status(check.status).json(check.body);
+
+      const existing = await loadRule(req, res, check.companyId);
+      if (!existing) return;
+
+      const { rule, error: validationError } = validateSessionTypeRule({
+        ...pickRuleFields(existing),
+        ...pickRuleFields(req.body)
+      });
+      if (validationError) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: validationError
+        });
+      }
+
+      const { data: updated, error } = await supabase
+        .from('session_type_rules')
+        .update(rule)
+        .eq('id', existing.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      clearSessionTypeRulesCache(check.companyId);
+
+      res.json({
+        message: 'Session type rule updated successfully',
+        rule: updated
+      });
+
+    } catch (error) {
+      console.error('Error updating session type rule:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/session-type-rules/:id
+   * Delete a rule (transcripts keep the session_type they were tagged with)
+   */
+  router.delete('/:id', authMiddleware, async (req, res) => {
+    try {
+      const check = await resolveCompany(supabase, req);
+      if (!check.companyId) return res.status(check.status).json(check.body);
+
+      const existing = await loadRule(req, res, check.companyId);
+      if (!existing) return;
+
+      const { error } = await supabase
+        .from('session_type_rules')
+        .delete()
+        .eq('id', existing.id);
+
+      if (error) throw error;
+
+      clearSessionTypeRulesCache(check.companyId);
+
+      res.json({
+        message: 'Session type rule deleted successfully',
+        rule_id: existing.id
+      });
+
+    } catch (error) {
+      console.error('Error deleting session type rule:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/session-type-rules/reclassify/dry-run
+   * Classify the company's Fireflies transcripts with the current rules (or
+   * proposed ones) and report which session types would change. Nothing is
+   * written.
+   *
+   * Body: {
+   *   rules?: [...],       // Evaluate these instead of the stored rules (same fields as POST)
+   *   limit?: number,      // Most recent transcripts to compare (default/max MAX_RECLASSIFY_ITEMS)
+   *   since?: string,      // Only transcripts created on or after this date
+   *   use_llm?: boolean,   // Ask the LLM about transcripts no rule matches (first MAX_RECLASSIFY_LLM_ITEMS)
+   *   only_changed?: boolean  // Default true; false lists unchanged transcripts too
+   * }
+   */
+  router.post('/reclassify/dry-run', authMiddleware, async (req, res) => {
+    try {
+      const check = await resolveCompany(supabase, req);
+      if (!check.companyId) return res.status(check.status).json(check.body);
+
+      const {
+        rules: proposedRules,
+        limit,
+        since,
+        use_llm: useLlm = false,
+        only_changed: onlyChanged = true
+      } = req.body || {};
+
+      if (since && isNaN(Date.parse(since))) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: 'since must be a date (e.g. 2026-01-01)'
+        });
+      }
+
+      if (useLlm && !openai) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: 'LLM classification is not configured'
+        });
+      }
+
+      let rules;
+      if (proposedRules !== undefined) {
+        if (!Array.isArray(proposedRules)) {
+          return res.status(400).json({
+            error: 'Bad request',
+            message: 'rules must be an array'
+          });
+        }
+
+        rules = [];
+        for (const [index, input] of proposedRules.entries()) {
+          const { rule, error: validationError } = validateSessionTypeRule(pickRuleFields(input));
+          if (validationError) {
+            return res.status(400).json({
+              error: 'Bad request',
+              message: `rules[${index}]: ${validationError}`
+            });
+          }
+          // Keep ids so results can point at existing rules; order ties by position
+          rules.push({ ...rule, id: input.id || null, created_at: String(index).padStart(6, '0') });
+        }
+      } else {
+        const { data, error } = await supabase
+          .from('session_type_rules')
+          .select('*')
+          .eq('coaching_company_id', check.companyId);
+
+        if (error) throw error;
+        rules = data || [];
+      }
+
+      const { data: coaches, error: coachError } = await supabase
+        .from('coaches')
+        .select('id')
+        .eq('coaching_company_id', check.companyId);
+
+      if (coachError) throw coachError;
+
+      const coachIds = (coaches || []).map(coach => coach.id);
+      const maxItems = Math.min(Math.max(1, parseInt(limit) || MAX_RECLASSIFY_ITEMS), MAX_RECLASSIFY_ITEMS);
+
+      let transcripts = [];
+      if (coachIds.length > 0) {
+        let query = supabase
+          .from('data_items')
+          .select('id, client_id, session_date, metadata, created_at')
+          .eq('data_type', 'transcript')
+          .in('coach_id', coachIds)
+          .like('metadata->>slug', 'fireflies-%')
+          .order('created_at', { ascending: false })
+          .limit(maxItems);
+
+        if (since) query = query.gte('created_at', new Date(since).toISOString());
+
+        const { data, error } = await query;
+        if (error) throw error;
+        transcripts = data || [];
+      }
+
+      const sessionTypes = getCandidateSessionTypes(rules);
+      const results = [];
+      const transitions = new Map();
+      let llmCalls = 0;
+      let llmSkipped = 0;
+
+      for (const item of transcripts) {
+        const meeting = {
+          title: item.metadata?.title || '',
+          participants: item.metadata?.participants || [],
+          hasClientMatch: !!item.client_id
+        };
+
+        let proposed = classifyWithRules(rules, meeting);
+
+        if (proposed.source === 'default' && useLlm) {
+          if (llmCalls < MAX_RECLASSIFY_LLM_ITEMS) {
+            llmCalls++;
+            const { data: full } = await supabase
+              .from('data_items')
+              .select('raw_content')
+              .eq('id', item.id)
+              .single();
+
+            try {
+              proposed = await classifyWithLlm(openai, { ...meeting, content: full?.raw_content }, sessionTypes, { expenseTracker }) || proposed;
+            } catch (error) {
+              console.error(`[SessionTypes] Dry-run LLM classification failed for ${item.id}:`, error.message);
+            }
+          } else {
+            llmSkipped++;
+          }
+        }
+
+        const current = item.metadata?.session_type || null;
+        const changed = current !== proposed.session_type;
+
+        if (changed) {
+          const key = `${current ?? '(none)'} → ${proposed.session_type}`;
+          transitions.set(key, (transitions.get(key) || 0) + 1);
+        }
+
+        if (changed || !onlyChanged) {
+          results.push({
+            id: item.id,
+            title: meeting.title,
+            session_date: item.session_date,
+            current_session_type: current,
+            proposed_session_type: proposed.session_type,
+            source: proposed.source,
+            rule_id: proposed.rule_id || null,
+            confidence: proposed.confidence ?? null,
+            changed
+          });
+        }
+      }
+
+      res.json({
+        dry_run: true,
+        coaching_company_id: check.companyId,
+        rules_evaluated: rules.filter(rule => rule.enabled !== false).length,
+        scanned: transcripts.length,
+        changed: [...transitions.values()].reduce((sum, count) => sum + count, 0),
+        llm_calls: llmCalls,
+        llm_skipped: llmSkipped,
+        summary: [...transitions.entries()]
+          .map(([transition, count]) => ({ transition, count }))
+          .sort((a, b) => b.count - a.count),
+        items: results
+      });
+
+    } catch (error) {
+      console.error('Error running session type dry run:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
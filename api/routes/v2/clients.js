@@ -6,14 +6,19 @@
  */
 
 import express from 'express';
+import { parseSummaryDateRange, summarizeClientSessions } from '../../summaries/index.js';
 
 /**
  * Create v2 client routes
  * @param {Object} supabase - Supabase client
  * @param {Function} authMiddleware - Authentication middleware
+ * @param {Object} [options]
+ * @param {Object} [options.openai] - OpenAI client (session summaries)
+ * @param {Object} [options.expenseTracker] - APIExpenseTracker for GPT calls
  * @returns {express.Router} Express router with v2 client routes
  */
-export function createV2ClientRoutes(supabase, authMiddleware) {
+export function createV2ClientRoutes(supabase, authMiddleware, options = {}) {
+  const { openai = null, expenseTracker = null } = options;
   const router = express.Router();
 
   /**
@@ -247,6 +252,76 @@ export function createV2ClientRoutes(supabase, authMiddleware) {
     }
   });
 
+  /**
+   * POST /api/v2/clients/:id/summary
+   *
+   * Map-reduce summary of the client's transcripts in a date range: themes,
+   * commitments and open questions, each citing data_item ids.
+   * Used by MCP's summarize_sessions tool. Cached by the summarized item set.
+   *
+   * Body:
+   * - start_date: ISO date string (optional)
+   * - end_date: ISO date string (optional)
+   * - refresh: boolean to rebuild a cached summary (default false)
+   */
+  router.post('/:id/summary', authMiddleware, async (req, res) => {
+    try {
+      const { auth } = req;
+      const { id: clientId } = req.params;
+      const { start_date, end_date, refresh = false } = req.body || {};
+
+      const { startDate, endDate, error: rangeError } = parseSummaryDateRange(start_date, end_date);
+      if (rangeError) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: rangeError
+        });
+      }
+
+      // Verify access to this client
+      const hasAccess = await verifyClientAccess(supabase, auth, clientId);
+      if (!hasAccess) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'You do not have access to this client'
+        });
+      }
+
+      const { data: client, error: clientError } = await supabase
+        .from('clients')
+        .select('id, name')
+        .eq('id', clientId)
+        .single();
+
+      if (clientError || !client) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'Client not found'
+        });
+      }
+
+      const summary = await summarizeClientSessions(supabase, openai, {
+        clientId,
+        startDate,
+        endDate,
+        refresh: refresh === true || refresh === 'true',
+        expenseTracker
+      });
+
+      res.json({
+        client_name: client.name,
+        ...summary
+      });
+
+    } catch (error) {
+      console.error('Error summarizing client sessions:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
   /**
    * GET /api/v2/clients
    *
@@ -345,8 +420,13 @@ export function createV2ClientRoutes(supabase, authMiddleware) {
 
 /**
  * Verify that the authenticated user has access to a specific client
+ * (also used by the MCP tools)
+ * @param {Object} supabase - Supabase client
+ * @param {Object} auth - req.auth from createAuthMiddleware
+ * @param {string} clientId - Client UUID
+ * @returns {Promise<boolean>} True if the caller may read this client's data
  */
-async function verifyClientAccess(supabase, auth, clientId) {
+export async function verifyClientAccess(supabase, auth, clientId) {
   // Admin has access to all clients in their company
   if (auth.userRole === 'admin' || auth.adminId) {
     const { data: admin } = await supabase
@@ -4,6 +4,7 @@
  * Exports all v2 route creators for registration in server.js
  */
 
-export { createV2ClientRoutes } from './clients.js';
+export { createV2ClientRoutes, verifyClientAccess } from './clients.js';
 export { createV2SearchRoutes } from './search.js';
 export { createV2TranscriptRoutes } from './transcripts.js';
+export { createV2JobRoutes } from './jobs.js';
@@ -0,0 +1,106 @@
+/**
+ * V2 Jobs Routes
+ *
+ * Status of asynchronous uploads. POST /api/transcripts/bulk-upload and
+ * POST /api/data/upload answer 202 with a job_id; poll GET /api/v2/jobs/:id
+ * until the job is completed, partial or failed.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { getAuthCompanyId, hashJobViewToken } from '../../jobs/index.js';
+
+/**
+ * Whether the caller may see a job
+ *
+ * Jobs from unauthenticated uploads are readable with the view token their
+ * 202 returned; others by the uploader and admins of their company.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object|null} auth - req.auth
+ * @param {Object} job - ingestion_jobs row
+ * @param {string} [viewToken] - ?view_token= of the request
+ * @returns {Promise<boolean>}
+ */
+async function canViewJob(supabase, auth, job, viewToken) {
+  if (!job.created_by) return matchesViewToken(job, viewToken);
+  if (!auth) return false;
+  if (auth.userId === job.created_by) return true;
+
+  if (auth.userRole === 'admin' || auth.adminId) {
+    const companyId = await getAuthCompanyId(supabase, auth);
+    return !!companyId && companyId === job.coaching_company_id;
+  }
+
+  return false;
+}
+
+/**
+ * Whether a view token belongs to the job (timing-safe)
+ */
+function matchesViewToken(job, viewToken) {
+  if (!job.view_token_hash || !viewToken || typeof viewToken !== 'string') return false;
+
+  return crypto.timingSafeEqual(
+    Buffer.from(hashJobViewToken(viewToken)),
+    Buffer.from(job.view_token_hash)
+  );
+}
+
+/**
+ * Creates V2 job routes
+ * @param {Object} supabase - Supabase client instance
+ * @param {Function} authMiddleware - Authentication middleware (optional auth: jobs may be anonymous)
+ * @param {Object} options
+ * @param {Object} options.queue - IngestionJobQueue
+ * @returns {express.Router} Express router
+ */
+export function createV2JobRoutes(supabase, authMiddleware, options = {}) {
+  const { queue } = options;
+  const router = express.Router();
+
+  /**
+   * GET /api/v2/jobs/:id
+   *
+   * Returns the job with per-item status:
+   *   { job: { id, status, source, total_items, succeeded_items, duplicate_items,
+   *            failed_items, pending_items, attempts, retries, last_error, ...,
+   *            items: [{ item_index, status, attempts, data_item_id,
+   *                      chunks_created, chunks_failed, last_error, errors }] } }
+   *
+   * A 'duplicate' item was already stored; data_item_id is the existing item.
+   * Jobs of unauthenticated uploads need ?view_token= (from the upload's 202).
+   */
+  router.get('/:id', authMiddleware, async (req, res) => {
+    try {
+      const job = await queue.getJob(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'Job not found'
+        });
+      }
+
+      if (!(await canViewJob(supabase, req.auth, job, req.query.view_token))) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'You do not have access to this job'
+        });
+      }
+
+      res.json({
+        job: await queue.getJobStatus(job)
+      });
+
+    } catch (error) {
+      console.error('Error fetching job status:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
@@ -7,27 +7,38 @@
 
 import express from 'express';
 import OpenAI from 'openai';
-
-/**
- * Format a date for citation display
- * @param {string|Date} date - Date to format
- * @returns {string} Formatted date string (e.g., "Dec 15, 2025")
- */
-function formatCitationDate(date) {
-  if (!date) return 'Unknown date';
-  const d = new Date(date);
-  if (isNaN(d.getTime())) return 'Unknown date';
-  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-}
+import { DEFAULT_SEARCH_MODE } from '../../config/constants.js';
+import {
+  SEARCH_MODES,
+  isValidSearchMode,
+  searchChunks,
+  describeScorers,
+  createReranker,
+  parseRerankOption,
+  parseDiversifyOptions,
+  getRefinedPoolSize,
+  refineChunks,
+  embedQuery,
+  getQueryEmbeddingKey,
+  hashFilters,
+  resolveCursor,
+  getPageDepth,
+  paginateChunks,
+  buildCitation
+} from '../../search/index.js';
+import { getEmbeddingProvider, getDualReadSearch } from '../../embeddings/index.js';
 
 /**
  * Create v2 search routes
  * @param {Object} supabase - Supabase client
  * @param {Function} authMiddleware - Authentication middleware
+ * @param {Object} [options] - Optional dependencies
+ * @param {Object} [options.expenseTracker] - APIExpenseTracker for GPT calls (reranking)
  * @returns {express.Router} Express router with v2 search routes
  */
-export function createV2SearchRoutes(supabase, authMiddleware) {
+export function createV2SearchRoutes(supabase, authMiddleware, options = {}) {
   const router = express.Router();
+  const { expenseTracker = null } = options;
 
   // Initialize OpenAI client
   const openai = new OpenAI({
@@ -39,6 +50,7 @@ export function createV2SearchRoutes(supabase, authMiddleware) {
    *
    * Enhanced search with unified response structure.
    * Adds pagination info, timing metadata, and better organization.
+   * Pass `cursor` from a previous response's `next_cursor` to get the next page.
    */
   router.post('/unified', authMiddleware, async (req, res) => {
     const startTime = Date.now();
@@ -52,7 +64,14 @@ export function createV2SearchRoutes(supabase, authMiddleware) {
         coach_id,
         organization_id,
         threshold = 0.3,
-        limit = 10
+        limit = 10,
+        mode = DEFAULT_SEARCH_MODE,
+        rerank,
+        rerank_candidates,
+        diversify,
+        diversify_lambda,
+        collapse_by,
+        cursor
       } = req.body;
 
       // Validate required fields
@@ -63,61 +82,111 @@ export function createV2SearchRoutes(supabase, authMiddleware) {
         });
       }
 
+      if (!isValidSearchMode(mode)) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: `mode must be one of: ${SEARCH_MODES.join(', ')}`
+        });
+      }
+
+      const rerankOption = parseRerankOption(rerank);
+      const diversifyOptions = parseDiversifyOptions({ diversify, diversify_lambda, collapse_by });
+      if (rerankOption.error || diversifyOptions.error) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: rerankOption.error || diversifyOptions.error
+        });
+      }
+
       // Validate threshold
       const validThreshold = Math.max(0, Math.min(1, parseFloat(threshold) || 0.3));
 
       // Validate limit
       const validLimit = Math.min(Math.max(1, parseInt(limit) || 10), 50);
 
-      // Generate embedding for the query
-      const embeddingResponse = await openai.embeddings.create({
-        model: 'text-embedding-3-small',
-        input: query
-      });
-
-      const queryEmbedding = embeddingResponse.data[0].embedding;
-      const embeddingText = `[${queryEmbedding.map(n => n.toPrecision(10)).join(',')}]`;
+      // Generate embedding for the query (skipped for keyword-only searches)
+      const embeddingProvider = getEmbeddingProvider(openai);
+      const getQueryEmbeddingText = async () => (await embedQuery(openai, query, { provider: embeddingProvider, expenseTracker })).embeddingText;
 
-      // Build RPC parameters
-      const rpcParams = {
-        query_embedding_text: embeddingText,
-        match_threshold: validThreshold,
-        match_count: validLimit
-      };
-
-      // Apply type filter
-      if (types && Array.isArray(types) && types.length > 0) {
-        rpcParams.filter_types = types;
-      }
+      // Search both models while an embedding migration is in progress
+      const dualRead = mode === 'keyword' ? null : await getDualReadSearch(supabase, openai, query, { expenseTracker });
 
       // Apply scope filters based on auth
       // Coach sees their own data and their clients' data
-      if (auth.coachId && !coach_id) {
-        rpcParams.filter_coach_id = auth.coachId;
-      } else if (coach_id) {
-        rpcParams.filter_coach_id = coach_id;
-      }
-
-      // Client filter
-      if (client_id) {
-        rpcParams.filter_client_id = client_id;
-      } else if (auth.clientId) {
+      const filters = {
+        types: Array.isArray(types) ? types : null,
+        coachId: coach_id || auth.coachId || null,
         // Client can only see their own data
-        rpcParams.filter_client_id = auth.clientId;
-      }
+        clientId: client_id || auth.clientId || null,
+        orgId: organization_id || null
+      };
+
+      // Refined searches rank one fixed pool and page through it
+      const refinedPool = getRefinedPoolSize(validLimit, {
+        rerank: rerankOption.enabled,
+        rerankCandidates: rerank_candidates,
+        diversify: diversifyOptions.diversify,
+        collapseBy: diversifyOptions.collapseBy
+      });
 
-      // Organization filter
-      if (organization_id) {
-        rpcParams.filter_org_id = organization_id;
+      // Resolve pagination cursor against this exact search
+      const queryKey = getQueryEmbeddingKey(query, embeddingProvider);
+      const filtersHash = hashFilters({
+        ...filters,
+        mode,
+        threshold: validThreshold,
+        rerank: rerankOption.enabled ? (rerankOption.name || 'default') : false,
+        diversify: diversifyOptions.diversify,
+        lambda: diversifyOptions.lambda,
+        collapseBy: diversifyOptions.collapseBy,
+        refinedPool,
+        embeddingMigration: dualRead?.migrationId || null
+      });
+      const { state: cursorState, offset, error: cursorError } = resolveCursor(cursor, { queryKey, filtersHash });
+      if (cursorError) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: cursorError
+        });
       }
 
+      // Plain retrieval fetches down to this page; refined searches fetch the whole pool
+      const refining = refinedPool !== null;
+      const depth = refining ? refinedPool : getPageDepth(offset, validLimit);
+      const candidateCount = depth;
+
       // Execute search
-      const { data: chunks, error: searchError } = await supabase
-        .rpc('match_data_chunks', rpcParams);
+      const { chunks: candidates } = await searchChunks(supabase, {
+        query,
+        mode,
+        getQueryEmbeddingText,
+        dualRead,
+        filters,
+        threshold: validThreshold,
+        limit: candidateCount
+      });
 
-      if (searchError) {
-        throw searchError;
-      }
+      const reranker = rerankOption.enabled
+        ? createReranker(rerankOption.name, { openai, expenseTracker })
+        : null;
+
+      const ranked = await refineChunks(supabase, candidates, {
+        query,
+        limit: depth,
+        reranker,
+        diversify: diversifyOptions.diversify,
+        lambda: diversifyOptions.lambda,
+        collapseBy: diversifyOptions.collapseBy
+      });
+
+      const { page: chunks, hasMore, nextCursor } = paginateChunks(ranked, {
+        state: cursorState,
+        offset,
+        limit: validLimit,
+        keyset: !refining,
+        queryKey,
+        filtersHash
+      });
 
       // Enrich results with client names for citations
       const clientIds = [...new Set((chunks || []).filter(c => c.client_id).map(c => c.client_id))];
@@ -137,21 +206,11 @@ export function createV2SearchRoutes(supabase, authMiddleware) {
       // Add citation to each result
       const enrichedResults = (chunks || []).map(chunk => {
         const clientName = clientMap.get(chunk.client_id) || null;
-        const title = chunk.metadata?.title || 'Untitled';
-        const formattedDate = formatCitationDate(chunk.session_date);
 
         return {
           ...chunk,
           client_name: clientName,
-          citation: {
-            title: title,
-            date: chunk.session_date,
-            date_formatted: formattedDate,
-            type: chunk.data_type,
-            client_name: clientName,
-            source_url: chunk.metadata?.transcript_url || null,
-            formatted: `[${title}, ${formattedDate}]`
-          }
+          citation: buildCitation(chunk, clientName)
         };
       });
 
@@ -171,6 +230,8 @@ export function createV2SearchRoutes(supabase, authMiddleware) {
         query,
         results: enrichedResults,
         count: enrichedResults.length,
+        next_cursor: nextCursor,
+        has_more: hasMore,
         results_by_type: resultsByType,
         type_counts: Object.fromEntries(
           Object.entries(resultsByType).map(([type, items]) => [type, items.length])
@@ -180,12 +241,24 @@ export function createV2SearchRoutes(supabase, authMiddleware) {
           limit: validLimit,
           types: types || null,
           client_id: client_id || null,
-          coach_id: coach_id || auth.coachId || null
+          coach_id: coach_id || auth.coachId || null,
+          mode,
+          rerank: reranker ? reranker.name : false,
+          diversify: diversifyOptions.diversify,
+          diversify_lambda: diversifyOptions.diversify ? diversifyOptions.lambda : null,
+          collapse_by: diversifyOptions.collapseBy,
+          offset
         },
         metadata: {
           response_time_ms: responseTime,
-          embedding_model: 'text-embedding-3-small',
-          user_role: auth.userRole
+          embedding_model: mode === 'keyword' ? null : embeddingProvider.model,
+          embedding_migration: dualRead
+            ? { id: dualRead.migrationId, source_model: dualRead.sourceModel, target_model: dualRead.targetModel }
+            : null,
+          user_role: auth.userRole,
+          search_mode: mode,
+          scorers: describeScorers(enrichedResults),
+          rerank: reranker ? { reranker: reranker.name, candidates: candidateCount } : null
         }
       });
 
@@ -235,60 +308,91 @@ export function createV2SearchRoutes(supabase, authMiddleware) {
         limit = 10,
         include_metadata = true,
         include_content = true,
-        max_content_length = 2000  // Truncate content to prevent huge responses
+        max_content_length = 2000,  // Truncate content to prevent huge responses
+        rerank,
+        rerank_candidates,
+        diversify,
+        diversify_lambda,
+        collapse_by,
+        cursor
       } = options;
 
       // Validate threshold and limit
       const validThreshold = Math.max(0, Math.min(1, parseFloat(threshold) || 0.3));
       const validLimit = Math.min(Math.max(1, parseInt(limit) || 10), 50);
 
-      // Generate embedding for the query
-      const embeddingResponse = await openai.embeddings.create({
-        model: 'text-embedding-3-small',
-        input: query
-      });
-
-      const queryEmbedding = embeddingResponse.data[0].embedding;
-      const embeddingText = `[${queryEmbedding.map(n => n.toPrecision(10)).join(',')}]`;
-
-      // Build RPC parameters
-      const rpcParams = {
-        query_embedding_text: embeddingText,
-        match_threshold: validThreshold,
-        match_count: validLimit
-      };
-
-      // Apply type filter
-      if (types && Array.isArray(types) && types.length > 0) {
-        rpcParams.filter_types = types;
-      }
-
-      // Apply client filter (first client in array, or auth scope)
-      if (clients && Array.isArray(clients) && clients.length > 0) {
-        rpcParams.filter_client_id = clients[0];
-      } else if (auth.clientId) {
-        rpcParams.filter_client_id = auth.clientId;
+      const rerankOption = parseRerankOption(rerank);
+      const diversifyOptions = parseDiversifyOptions({ diversify, diversify_lambda, collapse_by });
+      if (rerankOption.error || diversifyOptions.error) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: rerankOption.error || diversifyOptions.error
+        });
       }
 
-      // Apply coach filter
-      if (coaches && Array.isArray(coaches) && coaches.length > 0) {
-        rpcParams.filter_coach_id = coaches[0];
-      } else if (auth.coachId) {
-        rpcParams.filter_coach_id = auth.coachId;
-      }
+      // Refined searches rank one fixed pool and page through it
+      const refinedPool = getRefinedPoolSize(validLimit, {
+        rerank: rerankOption.enabled,
+        rerankCandidates: rerank_candidates,
+        diversify: diversifyOptions.diversify,
+        collapseBy: diversifyOptions.collapseBy
+      });
 
-      // Apply organization filter
-      if (organizations && Array.isArray(organizations) && organizations.length > 0) {
-        rpcParams.filter_org_id = organizations[0];
+      // Search both models while an embedding migration is in progress
+      const dualRead = await getDualReadSearch(supabase, openai, query, { expenseTracker });
+
+      // Resolve pagination cursor against this exact search
+      const embeddingProvider = getEmbeddingProvider(openai);
+      const queryKey = getQueryEmbeddingKey(query, embeddingProvider);
+      const filtersHash = hashFilters({
+        types: types || null,
+        date_range: date_range || null,
+        clients: clients || null,
+        coaches: coaches || null,
+        organizations: organizations || null,
+        session_type: session_type || null,
+        scope_client: auth.clientId || null,
+        scope_coach: auth.coachId || null,
+        threshold: validThreshold,
+        rerank: rerankOption.enabled ? (rerankOption.name || 'default') : false,
+        diversify: diversifyOptions.diversify,
+        lambda: diversifyOptions.lambda,
+        collapseBy: diversifyOptions.collapseBy,
+        refinedPool,
+        embeddingMigration: dualRead?.migrationId || null
+      });
+      const { state: cursorState, offset, error: cursorError } = resolveCursor(cursor, { queryKey, filtersHash });
+      if (cursorError) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: cursorError
+        });
       }
 
-      // Execute search
-      let { data: chunks, error: searchError } = await supabase
-        .rpc('match_data_chunks', rpcParams);
+      // Plain retrieval fetches down to this page; refined searches fetch the whole pool
+      const refining = refinedPool !== null;
+      const depth = refining ? refinedPool : getPageDepth(offset, validLimit);
+      const candidateCount = depth;
+
+      // Apply type, client, coach and organization filters (first of each
+      // array; client and coach fall back to the auth scope)
+      const searchFilters = {
+        types: types && Array.isArray(types) && types.length > 0 ? types : null,
+        clientId: (Array.isArray(clients) && clients.length > 0 ? clients[0] : auth.clientId) || null,
+        coachId: (Array.isArray(coaches) && coaches.length > 0 ? coaches[0] : auth.coachId) || null,
+        orgId: Array.isArray(organizations) && organizations.length > 0 ? organizations[0] : null
+      };
 
-      if (searchError) {
-        throw searchError;
-      }
+      // Execute search (query embedding reused from page 1 when following a cursor)
+      let { chunks } = await searchChunks(supabase, {
+        query,
+        mode: 'vector',
+        getQueryEmbeddingText: async () => (await embedQuery(openai, query, { provider: embeddingProvider, expenseTracker })).embeddingText,
+        dualRead,
+        filters: searchFilters,
+        threshold: validThreshold,
+        limit: candidateCount
+      });
 
       // Apply date range filter (post-query since RPC doesn't support it)
       if (date_range && chunks) {
@@ -306,6 +410,29 @@ export function createV2SearchRoutes(supabase, authMiddleware) {
         chunks = chunks.filter(c => c.metadata?.session_type === session_type);
       }
 
+      const reranker = rerankOption.enabled
+        ? createReranker(rerankOption.name, { openai, expenseTracker })
+        : null;
+
+      const ranked = await refineChunks(supabase, chunks, {
+        query,
+        limit: depth,
+        reranker,
+        diversify: diversifyOptions.diversify,
+        lambda: diversifyOptions.lambda,
+        collapseBy: diversifyOptions.collapseBy
+      });
+
+      const { page, hasMore, nextCursor } = paginateChunks(ranked, {
+        state: cursorState,
+        offset,
+        limit: validLimit,
+        keyset: !refining,
+        queryKey,
+        filtersHash
+      });
+      chunks = page;
+
       // Enrich results with client names for citations
       const clientIds = [...new Set((chunks || []).filter(c => c.client_id).map(c => c.client_id))];
       let clientMap = new Map();
@@ -326,24 +453,15 @@ export function createV2SearchRoutes(supabase, authMiddleware) {
 
       const formattedResults = (chunks || []).map(chunk => {
         const clientName = clientMap.get(chunk.client_id) || null;
-        const title = chunk.metadata?.title || 'Untitled';
-        const formattedDate = formatCitationDate(chunk.session_date);
 
         const result = {
           id: chunk.id,
           data_item_id: chunk.data_item_id,
           similarity: chunk.similarity,
+          ...(reranker && { rerank_score: chunk.rerank_score, retrieval_rank: chunk.retrieval_rank }),
           data_type: chunk.data_type,
           // Always include citation for source tracking
-          citation: {
-            title: title,
-            date: chunk.session_date,
-            date_formatted: formattedDate,
-            type: chunk.data_type,
-            client_name: clientName,
-            source_url: chunk.metadata?.transcript_url || null,
-            formatted: `[${title}, ${formattedDate}]`
-          }
+          citation: buildCitation(chunk, clientName)
         };
 
         if (include_content) {
@@ -357,6 +475,12 @@ export function createV2SearchRoutes(supabase, authMiddleware) {
           }
         }
 
+        if (chunk.also_matched) {
+          result.also_matched = include_content
+            ? chunk.also_matched
+            : chunk.also_matched.map(({ content, ...rest }) => rest);
+        }
+
         if (include_metadata) {
           result.metadata = chunk.metadata;
           result.coach_id = chunk.coach_id;
@@ -375,6 +499,8 @@ export function createV2SearchRoutes(supabase, authMiddleware) {
         query,
         results: formattedResults,
         count: formattedResults.length,
+        next_cursor: nextCursor,
+        has_more: hasMore,
         filters_applied: {
           types,
           date_range,
@@ -387,11 +513,20 @@ export function createV2SearchRoutes(supabase, authMiddleware) {
           threshold: validThreshold,
           limit: validLimit,
           include_metadata,
-          include_content
+          include_content,
+          rerank: reranker ? reranker.name : false,
+          diversify: diversifyOptions.diversify,
+          diversify_lambda: diversifyOptions.diversify ? diversifyOptions.lambda : null,
+          collapse_by: diversifyOptions.collapseBy,
+          offset
         },
         metadata: {
           response_time_ms: responseTime,
-          user_role: auth.userRole
+          embedding_migration: dualRead
+            ? { id: dualRead.migrationId, source_model: dualRead.sourceModel, target_model: dualRead.targetModel }
+            : null,
+          user_role: auth.userRole,
+          rerank: reranker ? { reranker: reranker.name, candidates: candidateCount } : null
         }
       });
 
@@ -2,20 +2,37 @@
  * V2 Transcripts Routes
  *
  * Provides endpoints for listing transcripts without semantic search.
- * Use this for simple CRUD operations like "show recent transcripts".
+ * Use this for simple CRUD operations like "show recent transcripts",
+ * and for uploading transcript exports (Zoom, Otter, Teams, .vtt/.srt) with an API key.
  */
 
 import express from 'express';
+import multer from 'multer';
+import { requireScopes } from '../../middleware/auth.js';
+import { importTranscriptFile, toTranscriptInput } from '../../processors/index.js';
+import { MAX_FILE_SIZE } from '../../config/constants.js';
+import { findDuplicates, insertUnlessDuplicate, parseDuplicatePolicy } from '../../dedup/index.js';
+import { isValidationError } from '../../jobs/index.js';
+import { verifyClientAccess } from './clients.js';
 
 /**
  * Creates V2 transcript routes
  * @param {Object} supabase - Supabase client instance
  * @param {Function} authMiddleware - Authentication middleware
+ * @param {Object} [options]
+ * @param {Object} [options.processorFactory] - DataProcessorFactory (transcript uploads)
  * @returns {express.Router} Express router
  */
-export function createV2TranscriptRoutes(supabase, authMiddleware) {
+export function createV2TranscriptRoutes(supabase, authMiddleware, options = {}) {
+  const { processorFactory = null } = options;
   const router = express.Router();
 
+  // Transcript exports are small files, held in memory while parsed
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE }
+  });
+
   /**
    * GET /api/v2/transcripts/recent
    *
@@ -103,5 +120,213 @@ export function createV2TranscriptRoutes(supabase, authMiddleware) {
     }
   });
 
+  /**
+   * POST /api/v2/transcripts/upload
+   *
+   * Upload a transcript export: Zoom cloud recording JSON, Otter.ai TXT/DOCX,
+   * Microsoft Teams DOCX, or a WebVTT (.vtt) / SubRip (.srt) caption file.
+   * Speaker turns and times are kept as chunk metadata, so search results
+   * cite speaker and timestamp; meeting date, duration and participants
+   * from the export are stored in the transcript metadata.
+   *
+   * Requires an API key with the write scope. Coach keys upload as
+   * themselves; admin keys name a coach in their company.
+   *
+   * Form Data:
+   *   - file: .json, .txt, .docx, .vtt or .srt file (max 10MB)
+   *   - client_id: Client UUID (required)
+   *   - coach_id: Coach UUID (required for admin keys)
+   *   - session_date: Session date (ISO format, default: meeting date from the export, else now)
+   *   - title: Session title (default: meeting title from the export, else file name)
+   *   - session_type: regular | intake | closure | check-in
+   *   - on_duplicate: link (default) | reject
+   *
+   * A transcript already stored for the same coach and client is not stored
+   * again: 200 with the existing data_item_id (duplicate: true), or 409 with
+   * on_duplicate=reject. A near-duplicate is stored and reported in duplicate_of.
+   */
+  router.post('/upload', authMiddleware, requireScopes('write'), upload.single('file'), async (req, res) => {
+    try {
+      const { auth } = req;
+      const { client_id, coach_id, session_date, title, session_type, on_duplicate } = req.body || {};
+
+      if (!req.file) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: 'No file provided'
+        });
+      }
+
+      if (!client_id) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: 'client_id is required'
+        });
+      }
+
+      const { policy: onDuplicate, error: policyError } = parseDuplicatePolicy(on_duplicate);
+      if (policyError) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: policyError
+        });
+      }
+
+      // Resolve the uploading coach
+      let coachId = null;
+      if (auth.coachId) {
+        if (coach_id && coach_id !== auth.coachId) {
+          return res.status(403).json({
+            error: 'Forbidden',
+            message: 'A coach API key can only upload its own transcripts'
+          });
+        }
+        coachId = auth.coachId;
+      } else if (auth.userRole === 'admin' || auth.adminId) {
+        if (!coach_id) {
+          return res.status(400).json({
+            error: 'Bad request',
+            message: 'coach_id is required for admin API keys'
+          });
+        }
+
+        const [{ data: admin }, { data: coach }] = await Promise.all([
+          supabase.from('admins').select('coaching_company_id').eq('id', auth.adminId || auth.userId).single(),
+          supabase.from('coaches').select('coaching_company_id').eq('id', coach_id).single()
+        ]);
+
+        if (!admin || !coach || coach.coaching_company_id !== admin.coaching_company_id) {
+          return res.status(400).json({
+            error: 'Bad request',
+            message: 'Invalid coach_id'
+          });
+        }
+        coachId = coach_id;
+      } else {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Only coach and admin API keys can upload transcripts'
+        });
+      }
+
+      const hasAccess = await verifyClientAccess(supabase, auth, client_id);
+      if (!hasAccess) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'You do not have access to this client'
+        });
+      }
+
+      let imported;
+      try {
+        imported = await importTranscriptFile(req.file.buffer, {
+          filename: req.file.originalname,
+          mimetype: req.file.mimetype
+        });
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: error.message
+        });
+      }
+
+      if (!imported.transcript) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: 'Unrecognized transcript format. Supported: Zoom JSON, Otter.ai TXT/DOCX, Microsoft Teams DOCX, WebVTT (.vtt), SRT (.srt)'
+        });
+      }
+
+      const { content, metadata: exported } = toTranscriptInput(imported.transcript, req.file.originalname);
+
+      const respondDuplicate = (exact) => {
+        if (onDuplicate === 'reject') {
+          return res.status(409).json({
+            error: 'Conflict',
+            message: `Identical transcript already stored as data item ${exact.id}`,
+            duplicate_of: exact
+          });
+        }
+
+        return res.json({
+          data_item_id: exact.id,
+          data_type: 'transcript',
+          chunks_created: 0,
+          duplicate: true,
+          duplicate_of: exact,
+          message: 'Identical transcript already stored; linked to the existing data item'
+        });
+      };
+
+      const checked = await findDuplicates(supabase, content, {
+        dataType: 'transcript',
+        coachId,
+        clientId: client_id
+      });
+      if (checked.exact) return respondDuplicate(checked.exact);
+
+      const processor = processorFactory.getProcessor('transcript');
+      const { dataItem, chunks, embeddingFailures } = await processor.process(content, {
+        ...exported,
+        coach_id: coachId,
+        client_id,
+        meeting_date: session_date || exported.meeting_date,
+        title: title || exported.title || req.file.originalname,
+        session_type: session_type || undefined,
+        created_by: auth.userId
+      });
+
+      // A concurrent upload of the same transcript wins the unique index
+      const { dataItem: insertedItem, exact } = await insertUnlessDuplicate(supabase, dataItem, { checked });
+      if (exact) return respondDuplicate(exact);
+
+      const chunkRecords = chunks.map(chunk => ({
+        data_item_id: insertedItem.id,
+        chunk_index: chunk.chunkIndex,
+        content: chunk.content,
+        embedding: processor.formatEmbeddingForDB(chunk.embedding),
+        embedding_model: chunk.embeddingModel,
+        embedding_dimensions: chunk.embeddingDimensions,
+        ...(chunk.metadata && { metadata: chunk.metadata })
+      }));
+
+      const { error: chunksError } = await supabase
+        .from('data_chunks')
+        .insert(chunkRecords);
+
+      if (chunksError) {
+        throw new Error(`Failed to save transcript chunks: ${chunksError.message}`);
+      }
+
+      res.status(201).json({
+        data_item_id: insertedItem.id,
+        data_type: 'transcript',
+        chunks_created: chunks.length,
+        chunks_failed: embeddingFailures.length,
+        duplicate_of: near,
+        transcript_info: {
+          filename: req.file.originalname,
+          format: imported.format,
+          turns: imported.transcript.turns.length,
+          meeting_date: imported.transcript.meeting_date,
+          duration_seconds: imported.transcript.duration_seconds,
+          participants: imported.transcript.participants
+        },
+        message: 'Transcript uploaded and processed successfully'
+      });
+
+    } catch (error) {
+      console.error('Error uploading transcript file:', error);
+
+      // Processor validation errors (e.g. content too short, invalid session_type)
+      const statusCode = isValidationError(error) ? 400 : 500;
+
+      res.status(statusCode).json({
+        error: statusCode === 400 ? 'Bad request' : 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
   return router;
 }
@@ -0,0 +1,83 @@
+/**
+ * Search Citations
+ *
+ * Builds the `citation` attached to search hits by the v2 search routes and
+ * the MCP search_data tool. Transcript chunks that carry start/end times
+ * (chunked from Fireflies sentences, see processors/transcript-chunker.js)
+ * cite the speaker and moment, and link to that moment in the recording.
+ */
+
+import { formatTimestamp, formatChunkCitation } from '../processors/transcript-chunker.js';
+
+/**
+ * Format a date for citation display
+ * @param {string|Date} date - Date to format
+ * @returns {string} Formatted date string (e.g., "Dec 15, 2025")
+ */
+export function formatCitationDate(date) {
+  if (!date) return 'Unknown date';
+  const d = new Date(date);
+  if (isNaN(d.getTime())) return 'Unknown date';
+  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Link to a moment in a recording
+ *
+ * Adds the playback offset as `t=<seconds>` (Fireflies transcript pages seek
+ * the recording to it), replacing any offset already on the URL.
+ *
+ * @param {string|null} url - Transcript/recording URL
+ * @param {number|null} seconds - Offset into the recording
+ * @returns {string|null} URL with offset, the URL unchanged if there's no
+ *   offset or it isn't a valid URL, or null without a URL
+ */
+export function buildTimestampUrl(url, seconds) {
+  if (!url) return null;
+  if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds < 0) return url;
+
+  try {
+    const link = new URL(url);
+    link.searchParams.set('t', String(Math.floor(seconds)));
+    return link.toString();
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Build the citation for a search hit
+ *
+ * Transcript chunks chunked by speaker turn also cite who was speaking and
+ * when, e.g. "[Weekly Session, Dec 15, 2025, Client, 00:14:32]", and
+ * source_url jumps to that moment.
+ *
+ * @param {Object} chunk - Search hit (metadata = data item, chunk_metadata = chunk)
+ * @param {string|null} clientName - Client name for the hit
+ * @returns {Object} Citation
+ */
+export function buildCitation(chunk, clientName) {
+  const title = chunk.metadata?.title || 'Untitled';
+  const formattedDate = formatCitationDate(chunk.session_date);
+  const chunkMetadata = chunk.chunk_metadata || {};
+  const startTime = typeof chunkMetadata.start_time === 'number' ? chunkMetadata.start_time : null;
+  const endTime = typeof chunkMetadata.end_time === 'number' ? chunkMetadata.end_time : null;
+  const location = formatChunkCitation(chunkMetadata);
+
+  return {
+    title: title,
+    date: chunk.session_date,
+    date_formatted: formattedDate,
+    type: chunk.data_type,
+    client_name: clientName,
+    speaker: chunkMetadata.speaker || null,
+    location,
+    start_time: startTime,
+    end_time: endTime,
+    timestamp_formatted: formatTimestamp(startTime),
+    source_url: buildTimestampUrl(chunk.metadata?.transcript_url || null, startTime),
+    formatted: location
+      ? `[${title}, ${formattedDate}, ${location}]`
+      : `[${title}, ${formattedDate}]`
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Result Diversification
+ *
+ * Keeps one long transcript from crowding out every other source:
+ * - diversifyChunks(): maximal marginal relevance (MMR) reordering
+ * - collapseChunks(): group hits per data item or client, best chunk first,
+ *   the rest listed under `also_matched`
+ */
+
+import { DEFAULT_MMR_LAMBDA } from '../config/constants.js';
+import { tokenize } from './rerankers.js';
+
+export const COLLAPSE_MODES = ['data_item', 'client', 'none'];
+
+const COLLAPSE_KEYS = {
+  data_item: 'data_item_id',
+  client: 'client_id'
+};
+
+/**
+ * Validate diversify / collapse_by request options
+ * @param {Object} raw - { diversify, diversify_lambda, collapse_by }
+ * @returns {{diversify: boolean, lambda: number, collapseBy: string, error: string|null}}
+ */
+export function parseDiversifyOptions(raw = {}) {
+  const { diversify = false, diversify_lambda, collapse_by = 'none' } = raw;
+
+  if (!COLLAPSE_MODES.includes(collapse_by)) {
+    return { error: `collapse_by must be one of: ${COLLAPSE_MODES.join(', ')}` };
+  }
+
+  const lambda = diversify_lambda === undefined || diversify_lambda === null
+    ? DEFAULT_MMR_LAMBDA
+    : parseFloat(diversify_lambda);
+
+  if (!Number.isFinite(lambda) || lambda < 0 || lambda > 1) {
+    return { error: 'diversify_lambda must be a number between 0 and 1' };
+  }
+
+  return {
+    diversify: diversify === true || diversify === 'true',
+    lambda,
+    collapseBy: collapse_by,
+    error: null
+  };
+}
+
+/**
+ * Relevance used by MMR: rerank score if present, else retrieval score
+ */
+function relevanceOf(chunk) {
+  return chunk.rerank_score ?? chunk.score ?? chunk.similarity ?? 0;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function jaccardSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let intersection = 0;
+  for (const term of a) {
+    if (b.has(term)) intersection++;
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * Load chunk embeddings for pairwise similarity
+ *
+ * PostgREST returns pgvector columns as "[0.1,0.2,...]" strings.
+ *
+ * @returns {Promise<Map<string, number[]>>} Embeddings by chunk id (missing on failure)
+ */
+async function loadEmbeddings(supabase, ids) {
+  const { data, error } = await supabase
+    .from('data_chunks')
+    .select('id, embedding')
+    .in('id', ids);
+
+  if (error) {
+    console.error('Failed to load chunk embeddings for MMR, using term overlap:', error.message);
+    return new Map();
+  }
+
+  return new Map((data || [])
+    .filter(row => row.embedding)
+    .map(row => [row.id, typeof row.embedding === 'string' ? JSON.parse(row.embedding) : row.embedding]));
+}
+
+/**
+ * Reorder chunks with maximal marginal relevance
+ *
+ * Each step picks the chunk maximizing
+ *   λ · relevance − (1 − λ) · max similarity to already-picked chunks
+ * Relevance is min-max normalized so it is comparable across scorers
+ * (cosine, RRF, rerank). Pairwise similarity uses chunk embeddings, falling
+ * back to term-set Jaccard when an embedding is unavailable.
+ *
+ * @param {Object} supabase - Supabase client (to load embeddings)
+ * @param {Array<Object>} chunks - Candidates, best first
+ * @param {Object} [options]
+ * @param {number} [options.lambda] - Relevance/diversity trade-off (1 = relevance only)
+ * @returns {Promise<Array<Object>>} All candidates in MMR order, each with `mmr_score`
+ */
+export async function diversifyChunks(supabase, chunks, options = {}) {
+  const { lambda = DEFAULT_MMR_LAMBDA } = options;
+  if (chunks.length <= 1) return chunks;
+
+  const embeddings = await loadEmbeddings(supabase, chunks.map(c => c.id));
+  const terms = new Map(chunks.map(c => [c.id, new Set(tokenize(c.content))]));
+
+  const similarity = (a, b) => {
+    const ea = embeddings.get(a.id);
+    const eb = embeddings.get(b.id);
+    return ea && eb ? cosineSimilarity(ea, eb) : jaccardSimilarity(terms.get(a.id), terms.get(b.id));
+  };
+
+  const relevances = chunks.map(relevanceOf);
+  const min = Math.min(...relevances);
+  const range = Math.max(...relevances) - min;
+  const normalized = new Map(chunks.map((c, i) => [c.id, range > 0 ? (relevances[i] - min) / range : 1]));
+
+  const remaining = [...chunks];
+  const selected = [];
+  const maxSimilarity = new Map(chunks.map(c => [c.id, 0]));
+
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach((chunk, i) => {
+      const score = lambda * normalized.get(chunk.id) - (1 - lambda) * maxSimilarity.get(chunk.id);
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = i;
+      }
+    });
+
+    const [picked] = remaining.splice(bestIndex, 1);
+    selected.push({ ...picked, mmr_score: bestScore });
+
+    for (const chunk of remaining) {
+      maxSimilarity.set(chunk.id, Math.max(maxSimilarity.get(chunk.id), similarity(chunk, picked)));
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Collapse hits that share a source document or client
+ *
+ * The first (best) chunk in each group is the representative; later chunks
+ * are attached as `also_matched` summaries. Chunks without a value for the
+ * grouping key (e.g. company docs with no client) are never grouped.
+ *
+ * @param {Array<Object>} chunks - Ordered chunks
+ * @param {string} collapseBy - data_item | client | none
+ * @returns {Array<Object>} Representatives in original order
+ */
+export function collapseChunks(chunks, collapseBy) {
+  const key = COLLAPSE_KEYS[collapseBy];
+  if (!key) return chunks;
+
+  const groups = new Map();
+  const results = [];
+
+  for (const chunk of chunks) {
+    const groupId = chunk[key];
+    const representative = groupId ? groups.get(groupId) : null;
+
+    if (representative) {
+      representative.also_matched.push({
+        id: chunk.id,
+        data_item_id: chunk.data_item_id,
+        similarity: chunk.similarity ?? null,
+        score: chunk.score ?? null,
+        content: chunk.content && chunk.content.length > 200
+          ? chunk.content.substring(0, 200) + '...'
+          : chunk.content
+      });
+      continue;
+    }
+
+    const entry = { ...chunk, also_matched: [] };
+    if (groupId) groups.set(groupId, entry);
+    results.push(entry);
+  }
+
+  return results;
+}
@@ -0,0 +1,248 @@
+/**
+ * Hybrid Search
+ *
+ * Runs vector (match_data_chunks) and/or keyword (keyword_search_data_chunks)
+ * retrieval over data_chunks and fuses the rankings with reciprocal rank
+ * fusion (RRF). Shared by the v2 search routes and the MCP search_data tool.
+ *
+ * Modes:
+ * - vector:  cosine similarity only (original behavior)
+ * - keyword: Postgres full-text ranking only
+ * - hybrid:  both, fused with RRF
+ *
+ * During an embedding migration (see embeddings/reembedding.js) the vector
+ * scorer dual-reads: it ranks chunks by the old and the new model separately
+ * (match_data_chunks_for_model) and fuses those two lists with RRF first.
+ */
+
+import {
+  DEFAULT_SEARCH_MODE,
+  HYBRID_CANDIDATE_MULTIPLIER,
+  RRF_K
+} from '../config/constants.js';
+
+export const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+
+/**
+ * Check whether a mode value is supported
+ * @param {string} mode - Requested search mode
+ * @returns {boolean} True if mode is one of SEARCH_MODES
+ */
+export function isValidSearchMode(mode) {
+  return SEARCH_MODES.includes(mode);
+}
+
+/**
+ * Fuse several ranked lists with reciprocal rank fusion
+ *
+ * score(d) = Σ 1 / (k + rank_i(d)), rank starting at 1.
+ *
+ * @param {Object<string, Array<{id: string}>>} rankedLists - Lists keyed by scorer name, best first
+ * @param {number} [k=RRF_K] - RRF damping constant
+ * @returns {Array<{id: string, score: number, ranks: Object<string, number>, item: Object}>}
+ *   Fused entries sorted by score desc (ties broken by id)
+ */
+export function reciprocalRankFusion(rankedLists, k = RRF_K) {
+  const fused = new Map();
+
+  for (const [scorer, list] of Object.entries(rankedLists)) {
+    (list || []).forEach((item, index) => {
+      const rank = index + 1;
+      const entry = fused.get(item.id) || { id: item.id, score: 0, ranks: {}, item: {} };
+      entry.score += 1 / (k + rank);
+      entry.ranks[scorer] = rank;
+      // Later lists only fill in fields the earlier ones lacked
+      entry.item = { ...item, ...entry.item };
+      fused.set(item.id, entry);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) =>
+    b.score - a.score || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+  );
+}
+
+/**
+ * Search data chunks using the requested mode
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params
+ * @param {string} params.query - Raw query text (used by keyword scorer)
+ * @param {Function} params.getQueryEmbeddingText - Async fn returning the pgvector text literal
+ *   for the query. Only called when the vector scorer runs.
+ * @param {string} [params.mode] - vector | keyword | hybrid
+ * @param {Object} [params.filters] - { types, coachId, clientId, orgId }
+ * @param {number} params.threshold - Minimum cosine similarity for vector hits
+ * @param {number} params.limit - Number of results to return
+ * @param {Object} [params.dualRead] - From getDualReadSearch(): { sourceModel, targetModel,
+ *   getSourceEmbeddingText, getTargetEmbeddingText }. Replaces getQueryEmbeddingText.
+ * @returns {Promise<{chunks: Array<Object>, mode: string}>} Chunks carry
+ *   `score`, `scorers` (which scorers matched) and `ranks` (rank per scorer)
+ */
+export async function searchChunks(supabase, params) {
+  const {
+    query,
+    getQueryEmbeddingText,
+    mode = DEFAULT_SEARCH_MODE,
+    filters = {},
+    threshold,
+    limit,
+    dualRead = null
+  } = params;
+
+  if (!isValidSearchMode(mode)) {
+    throw new Error(`mode must be one of: ${SEARCH_MODES.join(', ')}`);
+  }
+
+  const filterParams = {
+    filter_types: filters.types && filters.types.length > 0 ? filters.types : null,
+    filter_coach_id: filters.coachId || null,
+    filter_client_id: filters.clientId || null,
+    filter_org_id: filters.orgId || null
+  };
+
+  // Hybrid over-fetches from each scorer so fusion has room to reorder
+  const candidateCount = mode === 'hybrid'
+    ? limit * HYBRID_CANDIDATE_MULTIPLIER
+    : limit;
+
+  // Keyword-only searches never need an embedding
+  const embeddingText = mode === 'keyword' || dualRead ? null : await getQueryEmbeddingText();
+
+  const [vectorHits, keywordHits] = await Promise.all([
+    mode === 'keyword' ? null : dualRead ? runDualReadVectorSearch(supabase, {
+      dualRead,
+      filterParams,
+      threshold,
+      count: candidateCount
+    }) : runVectorSearch(supabase, {
+      embeddingText,
+      filterParams,
+      threshold,
+      count: candidateCount
+    }),
+    mode === 'vector' ? null : runKeywordSearch(supabase, {
+      query,
+      filterParams,
+      count: candidateCount
+    })
+  ]);
+
+  if (mode === 'vector') {
+    return {
+      mode,
+      chunks: vectorHits.map(({ dual_read_score, dual_read_ranks, ...chunk }, i) => ({
+        ...chunk,
+        score: dual_read_score ?? chunk.similarity,
+        scorers: ['vector'],
+        ranks: { vector: i + 1, ...dual_read_ranks }
+      }))
+    };
+  }
+
+  if (mode === 'keyword') {
+    return {
+      mode,
+      chunks: keywordHits.map((chunk, i) => ({
+        ...chunk,
+        similarity: null,
+        score: chunk.keyword_rank,
+        scorers: ['keyword'],
+        ranks: { keyword: i + 1 }
+      }))
+    };
+  }
+
+  const fused = reciprocalRankFusion({ vector: vectorHits, keyword: keywordHits });
+
+  return {
+    mode,
+    chunks: fused.slice(0, limit).map(({ item: { dual_read_score, dual_read_ranks, ...item }, score, ranks }) => ({
+      ...item,
+      similarity: item.similarity ?? null,
+      keyword_rank: item.keyword_rank ?? null,
+      score,
+      scorers: Object.keys(ranks),
+      ranks: { ...ranks, ...dual_read_ranks }
+    }))
+  };
+}
+
+/**
+ * Build the per-hit scorer breakdown reported in response metadata
+ * @param {Array<Object>} chunks - Chunks returned by searchChunks()
+ * @returns {Array<Object>} One entry per hit, in result order
+ */
+export function describeScorers(chunks) {
+  return chunks.map(chunk => ({
+    id: chunk.id,
+    scorers: chunk.scorers,
+    ranks: chunk.ranks,
+    score: chunk.score,
+    similarity: chunk.similarity ?? null,
+    keyword_rank: chunk.keyword_rank ?? null,
+    ...(chunk.rerank_score !== undefined && {
+      retrieval_rank: chunk.retrieval_rank,
+      rerank_score: chunk.rerank_score
+    })
+  }));
+}
+
+async function runVectorSearch(supabase, { embeddingText, filterParams, threshold, count }) {
+  const { data, error } = await supabase.rpc('match_data_chunks', {
+    query_embedding_text: embeddingText,
+    ...filterParams,
+    match_threshold: threshold,
+    match_count: count
+  });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Vector search over both models of an embedding migration
+ *
+ * Similarities from different models aren't comparable, so each model ranks
+ * its own vectors and the two rankings are fused. A chunk only has a vector
+ * for the target model once it has been re-embedded (or ingested with it).
+ */
+async function runDualReadVectorSearch(supabase, { dualRead, filterParams, threshold, count }) {
+  const runForModel = async (model, getEmbeddingText) => {
+    const { data, error } = await supabase.rpc('match_data_chunks_for_model', {
+      query_embedding_text: await getEmbeddingText(),
+      embedding_model_name: model,
+      ...filterParams,
+      match_threshold: threshold,
+      match_count: count
+    });
+
+    if (error) throw error;
+    return data || [];
+  };
+
+  const [sourceHits, targetHits] = await Promise.all([
+    runForModel(dualRead.sourceModel, dualRead.getSourceEmbeddingText),
+    runForModel(dualRead.targetModel, dualRead.getTargetEmbeddingText)
+  ]);
+
+  // Target first so its similarity is the one reported for chunks in both lists
+  const fused = reciprocalRankFusion({ vector_target: targetHits, vector_source: sourceHits });
+
+  return fused.slice(0, count).map(entry => ({
+    ...entry.item,
+    dual_read_score: entry.score,
+    dual_read_ranks: entry.ranks
+  }));
+}
+
+async function runKeywordSearch(supabase, { query, filterParams, count }) {
+  const { data, error } = await supabase.rpc('keyword_search_data_chunks', {
+    query_text: query,
+    ...filterParams,
+    match_count: count
+  });
+
+  if (error) throw error;
+  return data || [];
+}
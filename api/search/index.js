@@ -0,0 +1,48 @@
+/**
+ * Search Module
+ *
+ * Retrieval and citation helpers shared by the v2 search routes and the MCP server.
+ *
+ * Usage:
+ *   import { searchChunks } from './search/index.js';
+ *
+ *   const { chunks } = await searchChunks(supabase, {
+ *     query, mode: 'hybrid', getQueryEmbeddingText, threshold: 0.3, limit: 10
+ *   });
+ *
+ *   const top = await refineChunks(supabase, chunks, {
+ *     query, limit: 10, reranker: createReranker('local'), diversify: true, collapseBy: 'data_item'
+ *   });
+ */
+
+export {
+  SEARCH_MODES,
+  isValidSearchMode,
+  reciprocalRankFusion,
+  searchChunks,
+  describeScorers
+} from './hybrid-search.js';
+export {
+  RERANKERS,
+  GPTReranker,
+  LocalReranker,
+  createReranker,
+  parseRerankOption
+} from './rerankers.js';
+export {
+  COLLAPSE_MODES,
+  parseDiversifyOptions,
+  diversifyChunks,
+  collapseChunks
+} from './diversify.js';
+export { getCandidateCount, isRefining, getRefinedPoolSize, refineChunks } from './pipeline.js';
+export { getQueryEmbeddingKey, embedQuery } from './query-embedding.js';
+export {
+  hashFilters,
+  encodeCursor,
+  decodeCursor,
+  resolveCursor,
+  getPageDepth,
+  paginateChunks
+} from './pagination.js';
+export { formatCitationDate, buildTimestampUrl, buildCitation } from './citations.js';
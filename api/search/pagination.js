@@ -0,0 +1,152 @@
+/**
+ * Search Pagination
+ *
+ * Opaque cursors for semantic search. A cursor records:
+ * - q: query embedding key (see query-embedding.js) — page 2 reuses the
+ *      embedding instead of re-embedding the query
+ * - f: hash of the effective filters/options, so a cursor can't be replayed
+ *      against a different search
+ * - o: number of results already returned
+ * - s/i: score and id of the last result returned (keyset position)
+ *
+ * Plain retrieval pages by keyset on (score desc, id asc), so results that
+ * were already shown never repeat. When rerank/diversify/collapse reorder
+ * results, pages fall back to offsets over one fixed refined pool
+ * (getRefinedPoolSize in pipeline.js), whose size is part of the filters hash.
+ *
+ * Cursors are not signed: they carry no filters or scope, only hashes that
+ * are checked against the current request.
+ */
+
+import crypto from 'crypto';
+import { MAX_PAGINATION_DEPTH } from '../config/constants.js';
+
+const CURSOR_VERSION = 1;
+
+/**
+ * Stable hash of a filters/options object (key order independent)
+ * @param {Object} filters - Effective filters and options for the search
+ * @returns {string} Short hex hash
+ */
+export function hashFilters(filters) {
+  const stable = JSON.stringify(filters, Object.keys(filters).sort());
+  return crypto.createHash('sha256').update(stable).digest('hex').substring(0, 16);
+}
+
+/**
+ * Encode a cursor payload
+ * @param {Object} payload - { q, f, o, s, i }
+ * @returns {string} base64url cursor
+ */
+export function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify({ v: CURSOR_VERSION, ...payload })).toString('base64url');
+}
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {Object|null} Payload, or null if malformed
+ */
+export function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || cursor.length === 0) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (payload.v !== CURSOR_VERSION || typeof payload.q !== 'string' || typeof payload.f !== 'string') {
+      return null;
+    }
+    if (!Number.isInteger(payload.o) || payload.o < 0) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve the `cursor` request parameter against the current search
+ *
+ * @param {string|undefined} cursor - Raw cursor
+ * @param {Object} expected - { queryKey, filtersHash }
+ * @returns {{state: Object|null, offset: number, error: string|null}}
+ */
+export function resolveCursor(cursor, { queryKey, filtersHash }) {
+  if (cursor === undefined || cursor === null || cursor === '') {
+    return { state: null, offset: 0, error: null };
+  }
+
+  const state = decodeCursor(cursor);
+  if (!state) {
+    return { state: null, offset: 0, error: 'cursor is invalid' };
+  }
+  if (state.q !== queryKey || state.f !== filtersHash) {
+    return { state: null, offset: 0, error: 'cursor does not match this query and filters' };
+  }
+
+  return { state, offset: state.o, error: null };
+}
+
+/**
+ * Number of ranked results needed to serve a page (one extra detects has_more)
+ * @param {number} offset - Results already returned
+ * @param {number} limit - Page size
+ * @returns {number} Retrieval depth
+ */
+export function getPageDepth(offset, limit) {
+  return Math.min(offset + limit + 1, MAX_PAGINATION_DEPTH + 1);
+}
+
+function compareByScoreThenId(a, b) {
+  const scoreA = a.score ?? a.similarity ?? 0;
+  const scoreB = b.score ?? b.similarity ?? 0;
+  if (scoreA !== scoreB) return scoreB - scoreA;
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Cut one page out of the ranked results and build the next cursor
+ *
+ * @param {Array<Object>} chunks - Ranked results covering at least getPageDepth()
+ * @param {Object} params
+ * @param {Object|null} params.state - Decoded cursor (null for page 1)
+ * @param {number} params.offset - Results already returned
+ * @param {number} params.limit - Page size
+ * @param {boolean} params.keyset - Page by (score, id) instead of offset
+ * @param {string} params.queryKey - Query embedding key
+ * @param {string} params.filtersHash - Filters hash
+ * @returns {{page: Array<Object>, hasMore: boolean, nextCursor: string|null}}
+ */
+export function paginateChunks(chunks, params) {
+  const { state, offset, limit, keyset, queryKey, filtersHash } = params;
+  let remaining;
+
+  if (keyset) {
+    const sorted = [...(chunks || [])].sort(compareByScoreThenId);
+    if (state && state.i !== undefined && state.i !== null) {
+      const last = { id: state.i, score: state.s };
+      remaining = sorted.filter(chunk => compareByScoreThenId(chunk, last) > 0);
+    } else {
+      remaining = sorted.slice(offset);
+    }
+  } else {
+    remaining = (chunks || []).slice(offset);
+  }
+
+  const page = remaining.slice(0, limit);
+  const nextOffset = offset + page.length;
+  const hasMore = remaining.length > limit && nextOffset < MAX_PAGINATION_DEPTH;
+  const last = page[page.length - 1];
+
+  return {
+    page,
+    hasMore,
+    nextCursor: hasMore
+      ? encodeCursor({
+          q: queryKey,
+          f: filtersHash,
+          o: nextOffset,
+          s: keyset ? (last.score ?? last.similarity ?? 0) : null,
+          i: keyset ? last.id : null
+        })
+      : null
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * Search Refinement Pipeline
+ *
+ * Post-retrieval stages shared by the v2 search routes and MCP search_data:
+ *
+ *   retrieve candidates → rerank → diversify (MMR) → collapse → top `limit`
+ *
+ * Each stage is optional. When any stage is enabled the caller retrieves a
+ * larger candidate pool (see getCandidateCount) so later stages have room
+ * to reorder. Refined searches page through that one pool: its size depends
+ * only on the page size and stages, never on the offset, so every page is cut
+ * from the same refined list (see getRefinedPoolSize).
+ */
+
+import { DIVERSIFY_CANDIDATE_MULTIPLIER, MAX_SEARCH_CANDIDATES } from '../config/constants.js';
+import { getRerankCandidateCount } from './rerankers.js';
+import { diversifyChunks, collapseChunks } from './diversify.js';
+
+/**
+ * Number of candidates to retrieve for the enabled stages
+ * @param {number} limit - Results the caller will return
+ * @param {Object} stages
+ * @param {boolean} [stages.rerank] - Rerank enabled
+ * @param {number} [stages.rerankCandidates] - Caller-requested rerank pool size
+ * @param {boolean} [stages.diversify] - MMR enabled
+ * @param {string} [stages.collapseBy] - data_item | client | none
+ * @returns {number} Candidate count (>= limit)
+ */
+export function getCandidateCount(limit, stages = {}) {
+  let count = limit;
+
+  if (stages.rerank) {
+    count = Math.max(count, getRerankCandidateCount(limit, stages.rerankCandidates));
+  }
+  if (stages.diversify || (stages.collapseBy && stages.collapseBy !== 'none')) {
+    count = Math.max(count, Math.min(limit * DIVERSIFY_CANDIDATE_MULTIPLIER, MAX_SEARCH_CANDIDATES));
+  }
+
+  return count;
+}
+
+/**
+ * Whether any refinement stage is enabled
+ * @param {Object} stages - { rerank, diversify, collapseBy }
+ * @returns {boolean}
+ */
+export function isRefining(stages = {}) {
+  return !!(stages.rerank || stages.diversify || (stages.collapseBy && stages.collapseBy !== 'none'));
+}
+
+/**
+ * Size of the fixed pool a refined search ranks and pages through
+ *
+ * Re-ranking a deeper pool for each page would reorder results between pages
+ * (repeating or skipping some). The pool is the same for every page of a
+ * search and, like any candidate count, at most MAX_SEARCH_CANDIDATES (or the
+ * page size), so results past it are not reachable in refined mode. Callers add it to the cursor's filters hash.
+ *
+ * @param {number} limit - Page size
+ * @param {Object} stages - See getCandidateCount
+ * @returns {number|null} Pool size, or null when no stage is enabled
+ */
+export function getRefinedPoolSize(limit, stages = {}) {
+  return isRefining(stages) ? getCandidateCount(limit, stages) : null;
+}
+
+/**
+ * Run the enabled refinement stages and keep the top `limit`
+ *
+ * @param {Object} supabase - Supabase client (MMR loads chunk embeddings)
+ * @param {Array<Object>} chunks - Retrieved candidates, best first
+ * @param {Object} params
+ * @param {string} params.query - Search query
+ * @param {number} params.limit - Results to return
+ * @param {Object} [params.reranker] - Reranker instance, or null to skip
+ * @param {boolean} [params.diversify] - Apply MMR
+ * @param {number} [params.lambda] - MMR relevance weight
+ * @param {string} [params.collapseBy] - data_item | client | none
+ * @returns {Promise<Array<Object>>} Refined chunks
+ */
+export async function refineChunks(supabase, chunks, params) {
+  const { query, limit, reranker = null, diversify = false, lambda, collapseBy = 'none' } = params;
+
+  if (!reranker && !diversify && collapseBy === 'none') {
+    return (chunks || []).slice(0, limit);
+  }
+
+  // Never send more than MAX_SEARCH_CANDIDATES passages to the reranker
+  let refined = (chunks || [])
+    .slice(0, MAX_SEARCH_CANDIDATES)
+    .map((chunk, i) => ({ ...chunk, retrieval_rank: i + 1 }));
+
+  if (reranker) {
+    refined = await reranker.rerank(query, refined);
+  }
+
+  if (diversify) {
+    refined = await diversifyChunks(supabase, refined, { lambda });
+  }
+
+  refined = collapseChunks(refined, collapseBy);
+
+  return refined.slice(0, limit);
+}
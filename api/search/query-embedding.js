@@ -0,0 +1,43 @@
+/**
+ * Query Embeddings
+ *
+ * Embeds search queries through the shared embedding cache, so repeated
+ * searches and follow-up pages (see pagination.js) don't call OpenAI again.
+ *
+ * The cache key (model + normalized query) is also what search cursors carry
+ * as the "query embedding hash".
+ */
+
+import { embedText, getEmbeddingCacheKey, getEmbeddingProvider } from '../embeddings/index.js';
+
+/**
+ * Key identifying a query embedding
+ * @param {string} query - Raw query
+ * @param {Object} [provider] - EmbeddingProvider (default: shared provider)
+ * @returns {string} Embedding cache key
+ */
+export function getQueryEmbeddingKey(query, provider = getEmbeddingProvider()) {
+  return getEmbeddingCacheKey(query, provider.cacheNamespace);
+}
+
+/**
+ * Embed a search query
+ *
+ * @param {Object} openai - OpenAI client (used only if no provider is configured yet)
+ * @param {string} query - Raw query
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - EmbeddingProvider (default: shared provider)
+ * @param {Object} [options.expenseTracker] - APIExpenseTracker for cache misses
+ * @returns {Promise<{key: string, embeddingText: string, cached: boolean, model: string}>}
+ *   embeddingText is the pgvector literal expected by match_data_chunks
+ */
+export async function embedQuery(openai, query, options = {}) {
+  const { key, embedding, cached, model } = await embedText(openai, query, {
+    provider: options.provider,
+    expenseTracker: options.expenseTracker,
+    operation: 'search_query'
+  });
+
+  const embeddingText = `[${embedding.map(n => n.toPrecision(10)).join(',')}]`;
+  return { key, embeddingText, cached, model };
+}
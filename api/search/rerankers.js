@@ -0,0 +1,244 @@
+/**
+ * Search Rerankers
+ *
+ * Second-stage scorers that reorder an over-fetched candidate set before the
+ * top `limit` results are returned. Retrieval (vector/keyword/hybrid) is tuned
+ * for recall; rerankers read the query and passage together for precision.
+ *
+ * Rerankers:
+ * - gpt:   GPT-4o-mini relevance scorer (default). Costs flow through APIExpenseTracker.
+ * - local: Deterministic term-overlap scorer. No network calls; used in tests
+ *          and as a zero-cost option.
+ *
+ * Every reranker implements `rerank(query, candidates)` and resolves to the
+ * candidates sorted best-first, each with a `rerank_score` in [0, 1].
+ */
+
+import {
+  DEFAULT_RERANKER,
+  MAX_SEARCH_CANDIDATES,
+  RERANK_CANDIDATES,
+  RERANK_MODEL
+} from '../config/constants.js';
+
+export const RERANKERS = ['gpt', 'local'];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'did', 'do', 'does', 'for',
+  'from', 'had', 'has', 'have', 'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on',
+  'or', 'our', 'that', 'the', 'their', 'them', 'they', 'this', 'to', 'was', 'we',
+  'were', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you', 'your'
+]);
+
+/**
+ * Split text into lowercase content terms
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms with stop words removed
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Sort candidates by rerank_score desc, keeping retrieval order for ties
+ */
+function sortByRerankScore(scored) {
+  return scored
+    .map((candidate, index) => ({ candidate, index }))
+    .sort((a, b) => b.candidate.rerank_score - a.candidate.rerank_score || a.index - b.index)
+    .map(({ candidate }) => candidate);
+}
+
+/**
+ * Deterministic local reranker
+ *
+ * Scores each passage by the fraction of distinct query terms it contains,
+ * with a small bonus for the full query appearing verbatim. Ties keep
+ * retrieval order so the output is stable for identical inputs.
+ */
+export class LocalReranker {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.phraseBonus = options.phraseBonus ?? 0.2;
+  }
+
+  async rerank(query, candidates) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const phrase = query.trim().toLowerCase();
+
+    const scored = candidates.map(candidate => {
+      const contentTerms = new Set(tokenize(candidate.content));
+      const overlap = queryTerms.length > 0
+        ? queryTerms.filter(term => contentTerms.has(term)).length / queryTerms.length
+        : 0;
+      const phraseMatch = phrase && (candidate.content || '').toLowerCase().includes(phrase)
+        ? this.phraseBonus
+        : 0;
+
+      return {
+        ...candidate,
+        rerank_score: Math.min(1, overlap * (1 - this.phraseBonus) + phraseMatch)
+      };
+    });
+
+    return sortByRerankScore(scored);
+  }
+}
+
+/**
+ * GPT-4o-mini relevance reranker
+ *
+ * Sends the query and truncated passages in one request and asks for a 0-10
+ * relevance score per passage. Fails open: if the call errors or returns
+ * unusable JSON, candidates come back in retrieval order.
+ */
+export class GPTReranker {
+  constructor(openaiClient, options = {}) {
+    this.name = 'gpt';
+    this.openai = openaiClient;
+    this.model = options.model || RERANK_MODEL;
+    this.maxPassageLength = options.maxPassageLength || 800; // Characters per passage sent to GPT
+    this.expenseTracker = options.expenseTracker || null;
+  }
+
+  async rerank(query, candidates) {
+    if (candidates.length === 0) return [];
+
+    try {
+      const response = await this.openai.chat.completions.create({
+        model: this.model,
+        messages: [
+          {
+            role: 'system',
+            content: 'You rank passages from coaching session transcripts and coaching documents by how well they answer a search query.'
+          },
+          {
+            role: 'user',
+            content: this.buildPrompt(query, candidates)
+          }
+        ],
+        temperature: 0,
+        response_format: { type: 'json_object' }
+      });
+
+      // Track API expense
+      if (this.expenseTracker && response.usage) {
+        this.expenseTracker.track({
+          model: this.model,
+          operation: 'rerank',
+          inputTokens: response.usage.prompt_tokens,
+          outputTokens: response.usage.completion_tokens,
+          metadata: {
+            candidates: candidates.length
+          }
+        });
+      }
+
+      const scores = this.parseResponse(response.choices[0].message.content, candidates.length);
+
+      return sortByRerankScore(candidates.map((candidate, i) => ({
+        ...candidate,
+        rerank_score: scores[i]
+      })));
+    } catch (error) {
+      console.error('GPT rerank failed, keeping retrieval order:', error.message);
+      return candidates.map(candidate => ({ ...candidate, rerank_score: null }));
+    }
+  }
+
+  buildPrompt(query, candidates) {
+    const passages = candidates.map((candidate, i) => {
+      const content = (candidate.content || '').substring(0, this.maxPassageLength);
+      return `[${i}] ${content}`;
+    }).join('\n\n');
+
+    return `Query: "${query}"
+
+Score each passage from 0 (irrelevant) to 10 (directly answers the query).
+Prefer passages with specific, substantive content over passing mentions.
+
+Passages:
+${passages}
+
+Respond with JSON only: {"scores": [{"index": 0, "score": 7}, ...]} covering every passage.`;
+  }
+
+  /**
+   * Parse GPT scores into a per-candidate array normalized to [0, 1]
+   * Passages GPT skipped score 0.
+   */
+  parseResponse(content, count) {
+    const parsed = JSON.parse(content);
+    if (!Array.isArray(parsed.scores)) {
+      throw new Error('Rerank response missing scores array');
+    }
+
+    const scores = new Array(count).fill(0);
+    for (const entry of parsed.scores) {
+      const index = Number(entry.index);
+      const score = Number(entry.score);
+      if (Number.isInteger(index) && index >= 0 && index < count && Number.isFinite(score)) {
+        scores[index] = Math.max(0, Math.min(10, score)) / 10;
+      }
+    }
+    return scores;
+  }
+}
+
+/**
+ * Create a reranker by name
+ * @param {string} [name] - gpt | local (defaults to SEARCH_RERANKER env or DEFAULT_RERANKER)
+ * @param {Object} deps - { openai, expenseTracker }
+ * @returns {GPTReranker|LocalReranker} Reranker instance
+ */
+export function createReranker(name, deps = {}) {
+  const rerankerName = name || process.env.SEARCH_RERANKER || DEFAULT_RERANKER;
+
+  switch (rerankerName) {
+    case 'gpt':
+      return new GPTReranker(deps.openai, { expenseTracker: deps.expenseTracker });
+    case 'local':
+      return new LocalReranker();
+    default:
+      throw new Error(`reranker must be one of: ${RERANKERS.join(', ')}`);
+  }
+}
+
+/**
+ * Resolve a request's `rerank` option to a reranker name
+ *
+ * Accepts `true` (server default), `false`/omitted (no rerank) or a reranker name.
+ *
+ * @param {boolean|string|undefined} value - Raw rerank option
+ * @returns {{enabled: boolean, name: string|null, error: string|null}}
+ */
+export function parseRerankOption(value) {
+  if (value === undefined || value === null || value === false || value === 'false') {
+    return { enabled: false, name: null, error: null };
+  }
+  if (value === true || value === 'true') {
+    return { enabled: true, name: null, error: null };
+  }
+  if (RERANKERS.includes(value)) {
+    return { enabled: true, name: value, error: null };
+  }
+  return {
+    enabled: false,
+    name: null,
+    error: `rerank must be a boolean or one of: ${RERANKERS.join(', ')}`
+  };
+}
+
+/**
+ * Number of candidates to retrieve before reranking
+ * @param {number} limit - Results the caller will return
+ * @param {number} [requested] - Caller-requested candidate count
+ * @returns {number} Candidate count, at least `limit` and at most MAX_SEARCH_CANDIDATES
+ */
+export function getRerankCandidateCount(limit, requested) {
+  const count = parseInt(requested) || RERANK_CANDIDATES;
+  return Math.min(Math.max(count, limit), MAX_SEARCH_CANDIDATES);
+}
@@ -22,16 +22,29 @@ import { createClient } from '@supabase/supabase-js';
 import OpenAI from 'openai';
 import multer from 'multer';
 import pdfParse from 'pdf-parse';
-import { DataProcessorFactory } from './processors/index.js';
+import { DataProcessorFactory, detectCaptionFormat, importTranscriptFile, toTranscriptInput } from './processors/index.js';
 import { createAuthMiddleware, createOptionalAuthMiddleware } from './middleware/auth.js';
 import { VERSION } from './version.js';
 import { createAdminRoutes } from './routes/admin.js';
 import { createApiKeyRoutes } from './routes/api-keys.js';
+import { createEmbeddingMigrationRoutes } from './routes/embedding-migrations.js';
+import { createIngestionJobRoutes } from './routes/ingestion-jobs.js';
+import { createSessionTypeRuleRoutes } from './routes/session-type-rules.js';
+import { createFirefliesDeliveryRoutes } from './routes/fireflies-deliveries.js';
+import { createClientAliasRoutes } from './routes/client-aliases.js';
+import { createFirefliesReviewRoutes } from './routes/fireflies-review.js';
 import { createAdminAuthRoutes, createAdminSessionMiddleware } from './routes/admin-auth.js';
-import { createV2ClientRoutes, createV2SearchRoutes, createV2TranscriptRoutes } from './routes/v2/index.js';
+import { createV2ClientRoutes, createV2SearchRoutes, createV2TranscriptRoutes, createV2JobRoutes } from './routes/v2/index.js';
 import { createMCPRoutes, createStreamableHTTPHandler } from './mcp/index.js';
-import { createFirefliesRoutes } from './integrations/fireflies.js';
+import { createFirefliesRoutes, processWebhookEvent } from './integrations/fireflies.js';
+import { FirefliesWebhookQueue } from './integrations/fireflies-webhook-queue.js';
 import { createAnalyticsMiddleware, logCostEvent, calculateEmbeddingCost } from './middleware/analytics.js';
+import { APIExpenseTracker } from './utils/api-expense-tracker.js';
+import { configureEmbeddingCache, configureEmbeddingProvider, embedText, getDualReadSearch } from './embeddings/index.js';
+import { searchChunks } from './search/index.js';
+import { IngestionJobQueue, SOURCE_PROCESS_OPTIONS, isValidationError } from './jobs/index.js';
+import { findDuplicates, insertUnlessDuplicate, parseDuplicatePolicy } from './dedup/index.js';
+import { INGESTION_POLL_INTERVAL_MS } from './config/constants.js';
 
 /**
  * Sanitize PDF-extracted text for PostgreSQL storage.
@@ -79,9 +92,32 @@ const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
 });
 
+// Shared OpenAI expense tracker for request-time calls (search reranking, embeddings)
+// Vercel's filesystem is read-only outside /tmp
+const expenseTracker = new APIExpenseTracker({
+  logFile: process.env.VERCEL ? '/tmp/api-expenses.jsonl' : undefined
+});
+
+// Shared embedding provider (EMBEDDING_PROVIDER=openai|azure|local)
+const embeddingProvider = configureEmbeddingProvider({ openai });
+
+// Shared embedding cache (EMBEDDING_CACHE=memory|postgres|none)
+configureEmbeddingCache({ supabase });
+
 // Initialize data processor factory
 const processorFactory = new DataProcessorFactory(openai);
 
+// Asynchronous upload queue. Long-lived servers work it themselves; on Vercel
+// the Ingestion Worker workflow calls POST /api/admin/jobs/work on a schedule
+const ingestionQueue = new IngestionJobQueue(supabase, { processorFactory });
+const drainJobsInProcess = process.env.VERCEL !== '1';
+
+// Stored Fireflies webhook deliveries. Failures are retried on the same
+// schedule as jobs on long-lived servers; on Vercel by the polling /sync
+const firefliesWebhookQueue = new FirefliesWebhookQueue(supabase, {
+  processEvent: payload => processWebhookEvent({ supabase, openai, expenseTracker }, payload)
+});
+
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -252,19 +288,15 @@ function chunkText(text, chunkSize = 500, overlap = 50) {
 }
 
 /**
- * Generate embedding for text using OpenAI
+ * Generate embedding for text using OpenAI (through the shared embedding cache)
  *
  * @param {string} text - Text to embed
- * @returns {Promise<number[]>} 1536-dimensional embedding vector
+ * @returns {Promise<number[]>} Embedding vector from the configured provider
  */
 async function generateEmbedding(text) {
   try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: text.trim()
-    });
-
-    return response.data[0].embedding;
+    const { embedding } = await embedText(openai, text, { expenseTracker });
+    return embedding;
   } catch (error) {
     console.error('Error generating embedding:', error.message);
     throw new Error('Failed to generate embedding');
@@ -338,6 +370,14 @@ app.post('/api/admin/data/upload', adminSessionMiddleware, upload.single('file')
       });
     }
 
+    const { policy: onDuplicate, error: policyError } = parseDuplicatePolicy(req.body.on_duplicate);
+    if (policyError) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: policyError
+      });
+    }
+
     // Verify coach belongs to company
     const { data: coach, error: coachError } = await supabase
       .from('coaches')
@@ -362,8 +402,38 @@ app.post('/api/admin/data/upload', adminSessionMiddleware, upload.single('file')
       content = sanitizePdfText(pdfData.text);
     }
 
+    // Caption files can only be transcripts
+    if (data_type !== 'transcript' && detectCaptionFormat(req.file.originalname, req.file.mimetype)) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: 'Caption files (.vtt, .srt) can only be uploaded as transcripts'
+      });
+    }
+
+    // Handle transcript exports (Zoom JSON, Otter, Teams, captions): keep speakers, times and meeting details
+    let transcriptInput = null;
+    if (data_type === 'transcript' && req.file.mimetype !== 'application/pdf') {
+      try {
+        const imported = await importTranscriptFile(req.file.buffer, {
+          filename: req.file.originalname,
+          mimetype: req.file.mimetype
+        });
+        if (imported.transcript) {
+          transcriptInput = toTranscriptInput(imported.transcript, req.file.originalname);
+          content = transcriptInput.content;
+        } else {
+          content = imported.text;
+        }
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: error.message
+        });
+      }
+    }
+
     // Handle JSON files - extract text content
-    if (req.file.mimetype === 'application/json' || req.file.originalname.endsWith('.json')) {
+    if (!transcriptInput && (req.file.mimetype === 'application/json' || req.file.originalname.endsWith('.json'))) {
       try {
         const jsonData = JSON.parse(content);
         content = JSON.stringify(jsonData, null, 2);
@@ -382,6 +452,21 @@ app.post('/api/admin/data/upload', adminSessionMiddleware, upload.single('file')
       companyId: admin.coaching_company_id
     };
 
+    // TranscriptProcessor reads snake_case ownership and date fields
+    if (data_type === 'transcript') {
+      metadata.coach_id = metadata.coachId;
+      metadata.client_id = metadata.clientId;
+      metadata.meeting_date = metadata.sessionDate;
+
+      if (transcriptInput) {
+        const exported = transcriptInput.metadata;
+        Object.assign(metadata, exported, {
+          title: title || exported.title || req.file.originalname,
+          meeting_date: metadata.sessionDate || exported.meeting_date
+        });
+      }
+    }
+
     // For assessments, add required assessment_type field
     if (data_type === 'assessment') {
       metadata.assessment_type = req.body.assessment_type || '360'; // Default to 360 review
@@ -391,28 +476,51 @@ app.post('/api/admin/data/upload', adminSessionMiddleware, upload.single('file')
 
     // Get processor and process the data
     const processor = processorFactory.getProcessor(data_type);
-    const { dataItem, chunks } = await processor.process(content, metadata);
 
-    // Insert data item
-    const { data: insertedItem, error: dataItemError } = await supabase
-      .from('data_items')
-      .insert(dataItem)
-      .select()
-      .single();
+    const respondDuplicate = (exact) => {
+      if (onDuplicate === 'reject') {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Identical content already stored as data item ${exact.id}`,
+          duplicateOf: exact
+        });
+      }
 
-    if (dataItemError) {
-      console.error('Database error:', dataItemError);
-      throw new Error(`Failed to save ${data_type}: ${dataItemError.message}`);
-    }
+      return res.json({
+        message: 'Identical content already stored; linked to the existing data item',
+        dataItemId: exact.id,
+        duplicate: true,
+        duplicateOf: exact,
+        chunksCreated: 0,
+        chunksFailed: 0
+      });
+    };
+
+    // Reimport of content already stored for this coach and client
+    const checked = await findDuplicates(supabase, content, {
+      dataType: data_type,
+      coachId: coach_id,
+      clientId: client_id
+    });
+    if (checked.exact) return respondDuplicate(checked.exact);
+
+    const { dataItem, chunks, embeddingFailures } = await processor.process(content, metadata);
+
+    // Insert data item; a concurrent upload of the same content wins the unique index
+    const { dataItem: insertedItem, exact } = await insertUnlessDuplicate(supabase, dataItem, { checked });
+    if (exact) return respondDuplicate(exact);
 
     console.log(`[Admin Upload] Saved ${data_type} with ID ${insertedItem.id}, creating ${chunks.length} chunks...`);
 
     // Prepare chunk records for database
-    const chunkRecords = chunks.map((chunk, index) => ({
+    const chunkRecords = chunks.map(chunk => ({
       data_item_id: insertedItem.id,
-      chunk_index: index,
+      chunk_index: chunk.chunkIndex,
       content: chunk.content,
-      embedding: processor.formatEmbeddingForDB(chunk.embedding)
+      embedding: processor.formatEmbeddingForDB(chunk.embedding),
+      embedding_model: chunk.embeddingModel,
+      embedding_dimensions: chunk.embeddingDimensions,
+      ...(chunk.metadata && { metadata: chunk.metadata })
     }));
 
     // Batch insert chunks
@@ -428,7 +536,9 @@ app.post('/api/admin/data/upload', adminSessionMiddleware, upload.single('file')
     res.status(201).json({
       message: 'File uploaded and processed successfully',
       dataItemId: insertedItem.id,
-      chunksCreated: chunks.length
+      chunksCreated: chunks.length,
+      chunksFailed: embeddingFailures.length,
+      duplicateOf: near
     });
 
   } catch (error) {
@@ -444,28 +554,64 @@ app.post('/api/admin/data/upload', adminSessionMiddleware, upload.single('file')
 const apiKeyRoutes = createApiKeyRoutes(supabase, adminSessionMiddleware);
 app.use('/api/admin/api-keys', apiKeyRoutes);
 
+// Register embedding migration routes (re-embedding with a new model)
+const embeddingMigrationRoutes = createEmbeddingMigrationRoutes(supabase, adminSessionMiddleware, { openai, expenseTracker });
+app.use('/api/admin/embedding-migrations', embeddingMigrationRoutes);
+
+// Register ingestion job routes (async upload queue)
+const ingestionJobRoutes = createIngestionJobRoutes(supabase, adminSessionMiddleware, {
+  queue: ingestionQueue,
+  drainInBackground: drainJobsInProcess
+});
+app.use('/api/admin/jobs', ingestionJobRoutes);
+
+// Register session type rule routes (Fireflies transcript classification)
+const sessionTypeRuleRoutes = createSessionTypeRuleRoutes(supabase, adminSessionMiddleware, { openai, expenseTracker });
+app.use('/api/admin/session-type-rules', sessionTypeRuleRoutes);
+
+// Register Fireflies webhook delivery routes (inspect and replay failed webhooks)
+const firefliesDeliveryRoutes = createFirefliesDeliveryRoutes(supabase, adminSessionMiddleware, {
+  queue: firefliesWebhookQueue
+});
+app.use('/api/admin/fireflies/deliveries', firefliesDeliveryRoutes);
+
+// Register client alias routes (alternate emails and names for Fireflies matching)
+const clientAliasRoutes = createClientAliasRoutes(supabase, adminSessionMiddleware);
+app.use('/api/admin/client-aliases', clientAliasRoutes);
+
+// Register Fireflies review queue routes (transcripts no coach matched)
+const firefliesReviewRoutes = createFirefliesReviewRoutes(supabase, adminSessionMiddleware, { openai, expenseTracker });
+app.use('/api/admin/fireflies/pending', firefliesReviewRoutes);
+
 // Register v2 routes (for MCP server and Enhanced Custom GPT)
-const v2ClientRoutes = createV2ClientRoutes(supabase, authMiddleware);
-const v2SearchRoutes = createV2SearchRoutes(supabase, authMiddleware);
-const v2TranscriptRoutes = createV2TranscriptRoutes(supabase, authMiddleware);
+const v2ClientRoutes = createV2ClientRoutes(supabase, authMiddleware, { openai, expenseTracker });
+const v2SearchRoutes = createV2SearchRoutes(supabase, authMiddleware, { expenseTracker });
+const v2TranscriptRoutes = createV2TranscriptRoutes(supabase, authMiddleware, { processorFactory });
 app.use('/api/v2/clients', v2ClientRoutes);
 app.use('/api/v2/search', v2SearchRoutes);
 app.use('/api/v2/transcripts', v2TranscriptRoutes);
 
+// Job status allows unauthenticated callers: uploads may be anonymous
+const v2JobRoutes = createV2JobRoutes(supabase, optionalAuthMiddleware, { queue: ingestionQueue });
+app.use('/api/v2/jobs', v2JobRoutes);
+
 // Register MCP routes (Model Context Protocol for AI assistants)
 // Legacy SSE transport (deprecated, kept for backward compatibility)
-const mcpRoutes = createMCPRoutes(supabase, openai, authMiddleware);
+const mcpRoutes = createMCPRoutes(supabase, openai, authMiddleware, { expenseTracker });
 app.get('/api/mcp/sse', ...mcpRoutes.handleSSE);
 app.post('/api/mcp/messages', ...mcpRoutes.handleMessages);
 
 // Streamable HTTP transport (recommended for remote MCP clients)
-const streamableHTTP = createStreamableHTTPHandler(supabase, openai, authMiddleware);
+const streamableHTTP = createStreamableHTTPHandler(supabase, openai, authMiddleware, { expenseTracker });
 app.post('/api/mcp', ...streamableHTTP.handlePost);
 app.get('/api/mcp', ...streamableHTTP.handleGet);
 app.delete('/api/mcp', ...streamableHTTP.handleDelete);
 
 // Register Fireflies.ai integration routes (Phase 5)
-const firefliesRoutes = createFirefliesRoutes(supabase, openai);
+const firefliesRoutes = createFirefliesRoutes(supabase, openai, {
+  expenseTracker,
+  webhookQueue: firefliesWebhookQueue
+});
 app.use('/api/integrations/fireflies', firefliesRoutes);
 
 /**
@@ -583,15 +729,18 @@ app.get('/', (req, res) => {
       // Legacy endpoints (backward compatible)
       upload: 'POST /api/transcripts/upload',
       uploadPdf: 'POST /api/transcripts/upload-pdf',
-      bulkUpload: 'POST /api/transcripts/bulk-upload',
+      bulkUpload: 'POST /api/transcripts/bulk-upload (queued, returns job_id)',
       // New multi-type endpoint
-      dataUpload: 'POST /api/data/upload',
+      dataUpload: 'POST /api/data/upload (queued, returns job_id)',
       search: 'POST /api/search (supports types, coach_id, client_id, organization_id filters)',
       openapi: 'GET /openapi.json',
       // V2 endpoints (for MCP server and Enhanced Custom GPT)
       v2Clients: 'GET /api/v2/clients (list accessible clients)',
       v2ClientTimeline: 'GET /api/v2/clients/:id/timeline (chronological history)',
       v2ClientData: 'GET /api/v2/clients/:id/data (full data items)',
+      v2ClientSummary: 'POST /api/v2/clients/:id/summary (session themes, commitments, open questions)',
+      v2TranscriptUpload: 'POST /api/v2/transcripts/upload (Zoom JSON, Otter, Teams DOCX, WebVTT/SRT)',
+      v2Job: 'GET /api/v2/jobs/:id (upload job status)',
       v2SearchUnified: 'POST /api/v2/search/unified (enhanced search with metadata)',
       v2SearchFiltered: 'POST /api/v2/search/filtered (explicit filter structure)',
       // MCP endpoints (Model Context Protocol for AI assistants)
@@ -611,7 +760,23 @@ app.get('/', (req, res) => {
       createApiKey: 'POST /api/admin/api-keys',
       revokeApiKey: 'PUT /api/admin/api-keys/:id/revoke',
       activateApiKey: 'PUT /api/admin/api-keys/:id/activate',
-      deleteApiKey: 'DELETE /api/admin/api-keys/:id'
+      deleteApiKey: 'DELETE /api/admin/api-keys/:id',
+      // Session type rules (require authentication)
+      sessionTypeRules: 'GET|POST /api/admin/session-type-rules',
+      sessionTypeRule: 'PUT|DELETE /api/admin/session-type-rules/:id',
+      sessionTypeReclassify: 'POST /api/admin/session-type-rules/reclassify/dry-run (preview, nothing written)',
+      // Fireflies webhook deliveries (require authentication)
+      firefliesDeliveries: 'GET /api/admin/fireflies/deliveries (status, meeting_id)',
+      firefliesDelivery: 'GET /api/admin/fireflies/deliveries/:id (payload and errors)',
+      firefliesDeliveryReplay: 'POST /api/admin/fireflies/deliveries/:id/replay',
+      // Client aliases for Fireflies matching (require authentication)
+      clientAliases: 'GET|POST /api/admin/client-aliases (client_id)',
+      clientAlias: 'DELETE /api/admin/client-aliases/:id',
+      // Fireflies review queue (require authentication)
+      firefliesReviewQueue: 'GET /api/admin/fireflies/pending (status, coach_id, from, to, page, limit)',
+      firefliesReviewItem: 'GET /api/admin/fireflies/pending/:id (preview, suggestions, decisions)',
+      firefliesReviewActions: 'POST /api/admin/fireflies/pending/assign|discard|snooze|unsnooze',
+      firefliesReviewDecisions: 'GET /api/admin/fireflies/pending/decisions (pending_id, admin_id, action)'
     },
     supported_data_types: processorFactory.getSupportedTypes(),
     search_filters: ['types', 'coach_id', 'client_id', 'organization_id', 'threshold', 'limit'],
@@ -640,6 +805,30 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+/**
+ * Answer a legacy transcript upload whose text is already stored for the
+ * same coach and client: 409 with on_duplicate=reject, otherwise the
+ * existing data item (nothing new is stored)
+ */
+function sendDuplicateTranscript(res, exact, onDuplicate) {
+  if (onDuplicate === 'reject') {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `Identical transcript already stored as data item ${exact.id}`,
+      duplicate_of: exact
+    });
+  }
+
+  return res.json({
+    transcript_id: exact.id,
+    data_item_id: exact.id,
+    chunks_created: 0,
+    duplicate: true,
+    duplicate_of: exact,
+    message: 'Identical transcript already stored; linked to the existing data item'
+  });
+}
+
 /**
  * Upload Text Transcript
  *
@@ -651,19 +840,24 @@ app.get('/api/health', (req, res) => {
  *     "meeting_date": "2025-11-08T10:00:00Z",  // optional
  *     "coach_id": "uuid",                        // optional
  *     "client_id": "uuid",                       // optional
- *     "metadata": {}                             // optional
+ *     "metadata": {},                            // optional
+ *     "on_duplicate": "link" | "reject"          // optional, default link
  *   }
  *
  * Returns:
  *   {
  *     "transcript_id": "uuid",
  *     "chunks_created": 5,
+ *     "duplicate_of": null,  // or the near-duplicate the new item was flagged against
  *     "message": "Transcript uploaded and processed successfully"
  *   }
+ *
+ * Text already stored for the same coach and client is not stored again:
+ * 200 with the existing item (duplicate: true), or 409 with on_duplicate=reject.
  */
 app.post('/api/transcripts/upload', optionalAuthMiddleware, async (req, res) => {
   try {
-    const { text, meeting_date, coach_id, client_id, metadata } = req.body;
+    const { text, meeting_date, coach_id, client_id, metadata, on_duplicate } = req.body;
 
     // Validation
     if (!text || text.trim().length < 50) {
@@ -673,26 +867,28 @@ app.post('/api/transcripts/upload', optionalAuthMiddleware, async (req, res) =>
       });
     }
 
-    // Insert data item (transcript type)
-    const { data: dataItem, error: dataItemError } = await supabase
-      .from('data_items')
-      .insert({
-        data_type: 'transcript',
-        raw_content: text,
-        session_date: meeting_date || new Date().toISOString(),
-        coach_id,
-        client_id,
-        metadata,
-        visibility_level: 'coach_only'
-      })
-      .select()
-      .single();
-
-    if (dataItemError) {
-      console.error('Database error:', dataItemError);
-      throw new Error('Failed to save transcript');
+    const { policy: onDuplicate, error: policyError } = parseDuplicatePolicy(on_duplicate);
+    if (policyError) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: policyError
+      });
     }
 
+    // Insert data item (transcript type) unless the same text is already
+    // stored for this coach and client
+    const { dataItem, exact } = await insertUnlessDuplicate(supabase, {
+      data_type: 'transcript',
+      raw_content: text,
+      session_date: meeting_date || new Date().toISOString(),
+      coach_id,
+      client_id,
+      metadata,
+      visibility_level: 'coach_only'
+    });
+
+    if (exact) return sendDuplicateTranscript(res, exact, onDuplicate);
+
     // Chunk the text
     const chunks = chunkText(text);
     console.log(`Created ${chunks.length} chunks for data item ${dataItem.id}`);
@@ -705,7 +901,8 @@ app.post('/api/transcripts/upload', optionalAuthMiddleware, async (req, res) =>
         data_item_id: dataItem.id,
         chunk_index: i,
         content: chunks[i],
-        embedding: formatEmbeddingForDB(embedding)
+        embedding: formatEmbeddingForDB(embedding),
+        ...embeddingProvider.getChunkFields()
       });
     }
 
@@ -723,6 +920,7 @@ app.post('/api/transcripts/upload', optionalAuthMiddleware, async (req, res) =>
       transcript_id: dataItem.id, // Keep old field name for backward compatibility
       data_item_id: dataItem.id,  // New field name
       chunks_created: chunks.length,
+      duplicate_of: near,
       message: 'Transcript uploaded and processed successfully'
     });
 
@@ -746,6 +944,7 @@ app.post('/api/transcripts/upload', optionalAuthMiddleware, async (req, res) =>
  *   coach_id: UUID (optional)
  *   client_id: UUID (optional)
  *   metadata: JSON string (optional)
+ *   on_duplicate: link | reject (optional, default link)
  *
  * Returns: Same as /api/transcripts/upload
  */
@@ -777,30 +976,31 @@ app.post('/api/transcripts/upload-pdf', optionalAuthMiddleware, upload.single('f
       });
     }
 
+    const { policy: onDuplicate, error: policyError } = parseDuplicatePolicy(req.body.on_duplicate);
+    if (policyError) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: policyError
+      });
+    }
+
     // Parse optional metadata
     let metadata = req.body.metadata ? JSON.parse(req.body.metadata) : {};
     metadata.original_filename = req.file.originalname;
     metadata.pdf_pages = pdfData.numpages;
 
     // Insert data item (reuse same logic as text upload)
-    const { data: dataItem, error: dataItemError } = await supabase
-      .from('data_items')
-      .insert({
-        data_type: 'transcript',
-        raw_content: text,
-        session_date: req.body.meeting_date || new Date().toISOString(),
-        coach_id: req.body.coach_id,
-        client_id: req.body.client_id,
-        metadata,
-        visibility_level: 'coach_only'
-      })
-      .select()
-      .single();
+    const { dataItem, exact } = await insertUnlessDuplicate(supabase, {
+      data_type: 'transcript',
+      raw_content: text,
+      session_date: req.body.meeting_date || new Date().toISOString(),
+      coach_id: req.body.coach_id,
+      client_id: req.body.client_id,
+      metadata,
+      visibility_level: 'coach_only'
+    });
 
-    if (dataItemError) {
-      console.error('Database error:', dataItemError);
-      throw new Error('Failed to save transcript');
-    }
+    if (exact) return sendDuplicateTranscript(res, exact, onDuplicate);
 
     // Chunk and embed
     const chunks = chunkText(text);
@@ -813,7 +1013,8 @@ app.post('/api/transcripts/upload-pdf', optionalAuthMiddleware, upload.single('f
         data_item_id: dataItem.id,
         chunk_index: i,
         content: chunks[i],
-        embedding: formatEmbeddingForDB(embedding)
+        embedding: formatEmbeddingForDB(embedding),
+        ...embeddingProvider.getChunkFields()
       });
     }
 
@@ -830,6 +1031,7 @@ app.post('/api/transcripts/upload-pdf', optionalAuthMiddleware, upload.single('f
       transcript_id: dataItem.id, // Keep old field name for backward compatibility
       data_item_id: dataItem.id,  // New field name
       chunks_created: chunks.length,
+      duplicate_of: near,
       message: 'PDF transcript uploaded and processed successfully',
       pdf_info: {
         filename: req.file.originalname,
@@ -846,6 +1048,20 @@ app.post('/api/transcripts/upload-pdf', optionalAuthMiddleware, upload.single('f
   }
 });
 
+/**
+ * Status fields of a queued upload's 202 response
+ * @param {Object} job - Row returned by IngestionJobQueue.enqueue()
+ * @returns {{status_url: string, view_token?: string}}
+ */
+function getJobStatusLinks(job) {
+  if (!job.view_token) return { status_url: `/api/v2/jobs/${job.id}` };
+
+  return {
+    status_url: `/api/v2/jobs/${job.id}?view_token=${job.view_token}`,
+    view_token: job.view_token
+  };
+}
+
 /**
  * Bulk Upload Transcripts
  *
@@ -856,18 +1072,28 @@ app.post('/api/transcripts/upload-pdf', optionalAuthMiddleware, upload.single('f
  *     {
  *       text: string,
  *       meeting_date: ISO date string (optional),
- *       metadata: object (optional)
+ *       metadata: object (optional TranscriptProcessor metadata; coach_id
+ *                 defaults to the caller's coach API key)
  *     },
  *     ...
- *   ]
+ *   ],
+ *   on_duplicate: 'link' | 'reject' (optional, default link)
  * }
  *
- * Processes multiple transcripts in parallel for efficiency.
- * Returns: Array of created transcript IDs and processing status
+ * Every transcript is validated first; if any fails, nothing is queued and
+ * the 400 lists them: { errors: [{ index, error, status: 'failed' }] }.
+ * Otherwise queues the transcripts as one ingestion job (api/jobs/ingestion-queue.js).
+ * Returns 202: { job_id, status, total, status_url }; poll
+ * GET /api/v2/jobs/:id for per-transcript status and data item ids.
+ * Unauthenticated uploads also get a view_token, required to read the job
+ * (status_url includes it).
+ * Transcripts already stored for the same coach and client are not stored
+ * again: their item is 'duplicate' with the existing data_item_id, or
+ * failed with on_duplicate=reject.
  */
 app.post('/api/transcripts/bulk-upload', optionalAuthMiddleware, async (req, res) => {
   try {
-    const { transcripts } = req.body;
+    const { transcripts, on_duplicate } = req.body;
 
     if (!transcripts || !Array.isArray(transcripts)) {
       return res.status(400).json({
@@ -890,85 +1116,63 @@ app.post('/api/transcripts/bulk-upload', optionalAuthMiddleware, async (req, res
       });
     }
 
-    console.log(`Processing bulk upload of ${transcripts.length} transcripts...`);
-
-    const results = [];
-    const errors = [];
-
-    // Process each transcript
-    for (let i = 0; i < transcripts.length; i++) {
-      const { text, meeting_date, metadata } = transcripts[i];
-
-      try {
-        if (!text || typeof text !== 'string') {
-          throw new Error('text is required and must be a string');
-        }
+    const { policy: onDuplicate, error: policyError } = parseDuplicatePolicy(on_duplicate);
+    if (policyError) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: policyError
+      });
+    }
 
-        // Insert data item
-        const { data: dataItem, error: dataItemError } = await supabase
-          .from('data_items')
-          .insert({
-            data_type: 'transcript',
-            raw_content: text,
-            session_date: meeting_date || new Date().toISOString(),
-            metadata: metadata || {},
-            visibility_level: 'coach_only'
-          })
-          .select()
-          .single();
-
-        if (dataItemError) throw dataItemError;
-
-        // Chunk and embed
-        const chunks = chunkText(text);
-        const chunkRecords = [];
-
-        for (let j = 0; j < chunks.length; j++) {
-          const embedding = await generateEmbedding(chunks[j]);
-          chunkRecords.push({
-            data_item_id: dataItem.id,
-            chunk_index: j,
-            content: chunks[j],
-            embedding: formatEmbeddingForDB(embedding)
-          });
+    const items = transcripts.map(transcript => {
+      const metadata = transcript?.metadata || {};
+      return {
+        data_type: 'transcript',
+        content: transcript?.text,
+        metadata: {
+          ...metadata,
+          coach_id: metadata.coach_id || req.auth?.coachId || null,
+          meeting_date: transcript?.meeting_date || metadata.meeting_date || null
         }
+      };
+    });
 
-        // Insert chunks
-        const { error: chunksError } = await supabase
-          .from('data_chunks')
-          .insert(chunkRecords);
-
-        if (chunksError) throw chunksError;
-
-        results.push({
-          index: i,
-          transcript_id: dataItem.id,  // Keep old field for compatibility
-          data_item_id: dataItem.id,   // New field
-          chunks_created: chunks.length,
-          status: 'success'
-        });
-
-        console.log(`[${i + 1}/${transcripts.length}] Processed data item ${dataItem.id}`);
-
+    // Reject invalid transcripts now rather than in the worker
+    const processor = processorFactory.getProcessor('transcript');
+    const errors = [];
+    items.forEach((item, index) => {
+      try {
+        processor.validate(item.content, item.metadata, SOURCE_PROCESS_OPTIONS.bulk_upload);
       } catch (error) {
-        console.error(`[${i + 1}/${transcripts.length}] Failed:`, error.message);
-        errors.push({
-          index: i,
-          error: error.message,
-          status: 'failed'
-        });
+        errors.push({ index, error: error.message, status: 'failed' });
       }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `${errors.length} of ${transcripts.length} transcripts failed validation; nothing was queued`,
+        errors
+      });
     }
 
-    const successCount = results.length;
-    const failureCount = errors.length;
+    const job = await ingestionQueue.enqueue({
+      source: 'bulk_upload',
+      auth: req.auth,
+      onDuplicate,
+      items
+    });
+
+    console.log(`Queued bulk upload of ${transcripts.length} transcripts as job ${job.id}`);
 
-    res.status(successCount > 0 ? 201 : 500).json({
+    if (drainJobsInProcess) ingestionQueue.drainInBackground();
+
+    res.status(202).json({
+      job_id: job.id,
+      status: job.status,
       total: transcripts.length,
-      successful: successCount,
-      failed: failureCount,
-      results,
-      errors: errors.length > 0 ? errors : undefined
+      ...getJobStatusLinks(job),
+      message: 'Transcripts queued for processing'
     });
 
   } catch (error) {
@@ -992,20 +1196,31 @@ app.post('/api/transcripts/bulk-upload', optionalAuthMiddleware, async (req, res
  *     "metadata": {
  *       // Type-specific metadata fields
  *       // See processor documentation for required fields per type
- *     }
+ *     },
+ *     "on_duplicate": "link" | "reject"  // optional, default link
  *   }
  *
- * Returns:
+ * Input is validated immediately; scrubbing, chunking and embedding run as
+ * an ingestion job (api/jobs/ingestion-queue.js). Content already stored for
+ * the same coach and client is linked (item status 'duplicate') or rejected.
+ *
+ * Returns 202:
  *   {
- *     "data_item_id": "uuid",
+ *     "job_id": "uuid",
  *     "data_type": "transcript",
- *     "chunks_created": 5,
- *     "message": "Data uploaded and processed successfully"
+ *     "status": "queued",
+ *     "status_url": "/api/v2/jobs/<job_id>",
+ *     "message": "Transcript queued for processing"
  *   }
+ *
+ * Unauthenticated uploads also get a "view_token", required to read the job
+ * (status_url includes it).
+ *
+ * GET /api/v2/jobs/:id reports the data_item_id and chunk counts once processed.
  */
 app.post('/api/data/upload', optionalAuthMiddleware, async (req, res) => {
   try {
-    const { data_type, content, metadata = {} } = req.body;
+    const { data_type, content, metadata = {}, on_duplicate } = req.body;
 
     // Validation
     if (!data_type || typeof data_type !== 'string') {
@@ -1030,58 +1245,41 @@ app.post('/api/data/upload', optionalAuthMiddleware, async (req, res) => {
       });
     }
 
-    console.log(`Processing ${data_type} upload...`);
-
-    // Get appropriate processor
-    const processor = processorFactory.getProcessor(data_type);
-
-    // Process data (validates, processes, chunks, embeds)
-    const { dataItem, chunks } = await processor.process(content, metadata);
-
-    // Insert data item
-    const { data: insertedItem, error: dataItemError } = await supabase
-      .from('data_items')
-      .insert(dataItem)
-      .select()
-      .single();
-
-    if (dataItemError) {
-      console.error('Database error:', dataItemError);
-      throw new Error(`Failed to save ${data_type}: ${dataItemError.message}`);
+    const { policy: onDuplicate, error: policyError } = parseDuplicatePolicy(on_duplicate);
+    if (policyError) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: policyError
+      });
     }
 
-    console.log(`Saved ${data_type} with ID ${insertedItem.id}, creating ${chunks.length} chunks...`);
+    // Reject invalid input now rather than in the worker
+    processorFactory.getProcessor(data_type).validate(content, metadata);
 
-    // Prepare chunk records for database
-    const chunkRecords = chunks.map((chunk, index) => ({
-      data_item_id: insertedItem.id,
-      chunk_index: index,
-      content: chunk.content,
-      embedding: processor.formatEmbeddingForDB(chunk.embedding)
-    }));
+    const job = await ingestionQueue.enqueue({
+      source: 'data_upload',
+      auth: req.auth,
+      onDuplicate,
+      items: [{ data_type, content, metadata }]
+    });
 
-    // Batch insert chunks
-    const { error: chunksError } = await supabase
-      .from('data_chunks')
-      .insert(chunkRecords);
+    console.log(`Queued ${data_type} upload as job ${job.id}`);
 
-    if (chunksError) {
-      console.error('Chunks insert error:', chunksError);
-      throw new Error(`Failed to save ${data_type} chunks: ${chunksError.message}`);
-    }
+    if (drainJobsInProcess) ingestionQueue.drainInBackground();
 
-    res.status(201).json({
-      data_item_id: insertedItem.id,
+    res.status(202).json({
+      job_id: job.id,
       data_type: data_type,
-      chunks_created: chunks.length,
-      message: `${data_type.charAt(0).toUpperCase() + data_type.slice(1)} uploaded and processed successfully`
+      status: job.status,
+      ...getJobStatusLinks(job),
+      message: `${data_type.charAt(0).toUpperCase() + data_type.slice(1)} queued for processing`
     });
 
   } catch (error) {
     console.error('Upload error:', error);
 
     // Check if it's a validation error from processor
-    const statusCode = error.message.includes('required') || error.message.includes('must be') ? 400 : 500;
+    const statusCode = isValidationError(error) ? 400 : 500;
 
     res.status(statusCode).json({
       error: 'Upload failed',
@@ -1275,7 +1473,6 @@ app.post('/api/search', optionalAuthMiddleware, async (req, res) => {
       }
     }
 
-    // Generate embedding for query
     console.log(`Searching for: "${query}" with filters:`, {
       types: types || 'all',
       coach_id,
@@ -1283,55 +1480,43 @@ app.post('/api/search', optionalAuthMiddleware, async (req, res) => {
       auth_client_ids: auth_client_ids ? auth_client_ids.length : 'none',
       organization_id: resolved_organization_id
     });
-    const queryEmbedding = await generateEmbedding(query);
-    const queryEmbeddingText = formatEmbeddingForDB(queryEmbedding);
 
-    // Call vector search function with filters
+    // Vector search over match_data_chunks, or over both models while an
+    // embedding migration is in progress (results keep the RPC's row shape)
+    const dualRead = await getDualReadSearch(supabase, openai, query, { expenseTracker });
+    const searchVectors = async (filters, count) => {
+      const { chunks: hits } = await searchChunks(supabase, {
+        query,
+        mode: 'vector',
+        getQueryEmbeddingText: async () => formatEmbeddingForDB(await generateEmbedding(query)),
+        dualRead,
+        filters: { types, orgId: resolved_organization_id, ...filters },
+        threshold,
+        limit: count
+      });
+      return hits.map(({ score, scorers, ranks, ...chunk }) => chunk);
+    };
+
     let chunks;
-    let searchError;
-
-    // For authenticated coaches with a client list, we need to filter post-query
-    // since the RPC doesn't support client_ids array filtering
-    if (auth_client_ids && auth_client_ids.length > 0 && !client_id) {
-      // Get more results and filter by client_ids
-      const { data: rawChunks, error: rawError } = await supabase
-        .rpc('match_data_chunks', {
-          query_embedding_text: queryEmbeddingText,
-          filter_types: types,
-          filter_coach_id: coach_id, // Still filter by coach_id if available in data
-          filter_client_id: null, // Don't filter single client
-          filter_org_id: resolved_organization_id,
-          match_threshold: threshold,
-          match_count: limit * 5 // Get more to account for filtering
-        });
+    try {
+      // For authenticated coaches with a client list, we need to filter post-query
+      // since the RPC doesn't support client_ids array filtering
+      if (auth_client_ids && auth_client_ids.length > 0 && !client_id) {
+        // Get more results and filter by client_ids; still filter by
+        // coach_id if available in data, but not by a single client
+        const rawChunks = await searchVectors({ coachId: coach_id }, limit * 5);
 
-      if (rawError) {
-        searchError = rawError;
-      } else {
         // Filter by authorized client_ids OR coach-owned data (client_id is null)
-        chunks = (rawChunks || []).filter(chunk =>
+        chunks = rawChunks.filter(chunk =>
           auth_client_ids.includes(chunk.client_id) ||
           (chunk.client_id === null && chunk.coach_id === coach_id)
         ).slice(0, limit);
-        console.log(`Filtered ${rawChunks?.length || 0} results to ${chunks.length} for authorized clients/coach-owned`);
+        console.log(`Filtered ${rawChunks.length} results to ${chunks.length} for authorized clients/coach-owned`);
+      } else {
+        // Standard query (single client or no auth)
+        chunks = await searchVectors({ coachId: coach_id, clientId: client_id }, limit);
       }
-    } else {
-      // Standard query (single client or no auth)
-      const { data: rawChunks, error: rawError } = await supabase
-        .rpc('match_data_chunks', {
-          query_embedding_text: queryEmbeddingText,
-          filter_types: types,
-          filter_coach_id: coach_id,
-          filter_client_id: client_id,
-          filter_org_id: resolved_organization_id,
-          match_threshold: threshold,
-          match_count: limit
-        });
-      chunks = rawChunks;
-      searchError = rawError;
-    }
-
-    if (searchError) {
+    } catch (searchError) {
       console.error('Search error:', searchError);
       throw new Error('Search failed');
     }
@@ -2224,6 +2409,9 @@ app.use((req, res) => {
       'GET /api/v2/clients (requires auth)',
       'GET /api/v2/clients/:id/timeline (requires auth)',
       'GET /api/v2/clients/:id/data (requires auth)',
+      'POST /api/v2/clients/:id/summary (requires auth)',
+      'POST /api/v2/transcripts/upload (requires auth, Zoom/Otter/Teams/.vtt/.srt)',
+      'GET /api/v2/jobs/:id',
       'POST /api/v2/search/unified (requires auth)',
       'POST /api/v2/search/filtered (requires auth)',
       // MCP endpoints
@@ -2286,6 +2474,13 @@ if (process.env.NODE_ENV !== 'production' || process.env.VERCEL !== '1') {
     console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
     console.log(`📖 OpenAPI schema: http://localhost:${PORT}/openapi.json`);
     console.log('='.repeat(50) + '\n');
+
+    // Pick up jobs queued before a restart, and retries once their backoff ends
+    if (drainJobsInProcess) {
+      ingestionQueue.drainInBackground();
+      setInterval(() => ingestionQueue.drainInBackground(), INGESTION_POLL_INTERVAL_MS).unref();
+      setInterval(() => firefliesWebhookQueue.retryInBackground(), INGESTION_POLL_INTERVAL_MS).unref();
+    }
   });
 }
 
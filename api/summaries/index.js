@@ -0,0 +1,18 @@
+/**
+ * Summaries Module
+ *
+ * Map-reduce session summaries shared by the v2 client routes and the MCP server.
+ *
+ * Usage:
+ *   import { summarizeClientSessions } from './summaries/index.js';
+ *   const summary = await summarizeClientSessions(supabase, openai, { clientId, startDate, endDate });
+ */
+
+export {
+  COMMITMENT_OWNERS,
+  COMMITMENT_STATUSES,
+  getSummaryCacheKey,
+  parseSummaryDateRange,
+  splitSummaryParts,
+  summarizeClientSessions
+} from './session-summaries.js';
@@ -0,0 +1,439 @@
+/**
+ * Session Summaries
+ *
+ * Map-reduce summaries of a client's coaching sessions over a date range,
+ * answering questions like "what did we cover with this client in Q3?"
+ * without paging through the timeline.
+ *
+ * - map:    each transcript (split into parts if long) is reduced to notes:
+ *           a short summary, themes, commitments and open questions
+ * - reduce: the per-session notes, labelled with their data_item id, are
+ *           merged into cross-session themes, commitments and open questions,
+ *           each citing the data_item ids it came from
+ *
+ * Both steps run inside the request, so a summary covers at most the
+ * MAX_SUMMARY_SESSIONS most recent sessions of the range (truncated: true
+ * when there were more): about MAX_SUMMARY_SESSIONS / SUMMARY_MAP_CONCURRENCY
+ * rounds of map calls, since a part holds most sessions whole, and one reduce.
+ *
+ * Transcript text comes from data_chunks when the item was PII-scrubbed, so
+ * summaries never see raw_content that search results would not show.
+ *
+ * Summaries are cached in session_summaries (migration 028), keyed by the
+ * summarized item set (ids + updated_at) and model: the same sessions reuse
+ * the cached summary whatever date range selected them, and a new or edited
+ * transcript produces a new key. Cache failures never fail the caller.
+ *
+ * Usage:
+ *   const summary = await summarizeClientSessions(supabase, openai, {
+ *     clientId, startDate: '2026-07-01', endDate: '2026-09-30', expenseTracker
+ *   });
+ *   // { themes: [{ theme, detail, data_item_ids }], commitments: [...], open_questions: [...], ... }
+ */
+
+import crypto from 'crypto';
+import {
+  SUMMARY_MODEL,
+  MAX_SUMMARY_SESSIONS,
+  SUMMARY_PART_MAX_CHARS,
+  SUMMARY_MAP_CONCURRENCY
+} from '../config/constants.js';
+import { joinChunkContents } from '../processors/index.js';
+import { runWithConcurrency } from '../embeddings/index.js';
+
+// Bump when the prompts or output shape change, so cached summaries are rebuilt
+const SUMMARY_PROMPT_VERSION = 1;
+
+export const COMMITMENT_OWNERS = ['client', 'coach', 'both'];
+export const COMMITMENT_STATUSES = ['open', 'done', 'unknown'];
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Cache key for a summary of a set of data items
+ * @param {Array<{id: string, updated_at: string}>} items - Summarized data_items rows
+ * @param {string} model - Summary model
+ * @returns {string} Hex sha256 of prompt version, model and sorted id@updated_at pairs
+ */
+export function getSummaryCacheKey(items, model) {
+  const itemKeys = items
+    .map(item => `${item.id}@${item.updated_at || ''}`)
+    .sort();
+
+  return crypto
+    .createHash('sha256')
+    .update(`v${SUMMARY_PROMPT_VERSION}\n${model}\n${itemKeys.join('\n')}`)
+    .digest('hex');
+}
+
+/**
+ * Validate a summary date range
+ * @param {string} [startDate] - Earliest session date (YYYY-MM-DD or ISO)
+ * @param {string} [endDate] - Latest session date
+ * @returns {{startDate: string|null, endDate: string|null, error: string|null}}
+ */
+export function parseSummaryDateRange(startDate, endDate) {
+  const invalid = error => ({ startDate: null, endDate: null, error });
+
+  for (const [name, value] of [['start_date', startDate], ['end_date', endDate]]) {
+    if (value && (typeof value !== 'string' || Number.isNaN(Date.parse(value)))) {
+      return invalid(`${name} must be a date (YYYY-MM-DD)`);
+    }
+  }
+
+  if (startDate && endDate && Date.parse(startDate) > Date.parse(endDate)) {
+    return invalid('start_date must not be after end_date');
+  }
+
+  return { startDate: startDate || null, endDate: endDate || null, error: null };
+}
+
+/**
+ * Exclusive upper bound for an inclusive end date: a bare date (YYYY-MM-DD)
+ * covers the whole day, so sessions later that day are kept
+ * @param {string} endDate - Latest session date
+ * @returns {string|null} Start of the following day, or null for timestamps
+ */
+function getDayAfter(endDate) {
+  if (!DATE_ONLY_PATTERN.test(endDate)) return null;
+
+  const next = new Date(`${endDate}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Split text into parts of at most maxChars, breaking between lines where possible
+ * @param {string} text - Transcript text
+ * @param {number} [maxChars] - Characters per part
+ * @returns {string[]} Parts in order
+ */
+export function splitSummaryParts(text, maxChars = SUMMARY_PART_MAX_CHARS) {
+  const parts = [];
+  let current = '';
+
+  for (let line of (text || '').split('\n')) {
+    // Lines longer than a part (unformatted transcripts) are cut at spaces
+    const pieces = [];
+    while (line.length > maxChars) {
+      const cut = line.lastIndexOf(' ', maxChars);
+      pieces.push(line.substring(0, cut > 0 ? cut : maxChars));
+      line = line.substring(cut > 0 ? cut : maxChars).trimStart();
+    }
+    pieces.push(line);
+
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 1 > maxChars) {
+        parts.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n${piece}` : piece;
+    }
+  }
+
+  if (current.trim()) parts.push(current);
+  return parts;
+}
+
+/**
+ * Summarize a client's transcripts within a date range
+ *
+ * The caller must already have checked access to the client.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} openai - OpenAI client
+ * @param {Object} params
+ * @param {string} params.clientId - Client UUID
+ * @param {string} [params.startDate] - Earliest session_date (inclusive)
+ * @param {string} [params.endDate] - Latest session_date (inclusive; a bare date covers the whole day)
+ * @param {boolean} [params.refresh] - Ignore a cached summary and rebuild it
+ * @param {Object} [params.expenseTracker] - APIExpenseTracker; calls are tracked as 'session_summary'
+ * @param {string} [params.model] - Chat model (default SUMMARY_MODEL)
+ * @returns {Promise<Object>} Summary with themes, commitments and open_questions citing data_item_ids
+ */
+export async function summarizeClientSessions(supabase, openai, params) {
+  const {
+    clientId,
+    startDate = null,
+    endDate = null,
+    refresh = false,
+    expenseTracker = null,
+    model = SUMMARY_MODEL
+  } = params;
+
+  // Most recent sessions first so the cap keeps the latest ones
+  let query = supabase
+    .from('data_items')
+    .select('id, session_date, metadata, updated_at')
+    .eq('client_id', clientId)
+    .eq('data_type', 'transcript')
+    .order('session_date', { ascending: false, nullsFirst: false })
+    .limit(MAX_SUMMARY_SESSIONS + 1);
+
+  if (startDate) query = query.gte('session_date', startDate);
+  if (endDate) {
+    const dayAfter = getDayAfter(endDate);
+    query = dayAfter ? query.lt('session_date', dayAfter) : query.lte('session_date', endDate);
+  }
+
+  const { data: rows, error } = await query;
+  if (error) throw error;
+
+  const truncated = (rows || []).length > MAX_SUMMARY_SESSIONS;
+  const items = (rows || []).slice(0, MAX_SUMMARY_SESSIONS).reverse();
+
+  const base = {
+    client_id: clientId,
+    start_date: startDate,
+    end_date: endDate,
+    session_count: items.length,
+    truncated,
+    data_item_ids: items.map(item => item.id)
+  };
+
+  if (items.length === 0) {
+    return {
+      ...base,
+      overview: null,
+      themes: [],
+      commitments: [],
+      open_questions: [],
+      sessions: [],
+      model: null,
+      generated_at: null,
+      cached: false
+    };
+  }
+
+  if (!openai) {
+    throw new Error('Session summaries require OPENAI_API_KEY');
+  }
+
+  const cacheKey = getSummaryCacheKey(items, model);
+
+  if (!refresh) {
+    const cachedSummary = await getCachedSummary(supabase, cacheKey);
+    if (cachedSummary) {
+      return { ...base, ...cachedSummary.summary, model, generated_at: cachedSummary.created_at, cached: true };
+    }
+  }
+
+  const complete = createCompletion(openai, model, expenseTracker);
+
+  // Map: notes per session, in session order
+  const sessions = new Array(items.length);
+  await runWithConcurrency(items.map((item, index) => async () => {
+    sessions[index] = await summarizeSession(supabase, complete, item);
+  }), SUMMARY_MAP_CONCURRENCY);
+
+  // Reduce: cross-session themes, commitments and questions
+  const summary = await reduceSessionNotes(complete, sessions, new Set(base.data_item_ids));
+  const generatedAt = new Date().toISOString();
+
+  await setCachedSummary(supabase, cacheKey, {
+    client_id: clientId,
+    data_item_ids: base.data_item_ids,
+    model,
+    summary
+  });
+
+  return { ...base, ...summary, model, generated_at: generatedAt, cached: false };
+}
+
+/**
+ * Map step for one transcript
+ */
+async function summarizeSession(supabase, complete, item) {
+  const title = item.metadata?.title || `Session ${item.session_date || 'without date'}`;
+  const text = await loadSessionText(supabase, item);
+  const parts = splitSummaryParts(text);
+
+  const notes = { summary: [], themes: [], commitments: [], open_questions: [] };
+
+  for (const [index, part] of parts.entries()) {
+    const result = await complete(
+      'session_summary_map',
+      'You take notes on coaching session transcripts for the coach. Be specific and factual; do not invent details.',
+      `Session: ${title} (${item.session_date || 'no date'})` +
+      (parts.length > 1 ? `, part ${index + 1} of ${parts.length}` : '') +
+      `\n\nTranscript:\n${part}\n\n` +
+      'Respond with JSON only:\n' +
+      '{"summary": "2-3 sentences on what was covered", ' +
+      '"themes": ["topic or recurring theme"], ' +
+      `"commitments": [{"commitment": "what was agreed", "owner": "${COMMITMENT_OWNERS.join('|')}"}], ` +
+      '"open_questions": ["question or issue left unresolved"]}',
+      { data_item_id: item.id, part: index + 1, parts: parts.length }
+    );
+
+    if (result.summary) notes.summary.push(String(result.summary));
+    notes.themes.push(...asStrings(result.themes));
+    notes.commitments.push(...(Array.isArray(result.commitments) ? result.commitments : [])
+      .filter(c => c && c.commitment)
+      .map(c => ({ commitment: String(c.commitment), owner: normalizeOption(c.owner, COMMITMENT_OWNERS, 'client') })));
+    notes.open_questions.push(...asStrings(result.open_questions));
+  }
+
+  return {
+    data_item_id: item.id,
+    session_date: item.session_date,
+    title,
+    summary: notes.summary.join(' '),
+    themes: notes.themes,
+    commitments: notes.commitments,
+    open_questions: notes.open_questions
+  };
+}
+
+/**
+ * Reduce step: merge per-session notes, keeping only citations to summarized items
+ */
+async function reduceSessionNotes(complete, sessions, itemIds) {
+  const notes = sessions.map(session =>
+    `[${session.data_item_id}] ${session.session_date || 'No date'} - ${session.title}\n` +
+    `Summary: ${session.summary || '(none)'}\n` +
+    `Themes: ${session.themes.join('; ') || '(none)'}\n` +
+    `Commitments: ${session.commitments.map(c => `${c.commitment} (${c.owner})`).join('; ') || '(none)'}\n` +
+    `Open questions: ${session.open_questions.join('; ') || '(none)'}`
+  ).join('\n\n');
+
+  const result = await complete(
+    'session_summary_reduce',
+    'You summarize a series of coaching sessions for the coach. Only use the session notes given; cite the sessions each point comes from.',
+    `Notes from ${sessions.length} coaching session${sessions.length === 1 ? '' : 's'}, oldest first. ` +
+    'Each session starts with its id in square brackets.\n\n' +
+    `${notes}\n\n` +
+    'Merge them into themes across sessions, commitments (a later session may show a commitment was done) ' +
+    'and questions still open at the end of the period. Cite every item by the session ids it comes from.\n\n' +
+    'Respond with JSON only:\n' +
+    '{"overview": "3-5 sentences on the period", ' +
+    '"themes": [{"theme": "short name", "detail": "one or two sentences", "data_item_ids": ["id"]}], ' +
+    `"commitments": [{"commitment": "what was agreed", "owner": "${COMMITMENT_OWNERS.join('|')}", ` +
+    `"status": "${COMMITMENT_STATUSES.join('|')}", "data_item_ids": ["id"]}], ` +
+    '"open_questions": [{"question": "what is unresolved", "data_item_ids": ["id"]}]}',
+    { sessions: sessions.length }
+  );
+
+  // Drop citations to ids that were not summarized, and items left uncited
+  const cite = ids => [...new Set((Array.isArray(ids) ? ids : []).map(String))].filter(id => itemIds.has(id));
+  const cited = (entries, map) => (Array.isArray(entries) ? entries : [])
+    .map(entry => (entry && typeof entry === 'object' ? map(entry) : null))
+    .filter(entry => entry && entry.data_item_ids.length > 0);
+
+  return {
+    overview: result.overview ? String(result.overview) : null,
+    themes: cited(result.themes, entry => entry.theme && {
+      theme: String(entry.theme),
+      detail: entry.detail ? String(entry.detail) : null,
+      data_item_ids: cite(entry.data_item_ids)
+    }),
+    commitments: cited(result.commitments, entry => entry.commitment && {
+      commitment: String(entry.commitment),
+      owner: normalizeOption(entry.owner, COMMITMENT_OWNERS, 'client'),
+      status: normalizeOption(entry.status, COMMITMENT_STATUSES, 'unknown'),
+      data_item_ids: cite(entry.data_item_ids)
+    }),
+    open_questions: cited(result.open_questions, entry => entry.question && {
+      question: String(entry.question),
+      data_item_ids: cite(entry.data_item_ids)
+    }),
+    sessions: sessions.map(({ data_item_id, session_date, title, summary }) => ({
+      data_item_id, session_date, title, summary
+    }))
+  };
+}
+
+/**
+ * Transcript text as search would show it (scrubbed chunks when PII scrubbing ran)
+ */
+async function loadSessionText(supabase, item) {
+  if (item.metadata?.pii_scrubbing) {
+    const { data: chunks, error } = await supabase
+      .from('data_chunks')
+      .select('content')
+      .eq('data_item_id', item.id)
+      .order('chunk_index', { ascending: true });
+
+    if (error) throw error;
+    return joinChunkContents((chunks || []).map(chunk => chunk.content));
+  }
+
+  const { data, error } = await supabase
+    .from('data_items')
+    .select('raw_content')
+    .eq('id', item.id)
+    .single();
+
+  if (error) throw error;
+  return data?.raw_content || '';
+}
+
+/**
+ * JSON chat completion with expense tracking
+ * @returns {Function} (operation, system, prompt, metadata) => parsed JSON object
+ */
+function createCompletion(openai, model, expenseTracker) {
+  return async (operation, system, prompt, metadata) => {
+    const response = await openai.chat.completions.create({
+      model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0,
+      response_format: { type: 'json_object' }
+    });
+
+    if (expenseTracker && response.usage) {
+      expenseTracker.track({
+        model,
+        operation,
+        inputTokens: response.usage.prompt_tokens,
+        outputTokens: response.usage.completion_tokens,
+        metadata
+      });
+    }
+
+    const parsed = JSON.parse(response.choices[0].message.content);
+    if (!parsed || typeof parsed !== 'object') {
+      throw new Error(`${operation} response is not a JSON object`);
+    }
+    return parsed;
+  };
+}
+
+async function getCachedSummary(supabase, cacheKey) {
+  try {
+    const { data, error } = await supabase
+      .from('session_summaries')
+      .select('summary, created_at')
+      .eq('cache_key', cacheKey)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data || null;
+  } catch (error) {
+    console.error('[SessionSummaries] cache get failed:', error.message);
+    return null;
+  }
+}
+
+async function setCachedSummary(supabase, cacheKey, row) {
+  try {
+    const { error } = await supabase
+      .from('session_summaries')
+      .upsert({ cache_key: cacheKey, ...row, created_at: new Date().toISOString() }, { onConflict: 'cache_key' });
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('[SessionSummaries] cache set failed:', error.message);
+  }
+}
+
+function asStrings(values) {
+  return (Array.isArray(values) ? values : []).filter(Boolean).map(String);
+}
+
+function normalizeOption(value, allowed, fallback) {
+  const normalized = String(value || '').toLowerCase();
+  return allowed.includes(normalized) ? normalized : fallback;
+}
@@ -67,11 +67,18 @@ export class APIExpenseTracker {
 
   /**
    * Ensure logs directory exists
+   *
+   * Read-only filesystems (e.g. Vercel) can't create it; tracking still works
+   * in memory and appendLog() reports the write failure.
    */
   ensureLogDirectory() {
     const logDir = path.dirname(this.logFile);
-    if (!fs.existsSync(logDir)) {
-      fs.mkdirSync(logDir, { recursive: true });
+    try {
+      if (!fs.existsSync(logDir)) {
+        fs.mkdirSync(logDir, { recursive: true });
+      }
+    } catch (error) {
+      console.error('[Expense] Failed to create log directory:', error.message);
     }
   }
 
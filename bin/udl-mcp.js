@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * MCP stdio Entry Point
+ *
+ * Runs the Unified Data Layer MCP server over stdio, so local MCP hosts
+ * (Claude Desktop, IDE assistants) can use it without the HTTP server.
+ * Tool calls are scoped to the API key in UDL_API_KEY, exactly as over
+ * /api/mcp, and OpenAI spend is recorded in logs/api-expenses.jsonl.
+ *
+ * Environment (read from the process or the repository's .env):
+ *   UDL_API_KEY            - Coach, client or admin API key (required)
+ *   SUPABASE_URL           - Supabase project URL (required)
+ *   SUPABASE_SERVICE_KEY   - Supabase service role key (required)
+ *   OPENAI_API_KEY         - Needed for the openai embedding provider and GPT reranking
+ *   EMBEDDING_PROVIDER, EMBEDDING_CACHE, ... - As for the API server
+ *
+ * Claude Desktop (claude_desktop_config.json):
+ *   "mcpServers": {
+ *     "unified-data-layer": {
+ *       "command": "node",
+ *       "args": ["/path/to/unified-data-layer/bin/udl-mcp.js"],
+ *       "env": { "UDL_API_KEY": "..." }
+ *     }
+ *   }
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, '..');
+
+// stdout carries the MCP protocol: send all logging to stderr
+console.log = console.error;
+console.info = console.error;
+console.warn = console.error;
+console.debug = console.error;
+
+// MCP hosts start the server from their own working directory
+dotenv.config({ path: path.join(repoRoot, '.env'), quiet: true });
+
+const requiredEnvVars = ['UDL_API_KEY', 'SUPABASE_URL', 'SUPABASE_SERVICE_KEY'];
+const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
+
+if (missingEnvVars.length > 0) {
+  console.error('Missing required environment variables:', missingEnvVars.join(', '));
+  process.exit(1);
+}
+
+// Imported after the console redirect so nothing logged at startup reaches stdout
+const { createClient } = await import('@supabase/supabase-js');
+const { default: OpenAI } = await import('openai');
+const { startStdioServer } = await import('../api/mcp/index.js');
+const { configureEmbeddingCache, configureEmbeddingProvider } = await import('../api/embeddings/index.js');
+const { APIExpenseTracker } = await import('../api/utils/api-expense-tracker.js');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const openai = process.env.OPENAI_API_KEY
+  ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+  : null;
+
+const expenseTracker = new APIExpenseTracker({
+  logFile: path.join(repoRoot, 'logs', 'api-expenses.jsonl')
+});
+
+configureEmbeddingProvider({ openai });
+configureEmbeddingCache({ supabase });
+
+try {
+  const { auth } = await startStdioServer(supabase, openai, process.env.UDL_API_KEY, { expenseTracker });
+  console.error(`[MCP] stdio server ready (${auth.userRole} ${auth.userId})`);
+} catch (error) {
+  console.error(`[MCP] ${error.message}`);
+  process.exit(1);
+}
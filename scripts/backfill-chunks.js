@@ -18,12 +18,14 @@
 import { createClient } from '@supabase/supabase-js';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { embedBatch } from '../api/embeddings/index.js';
 
 // Load environment variables
 dotenv.config();
 
-// Validate environment variables
-if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY || !process.env.OPENAI_API_KEY) {
+// Validate environment variables (OPENAI_API_KEY is only needed for the openai embedding provider)
+const needsOpenAIKey = (process.env.EMBEDDING_PROVIDER || 'openai') === 'openai';
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY || (needsOpenAIKey && !process.env.OPENAI_API_KEY)) {
   console.error('Missing required environment variables');
   console.error('Please ensure SUPABASE_URL, SUPABASE_SERVICE_KEY, and OPENAI_API_KEY are set in .env');
   process.exit(1);
@@ -35,9 +37,10 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Not needed when EMBEDDING_PROVIDER is azure or local
+const openai = needsOpenAIKey
+  ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+  : null;
 
 // ============================================
 // HELPER FUNCTIONS
@@ -70,23 +73,6 @@ function chunkText(text, chunkSize = 500, overlap = 50) {
   return chunks;
 }
 
-/**
- * Generate embedding for text using OpenAI
- */
-async function generateEmbedding(text) {
-  try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: text.trim()
-    });
-
-    return response.data[0].embedding;
-  } catch (error) {
-    console.error('OpenAI API error:', error.message);
-    throw error;
-  }
-}
-
 /**
  * Convert embedding array to PostgreSQL vector format
  */
@@ -178,37 +164,37 @@ async function processDataItem(item) {
     };
   }
 
-  // Generate embeddings and prepare chunk records
-  const chunkRecords = [];
+  // Generate embeddings (batched, with retries) and prepare chunk records
+  const { model, dimensions, embeddings, failures } = await embedBatch(openai, chunks, { operation: 'backfill_chunks' });
+
+  if (failures.length === chunks.length) {
+    return {
+      success: false,
+      itemId: item.id,
+      chunksCreated: 0,
+      chunksFailed: failures.length,
+      message: `All chunks failed: ${failures[0].error}`,
+      timeMs: Date.now() - startTime
+    };
+  }
 
-  for (let i = 0; i < chunks.length; i++) {
-    try {
-      const embedding = await generateEmbedding(chunks[i]);
+  const chunkRecords = [];
+  chunks.forEach((chunk, i) => {
+    if (embeddings[i]) {
       chunkRecords.push({
         data_item_id: item.id,
         chunk_index: i,
-        content: chunks[i],
-        embedding: formatEmbeddingForDB(embedding),
+        content: chunk,
+        embedding: formatEmbeddingForDB(embeddings[i]),
+        embedding_model: model,
+        embedding_dimensions: dimensions,
         metadata: {
           data_type: item.data_type,
           title: item.metadata?.title || null
         }
       });
-
-      // Rate limiting - small delay between embeddings
-      if (i < chunks.length - 1) {
-        await sleep(50);
-      }
-    } catch (error) {
-      return {
-        success: false,
-        itemId: item.id,
-        chunksCreated: 0,
-        message: `Failed at chunk ${i}: ${error.message}`,
-        timeMs: Date.now() - startTime
-      };
     }
-  }
+  });
 
   // Batch insert chunks
   const { error: insertError } = await supabase
@@ -228,8 +214,11 @@ async function processDataItem(item) {
   return {
     success: true,
     itemId: item.id,
-    chunksCreated: chunks.length,
-    message: 'OK',
+    chunksCreated: chunkRecords.length,
+    chunksFailed: failures.length,
+    message: failures.length > 0
+      ? `Chunks ${failures.map(f => f.index).join(', ')} failed: ${failures[0].error}`
+      : 'OK',
     timeMs: Date.now() - startTime
   };
 }
@@ -313,6 +302,7 @@ async function main() {
   let successful = 0;
   let failed = 0;
   let totalChunks = 0;
+  let totalFailedChunks = 0;
   const startTime = Date.now();
 
   for (let i = 0; i < itemsToProcess.length; i++) {
@@ -326,7 +316,10 @@ async function main() {
     if (result.success) {
       successful++;
       totalChunks += result.chunksCreated;
-      console.log(`${result.chunksCreated} chunks (${result.timeMs}ms)`);
+      totalFailedChunks += result.chunksFailed || 0;
+      console.log(result.chunksFailed
+        ? `${result.chunksCreated} chunks, ${result.chunksFailed} FAILED (${result.timeMs}ms) - ${result.message}`
+        : `${result.chunksCreated} chunks (${result.timeMs}ms)`);
     } else {
       failed++;
       console.log(`FAILED: ${result.message}`);
@@ -353,6 +346,7 @@ async function main() {
   console.log(`Successful: ${successful}`);
   console.log(`Failed: ${failed}`);
   console.log(`Total chunks created: ${totalChunks}`);
+  console.log(`Chunks failed to embed: ${totalFailedChunks}`);
   console.log(`Total time: ${totalTime.toFixed(1)}s`);
   console.log(`Average: ${(totalTime / (successful + failed)).toFixed(2)}s per item`);
   console.log('='.repeat(60) + '\n');
@@ -0,0 +1,99 @@
+-- Migration: 021_hybrid_keyword_search.sql
+-- Description: Full-text keyword search over data_chunks.content
+-- Purpose: Support hybrid (keyword + vector) search so exact terms like
+--          client company names, acronyms ("OKR") and assessment names match
+-- Date: 2026-10-19
+-- Dependencies: 003_multi_type_schema.sql
+
+-- ============================================
+-- OVERVIEW
+-- ============================================
+-- Cosine similarity alone misses exact-term queries. This migration adds a
+-- stored tsvector column on data_chunks and a keyword_search_data_chunks()
+-- RPC that mirrors match_data_chunks() filters. The API fuses both rankings
+-- with reciprocal rank fusion (see api/search/hybrid-search.js).
+
+-- ============================================
+-- STEP 1: TSVECTOR COLUMN + INDEX
+-- ============================================
+
+ALTER TABLE data_chunks
+ADD COLUMN IF NOT EXISTS content_tsv TSVECTOR
+GENERATED ALWAYS AS (to_tsvector('english', COALESCE(content, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_data_chunks_content_tsv
+ON data_chunks USING GIN (content_tsv);
+
+COMMENT ON COLUMN data_chunks.content_tsv IS 'English full-text vector of content, used by keyword_search_data_chunks()';
+
+-- ============================================
+-- STEP 2: KEYWORD SEARCH FUNCTION
+-- ============================================
+
+-- Terms are OR-joined so natural-language questions still match chunks that
+-- contain only some of the words; ts_rank_cd rewards chunks containing more
+-- (and closer) terms.
+CREATE OR REPLACE FUNCTION keyword_search_data_chunks(
+  query_text TEXT,
+  filter_types TEXT[] DEFAULT NULL,
+  filter_coach_id UUID DEFAULT NULL,
+  filter_client_id UUID DEFAULT NULL,
+  filter_org_id UUID DEFAULT NULL,
+  match_count INT DEFAULT 10
+)
+RETURNS TABLE (
+  id UUID,
+  data_item_id UUID,
+  content TEXT,
+  keyword_rank FLOAT,
+  data_type TEXT,
+  coach_id UUID,
+  client_id UUID,
+  metadata JSONB
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  ts_query TSQUERY;
+BEGIN
+  ts_query := NULLIF(replace(plainto_tsquery('english', query_text)::TEXT, ' & ', ' | '), '')::TSQUERY;
+
+  -- Query made only of stop words: nothing to match
+  IF ts_query IS NULL THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    dc.id,
+    dc.data_item_id,
+    dc.content,
+    ts_rank_cd(dc.content_tsv, ts_query)::FLOAT AS keyword_rank,
+    di.data_type,
+    di.coach_id,
+    di.client_id,
+    di.metadata
+  FROM data_chunks dc
+  JOIN data_items di ON dc.data_item_id = di.id
+  WHERE
+    dc.content_tsv @@ ts_query
+    AND (filter_types IS NULL OR di.data_type = ANY(filter_types))
+    AND (filter_coach_id IS NULL OR di.coach_id = filter_coach_id)
+    AND (filter_client_id IS NULL OR di.client_id = filter_client_id)
+    AND (filter_org_id IS NULL OR di.client_organization_id = filter_org_id)
+  ORDER BY 4 DESC, 1
+  LIMIT match_count;
+END;
+$$;
+
+COMMENT ON FUNCTION keyword_search_data_chunks IS 'Full-text ranked chunk search with the same filters as match_data_chunks()';
+
+-- ============================================
+-- DOWN MIGRATION (ROLLBACK)
+-- ============================================
+
+/*
+DROP FUNCTION IF EXISTS keyword_search_data_chunks(TEXT, TEXT[], UUID, UUID, UUID, INT);
+DROP INDEX IF EXISTS idx_data_chunks_content_tsv;
+ALTER TABLE data_chunks DROP COLUMN IF EXISTS content_tsv;
+*/
@@ -0,0 +1,49 @@
+-- Migration: 022_embedding_cache.sql
+-- Description: Persistent cache of OpenAI embeddings keyed by model + normalized text
+-- Purpose: Back the EMBEDDING_CACHE=postgres option so repeated searches and
+--          re-uploaded content reuse embeddings across serverless instances
+-- Date: 2026-10-19
+-- Dependencies: none
+
+-- ============================================
+-- STEP 1: CACHE TABLE
+-- ============================================
+
+-- Embeddings are stored as plain float arrays (not pgvector) so the cache
+-- works for any model/dimension and is never searched directly.
+CREATE TABLE IF NOT EXISTS embedding_cache (
+  cache_key TEXT PRIMARY KEY,           -- sha256(model + '\n' + normalized text)
+  model TEXT NOT NULL,
+  dimensions INTEGER NOT NULL,
+  embedding DOUBLE PRECISION[] NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_embedding_cache_created_at ON embedding_cache(created_at);
+
+COMMENT ON TABLE embedding_cache IS 'Embedding cache for api/embeddings (EMBEDDING_CACHE=postgres). Safe to truncate.';
+COMMENT ON COLUMN embedding_cache.cache_key IS 'Hex sha256 of model + newline + trimmed, whitespace-collapsed, lowercased text';
+
+-- ============================================
+-- STEP 2: ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE embedding_cache ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage embedding_cache" ON embedding_cache
+  FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+-- ============================================
+-- MAINTENANCE
+-- ============================================
+
+-- Prune old entries (e.g. monthly):
+--   DELETE FROM embedding_cache WHERE created_at < NOW() - INTERVAL '90 days';
+
+-- ============================================
+-- DOWN MIGRATION (ROLLBACK)
+-- ============================================
+
+/*
+DROP TABLE IF EXISTS embedding_cache;
+*/
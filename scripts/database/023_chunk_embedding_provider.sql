@@ -0,0 +1,53 @@
+-- Migration: 023_chunk_embedding_provider.sql
+-- Description: Record which embedding model and dimensions produced each chunk
+-- Purpose: Support pluggable embedding providers (EMBEDDING_PROVIDER=openai|azure|local).
+--          Vectors from different models are not comparable, so each chunk
+--          records its model to keep searches and re-embedding jobs honest.
+-- Date: 2026-10-19
+-- Dependencies: 003_multi_type_schema.sql (data_chunks), 022_embedding_cache.sql
+
+-- ============================================
+-- STEP 1: PROVIDER COLUMNS
+-- ============================================
+
+ALTER TABLE data_chunks
+  ADD COLUMN IF NOT EXISTS embedding_model TEXT,
+  ADD COLUMN IF NOT EXISTS embedding_dimensions INTEGER;
+
+-- Every chunk before this migration was embedded with OpenAI text-embedding-3-small
+UPDATE data_chunks
+SET embedding_model = 'text-embedding-3-small',
+    embedding_dimensions = 1536
+WHERE embedding_model IS NULL
+  AND embedding IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_data_chunks_embedding_model
+  ON data_chunks(embedding_model);
+
+COMMENT ON COLUMN data_chunks.embedding_model IS 'Model that produced embedding (e.g. text-embedding-3-small, local-hash-v1)';
+COMMENT ON COLUMN data_chunks.embedding_dimensions IS 'Length of the embedding as produced by the provider';
+
+-- ============================================
+-- STEP 2: CACHE KEY DOCUMENTATION
+-- ============================================
+
+COMMENT ON COLUMN embedding_cache.cache_key IS 'Hex sha256 of "<model>@<dimensions>" + newline + trimmed, whitespace-collapsed, lowercased text';
+
+-- ============================================
+-- VERIFICATION
+-- ============================================
+
+-- Chunks per embedding model:
+--   SELECT embedding_model, embedding_dimensions, COUNT(*)
+--   FROM data_chunks GROUP BY 1, 2 ORDER BY 3 DESC;
+
+-- ============================================
+-- DOWN MIGRATION (ROLLBACK)
+-- ============================================
+
+/*
+DROP INDEX IF EXISTS idx_data_chunks_embedding_model;
+ALTER TABLE data_chunks
+  DROP COLUMN IF EXISTS embedding_model,
+  DROP COLUMN IF EXISTS embedding_dimensions;
+*/
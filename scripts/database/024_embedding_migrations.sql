@@ -0,0 +1,362 @@
+-- Migration: 024_embedding_migrations.sql
+-- Description: Resumable re-embedding of data_chunks when switching embedding models
+-- Purpose: Re-embed every chunk into a side column (embedding_next) in checkpointed
+--          batches, search both old and new vectors during the cutover (dual-read),
+--          then swap the new vectors in atomically.
+-- Date: 2026-10-19
+-- Dependencies: 023_chunk_embedding_provider.sql
+
+-- Lifecycle (driven by api/embeddings/reembedding.js):
+--   pending -> running <-> paused -> backfilled -> completed
+--                      \-> failed / cancelled
+-- A chunk is "ready" for a migration once it has a vector from the target model,
+-- either in embedding_next (re-embedded by the job) or already in embedding
+-- (ingested by a server configured with the target model).
+
+-- ============================================
+-- STEP 1: CHUNK COLUMNS
+-- ============================================
+
+ALTER TABLE data_chunks
+  ADD COLUMN IF NOT EXISTS embedding_version INTEGER,
+  ADD COLUMN IF NOT EXISTS embedding_next vector,          -- no fixed dimension: target model may differ
+  ADD COLUMN IF NOT EXISTS embedding_next_model TEXT,
+  ADD COLUMN IF NOT EXISTS embedding_next_dimensions INTEGER,
+  ADD COLUMN IF NOT EXISTS embedding_next_version INTEGER;
+
+-- Existing embeddings are version 1
+UPDATE data_chunks
+SET embedding_version = 1
+WHERE embedding_version IS NULL
+  AND embedding IS NOT NULL;
+
+ALTER TABLE data_chunks ALTER COLUMN embedding_version SET DEFAULT 1;
+
+CREATE INDEX IF NOT EXISTS idx_data_chunks_embedding_next_model
+  ON data_chunks(embedding_next_model)
+  WHERE embedding_next_model IS NOT NULL;
+
+COMMENT ON COLUMN data_chunks.embedding_version IS 'Embedding generation; incremented by each completed embedding migration';
+COMMENT ON COLUMN data_chunks.embedding_next IS 'Re-embedded vector written by an in-progress embedding migration';
+
+-- ============================================
+-- STEP 2: MIGRATION JOBS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS embedding_migrations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'paused', 'backfilled', 'completed', 'failed', 'cancelled')),
+
+  -- What the embedding column holds today
+  source_provider TEXT NOT NULL,
+  source_model TEXT NOT NULL,
+  source_dimensions INTEGER NOT NULL,
+
+  -- What it will hold after cutover
+  target_provider TEXT NOT NULL,
+  target_model TEXT NOT NULL,
+  target_dimensions INTEGER NOT NULL,
+  target_version INTEGER NOT NULL,
+
+  batch_size INTEGER NOT NULL DEFAULT 100 CHECK (batch_size BETWEEN 1 AND 1000),
+  dual_read BOOLEAN NOT NULL DEFAULT true,
+
+  -- Progress and checkpoint (keyset over data_chunks.id)
+  total_chunks INTEGER NOT NULL DEFAULT 0,
+  processed_chunks INTEGER NOT NULL DEFAULT 0,
+  failed_chunks INTEGER NOT NULL DEFAULT 0,
+  pass INTEGER NOT NULL DEFAULT 1,
+  last_chunk_id UUID,
+  failures JSONB NOT NULL DEFAULT '[]'::jsonb,   -- most recent failures (capped at 100)
+  last_error TEXT,
+
+  created_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  last_batch_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- At most one migration in flight
+CREATE UNIQUE INDEX IF NOT EXISTS idx_embedding_migrations_single_active
+  ON embedding_migrations ((true))
+  WHERE status IN ('pending', 'running', 'paused', 'backfilled');
+
+CREATE INDEX IF NOT EXISTS idx_embedding_migrations_created_at
+  ON embedding_migrations(created_at DESC);
+
+CREATE TRIGGER update_embedding_migrations_updated_at
+  BEFORE UPDATE ON embedding_migrations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE embedding_migrations IS 'Resumable re-embedding jobs for data_chunks (see api/embeddings/reembedding.js)';
+
+-- ============================================
+-- STEP 3: PENDING CHUNKS
+-- ============================================
+
+-- Next chunks after the checkpoint that have no vector from the target model
+CREATE OR REPLACE FUNCTION embedding_migration_pending_chunks(
+  p_target_model TEXT,
+  p_after_id UUID DEFAULT NULL,
+  p_limit INT DEFAULT 100
+)
+RETURNS TABLE (
+  id UUID,
+  content TEXT
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT dc.id, dc.content
+  FROM data_chunks dc
+  WHERE dc.embedding_next_model IS DISTINCT FROM p_target_model
+    AND dc.embedding_model IS DISTINCT FROM p_target_model
+    AND (p_after_id IS NULL OR dc.id > p_after_id)
+  ORDER BY dc.id
+  LIMIT p_limit;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION count_embedding_migration_pending(p_target_model TEXT)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COUNT(*)::INTEGER
+  FROM data_chunks
+  WHERE embedding_next_model IS DISTINCT FROM p_target_model
+    AND embedding_model IS DISTINCT FROM p_target_model;
+$$;
+
+-- ============================================
+-- STEP 4: APPLY A BATCH (atomic write + checkpoint)
+-- ============================================
+
+-- p_updates: [{"id": "<chunk uuid>", "embedding": "[0.1,...]"}]
+-- p_failures: [{"id": "<chunk uuid>", "error": "...", "status": 400}]
+CREATE OR REPLACE FUNCTION apply_embedding_migration_batch(
+  p_migration_id UUID,
+  p_updates JSONB,
+  p_failures JSONB DEFAULT '[]'::jsonb,
+  p_last_chunk_id UUID DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  m embedding_migrations%ROWTYPE;
+  updated_count INTEGER;
+BEGIN
+  SELECT * INTO m FROM embedding_migrations WHERE id = p_migration_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Embedding migration % not found', p_migration_id;
+  END IF;
+
+  IF m.status <> 'running' THEN
+    RAISE EXCEPTION 'Embedding migration % is %, not running', p_migration_id, m.status;
+  END IF;
+
+  UPDATE data_chunks dc
+  SET embedding_next = u.embedding::vector,
+      embedding_next_model = m.target_model,
+      embedding_next_dimensions = m.target_dimensions,
+      embedding_next_version = m.target_version
+  FROM jsonb_to_recordset(p_updates) AS u(id UUID, embedding TEXT)
+  WHERE dc.id = u.id;
+
+  GET DIAGNOSTICS updated_count = ROW_COUNT;
+
+  UPDATE embedding_migrations
+  SET processed_chunks = processed_chunks + updated_count,
+      failed_chunks = failed_chunks + jsonb_array_length(p_failures),
+      failures = CASE
+        WHEN jsonb_array_length(p_failures) = 0 THEN failures
+        ELSE (
+          SELECT COALESCE(jsonb_agg(f), '[]'::jsonb)
+          FROM (
+            SELECT f FROM jsonb_array_elements(failures || p_failures) WITH ORDINALITY AS t(f, n)
+            ORDER BY n DESC
+            LIMIT 100
+          ) recent
+        )
+      END,
+      last_chunk_id = COALESCE(p_last_chunk_id, last_chunk_id),
+      last_batch_at = NOW()
+  WHERE id = p_migration_id;
+
+  RETURN updated_count;
+END;
+$$;
+
+-- ============================================
+-- STEP 5: DUAL-READ SEARCH
+-- ============================================
+
+-- Same filters and output as match_data_chunks(), but only over vectors produced
+-- by one model: embedding_next when it holds that model, else embedding.
+-- During a migration the API calls this once with the source model and once
+-- with the target model (each with a query embedded by that model) and fuses
+-- the two rankings.
+CREATE OR REPLACE FUNCTION match_data_chunks_for_model(
+  query_embedding_text TEXT,
+  embedding_model_name TEXT,
+  filter_types TEXT[] DEFAULT NULL,
+  filter_coach_id UUID DEFAULT NULL,
+  filter_client_id UUID DEFAULT NULL,
+  filter_org_id UUID DEFAULT NULL,
+  match_threshold FLOAT DEFAULT 0.3,
+  match_count INT DEFAULT 5
+)
+RETURNS TABLE (
+  id UUID,
+  data_item_id UUID,
+  content TEXT,
+  similarity FLOAT,
+  data_type TEXT,
+  coach_id UUID,
+  client_id UUID,
+  metadata JSONB
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    sub.id,
+    sub.data_item_id,
+    sub.content,
+    sub.similarity,
+    sub.data_type,
+    sub.coach_id,
+    sub.client_id,
+    sub.metadata
+  FROM (
+    SELECT
+      dc.id,
+      dc.data_item_id,
+      dc.content,
+      1 - (
+        CASE
+          WHEN dc.embedding_next_model = embedding_model_name THEN dc.embedding_next
+          ELSE dc.embedding::vector
+        END <=> query_embedding_text::vector
+      ) AS similarity,
+      di.data_type,
+      di.coach_id,
+      di.client_id,
+      di.metadata
+    FROM data_chunks dc
+    JOIN data_items di ON dc.data_item_id = di.id
+    WHERE
+      (dc.embedding_next_model = embedding_model_name OR dc.embedding_model = embedding_model_name)
+      AND (filter_types IS NULL OR di.data_type = ANY(filter_types))
+      AND (filter_coach_id IS NULL OR di.coach_id = filter_coach_id)
+      AND (filter_client_id IS NULL OR di.client_id = filter_client_id)
+      AND (filter_org_id IS NULL OR di.client_organization_id = filter_org_id)
+  ) sub
+  WHERE sub.similarity > match_threshold
+  ORDER BY sub.similarity DESC
+  LIMIT match_count;
+END;
+$$;
+
+COMMENT ON FUNCTION match_data_chunks_for_model IS 'match_data_chunks() restricted to vectors from one embedding model (dual-read during embedding migrations)';
+
+-- ============================================
+-- STEP 6: CUTOVER
+-- ============================================
+
+-- Swaps re-embedded vectors into data_chunks.embedding. Fails (changing nothing)
+-- if any chunk has no target-model vector yet, or if the target dimensions
+-- don't fit the vector(1536) column (alter the column and its index first).
+CREATE OR REPLACE FUNCTION complete_embedding_migration(p_migration_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  m embedding_migrations%ROWTYPE;
+  missing_count INTEGER;
+  swapped_count INTEGER;
+BEGIN
+  SELECT * INTO m FROM embedding_migrations WHERE id = p_migration_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Embedding migration % not found', p_migration_id;
+  END IF;
+
+  IF m.status <> 'backfilled' THEN
+    RAISE EXCEPTION 'Embedding migration % is %, must be backfilled to complete', p_migration_id, m.status;
+  END IF;
+
+  IF m.target_dimensions <> 1536 THEN
+    RAISE EXCEPTION 'data_chunks.embedding is vector(1536) but target has % dimensions; alter the column before completing', m.target_dimensions;
+  END IF;
+
+  missing_count := count_embedding_migration_pending(m.target_model);
+
+  IF missing_count > 0 THEN
+    RAISE EXCEPTION '% chunks have no % embedding yet; run the migration again before completing', missing_count, m.target_model;
+  END IF;
+
+  UPDATE data_chunks
+  SET embedding = embedding_next::vector(1536),
+      embedding_model = embedding_next_model,
+      embedding_dimensions = embedding_next_dimensions,
+      embedding_version = embedding_next_version,
+      embedding_next = NULL,
+      embedding_next_model = NULL,
+      embedding_next_dimensions = NULL,
+      embedding_next_version = NULL
+  WHERE embedding_next_model = m.target_model;
+
+  GET DIAGNOSTICS swapped_count = ROW_COUNT;
+
+  -- Chunks ingested with the target model while the migration ran
+  UPDATE data_chunks
+  SET embedding_version = m.target_version
+  WHERE embedding_model = m.target_model
+    AND embedding_version IS DISTINCT FROM m.target_version;
+
+  UPDATE embedding_migrations
+  SET status = 'completed',
+      completed_at = NOW()
+  WHERE id = p_migration_id;
+
+  RETURN swapped_count;
+END;
+$$;
+
+-- ============================================
+-- STEP 7: ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE embedding_migrations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage embedding_migrations" ON embedding_migrations
+  FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+-- ============================================
+-- DOWN MIGRATION (ROLLBACK)
+-- ============================================
+
+/*
+DROP FUNCTION IF EXISTS complete_embedding_migration(UUID);
+DROP FUNCTION IF EXISTS match_data_chunks_for_model(TEXT, TEXT, TEXT[], UUID, UUID, UUID, FLOAT, INT);
+DROP FUNCTION IF EXISTS apply_embedding_migration_batch(UUID, JSONB, JSONB, UUID);
+DROP FUNCTION IF EXISTS count_embedding_migration_pending(TEXT);
+DROP FUNCTION IF EXISTS embedding_migration_pending_chunks(TEXT, UUID, INT);
+DROP TABLE IF EXISTS embedding_migrations;
+DROP INDEX IF EXISTS idx_data_chunks_embedding_next_model;
+ALTER TABLE data_chunks
+  DROP COLUMN IF EXISTS embedding_next_version,
+  DROP COLUMN IF EXISTS embedding_next_dimensions,
+  DROP COLUMN IF EXISTS embedding_next_model,
+  DROP COLUMN IF EXISTS embedding_next,
+  DROP COLUMN IF EXISTS embedding_version;
+*/
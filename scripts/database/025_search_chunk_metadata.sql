@@ -0,0 +1,225 @@
+-- Migration: 025_search_chunk_metadata.sql
+-- Description: Return data_chunks.metadata from the search functions
+-- Purpose: Speaker-aware transcript chunks record the speaker and start/end
+--          times on the chunk; search results need them to cite
+--          "Client, 00:14:32" instead of only the session.
+-- Date: 2026-10-19
+-- Dependencies: 021_hybrid_keyword_search.sql, 024_embedding_migrations.sql
+
+-- Each function keeps its arguments and adds a chunk_metadata column. The
+-- existing metadata column is still data_items.metadata. Changing a function's
+-- result columns requires dropping it first.
+
+-- ============================================
+-- STEP 1: VECTOR SEARCH
+-- ============================================
+
+DROP FUNCTION IF EXISTS match_data_chunks(TEXT, TEXT[], UUID, UUID, UUID, FLOAT, INT);
+
+CREATE OR REPLACE FUNCTION match_data_chunks(
+  query_embedding_text TEXT,
+  filter_types TEXT[] DEFAULT NULL,
+  filter_coach_id UUID DEFAULT NULL,
+  filter_client_id UUID DEFAULT NULL,
+  filter_org_id UUID DEFAULT NULL,
+  match_threshold FLOAT DEFAULT 0.3,
+  match_count INT DEFAULT 5
+)
+RETURNS TABLE (
+  id UUID,
+  data_item_id UUID,
+  content TEXT,
+  similarity FLOAT,
+  data_type TEXT,
+  coach_id UUID,
+  client_id UUID,
+  metadata JSONB,
+  chunk_metadata JSONB
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    sub.id,
+    sub.data_item_id,
+    sub.content,
+    sub.similarity,
+    sub.data_type,
+    sub.coach_id,
+    sub.client_id,
+    sub.metadata,
+    sub.chunk_metadata
+  FROM (
+    SELECT
+      dc.id,
+      dc.data_item_id,
+      dc.content,
+      1 - (dc.embedding <=> query_embedding_text::vector(1536)) AS similarity,
+      di.data_type,
+      di.coach_id,
+      di.client_id,
+      di.metadata,
+      dc.metadata AS chunk_metadata
+    FROM data_chunks dc
+    JOIN data_items di ON dc.data_item_id = di.id
+    WHERE
+      (filter_types IS NULL OR di.data_type = ANY(filter_types))
+      AND (filter_coach_id IS NULL OR di.coach_id = filter_coach_id)
+      AND (filter_client_id IS NULL OR di.client_id = filter_client_id)
+      AND (filter_org_id IS NULL OR di.client_organization_id = filter_org_id)
+  ) sub
+  WHERE sub.similarity > match_threshold
+  ORDER BY sub.similarity DESC
+  LIMIT match_count;
+END;
+$$;
+
+-- ============================================
+-- STEP 2: KEYWORD SEARCH
+-- ============================================
+
+DROP FUNCTION IF EXISTS keyword_search_data_chunks(TEXT, TEXT[], UUID, UUID, UUID, INT);
+
+CREATE OR REPLACE FUNCTION keyword_search_data_chunks(
+  query_text TEXT,
+  filter_types TEXT[] DEFAULT NULL,
+  filter_coach_id UUID DEFAULT NULL,
+  filter_client_id UUID DEFAULT NULL,
+  filter_org_id UUID DEFAULT NULL,
+  match_count INT DEFAULT 10
+)
+RETURNS TABLE (
+  id UUID,
+  data_item_id UUID,
+  content TEXT,
+  keyword_rank FLOAT,
+  data_type TEXT,
+  coach_id UUID,
+  client_id UUID,
+  metadata JSONB,
+  chunk_metadata JSONB
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  ts_query TSQUERY;
+BEGIN
+  ts_query := NULLIF(replace(plainto_tsquery('english', query_text)::TEXT, ' & ', ' | '), '')::TSQUERY;
+
+  -- Query made only of stop words: nothing to match
+  IF ts_query IS NULL THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    dc.id,
+    dc.data_item_id,
+    dc.content,
+    ts_rank_cd(dc.content_tsv, ts_query)::FLOAT AS keyword_rank,
+    di.data_type,
+    di.coach_id,
+    di.client_id,
+    di.metadata,
+    dc.metadata AS chunk_metadata
+  FROM data_chunks dc
+  JOIN data_items di ON dc.data_item_id = di.id
+  WHERE
+    dc.content_tsv @@ ts_query
+    AND (filter_types IS NULL OR di.data_type = ANY(filter_types))
+    AND (filter_coach_id IS NULL OR di.coach_id = filter_coach_id)
+    AND (filter_client_id IS NULL OR di.client_id = filter_client_id)
+    AND (filter_org_id IS NULL OR di.client_organization_id = filter_org_id)
+  ORDER BY 4 DESC, 1
+  LIMIT match_count;
+END;
+$$;
+
+COMMENT ON FUNCTION keyword_search_data_chunks IS 'Full-text ranked chunk search with the same filters as match_data_chunks()';
+
+-- ============================================
+-- STEP 3: DUAL-READ SEARCH
+-- ============================================
+
+DROP FUNCTION IF EXISTS match_data_chunks_for_model(TEXT, TEXT, TEXT[], UUID, UUID, UUID, FLOAT, INT);
+
+CREATE OR REPLACE FUNCTION match_data_chunks_for_model(
+  query_embedding_text TEXT,
+  embedding_model_name TEXT,
+  filter_types TEXT[] DEFAULT NULL,
+  filter_coach_id UUID DEFAULT NULL,
+  filter_client_id UUID DEFAULT NULL,
+  filter_org_id UUID DEFAULT NULL,
+  match_threshold FLOAT DEFAULT 0.3,
+  match_count INT DEFAULT 5
+)
+RETURNS TABLE (
+  id UUID,
+  data_item_id UUID,
+  content TEXT,
+  similarity FLOAT,
+  data_type TEXT,
+  coach_id UUID,
+  client_id UUID,
+  metadata JSONB,
+  chunk_metadata JSONB
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    sub.id,
+    sub.data_item_id,
+    sub.content,
+    sub.similarity,
+    sub.data_type,
+    sub.coach_id,
+    sub.client_id,
+    sub.metadata,
+    sub.chunk_metadata
+  FROM (
+    SELECT
+      dc.id,
+      dc.data_item_id,
+      dc.content,
+      1 - (
+        CASE
+          WHEN dc.embedding_next_model = embedding_model_name THEN dc.embedding_next
+          ELSE dc.embedding::vector
+        END <=> query_embedding_text::vector
+      ) AS similarity,
+      di.data_type,
+      di.coach_id,
+      di.client_id,
+      di.metadata,
+      dc.metadata AS chunk_metadata
+    FROM data_chunks dc
+    JOIN data_items di ON dc.data_item_id = di.id
+    WHERE
+      (dc.embedding_next_model = embedding_model_name OR dc.embedding_model = embedding_model_name)
+      AND (filter_types IS NULL OR di.data_type = ANY(filter_types))
+      AND (filter_coach_id IS NULL OR di.coach_id = filter_coach_id)
+      AND (filter_client_id IS NULL OR di.client_id = filter_client_id)
+      AND (filter_org_id IS NULL OR di.client_organization_id = filter_org_id)
+  ) sub
+  WHERE sub.similarity > match_threshold
+  ORDER BY sub.similarity DESC
+  LIMIT match_count;
+END;
+$$;
+
+COMMENT ON FUNCTION match_data_chunks_for_model IS 'match_data_chunks() restricted to vectors from one embedding model (dual-read during embedding migrations)';
+
+-- ============================================
+-- DOWN MIGRATION (ROLLBACK)
+-- ============================================
+
+/*
+-- Re-run the function definitions from 003_multi_type_schema.sql (match_data_chunks),
+-- 021_hybrid_keyword_search.sql and 024_embedding_migrations.sql after dropping:
+DROP FUNCTION IF EXISTS match_data_chunks(TEXT, TEXT[], UUID, UUID, UUID, FLOAT, INT);
+DROP FUNCTION IF EXISTS keyword_search_data_chunks(TEXT, TEXT[], UUID, UUID, UUID, INT);
+DROP FUNCTION IF EXISTS match_data_chunks_for_model(TEXT, TEXT, TEXT[], UUID, UUID, UUID, FLOAT, INT);
+*/
@@ -0,0 +1,51 @@
+-- Migration: 026_client_session_stats.sql
+-- Description: Per-client session counts and last session date
+-- Purpose: The MCP list_clients tool shows how many sessions each client has
+--          had and when the last one was, without fetching every data item.
+-- Date: 2026-10-19
+-- Dependencies: 003_multi_type_schema.sql
+
+-- Sessions are transcripts; item_count covers every data type.
+-- Callers pass only client ids they are allowed to see.
+
+-- ============================================
+-- STEP 1: STATS FUNCTION
+-- ============================================
+
+CREATE OR REPLACE FUNCTION client_session_stats(p_client_ids UUID[])
+RETURNS TABLE (
+  client_id UUID,
+  session_count BIGINT,
+  last_session_date TIMESTAMP,
+  item_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    di.client_id,
+    COUNT(*) FILTER (WHERE di.data_type = 'transcript') AS session_count,
+    MAX(di.session_date) FILTER (WHERE di.data_type = 'transcript') AS last_session_date,
+    COUNT(*) AS item_count
+  FROM data_items di
+  WHERE di.client_id = ANY(p_client_ids)
+  GROUP BY di.client_id;
+$$;
+
+COMMENT ON FUNCTION client_session_stats IS 'Transcript count, last session date and total data items per client (MCP list_clients)';
+
+-- ============================================
+-- STEP 2: INDEX
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_data_items_client_type_date
+  ON data_items(client_id, data_type, session_date DESC);
+
+-- ============================================
+-- DOWN MIGRATION (ROLLBACK)
+-- ============================================
+
+/*
+DROP INDEX IF EXISTS idx_data_items_client_type_date;
+DROP FUNCTION IF EXISTS client_session_stats(UUID[]);
+*/
@@ -0,0 +1,110 @@
+-- Migration: 027_mcp_prompt_templates.sql
+-- Description: Prompt templates served as MCP prompts
+-- Purpose: MCP clients (e.g. Claude Desktop) list prompts for common coaching
+--          workflows such as session prep and monthly summaries. Templates
+--          live in the database so each coaching company can adjust or add
+--          its own without a deploy.
+-- Date: 2026-10-19
+-- Dependencies: 003_multi_type_schema.sql, 00-create-update-trigger-function.sql
+
+-- Rows with coaching_company_id NULL are defaults for every company. A company
+-- row with the same name replaces the default for that company's coaches,
+-- clients and admins (is_active = false hides it).
+--
+-- Templates use {{name}} placeholders for arguments (see api/mcp/prompts.js):
+--   {{client_id}}                     argument value ('' if not given)
+--   {{#client_id}}...{{/client_id}}   only when the argument is given
+--   {{^client_id}}...{{/client_id}}   only when it is not
+-- Built-ins: {{today}}, {{month_ago}} (YYYY-MM-DD) and, with a client_id
+-- argument, {{client_name}}.
+
+-- ============================================
+-- STEP 1: TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS mcp_prompt_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  coaching_company_id UUID REFERENCES coaching_companies(id) ON DELETE CASCADE,  -- NULL = default
+  name TEXT NOT NULL CHECK (name ~ '^[a-z][a-z0-9_]*$'),                        -- MCP prompt name
+  title TEXT,
+  description TEXT,
+  arguments JSONB NOT NULL DEFAULT '[]'::jsonb,  -- [{ "name", "description", "required" }]
+  template TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- One template per name per company, and one default per name
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mcp_prompt_templates_company_name
+  ON mcp_prompt_templates(coaching_company_id, name)
+  WHERE coaching_company_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mcp_prompt_templates_default_name
+  ON mcp_prompt_templates(name)
+  WHERE coaching_company_id IS NULL;
+
+CREATE TRIGGER update_mcp_prompt_templates_updated_at
+  BEFORE UPDATE ON mcp_prompt_templates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE mcp_prompt_templates IS 'MCP prompts per coaching company (NULL company = default for all)';
+
+-- ============================================
+-- STEP 2: DEFAULT TEMPLATES
+-- ============================================
+
+INSERT INTO mcp_prompt_templates (coaching_company_id, name, title, description, arguments, template)
+VALUES
+(
+  NULL,
+  'session_prep',
+  'Prep for next session',
+  'Prepare for the next coaching session with a client: recap, open commitments, themes and opening questions',
+  '[
+    {"name": "client_id", "description": "Client ID (UUID), from list_clients", "required": true},
+    {"name": "focus", "description": "Anything to pay particular attention to", "required": false}
+  ]'::jsonb,
+  E'Help me prepare for my next coaching session with {{client_name}} (client_id: {{client_id}}).\n\n'
+  E'1. Call get_client_profile for their background, assessments and intake questionnaire.\n'
+  E'2. Call get_client_timeline for recent sessions, then get_data_item to read the most recent session in full.\n'
+  E'3. Use search_data with client_id {{client_id}} to find open commitments, goals and recurring themes.\n'
+  E'{{#focus}}\nPay particular attention to: {{focus}}\n{{/focus}}\n'
+  E'Then give me: a short recap of the last session, commitments the client made and their status, '
+  E'themes across sessions, and 3-5 questions to open the next session. Cite sessions by date.'
+),
+(
+  NULL,
+  'monthly_summary',
+  'Summarize last month',
+  'Summarize the last month of coaching for one client, or across all of your clients',
+  '[
+    {"name": "client_id", "description": "Client ID (UUID); leave empty for all of your clients", "required": false}
+  ]'::jsonb,
+  E'Summarize coaching activity {{#client_id}}with {{client_name}} (client_id: {{client_id}}){{/client_id}}'
+  E'{{^client_id}}across all of my clients{{/client_id}} from {{month_ago}} to {{today}}.\n\n'
+  E'{{#client_id}}Call get_client_timeline with client_id {{client_id}} and start_date {{month_ago}}, '
+  E'and get_data_item for any session you need in full.{{/client_id}}'
+  E'{{^client_id}}Call list_clients, then get_client_timeline with start_date {{month_ago}} '
+  E'for each client with a session in that period.{{/client_id}}\n\n'
+  E'Cover: sessions held, main topics, progress against goals, and anything that needs follow-up.'
+)
+ON CONFLICT DO NOTHING;
+
+-- ============================================
+-- STEP 3: ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE mcp_prompt_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage mcp_prompt_templates" ON mcp_prompt_templates
+  FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+-- ============================================
+-- DOWN MIGRATION (ROLLBACK)
+-- ============================================
+
+/*
+DROP TABLE IF EXISTS mcp_prompt_templates;
+*/
@@ -0,0 +1,51 @@
+-- Migration: 028_session_summaries.sql
+-- Description: Cache of map-reduce summaries of client sessions
+-- Purpose: summarize_sessions (MCP) and POST /api/v2/clients/:id/summary make
+--          one GPT call per transcript plus a merge call. Caching by the
+--          summarized item set means repeat questions about the same period
+--          cost nothing, while a new or edited transcript rebuilds the summary.
+-- Date: 2026-10-19
+-- Dependencies: 003_multi_type_schema.sql
+
+-- ============================================
+-- STEP 1: CACHE TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS session_summaries (
+  cache_key TEXT PRIMARY KEY,           -- sha256(prompt version + model + sorted data_item id@updated_at)
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  data_item_ids UUID[] NOT NULL,        -- Transcripts summarized, oldest first
+  model TEXT NOT NULL,
+  summary JSONB NOT NULL,               -- { overview, themes, commitments, open_questions, sessions }
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_summaries_client ON session_summaries(client_id);
+CREATE INDEX IF NOT EXISTS idx_session_summaries_created_at ON session_summaries(created_at);
+
+COMMENT ON TABLE session_summaries IS 'Session summary cache for api/summaries. Safe to truncate.';
+COMMENT ON COLUMN session_summaries.summary IS 'Themes, commitments and open questions citing data_item ids (PII-scrubbed text only)';
+
+-- ============================================
+-- STEP 2: ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE session_summaries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage session_summaries" ON session_summaries
+  FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+-- ============================================
+-- MAINTENANCE
+-- ============================================
+
+-- Summaries of superseded item sets are never read again; prune them (e.g. monthly):
+--   DELETE FROM session_summaries WHERE created_at < NOW() - INTERVAL '90 days';
+
+-- ============================================
+-- DOWN MIGRATION (ROLLBACK)
+-- ============================================
+
+/*
+DROP TABLE IF EXISTS session_summaries;
+*/
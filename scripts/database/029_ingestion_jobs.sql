@@ -0,0 +1,176 @@
+-- Migration: 029_ingestion_jobs.sql
+-- Description: Postgres-backed job queue for asynchronous ingestion
+-- Purpose: /api/transcripts/bulk-upload and /api/data/upload used to scrub,
+--          chunk and embed inline, so large uploads hit serverless timeouts
+--          and a failure halfway left partial data. Uploads now enqueue a job
+--          (one item per document) and return 202; workers drain the queue
+--          through DataProcessorFactory and record per-item status.
+-- Date: 2026-10-19
+-- Dependencies: 003_multi_type_schema.sql, 00-create-update-trigger-function.sql
+
+-- Lifecycle (driven by api/jobs/ingestion-queue.js):
+--   job:  queued -> running -> completed | partial | failed
+--                          \-> queued (items left to retry, after available_at)
+--   item: pending -> processing -> succeeded | failed
+--                              \-> pending (transient error, attempts < max)
+
+-- ============================================
+-- STEP 1: JOBS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS ingestion_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'completed', 'partial', 'failed')),
+  source TEXT NOT NULL CHECK (source IN ('bulk_upload', 'data_upload')),
+
+  -- Progress (recounted from items at the end of each run)
+  total_items INTEGER NOT NULL DEFAULT 0,
+  succeeded_items INTEGER NOT NULL DEFAULT 0,
+  failed_items INTEGER NOT NULL DEFAULT 0,
+
+  attempts INTEGER NOT NULL DEFAULT 0,        -- Times a worker claimed the job
+  retries INTEGER NOT NULL DEFAULT 0,         -- Admin retries of failed items
+  available_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),  -- Not claimed before this (retry backoff)
+  locked_by TEXT,                             -- Worker id while running
+  locked_at TIMESTAMPTZ,                      -- Worker heartbeat (updated per item)
+  last_error TEXT,
+
+  -- Who uploaded (NULL for unauthenticated uploads)
+  created_by UUID,
+  created_by_role TEXT,
+  coaching_company_id UUID REFERENCES coaching_companies(id) ON DELETE SET NULL,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_claimable
+  ON ingestion_jobs(available_at, created_at)
+  WHERE status IN ('queued', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_company
+  ON ingestion_jobs(coaching_company_id, created_at DESC);
+
+CREATE TRIGGER update_ingestion_jobs_updated_at
+  BEFORE UPDATE ON ingestion_jobs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE ingestion_jobs IS 'Asynchronous upload jobs (see api/jobs/ingestion-queue.js)';
+
+-- ============================================
+-- STEP 2: JOB ITEMS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS ingestion_job_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES ingestion_jobs(id) ON DELETE CASCADE,
+  item_index INTEGER NOT NULL,                -- Position in the upload request
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'succeeded', 'failed')),
+
+  -- Processor input (content is cleared once the item succeeds)
+  data_type TEXT NOT NULL,
+  content TEXT,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+  -- Result
+  data_item_id UUID REFERENCES data_items(id) ON DELETE SET NULL,
+  chunks_created INTEGER,
+  chunks_failed INTEGER,
+
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  errors JSONB NOT NULL DEFAULT '[]'::jsonb,  -- [{attempt, error, retryable, at}] (most recent 10)
+
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE (job_id, item_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_job_items_job_status
+  ON ingestion_job_items(job_id, status);
+
+CREATE TRIGGER update_ingestion_job_items_updated_at
+  BEFORE UPDATE ON ingestion_job_items
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE ingestion_job_items IS 'One document per row of an ingestion job, with its processing status';
+
+-- ============================================
+-- STEP 3: CLAIM A JOB
+-- ============================================
+
+-- Oldest available job, locked for one worker. SKIP LOCKED lets several
+-- workers poll at once; a running job whose heartbeat is older than
+-- p_lock_timeout_seconds (worker crashed or timed out) is claimed again.
+CREATE OR REPLACE FUNCTION claim_ingestion_job(
+  p_worker_id TEXT,
+  p_lock_timeout_seconds INT DEFAULT 600
+)
+RETURNS SETOF ingestion_jobs
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  claimed_id UUID;
+BEGIN
+  SELECT j.id INTO claimed_id
+  FROM ingestion_jobs j
+  WHERE (j.status = 'queued' AND j.available_at <= NOW())
+     OR (j.status = 'running' AND j.locked_at < NOW() - make_interval(secs => p_lock_timeout_seconds))
+  ORDER BY j.available_at, j.created_at
+  LIMIT 1
+  FOR UPDATE SKIP LOCKED;
+
+  IF claimed_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  UPDATE ingestion_jobs
+  SET status = 'running',
+      locked_by = p_worker_id,
+      locked_at = NOW(),
+      attempts = attempts + 1,
+      started_at = COALESCE(started_at, NOW())
+  WHERE id = claimed_id
+  RETURNING *;
+END;
+$$;
+
+-- ============================================
+-- STEP 4: ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE ingestion_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ingestion_job_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage ingestion_jobs" ON ingestion_jobs
+  FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+CREATE POLICY "Service role can manage ingestion_job_items" ON ingestion_job_items
+  FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+-- ============================================
+-- MAINTENANCE
+-- ============================================
+
+-- Finished jobs are only read for status; prune them (created data items are kept):
+--   DELETE FROM ingestion_jobs WHERE status IN ('completed', 'partial', 'failed') AND completed_at < NOW() - INTERVAL '30 days';
+
+-- ============================================
+-- DOWN MIGRATION (ROLLBACK)
+-- ============================================
+
+/*
+DROP FUNCTION IF EXISTS claim_ingestion_job(TEXT, INT);
+DROP TABLE IF EXISTS ingestion_job_items;
+DROP TABLE IF EXISTS ingestion_jobs;
+*/
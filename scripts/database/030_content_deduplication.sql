@@ -0,0 +1,94 @@
+-- Migration: 030_content_deduplication.sql
+-- Description: Content fingerprints and duplicate links on data_items
+-- Purpose: Reimports (scripts/upload-transcripts.js, Fireflies /import,
+--          admin uploads) kept creating duplicate data_items. Ingest now
+--          stores a normalized content hash and a MinHash fingerprint
+--          (api/dedup/), links to or rejects exact duplicates and flags
+--          near-duplicates with duplicate_of.
+-- Date: 2026-10-19
+-- Dependencies: 003_multi_type_schema.sql, 029_ingestion_jobs.sql
+
+-- ============================================
+-- STEP 1: FINGERPRINT COLUMNS
+-- ============================================
+
+ALTER TABLE data_items
+  ADD COLUMN IF NOT EXISTS content_hash TEXT,           -- SHA-256 of normalized raw_content
+  ADD COLUMN IF NOT EXISTS content_minhash INTEGER[],   -- MinHash signature over word shingles
+  ADD COLUMN IF NOT EXISTS content_lsh_bands TEXT[];    -- Signature bands ("<band>:<hash>") for candidate lookup
+
+CREATE INDEX IF NOT EXISTS idx_data_items_content_hash
+  ON data_items(data_type, content_hash)
+  WHERE content_hash IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_data_items_content_lsh_bands
+  ON data_items USING GIN (content_lsh_bands);
+
+COMMENT ON COLUMN data_items.content_hash IS 'SHA-256 of raw_content with case, punctuation and whitespace normalized (api/dedup/content-fingerprint.js)';
+COMMENT ON COLUMN data_items.content_minhash IS 'MinHash signature estimating Jaccard similarity of word shingles';
+COMMENT ON COLUMN data_items.content_lsh_bands IS 'Hashed signature bands; items sharing a band are near-duplicate candidates';
+
+-- ============================================
+-- STEP 2: DUPLICATE LINKS
+-- ============================================
+
+ALTER TABLE data_items
+  ADD COLUMN IF NOT EXISTS duplicate_of UUID REFERENCES data_items(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS duplicate_similarity REAL;  -- Estimated similarity to duplicate_of (0-1)
+
+CREATE INDEX IF NOT EXISTS idx_data_items_duplicate_of
+  ON data_items(duplicate_of)
+  WHERE duplicate_of IS NOT NULL;
+
+COMMENT ON COLUMN data_items.duplicate_of IS 'Earlier item this one nearly duplicates (flagged at ingest for admin review)';
+
+-- ============================================
+-- STEP 3: INGESTION JOBS
+-- ============================================
+
+-- Exact duplicates in a queued upload are linked (item status 'duplicate',
+-- data_item_id = existing item) or failed, per the job's on_duplicate
+ALTER TABLE ingestion_jobs
+  ADD COLUMN IF NOT EXISTS on_duplicate TEXT NOT NULL DEFAULT 'link'
+    CHECK (on_duplicate IN ('link', 'reject')),
+  ADD COLUMN IF NOT EXISTS duplicate_items INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE ingestion_job_items
+DROP CONSTRAINT IF EXISTS ingestion_job_items_status_check;
+
+ALTER TABLE ingestion_job_items
+ADD CONSTRAINT ingestion_job_items_status_check
+CHECK (status IN ('pending', 'processing', 'succeeded', 'duplicate', 'failed'));
+
+-- ============================================
+-- MAINTENANCE
+-- ============================================
+
+-- Items stored before this migration have no fingerprint; compute them and
+-- flag existing duplicates with:
+--   node scripts/utilities/backfill-content-fingerprints.js
+
+-- Review flagged near-duplicates (delete one, or clear the flag if both belong):
+--   SELECT d.id, d.duplicate_of, d.duplicate_similarity, d.metadata->>'title' FROM data_items d WHERE d.duplicate_of IS NOT NULL;
+--   UPDATE data_items SET duplicate_of = NULL, duplicate_similarity = NULL WHERE id = '<id>';
+
+-- ============================================
+-- DOWN MIGRATION (ROLLBACK)
+-- ============================================
+
+/*
+ALTER TABLE ingestion_job_items DROP CONSTRAINT IF EXISTS ingestion_job_items_status_check;
+ALTER TABLE ingestion_job_items ADD CONSTRAINT ingestion_job_items_status_check
+  CHECK (status IN ('pending', 'processing', 'succeeded', 'failed'));
+ALTER TABLE ingestion_jobs DROP COLUMN IF EXISTS duplicate_items;
+ALTER TABLE ingestion_jobs DROP COLUMN IF EXISTS on_duplicate;
+DROP INDEX IF EXISTS idx_data_items_duplicate_of;
+DROP INDEX IF EXISTS idx_data_items_content_lsh_bands;
+DROP INDEX IF EXISTS idx_data_items_content_hash;
+ALTER TABLE data_items
+  DROP COLUMN IF EXISTS duplicate_similarity,
+  DROP COLUMN IF EXISTS duplicate_of,
+  DROP COLUMN IF EXISTS content_lsh_bands,
+  DROP COLUMN IF EXISTS content_minhash,
+  DROP COLUMN IF EXISTS content_hash;
+*/
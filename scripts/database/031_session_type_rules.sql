@@ -0,0 +1,80 @@
+-- Migration: 031_session_type_rules.sql
+-- Description: Per-company rules for tagging meetings with a session_type
+-- Purpose: Fireflies sync tagged transcripts (client_coaching, internal_meeting,
+--          training, ...) with title substrings hard-coded in
+--          detectSessionType, so every new meeting name needed a deploy and
+--          other companies got one coach's patterns. Rules now live here,
+--          are edited through /api/admin/session-type-rules and are applied by
+--          api/classification/session-types.js.
+-- Date: 2026-10-19
+-- Dependencies: 00-create-update-trigger-function.sql, coaching_companies
+
+-- Evaluation (first match wins):
+--   enabled rules by priority DESC, created_at ASC
+--   -> 'client_coaching' if the meeting matched a client
+--   -> LLM classifier (SESSION_TYPE_LLM_FALLBACK=true)
+--   -> 'untagged'
+
+-- ============================================
+-- STEP 1: RULES TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS session_type_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  coaching_company_id UUID NOT NULL REFERENCES coaching_companies(id) ON DELETE CASCADE,
+  name TEXT,                                  -- Label shown to admins
+
+  pattern TEXT NOT NULL,                      -- Matched case-insensitively
+  match_field TEXT NOT NULL DEFAULT 'title'
+    CHECK (match_field IN ('title', 'participants')),
+  match_type TEXT NOT NULL DEFAULT 'contains'
+    CHECK (match_type IN ('contains', 'starts_with', 'regex')),
+  client_match TEXT NOT NULL DEFAULT 'any'    -- Only apply when the meeting did / did not match a client
+    CHECK (client_match IN ('any', 'matched', 'unmatched')),
+
+  session_type TEXT NOT NULL CHECK (session_type ~ '^[a-z0-9_]{1,50}$'),
+  priority INTEGER NOT NULL DEFAULT 100,      -- Higher is evaluated first
+  enabled BOOLEAN NOT NULL DEFAULT true,
+
+  created_by UUID,                            -- Admin who created the rule
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_type_rules_company_priority
+  ON session_type_rules(coaching_company_id, priority DESC);
+
+CREATE TRIGGER update_session_type_rules_updated_at
+  BEFORE UPDATE ON session_type_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE session_type_rules IS 'Meeting title / participant patterns mapped to a session_type (see api/classification/session-types.js)';
+
+-- ============================================
+-- STEP 2: ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE session_type_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage session_type_rules" ON session_type_rules
+  FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+-- ============================================
+-- MAINTENANCE
+-- ============================================
+
+-- Without rules only client matches are tagged. Load the patterns the old
+-- hard-coded classifier used:
+--   node scripts/seed-session-type-rules.js --company <coaching_company_id>
+
+-- Preview how existing transcripts would change after editing rules:
+--   POST /api/admin/session-type-rules/reclassify/dry-run
+
+-- ============================================
+-- DOWN MIGRATION (ROLLBACK)
+-- ============================================
+
+/*
+DROP TABLE IF EXISTS session_type_rules;
+*/
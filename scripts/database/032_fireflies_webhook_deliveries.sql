@@ -0,0 +1,94 @@
+-- Migration: 032_fireflies_webhook_deliveries.sql
+-- Description: Stored Fireflies webhook deliveries with retry and dead-letter state
+-- Purpose: When fetching or embedding a transcript failed inside
+--          POST /api/integrations/fireflies/webhook, the event was lost unless
+--          the polling /sync happened to catch the meeting. Every verified
+--          payload is now stored with its processing outcome, failures are
+--          retried with exponential backoff and dead-lettered deliveries can
+--          be replayed from /api/admin/fireflies/deliveries.
+-- Date: 2026-10-19
+-- Dependencies: 003_multi_type_schema.sql, 00-create-update-trigger-function.sql
+
+-- Lifecycle (driven by api/integrations/fireflies-webhook-queue.js):
+--   received -> processing -> succeeded | ignored
+--                          \-> retrying (after next_attempt_at) -> processing ...
+--                          \-> failed (dead letter, attempts exhausted; replay resets attempts)
+
+-- ============================================
+-- STEP 1: DELIVERIES TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS fireflies_webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  meeting_id TEXT,                            -- payload.meetingId (idempotency key)
+  event_type TEXT,
+  client_reference_id TEXT,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb, -- Webhook body as received
+
+  status TEXT NOT NULL DEFAULT 'received'
+    CHECK (status IN ('received', 'processing', 'succeeded', 'ignored', 'retrying', 'failed')),
+  -- Set on success: processed | queued_for_assignment | already_processed | ignored
+  outcome TEXT,
+  data_item_id UUID REFERENCES data_items(id) ON DELETE SET NULL,
+
+  attempts INTEGER NOT NULL DEFAULT 0,        -- Attempts since the delivery (or its last replay)
+  replays INTEGER NOT NULL DEFAULT 0,         -- Admin replays
+  next_attempt_at TIMESTAMPTZ,                -- Retry not before this (status retrying)
+  locked_at TIMESTAMPTZ,                      -- When the current attempt started
+  last_error TEXT,
+  errors JSONB NOT NULL DEFAULT '[]'::jsonb,  -- [{attempt, error, at}] (most recent 10)
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fireflies_webhook_deliveries_due
+  ON fireflies_webhook_deliveries(next_attempt_at)
+  WHERE status IN ('received', 'processing', 'retrying');
+
+CREATE INDEX IF NOT EXISTS idx_fireflies_webhook_deliveries_status
+  ON fireflies_webhook_deliveries(status, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_fireflies_webhook_deliveries_meeting
+  ON fireflies_webhook_deliveries(meeting_id);
+
+-- One delivery per meeting may be processing at a time, so a Fireflies
+-- resend arriving during a retry can't store the transcript twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fireflies_webhook_deliveries_processing_meeting
+  ON fireflies_webhook_deliveries(meeting_id)
+  WHERE status = 'processing' AND meeting_id IS NOT NULL;
+
+CREATE TRIGGER update_fireflies_webhook_deliveries_updated_at
+  BEFORE UPDATE ON fireflies_webhook_deliveries
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE fireflies_webhook_deliveries IS 'Fireflies webhook payloads with processing outcome, retry backoff and dead-letter state';
+
+-- ============================================
+-- STEP 2: ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE fireflies_webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage fireflies_webhook_deliveries" ON fireflies_webhook_deliveries
+  FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+-- ============================================
+-- MAINTENANCE
+-- ============================================
+
+-- Dead-lettered deliveries:
+--   SELECT id, meeting_id, attempts, last_error FROM fireflies_webhook_deliveries WHERE status = 'failed' ORDER BY created_at DESC;
+
+-- Finished deliveries are only kept for inspection; prune them:
+--   DELETE FROM fireflies_webhook_deliveries WHERE status IN ('succeeded', 'ignored') AND created_at < NOW() - INTERVAL '30 days';
+
+-- ============================================
+-- DOWN MIGRATION (ROLLBACK)
+-- ============================================
+
+/*
+DROP TABLE IF EXISTS fireflies_webhook_deliveries;
+*/
@@ -0,0 +1,95 @@
+-- Migration: 033_fireflies_sync_cursors.sql
+-- Description: Per-API-key sync cursors and backfill position in fireflies_sync_state
+-- Purpose: POST /api/integrations/fireflies/sync re-scanned a days_back
+--          window for every key on every run. Each key now keeps a
+--          high-water mark (cursor row) so runs only list meetings since its
+--          last sync, a resumable backfill position for importing the full
+--          history, and meeting rows record key, coach and meeting date for
+--          the sync lag report (GET /api/integrations/fireflies/sync/report).
+-- Date: 2026-10-19
+-- Dependencies: 011-fireflies-sync-state.sql
+
+-- ============================================
+-- STEP 1: ROW KINDS
+-- ============================================
+
+-- 'meeting' rows are the existing per-meeting sync records; 'cursor' rows
+-- hold one API key's state (see api/integrations/fireflies-sync-state.js)
+ALTER TABLE fireflies_sync_state
+  ADD COLUMN IF NOT EXISTS record_type TEXT NOT NULL DEFAULT 'meeting'
+    CHECK (record_type IN ('meeting', 'cursor')),
+  ADD COLUMN IF NOT EXISTS api_key_label TEXT,                -- Key that synced the meeting / owns the cursor
+  ADD COLUMN IF NOT EXISTS coach_id UUID REFERENCES coaches(id) ON DELETE SET NULL,  -- Meeting's coach / key's attributed coach
+  ADD COLUMN IF NOT EXISTS meeting_date TIMESTAMPTZ;          -- When the meeting took place (meeting rows)
+
+ALTER TABLE fireflies_sync_state
+  ALTER COLUMN fireflies_meeting_id DROP NOT NULL;
+
+ALTER TABLE fireflies_sync_state
+  ADD CONSTRAINT fireflies_sync_state_record_key_check
+  CHECK (
+    (record_type = 'meeting' AND fireflies_meeting_id IS NOT NULL) OR
+    (record_type = 'cursor' AND api_key_label IS NOT NULL)
+  );
+
+CREATE INDEX IF NOT EXISTS idx_fireflies_sync_state_coach
+  ON fireflies_sync_state(coach_id, meeting_date DESC)
+  WHERE record_type = 'meeting';
+
+-- ============================================
+-- STEP 2: CURSOR COLUMNS
+-- ============================================
+
+ALTER TABLE fireflies_sync_state
+  ADD COLUMN IF NOT EXISTS api_key_fingerprint TEXT,          -- SHA-256 prefix of the key; a new key under the label ignores the cursor
+  ADD COLUMN IF NOT EXISTS cursor_at TIMESTAMPTZ,             -- Newest meeting date listed by this key's syncs
+  ADD COLUMN IF NOT EXISTS backfill_status TEXT
+    CHECK (backfill_status IN ('running', 'completed')),
+  ADD COLUMN IF NOT EXISTS backfill_skip INTEGER,             -- List offset the next backfill call resumes from
+  ADD COLUMN IF NOT EXISTS backfill_completed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_run_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_run JSONB;                    -- {mode, listed, synced, skipped, failed, elapsed_ms}
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fireflies_sync_state_cursor_key
+  ON fireflies_sync_state(api_key_label)
+  WHERE record_type = 'cursor';
+
+COMMENT ON COLUMN fireflies_sync_state.record_type IS 'meeting: one synced/skipped/failed Fireflies meeting; cursor: sync position of one API key';
+COMMENT ON COLUMN fireflies_sync_state.cursor_at IS 'High-water mark: incremental syncs list meetings from here (less an overlap for late transcripts)';
+
+-- ============================================
+-- MAINTENANCE
+-- ============================================
+
+-- Cursors and lag per key and coach:
+--   GET /api/integrations/fireflies/sync/report   (x-sync-secret header)
+
+-- Import the full history of every key (resumable, call until backfill.complete):
+--   POST /api/integrations/fireflies/sync   {"mode": "backfill"}
+
+-- Force a key to re-scan from a date on its next incremental sync:
+--   UPDATE fireflies_sync_state SET cursor_at = '2026-01-01' WHERE record_type = 'cursor' AND api_key_label = 'default';
+
+-- ============================================
+-- DOWN MIGRATION (ROLLBACK)
+-- ============================================
+
+/*
+DELETE FROM fireflies_sync_state WHERE record_type = 'cursor';
+DROP INDEX IF EXISTS idx_fireflies_sync_state_cursor_key;
+DROP INDEX IF EXISTS idx_fireflies_sync_state_coach;
+ALTER TABLE fireflies_sync_state DROP CONSTRAINT IF EXISTS fireflies_sync_state_record_key_check;
+ALTER TABLE fireflies_sync_state
+  DROP COLUMN IF EXISTS last_run,
+  DROP COLUMN IF EXISTS last_run_at,
+  DROP COLUMN IF EXISTS backfill_completed_at,
+  DROP COLUMN IF EXISTS backfill_skip,
+  DROP COLUMN IF EXISTS backfill_status,
+  DROP COLUMN IF EXISTS cursor_at,
+  DROP COLUMN IF EXISTS api_key_fingerprint,
+  DROP COLUMN IF EXISTS meeting_date,
+  DROP COLUMN IF EXISTS coach_id,
+  DROP COLUMN IF EXISTS api_key_label,
+  DROP COLUMN IF EXISTS record_type;
+ALTER TABLE fireflies_sync_state ALTER COLUMN fireflies_meeting_id SET NOT NULL;
+*/
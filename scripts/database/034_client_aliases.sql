@@ -0,0 +1,79 @@
+-- Migration: 034_client_aliases.sql
+-- Description: Alternate emails and names that identify a client in meetings
+-- Purpose: Fireflies participant matching only compared attendee emails with
+--          clients.email, so clients joining from personal addresses were
+--          left without a client. Aliases (alternate emails, attendee display
+--          names, Fireflies speaker names) are matched after emails, and are
+--          learned whenever an admin assigns a pending transcript to a client
+--          (POST /api/integrations/fireflies/pending/:id/assign).
+-- Date: 2026-10-19
+-- Dependencies: 003_multi_type_schema.sql, 00-create-update-trigger-function.sql
+
+-- ============================================
+-- STEP 1: ALIASES TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS client_aliases (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  alias_type TEXT NOT NULL
+    CHECK (alias_type IN ('email', 'display_name', 'speaker_name')),
+  alias TEXT NOT NULL,                        -- As seen in the meeting
+  normalized_alias TEXT NOT NULL,             -- Lowercased, accents and punctuation stripped (lookup key)
+
+  -- pending_assignment: learned from an admin assignment; admin: added by hand
+  source TEXT NOT NULL DEFAULT 'admin'
+    CHECK (source IN ('pending_assignment', 'admin')),
+  source_meeting_id TEXT,                     -- Fireflies meeting it was learned from
+  created_by UUID,                            -- Admin who added it
+
+  times_matched INTEGER NOT NULL DEFAULT 0,   -- Transcripts matched to the client through this alias
+  last_matched_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE (alias_type, normalized_alias, client_id)
+);
+
+-- An alias shared by several clients is ambiguous and only suggested, never matched
+CREATE INDEX IF NOT EXISTS idx_client_aliases_lookup
+  ON client_aliases(normalized_alias, alias_type);
+
+CREATE INDEX IF NOT EXISTS idx_client_aliases_client
+  ON client_aliases(client_id);
+
+CREATE TRIGGER update_client_aliases_updated_at
+  BEFORE UPDATE ON client_aliases
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE client_aliases IS 'Alternate emails, display names and speaker names matched to a client in synced meetings';
+
+-- ============================================
+-- STEP 2: ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE client_aliases ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage client_aliases" ON client_aliases
+  FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+-- ============================================
+-- MAINTENANCE
+-- ============================================
+
+-- Aliases of a client, most used first:
+--   GET /api/admin/client-aliases?client_id=<id>
+--   SELECT alias_type, alias, source, times_matched FROM client_aliases WHERE client_id = '<id>' ORDER BY times_matched DESC;
+
+-- Ambiguous aliases (never auto-matched):
+--   SELECT alias_type, normalized_alias, COUNT(*) FROM client_aliases GROUP BY 1, 2 HAVING COUNT(*) > 1;
+
+-- ============================================
+-- DOWN MIGRATION (ROLLBACK)
+-- ============================================
+
+/*
+DROP TABLE IF EXISTS client_aliases;
+*/
@@ -0,0 +1,105 @@
+-- Migration: 035_fireflies_review_queue.sql
+-- Description: Review queue state and decision audit for pending Fireflies transcripts
+-- Purpose: Transcripts without a matched coach wait in fireflies_pending for
+--          an admin. The review queue (/api/admin/fireflies/pending) pages
+--          and filters them, assigns them in bulk, discards internal meetings
+--          and snoozes the ones nobody can place yet. Every decision is kept
+--          in fireflies_review_decisions with the admin who made it.
+-- Date: 2026-10-19
+-- Dependencies: fireflies_pending (checkpoint 14), 003_multi_type_schema.sql
+
+-- ============================================
+-- STEP 1: REVIEW STATE ON PENDING TRANSCRIPTS
+-- ============================================
+
+-- Statuses: pending_coach_assignment -> assigning (while stored) -> processed,
+-- or discarded (internal meeting, never stored)
+ALTER TABLE fireflies_pending
+  ADD COLUMN IF NOT EXISTS snoozed_until TIMESTAMPTZ,     -- Hidden from the queue until then
+  ADD COLUMN IF NOT EXISTS assigned_by UUID,              -- Admin who assigned it
+  ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS data_item_id UUID REFERENCES data_items(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS reviewed_by UUID,              -- Admin who discarded it
+  ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS review_note TEXT,              -- Reason given when discarding
+  ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ;        -- When the current assignment started (status 'assigning')
+
+-- The queue filters by meeting date; older rows only have it in transcript_data
+UPDATE fireflies_pending
+SET session_date = (transcript_data->>'session_date')::DATE
+WHERE session_date IS NULL
+  AND transcript_data->>'session_date' IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_fireflies_pending_queue
+  ON fireflies_pending(status, session_date DESC);
+
+-- ============================================
+-- STEP 2: DECISION AUDIT TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS fireflies_review_decisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  pending_id UUID REFERENCES fireflies_pending(id) ON DELETE SET NULL,
+  meeting_id TEXT,                            -- Fireflies meeting (kept if the pending row is deleted)
+  action TEXT NOT NULL
+    CHECK (action IN ('assign', 'discard', 'snooze', 'unsnooze')),
+  admin_id UUID,                              -- NULL: assigned through /api/integrations/fireflies/pending/:id/assign
+  batch_id UUID,                              -- Decisions made in one bulk request
+
+  coach_id UUID REFERENCES coaches(id) ON DELETE SET NULL,
+  client_id UUID REFERENCES clients(id) ON DELETE SET NULL,
+  data_item_id UUID REFERENCES data_items(id) ON DELETE SET NULL,
+  snoozed_until TIMESTAMPTZ,
+  reason TEXT,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb, -- e.g. the suggestions shown, session type stored
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fireflies_review_decisions_pending
+  ON fireflies_review_decisions(pending_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_fireflies_review_decisions_created
+  ON fireflies_review_decisions(created_at DESC);
+
+COMMENT ON TABLE fireflies_review_decisions IS 'Audit log of admin decisions on pending Fireflies transcripts';
+
+-- ============================================
+-- STEP 3: ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE fireflies_review_decisions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage fireflies_review_decisions" ON fireflies_review_decisions
+  FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+-- ============================================
+-- MAINTENANCE
+-- ============================================
+
+-- Queue size by state:
+--   SELECT status, (snoozed_until > NOW()) AS snoozed, COUNT(*) FROM fireflies_pending GROUP BY 1, 2;
+
+-- Transcripts stuck mid-assignment (the server stopped while storing); the
+-- queue listing returns them after FIREFLIES_REVIEW_CLAIM_TIMEOUT_MINUTES:
+--   SELECT id, meeting_id, claimed_at FROM fireflies_pending WHERE status = 'assigning';
+
+-- Decisions by admin in the last 30 days:
+--   SELECT admin_id, action, COUNT(*) FROM fireflies_review_decisions
+--   WHERE created_at > NOW() - INTERVAL '30 days' GROUP BY 1, 2;
+
+-- ============================================
+-- DOWN MIGRATION (ROLLBACK)
+-- ============================================
+
+/*
+DROP TABLE IF EXISTS fireflies_review_decisions;
+DROP INDEX IF EXISTS idx_fireflies_pending_queue;
+ALTER TABLE fireflies_pending
+  DROP COLUMN IF EXISTS snoozed_until,
+  DROP COLUMN IF EXISTS reviewed_by,
+  DROP COLUMN IF EXISTS reviewed_at,
+  DROP COLUMN IF EXISTS review_note,
+  DROP COLUMN IF EXISTS claimed_at;
+-- assigned_by, assigned_at and data_item_id predate this migration; keep them
+*/
@@ -0,0 +1,60 @@
+-- Migration: 036_unique_content_fingerprint.sql
+-- Description: One unflagged data item per content hash, data type, coach and client
+-- Purpose: Ingest looks up exact duplicates before inserting (api/dedup/), but
+--          two uploads of the same content at the same time both miss each
+--          other and both get stored. A unique index makes the second insert
+--          fail; insertUnlessDuplicate() then links it to the first.
+-- Date: 2026-10-19
+-- Dependencies: 030_content_deduplication.sql
+
+-- ============================================
+-- STEP 1: FLAG EXISTING EXACT DUPLICATES
+-- ============================================
+
+-- Copies stored before this migration (e.g. by concurrent uploads) would
+-- block the index: flag every copy after the first as an exact duplicate
+WITH copies AS (
+  SELECT
+    id,
+    FIRST_VALUE(id) OVER w AS first_id,
+    ROW_NUMBER() OVER w AS copy_number
+  FROM data_items
+  WHERE content_hash IS NOT NULL
+    AND COALESCE(duplicate_similarity, 0) < 1
+  WINDOW w AS (PARTITION BY data_type, content_hash, coach_id, client_id ORDER BY created_at, id)
+)
+UPDATE data_items d
+SET duplicate_of = copies.first_id,
+    duplicate_similarity = 1
+FROM copies
+WHERE d.id = copies.id
+  AND copies.copy_number > 1;
+
+-- ============================================
+-- STEP 2: UNIQUE INDEX
+-- ============================================
+
+-- Items flagged as exact copies (similarity 1) stay outside the index, also
+-- after the item they copy is deleted (duplicate_of is then set to NULL).
+-- NULLS NOT DISTINCT (Postgres 15+): items without a coach or client count too.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_data_items_unique_content
+  ON data_items(data_type, content_hash, coach_id, client_id) NULLS NOT DISTINCT
+  WHERE content_hash IS NOT NULL
+    AND COALESCE(duplicate_similarity, 0) < 1;
+
+COMMENT ON INDEX idx_data_items_unique_content IS 'Rejects a second unflagged copy of the same content for the same coach and client (api/dedup/duplicate-detector.js)';
+
+-- ============================================
+-- MAINTENANCE
+-- ============================================
+
+-- Copies flagged by STEP 1:
+--   SELECT id, duplicate_of, metadata->>'title' FROM data_items WHERE duplicate_similarity = 1 ORDER BY duplicate_of;
+
+-- ============================================
+-- DOWN MIGRATION (ROLLBACK)
+-- ============================================
+
+/*
+DROP INDEX IF EXISTS idx_data_items_unique_content;
+*/
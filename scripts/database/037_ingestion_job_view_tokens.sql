@@ -0,0 +1,33 @@
+-- Migration: 037_ingestion_job_view_tokens.sql
+-- Description: View token for ingestion jobs of unauthenticated uploads
+-- Purpose: Jobs without an uploader were readable by anyone with their id,
+--          including per-item errors. The 202 of an unauthenticated upload
+--          now returns a view token; GET /api/v2/jobs/:id requires it for
+--          those jobs. Only its sha256 is stored.
+-- Date: 2026-10-19
+-- Dependencies: 029_ingestion_jobs.sql
+
+-- ============================================
+-- STEP 1: TOKEN HASH COLUMN
+-- ============================================
+
+ALTER TABLE ingestion_jobs
+  ADD COLUMN IF NOT EXISTS view_token_hash TEXT;
+
+COMMENT ON COLUMN ingestion_jobs.view_token_hash IS 'Hex sha256 of the view token returned to an unauthenticated uploader (NULL for authenticated uploads)';
+
+-- ============================================
+-- MAINTENANCE
+-- ============================================
+
+-- Anonymous jobs queued before this migration have no token; only super
+-- admins can see them (/api/admin/jobs):
+--   SELECT id, status, created_at FROM ingestion_jobs WHERE created_by IS NULL AND view_token_hash IS NULL;
+
+-- ============================================
+-- DOWN MIGRATION (ROLLBACK)
+-- ============================================
+
+/*
+ALTER TABLE ingestion_jobs DROP COLUMN IF EXISTS view_token_hash;
+*/
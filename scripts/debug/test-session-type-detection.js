@@ -1,10 +1,19 @@
 #!/usr/bin/env node
 /**
  * Test session type detection patterns
- * Run: node scripts/test-session-type-detection.js
+ *
+ * Checks the rules in data/session-type-rules-legacy.json (the title patterns
+ * Fireflies sync used before rules moved to session_type_rules) against
+ * known meeting titles. Seed them with scripts/seed-session-type-rules.js.
+ *
+ * Run: node scripts/debug/test-session-type-detection.js [rules.json]
  */
 
-import { detectSessionType } from '../api/integrations/fireflies.js';
+import { readFileSync } from 'fs';
+import { classifyWithRules } from '../../api/classification/index.js';
+
+const rulesFile = process.argv[2] || new URL('../../data/session-type-rules-legacy.json', import.meta.url);
+const rules = JSON.parse(readFileSync(rulesFile, 'utf-8'));
 
 const testCases = [
   // Internal meetings
@@ -75,7 +84,7 @@ let passed = 0;
 let failed = 0;
 
 for (const { title, expected, hasClient } of testCases) {
-  const result = detectSessionType(title, hasClient || false);
+  const { session_type: result } = classifyWithRules(rules, { title, hasClientMatch: hasClient || false });
   const status = result === expected ? '✓' : '✗';
 
   if (result === expected) {
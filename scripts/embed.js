@@ -13,12 +13,14 @@
 import { createClient } from '@supabase/supabase-js';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { embedBatch } from '../api/embeddings/index.js';
 
 // Load environment variables
 dotenv.config();
 
-// Validate environment variables
-if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY || !process.env.OPENAI_API_KEY) {
+// Validate environment variables (OPENAI_API_KEY is only needed for the openai embedding provider)
+const needsOpenAIKey = (process.env.EMBEDDING_PROVIDER || 'openai') === 'openai';
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY || (needsOpenAIKey && !process.env.OPENAI_API_KEY)) {
   console.error('❌ Missing required environment variables');
   console.error('Please ensure SUPABASE_URL, SUPABASE_SERVICE_KEY, and OPENAI_API_KEY are set in .env');
   process.exit(1);
@@ -30,9 +32,10 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Not needed when EMBEDDING_PROVIDER is azure or local
+const openai = needsOpenAIKey
+  ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+  : null;
 
 // ============================================
 // HELPER FUNCTIONS
@@ -58,23 +61,6 @@ function chunkText(text, chunkSize = 500, overlap = 50) {
   return chunks;
 }
 
-/**
- * Generate embedding using OpenAI
- */
-async function generateEmbedding(text) {
-  try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: text.trim()
-    });
-
-    return response.data[0].embedding;
-  } catch (error) {
-    console.error('OpenAI API error:', error.message);
-    throw error;
-  }
-}
-
 /**
  * Format embedding for PostgreSQL
  * Uses JavaScript's default number formatting which preserves scientific notation
@@ -123,26 +109,30 @@ async function processTranscript(transcriptId) {
     return false;
   }
 
-  // Generate embeddings and save chunks
-  const chunkRecords = [];
-  for (let i = 0; i < chunks.length; i++) {
-    process.stdout.write(`\r  Generating embeddings... ${i + 1}/${chunks.length}`);
+  // Generate embeddings (batched, with retries)
+  console.log('  Generating embeddings...');
+  const { embeddings, failures, stats } = await embedBatch(openai, chunks, { operation: 'embed_script' });
+  console.log(`  ${stats.embedded} embedded, ${stats.cached} cached in ${stats.requests} request(s)`);
 
-    try {
-      const embedding = await generateEmbedding(chunks[i]);
+  for (const failure of failures) {
+    console.error(`  ❌ Failed to generate embedding for chunk ${failure.index}: ${failure.error}`);
+  }
+
+  const chunkRecords = [];
+  chunks.forEach((chunk, i) => {
+    if (embeddings[i]) {
       chunkRecords.push({
         transcript_id: transcriptId,
         chunk_index: i,
-        content: chunks[i],
-        embedding: formatEmbeddingForDB(embedding)
+        content: chunk,
+        embedding: formatEmbeddingForDB(embeddings[i])
       });
-    } catch (error) {
-      console.error(`\n  ❌ Failed to generate embedding for chunk ${i}`);
-      return false;
     }
-  }
+  });
 
-  console.log(''); // New line after progress
+  if (chunkRecords.length === 0) {
+    return false;
+  }
 
   // Batch insert chunks
   const { error: insertError } = await supabase
@@ -154,6 +144,11 @@ async function processTranscript(transcriptId) {
     return false;
   }
 
+  if (failures.length > 0) {
+    console.log(`  ⚠️  Saved ${chunkRecords.length}/${chunks.length} chunks (${failures.length} failed)`);
+    return false;
+  }
+
   console.log(`  ✅ Successfully processed ${chunks.length} chunks`);
   return true;
 }
@@ -177,7 +177,8 @@ async function uploadDocument(doc, dryRun = false) {
     }
 
     const result = await response.json();
-    return { success: true, data_item_id: result.data_item_id, chunks: result.chunks_created };
+    // Processed asynchronously; status at result.status_url
+    return { success: true, job_id: result.job_id };
   } catch (error) {
     return { success: false, error: error.message };
   }
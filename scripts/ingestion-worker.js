@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * Ingestion Worker Script
+ *
+ * Works the asynchronous upload queue (api/jobs/ingestion-queue.js) outside
+ * the API server, e.g. next to a Vercel deployment where requests can't run
+ * background work. Several workers can run at once. Requires migration 029.
+ *
+ * Usage:
+ *   node scripts/ingestion-worker.js                 # Poll and process jobs until Ctrl+C
+ *   node scripts/ingestion-worker.js --once          # Process available jobs, then exit
+ *   node scripts/ingestion-worker.js --max-jobs 5    # Exit after 5 jobs
+ *   node scripts/ingestion-worker.js --status        # Show recent jobs
+ *   node scripts/ingestion-worker.js --retry <id>    # Queue a job's failed items again
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import OpenAI from 'openai';
+import dotenv from 'dotenv';
+import { DataProcessorFactory } from '../api/processors/index.js';
+import { configureEmbeddingCache, configureEmbeddingProvider } from '../api/embeddings/index.js';
+import { IngestionJobQueue, RETRYABLE_JOB_STATUSES } from '../api/jobs/index.js';
+import { INGESTION_POLL_INTERVAL_MS } from '../api/config/constants.js';
+
+// Load environment variables
+dotenv.config();
+
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY || !process.env.OPENAI_API_KEY) {
+  console.error('Missing required environment variables');
+  console.error('Please ensure SUPABASE_URL, SUPABASE_SERVICE_KEY and OPENAI_API_KEY are set in .env');
+  process.exit(1);
+}
+
+// Initialize clients
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+// Same embedding settings as the API server (EMBEDDING_PROVIDER, EMBEDDING_CACHE)
+configureEmbeddingProvider({ openai });
+configureEmbeddingCache({ supabase });
+
+const queue = new IngestionJobQueue(supabase, {
+  processorFactory: new DataProcessorFactory(openai),
+  workerId: `worker-${process.pid}`
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+function parseArgs(args) {
+  const options = {
+    status: args.includes('--status'),
+    once: args.includes('--once'),
+    retry: null,
+    maxJobs: Infinity
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--retry' && args[i + 1]) {
+      options.retry = args[++i];
+    } else if (args[i] === '--max-jobs' && args[i + 1]) {
+      options.maxJobs = parseInt(args[++i], 10);
+    }
+  }
+
+  return options;
+}
+
+function printJob(job) {
+  const error = job.last_error ? ` | last error: ${job.last_error}` : '';
+  console.log(
+    `  ${job.id} [${job.status}] ${job.source} | ` +
+    `${job.succeeded_items}/${job.total_items} succeeded, ${job.duplicate_items || 0} duplicate, ${job.failed_items} failed | ` +
+    `attempt ${job.attempts}${job.retries ? `, retried ${job.retries}x` : ''}${error}`
+  );
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log('\n' + '='.repeat(60));
+  console.log('INGESTION WORKER');
+  console.log('='.repeat(60) + '\n');
+
+  if (options.status) {
+    const jobs = await queue.listJobs();
+    if (jobs.length === 0) console.log('No ingestion jobs.');
+    jobs.forEach(printJob);
+    console.log('');
+    return;
+  }
+
+  if (options.retry) {
+    const job = await queue.getJob(options.retry);
+    if (!job) {
+      console.error(`Job ${options.retry} not found`);
+      process.exit(1);
+    }
+    if (!RETRYABLE_JOB_STATUSES.includes(job.status)) {
+      console.error(`Job is ${job.status}; only ${RETRYABLE_JOB_STATUSES.join(' or ')} jobs can be retried`);
+      process.exit(1);
+    }
+    const { retried } = await queue.retry(job.id);
+    console.log(`Queued ${retried} failed item(s) of job ${job.id} again`);
+    if (!options.once) {
+      console.log('');
+      return;
+    }
+  }
+
+  // Ctrl+C stops after the job in flight; an interrupted job is reclaimed later anyway
+  let stopping = false;
+  process.on('SIGINT', () => {
+    if (stopping) process.exit(1);
+    stopping = true;
+    console.log('\nStopping after the current job... (Ctrl+C again to exit now)');
+  });
+
+  console.log(`Worker ${queue.workerId} processing jobs...`);
+  const startTime = Date.now();
+  let processed = 0;
+
+  while (processed < options.maxJobs && !stopping) {
+    const [job] = await queue.drain({ maxJobs: 1 });
+
+    if (job) {
+      processed++;
+      printJob(job);
+      continue;
+    }
+
+    if (options.once) break;
+    await sleep(INGESTION_POLL_INTERVAL_MS);
+  }
+
+  const totalTime = (Date.now() - startTime) / 1000;
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Jobs processed: ${processed}`);
+  console.log(`Total time: ${totalTime.toFixed(1)}s`);
+  console.log('='.repeat(60) + '\n');
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
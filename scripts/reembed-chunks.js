@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+/**
+ * Re-embed Chunks Script
+ *
+ * Drives an embedding migration (api/embeddings/reembedding.js) from the
+ * command line: re-embeds every data_chunks row with a new model in
+ * checkpointed batches. Safe to stop (Ctrl+C pauses) and re-run: it resumes
+ * from the last completed batch. Requires migration 024.
+ *
+ * Usage:
+ *   node scripts/reembed-chunks.js --status                                  # Show the active migration
+ *   node scripts/reembed-chunks.js --provider openai --model text-embedding-3-large --dimensions 1536
+ *                                                                            # Start a migration and run it
+ *   node scripts/reembed-chunks.js --resume                                  # Continue the active migration
+ *   node scripts/reembed-chunks.js --resume --max-batches 10                 # Run at most 10 batches
+ *   node scripts/reembed-chunks.js --complete                                # Swap new vectors in (after deploying
+ *                                                                            # with the target EMBEDDING_* settings)
+ *
+ * The current EMBEDDING_PROVIDER/EMBEDDING_MODEL settings are the migration's source.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import OpenAI from 'openai';
+import dotenv from 'dotenv';
+import { EmbeddingMigrationRunner } from '../api/embeddings/index.js';
+import { APIExpenseTracker } from '../api/utils/api-expense-tracker.js';
+
+// Load environment variables
+dotenv.config();
+
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+  console.error('Missing required environment variables');
+  console.error('Please ensure SUPABASE_URL and SUPABASE_SERVICE_KEY are set in .env');
+  process.exit(1);
+}
+
+// Initialize clients
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Either side of the migration may use the openai provider
+const openai = process.env.OPENAI_API_KEY
+  ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+  : null;
+
+const runner = new EmbeddingMigrationRunner(supabase, {
+  openai,
+  expenseTracker: new APIExpenseTracker()
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+function parseArgs(args) {
+  const options = {
+    status: args.includes('--status'),
+    resume: args.includes('--resume'),
+    complete: args.includes('--complete'),
+    provider: null,
+    model: undefined,
+    dimensions: undefined,
+    batchSize: undefined,
+    maxBatches: Infinity
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--provider' && args[i + 1]) {
+      options.provider = args[++i];
+    } else if (args[i] === '--model' && args[i + 1]) {
+      options.model = args[++i];
+    } else if (args[i] === '--dimensions' && args[i + 1]) {
+      options.dimensions = parseInt(args[++i], 10);
+    } else if (args[i] === '--batch-size' && args[i + 1]) {
+      options.batchSize = parseInt(args[++i], 10);
+    } else if (args[i] === '--max-batches' && args[i + 1]) {
+      options.maxBatches = parseInt(args[++i], 10);
+    }
+  }
+
+  return options;
+}
+
+async function printProgress(migration) {
+  const progress = await runner.getProgress(migration);
+  const eta = progress.eta_seconds !== null ? ` | ETA: ${progress.eta_seconds}s` : '';
+
+  console.log(
+    `  [${progress.status}] pass ${progress.pass} | ` +
+    `${progress.processed_chunks} re-embedded, ${progress.remaining_chunks} remaining, ${progress.failed_chunks} failed | ` +
+    `${progress.percent_complete}% | ${progress.chunks_per_second} chunks/s${eta}`
+  );
+  return progress;
+}
+
+function printMigration(migration) {
+  console.log(`Migration: ${migration.id}`);
+  console.log(`Source: ${migration.source_provider} ${migration.source_model} (${migration.source_dimensions})`);
+  console.log(`Target: ${migration.target_provider} ${migration.target_model} (${migration.target_dimensions}), version ${migration.target_version}`);
+  console.log(`Dual-read: ${migration.dual_read ? 'on' : 'off'}`);
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log('\n' + '='.repeat(60));
+  console.log('RE-EMBED CHUNKS SCRIPT');
+  console.log('='.repeat(60) + '\n');
+
+  let migration = await runner.getActiveMigration();
+
+  if (options.provider) {
+    if (migration) {
+      console.error(`Migration ${migration.id} is already ${migration.status}. Use --resume, or cancel it first.`);
+      process.exit(1);
+    }
+    migration = await runner.create({
+      provider: options.provider,
+      model: options.model,
+      dimensions: options.dimensions,
+      batchSize: options.batchSize
+    });
+    console.log('Created migration');
+  }
+
+  if (!migration) {
+    console.log('No active embedding migration. Start one with --provider <openai|azure|local> [--model ...].\n');
+    return;
+  }
+
+  printMigration(migration);
+  const progress = await printProgress(migration);
+
+  if (options.complete) {
+    if (!progress.configured_provider.matches_target) {
+      console.warn(`\nWarning: EMBEDDING_PROVIDER/EMBEDDING_MODEL resolve to ${progress.configured_provider.model}, not the target.`);
+      console.warn('Deploy the API with the target settings before or right after completing.');
+    }
+    const { swapped } = await runner.complete(migration.id);
+    console.log(`\nCompleted: ${swapped} chunks now use ${migration.target_model}\n`);
+    return;
+  }
+
+  if (options.status || !(options.provider || options.resume)) {
+    console.log('');
+    return;
+  }
+
+  // Ctrl+C pauses after the batch in flight so the next run resumes cleanly
+  let stopping = false;
+  process.on('SIGINT', () => {
+    if (stopping) process.exit(1);
+    stopping = true;
+    console.log('\nPausing after the current batch... (Ctrl+C again to exit now)');
+  });
+
+  console.log('\nRe-embedding...');
+  const startTime = Date.now();
+  let batches = 0;
+
+  while (batches < options.maxBatches && !stopping) {
+    migration = await runner.run(migration.id, { maxBatches: 1 });
+    batches++;
+
+    if (batches % 10 === 0 || migration.status !== 'running') {
+      await printProgress(migration);
+    }
+    if (migration.status !== 'running') break;
+  }
+
+  if (migration.status === 'running') {
+    migration = await runner.pause(migration.id);
+  }
+
+  const totalTime = (Date.now() - startTime) / 1000;
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`RE-EMBEDDING ${migration.status.toUpperCase()}`);
+  console.log('='.repeat(60));
+  await printProgress(migration);
+  console.log(`Batches this run: ${batches}`);
+  console.log(`Total time: ${totalTime.toFixed(1)}s`);
+  if (migration.status === 'backfilled') {
+    console.log('\nNext: deploy with the target EMBEDDING_* settings, then run with --complete');
+  } else if (migration.status === 'failed') {
+    console.log(`\nLast error: ${migration.last_error}`);
+    console.log('Fix the cause and run with --resume');
+  } else {
+    console.log('\nRun with --resume to continue');
+  }
+  console.log('='.repeat(60) + '\n');
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
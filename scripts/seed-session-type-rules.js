@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Seed Session Type Rules
+ *
+ * Loads session type rules for a coaching company from a JSON file
+ * (default: data/session-type-rules-legacy.json, the meeting-title patterns
+ * Fireflies sync used before rules became configurable). Requires migration 031.
+ * Rules can be edited afterwards with /api/admin/session-type-rules.
+ *
+ * Usage:
+ *   node scripts/seed-session-type-rules.js --company <UUID>
+ *   node scripts/seed-session-type-rules.js --company <UUID> --file rules.json
+ *   node scripts/seed-session-type-rules.js --company <UUID> --replace   # delete the company's rules first
+ *   node scripts/seed-session-type-rules.js --company <UUID> --dry-run
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { readFileSync } from 'fs';
+import dotenv from 'dotenv';
+import { validateSessionTypeRule } from '../api/classification/index.js';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const REPLACE = args.includes('--replace');
+
+function getArg(name) {
+  const idx = args.indexOf(name);
+  return idx !== -1 && idx + 1 < args.length ? args[idx + 1] : null;
+}
+
+const companyId = getArg('--company');
+const rulesFile = getArg('--file') || new URL('../data/session-type-rules-legacy.json', import.meta.url);
+
+if (!companyId) {
+  console.error('Usage: node scripts/seed-session-type-rules.js --company <UUID> [--file rules.json] [--replace] [--dry-run]');
+  process.exit(1);
+}
+
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+  console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY in .env');
+  process.exit(1);
+}
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+async function main() {
+  const input = JSON.parse(readFileSync(rulesFile, 'utf-8'));
+
+  const rules = input.map((raw, index) => {
+    const { rule, error } = validateSessionTypeRule(raw);
+    if (error) {
+      console.error(`Rule ${index + 1} (${raw.name || raw.pattern}): ${error}`);
+      process.exit(1);
+    }
+    return { ...rule, coaching_company_id: companyId };
+  });
+
+  const { data: company, error: companyError } = await supabase
+    .from('coaching_companies')
+    .select('id, name')
+    .eq('id', companyId)
+    .single();
+
+  if (companyError || !company) {
+    console.error(`Coaching company ${companyId} not found`);
+    process.exit(1);
+  }
+
+  console.log(`\n${rules.length} rules for ${company.name}${DRY_RUN ? ' (dry run)' : ''}:\n`);
+  rules.forEach(rule => {
+    console.log(`  [${rule.priority}] ${rule.name || rule.pattern} → ${rule.session_type}`);
+  });
+
+  if (DRY_RUN) return;
+
+  if (REPLACE) {
+    const { error } = await supabase
+      .from('session_type_rules')
+      .delete()
+      .eq('coaching_company_id', companyId);
+
+    if (error) throw new Error(`Failed to delete existing rules: ${error.message}`);
+  }
+
+  const { error } = await supabase
+    .from('session_type_rules')
+    .insert(rules);
+
+  if (error) throw new Error(`Failed to insert rules: ${error.message}`);
+
+  console.log(`\n✅ Seeded ${rules.length} rules${REPLACE ? ' (previous rules replaced)' : ''}\n`);
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+});
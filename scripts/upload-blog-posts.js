@@ -129,15 +129,17 @@ async function uploadPost(post, processor, dryRun = false) {
     }
 
     // Insert chunks
-    const chunkInserts = result.chunks.map((chunk, index) => ({
+    const chunkInserts = result.chunks.map(chunk => ({
       data_item_id: dataItem.id,
-      chunk_index: index,
+      chunk_index: chunk.chunkIndex,
       content: chunk.content,
       embedding: formatEmbeddingForDB(chunk.embedding),
+      embedding_model: chunk.embeddingModel,
+      embedding_dimensions: chunk.embeddingDimensions,
       metadata: {
         title: post.title,
         publish_date: post.publish_date,
-        chunk_number: index + 1,
+        chunk_number: chunk.chunkIndex + 1,
         total_chunks: result.chunks.length
       }
     }));
@@ -414,15 +414,17 @@ async function uploadQuestionnaire(
     }
 
     // Insert chunks
-    const chunkInserts = result.chunks.map((chunk, index) => ({
+    const chunkInserts = result.chunks.map(chunk => ({
       data_item_id: dataItem.id,
-      chunk_index: index,
+      chunk_index: chunk.chunkIndex,
       content: chunk.content,
       embedding: formatEmbeddingForDB(chunk.embedding),
+      embedding_model: chunk.embeddingModel,
+      embedding_dimensions: chunk.embeddingDimensions,
       metadata: {
         questionnaire_type: 'coaching_intake',
         source_file: sourceFile,
-        chunk_number: index + 1,
+        chunk_number: chunk.chunkIndex + 1,
         total_chunks: result.chunks.length
       }
     }));
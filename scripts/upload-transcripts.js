@@ -13,6 +13,8 @@
  *     "text": "Full transcript text...",
  *     "meeting_date": "2025-11-15T10:00:00",
  *     "metadata": {
+ *       "coach_id": "coach-uuid",     (optional)
+ *       "client_id": "client-uuid",   (optional)
  *       "client_name": "John Doe",
  *       "session_number": 1,
  *       "topics": ["leadership", "goal-setting"]
@@ -20,6 +22,10 @@
  *   },
  *   ...
  * ]
+ *
+ * Uploads are processed asynchronously; the tool waits for the job to finish.
+ * Transcripts already uploaded for the same coach and client are skipped
+ * and listed with the existing data item id.
  */
 
 import { readFile } from 'fs/promises';
@@ -30,6 +36,29 @@ import readline from 'readline';
 dotenv.config();
 
 const API_URL = process.env.API_URL || 'https://unified-data-layer.vercel.app';
+const JOB_POLL_INTERVAL_MS = 5000;
+const JOB_WAIT_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Poll an upload job until it has finished (or the wait times out)
+ * @param {string} statusUrl - status_url of the upload's 202 (carries the view token)
+ */
+async function waitForJob(statusUrl) {
+  const deadline = Date.now() + JOB_WAIT_TIMEOUT_MS;
+
+  while (true) {
+    const response = await fetch(`${API_URL}${statusUrl}`);
+    const { job, message } = await response.json();
+    if (!job) throw new Error(message || `Could not read job ${jobId}`);
+
+    if (['completed', 'partial', 'failed'].includes(job.status) || Date.now() > deadline) {
+      return job;
+    }
+
+    console.log(`  ⏳ ${job.status}: ${job.total_items - job.pending_items}/${job.total_items} processed`);
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+  }
+}
 
 async function uploadTranscripts(transcripts, options = {}) {
   const { dryRun = false } = options;
@@ -61,26 +90,48 @@ async function uploadTranscripts(transcripts, options = {}) {
       body: JSON.stringify({ transcripts })
     });
 
-    const result = await response.json();
+    const queued = await response.json();
+
+    if (!response.ok) {
+      throw new Error(queued.message || response.statusText);
+    }
+
+    console.log(`📥 Queued as job ${queued.job_id}`);
+    const job = await waitForJob(queued.status_url);
+    const succeeded = job.items.filter(item => item.status === 'succeeded');
+    const duplicates = job.items.filter(item => item.status === 'duplicate');
+    const failed = job.items.filter(item => item.status === 'failed');
 
     console.log('\n' + '='.repeat(60));
     console.log('📊 UPLOAD RESULTS');
     console.log('='.repeat(60));
-    console.log(`Total: ${result.total}`);
-    console.log(`✅ Successful: ${result.successful}`);
-    console.log(`❌ Failed: ${result.failed}`);
+    console.log(`Job: ${job.id} (${job.status})`);
+    console.log(`Total: ${job.total_items}`);
+    console.log(`✅ Successful: ${succeeded.length}`);
+    console.log(`🔁 Already uploaded: ${duplicates.length}`);
+    console.log(`❌ Failed: ${failed.length}`);
+    if (job.pending_items > 0) {
+      console.log(`⏳ Still processing: ${job.pending_items} (check GET ${queued.status_url})`);
+    }
 
-    if (result.results && result.results.length > 0) {
+    if (succeeded.length > 0) {
       console.log('\n📝 Created Transcripts:');
-      result.results.forEach(r => {
-        console.log(`  [${r.index + 1}] ${r.transcript_id} - ${r.chunks_created} chunks`);
+      succeeded.forEach(item => {
+        console.log(`  [${item.item_index + 1}] ${item.data_item_id} - ${item.chunks_created} chunks`);
+      });
+    }
+
+    if (duplicates.length > 0) {
+      console.log('\n🔁 Skipped (identical transcript already stored):');
+      duplicates.forEach(item => {
+        console.log(`  [${item.item_index + 1}] existing ${item.data_item_id}`);
       });
     }
 
-    if (result.errors && result.errors.length > 0) {
+    if (failed.length > 0) {
       console.log('\n⚠️  Errors:');
-      result.errors.forEach(e => {
-        console.log(`  [${e.index + 1}] ${e.error}`);
+      failed.forEach(item => {
+        console.log(`  [${item.item_index + 1}] ${item.last_error}`);
       });
     }
 
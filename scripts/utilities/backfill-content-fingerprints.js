@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill Content Fingerprints
+ *
+ * Items stored before migration 030 have no content_hash / content_minhash,
+ * so reimports can't be matched against them. This computes the fingerprints
+ * oldest first and flags each item that duplicates an earlier one (exactly or
+ * nearly) with duplicate_of, the same way ingest does. Nothing is deleted:
+ * review flagged items in the admin data browser (GET /api/admin/data?duplicates=true).
+ *
+ * Usage:
+ *   node scripts/utilities/backfill-content-fingerprints.js
+ *   node scripts/utilities/backfill-content-fingerprints.js --type transcript
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { findDuplicates, getDuplicateFields } from '../../api/dedup/index.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const PAGE_SIZE = 100;
+
+// ─── Parse CLI args ─────────────────────────────────────────────────────────
+
+const args = process.argv.slice(2);
+
+function getArg(name) {
+  const idx = args.indexOf(name);
+  return idx !== -1 && idx + 1 < args.length ? args[idx + 1] : null;
+}
+
+const dataType = getArg('--type');
+
+// ─── Main ───────────────────────────────────────────────────────────────────
+
+async function fetchPage(offset) {
+  let query = supabase
+    .from('data_items')
+    .select('id, data_type, coach_id, client_id, raw_content, content_hash')
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true })
+    .range(offset, offset + PAGE_SIZE - 1);
+
+  if (dataType) query = query.eq('data_type', dataType);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to load data items: ${error.message}`);
+  return data || [];
+}
+
+async function main() {
+  console.log(`\nBackfilling content fingerprints${dataType ? ` for ${dataType} items` : ''}...\n`);
+
+  const stats = { scanned: 0, fingerprinted: 0, exact: 0, near: 0 };
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const items = await fetchPage(offset);
+    if (items.length === 0) break;
+
+    for (const item of items) {
+      stats.scanned++;
+      if (item.content_hash) continue;
+
+      const { exact, near, fingerprint } = await findDuplicates(supabase, item.raw_content, {
+        dataType: item.data_type,
+        coachId: item.coach_id,
+        clientId: item.client_id
+      });
+
+      const match = exact || near;
+      const { error } = await supabase
+        .from('data_items')
+        .update({ ...fingerprint, ...getDuplicateFields(match) })
+        .eq('id', item.id);
+
+      if (error) {
+        console.error(`  ✗ ${item.id}: ${error.message}`);
+        continue;
+      }
+
+      stats.fingerprinted++;
+      if (exact) stats.exact++;
+      else if (near) stats.near++;
+
+      if (match) {
+        console.log(`  ${exact ? 'exact' : 'near '} ${item.id} → ${match.id} (${Math.round(match.similarity * 100)}%)`);
+      }
+    }
+  }
+
+  console.log('\n' + '─'.repeat(50));
+  console.log(`Scanned:          ${stats.scanned}`);
+  console.log(`Fingerprinted:    ${stats.fingerprinted}`);
+  console.log(`Exact duplicates: ${stats.exact}`);
+  console.log(`Near-duplicates:  ${stats.near}`);
+  console.log('─'.repeat(50) + '\n');
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+});
@@ -162,6 +162,7 @@ async function runHealthCheck() {
   const { data: syncState } = await supabase
     .from('fireflies_sync_state')
     .select('status')
+    .eq('record_type', 'meeting')
     .order('updated_at', { ascending: false })
     .limit(100);
 
@@ -179,6 +180,7 @@ async function runHealthCheck() {
     const { data: lastSync } = await supabase
       .from('fireflies_sync_state')
       .select('updated_at')
+      .eq('record_type', 'meeting')
       .eq('status', 'synced')
       .order('updated_at', { ascending: false })
       .limit(1)
@@ -34,7 +34,7 @@ const TITLE_PATTERNS = [
   /^([^-]+)\s*-\s*([^-]+)$/,               // "Coach - Client"
 ];
 
-// ─── Non-coaching title keywords (from detectSessionType in fireflies.js) ──
+// ─── Non-coaching title keywords (from data/session-type-rules-legacy.json) ─
 
 const INTERNAL_MEETING_KEYWORDS = [
   'io co-creation', 'io-co-creation', 'io ai meeting', 'io ai ',
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Caption Parser Validation Script
+ *
+ * Parses sample WebVTT and SRT files with and without speaker labels.
+ * Needs no network access or API keys. Validates:
+ * - <v Name> voice spans, "[Name]" and "Name:" labels become speakers
+ * - Unlabelled cues continue the previous speaker
+ * - A colon inside an unlabelled sentence is not read as a speaker label
+ * - Files without any labels produce plain lines
+ * - Cue times are aligned with the transcript lines
+ *
+ * Usage:
+ *   node tests/validate-captions.js
+ */
+
+import { parseCaptionFile, detectCaptionFormat } from '../api/processors/index.js';
+
+// ANSI color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  bold: '\x1b[1m'
+};
+
+const results = [];
+
+function check(name, condition, detail = '') {
+  results.push({ name, passed: !!condition });
+  const mark = condition ? `${colors.green}✓` : `${colors.red}✗`;
+  console.log(`${mark} ${name}${colors.reset}${detail ? ` (${detail})` : ''}`);
+}
+
+const TEAMS_VTT = `WEBVTT
+
+NOTE exported from Teams
+
+1
+00:00:01.000 --> 00:00:04.500
+<v Jordan Lee>How did the delegation experiment go?</v>
+
+2
+00:00:05.000 --> 00:00:09.250
+<v Sam Park>Better than expected. I handed off the weekly report.</v>
+`;
+
+const ZOOM_VTT = `WEBVTT
+
+1
+00:00:01.000 --> 00:00:03.000
+Jordan Lee: Welcome back.
+
+2
+00:00:03.500 --> 00:00:07.000
+The main thing this week: delegation and saying no.
+
+3
+00:00:07.500 --> 00:00:10.000
+Sam Park: I said no to two meetings.
+`;
+
+const UNLABELLED_VTT = `WEBVTT
+
+00:00:01.000 --> 00:00:03.000
+The main thing this week: delegation.
+
+00:00:03.500 --> 00:00:06.000
+We agreed on three next steps.
+`;
+
+const LABELLED_SRT = `1
+00:00:01,000 --> 00:00:03,000
+[Jordan Lee] What felt hardest?
+
+2
+00:00:03,500 --> 00:00:06,000
+Speaker 2: Letting go of the details.
+
+3
+00:00:06,500 --> 00:00:09,000
+Mostly the client reports.
+`;
+
+const UNLABELLED_SRT = `1
+00:00:01,000 --> 00:00:03,000
+Note to self: follow up on the offsite.
+
+2
+00:00:03,500 --> 00:00:06,000
+Then review the budget.
+`;
+
+function main() {
+  console.log(`${colors.bold}Caption Parser Validation${colors.reset}\n`);
+
+  check('Formats detected from name, MIME type and header',
+    detectCaptionFormat('a.srt') === 'srt' &&
+    detectCaptionFormat('', 'text/vtt') === 'vtt' &&
+    detectCaptionFormat('', '', 'WEBVTT\n') === 'vtt' &&
+    detectCaptionFormat('notes.txt') === null);
+
+  // WebVTT with voice spans
+  const teams = parseCaptionFile(TEAMS_VTT, 'teams.vtt');
+  check('VTT voice spans become speakers',
+    teams.content === 'Jordan Lee: How did the delegation experiment go?\nSam Park: Better than expected. I handed off the weekly report.',
+    JSON.stringify(teams.content));
+  check('VTT cue times aligned with lines',
+    teams.sentence_timings.length === 2 && teams.sentence_timings[1].start_time === 5 && teams.sentence_timings[1].end_time === 9.25);
+  check('VTT duration from the last cue', teams.duration_seconds === 9);
+
+  // WebVTT with "Name:" labels and a colon in an unlabelled cue
+  const zoom = parseCaptionFile(ZOOM_VTT, 'zoom.vtt');
+  check('VTT "Name:" labels become speakers',
+    zoom.speakers.join(',') === 'Jordan Lee,Sam Park', zoom.speakers.join(','));
+  check('VTT sentence colon continues the previous speaker',
+    zoom.content.split('\n')[1] === 'Jordan Lee: The main thing this week: delegation and saying no.',
+    zoom.content.split('\n')[1]);
+
+  // WebVTT without labels
+  const plainVtt = parseCaptionFile(UNLABELLED_VTT, 'plain.vtt');
+  check('Unlabelled VTT has no speakers',
+    plainVtt.speakers.length === 0 &&
+    plainVtt.content === 'The main thing this week: delegation.\nWe agreed on three next steps.',
+    JSON.stringify(plainVtt.content));
+
+  // SRT with "[Name]" and "Speaker N:" labels
+  const srt = parseCaptionFile(LABELLED_SRT, 'session.srt');
+  check('SRT "[Name]" and "Speaker 2:" labels become speakers',
+    srt.speakers.join(',') === 'Jordan Lee,Speaker 2', srt.speakers.join(','));
+  check('SRT unlabelled cue continues the previous speaker',
+    srt.content.split('\n')[2] === 'Speaker 2: Mostly the client reports.');
+  check('SRT comma timestamps parsed', srt.sentence_timings[0].start_time === 1 && srt.sentence_timings[2].end_time === 9);
+
+  // SRT without labels
+  const plainSrt = parseCaptionFile(UNLABELLED_SRT, 'plain.srt');
+  check('Unlabelled SRT has no speakers',
+    plainSrt.speakers.length === 0 &&
+    plainSrt.content === 'Note to self: follow up on the offsite.\nThen review the budget.',
+    JSON.stringify(plainSrt.content));
+
+  let rejected = false;
+  try {
+    parseCaptionFile('WEBVTT\n', 'empty.vtt');
+  } catch {
+    rejected = true;
+  }
+  check('File without cues rejected', rejected);
+
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`\n${failed === 0 ? colors.green : colors.red}${results.length - failed}/${results.length} checks passed${colors.reset}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main();
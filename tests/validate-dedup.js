@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+/**
+ * Duplicate Detection Validation Script
+ *
+ * Checks content fingerprints and the duplicate lookup against an in-memory
+ * stand-in for data_items (with the unique index of migration 036). Needs no
+ * network access, database or API keys. Validates:
+ * - Hashes ignore case, punctuation and whitespace
+ * - MinHash estimates are high for edited copies and low for unrelated text
+ * - Near-duplicates share an LSH band, unrelated texts don't
+ * - findDuplicates() reports exact duplicates only for the same coach and
+ *   client, and near-duplicates otherwise
+ * - insertUnlessDuplicate() skips exact duplicates, flags near-duplicates and
+ *   turns a lost insert race into an exact duplicate
+ * - An ingestion job item losing that race honours the job's on_duplicate
+ *
+ * Usage:
+ *   node tests/validate-dedup.js
+ */
+
+import {
+  computeContentHash,
+  computeMinHash,
+  estimateSimilarity,
+  fingerprintContent,
+  getLshBands,
+  findDuplicates,
+  insertUnlessDuplicate
+} from '../api/dedup/index.js';
+import { DEDUP_MINHASH_PERMUTATIONS, DEDUP_LSH_BANDS } from '../api/config/constants.js';
+import { IngestionJobQueue } from '../api/jobs/ingestion-queue.js';
+
+// ANSI color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  bold: '\x1b[1m'
+};
+
+const results = [];
+
+function check(name, condition, detail = '') {
+  results.push({ name, passed: !!condition });
+  const mark = condition ? `${colors.green}✓` : `${colors.red}✗`;
+  console.log(`${mark} ${name}${colors.reset}${detail ? ` (${detail})` : ''}`);
+}
+
+// ============================================
+// LOCAL STAND-IN FOR data_items (and ingestion_job_items)
+// ============================================
+
+const COACH = '11111111-1111-4111-8111-111111111111';
+const CLIENT = '22222222-2222-4222-8222-222222222222';
+const OTHER_CLIENT = '33333333-3333-4333-8333-333333333333';
+
+let nextId = 1;
+
+/** Key of the unique index of migration 036, or null when a row is outside it */
+function uniqueKey(row) {
+  if (!row.content_hash || (row.duplicate_similarity ?? 0) >= 1) return null;
+  return [row.data_type, row.content_hash, row.coach_id ?? null, row.client_id ?? null].join('|');
+}
+
+class LocalQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.rows = table === 'ingestion_job_items' ? db.jobItems : db.rows;
+    this.filters = [];
+    this.rowLimit = null;
+  }
+
+  select() { return this; }
+  order() { return this; }
+  single() { return this; }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push(row => row[column] === value);
+    return this;
+  }
+
+  is(column, value) {
+    this.filters.push(row => (row[column] ?? null) === value);
+    return this;
+  }
+
+  // "coach_id.eq.<id>,client_id.eq.<id>"
+  or(expression) {
+    const terms = expression.split(',').map(term => term.split('.eq.'));
+    this.filters.push(row => terms.some(([column, value]) => row[column] === value));
+    return this;
+  }
+
+  overlaps(column, values) {
+    this.filters.push(row => (row[column] || []).some(value => values.includes(value)));
+    return this;
+  }
+
+  insert(row) {
+    this.inserted = { id: `item-${nextId++}`, ...row };
+    return this;
+  }
+
+  update(fields) {
+    this.updated = fields;
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve(this.run()).then(resolve, reject);
+  }
+
+  run() {
+    if (this.inserted) {
+      const key = uniqueKey(this.inserted);
+      if (key && this.db.rows.some(row => uniqueKey(row) === key)) {
+        return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint "idx_data_items_unique_content"' } };
+      }
+      this.rows.push(this.inserted);
+      return { data: this.inserted, error: null };
+    }
+
+    const rows = this.rows.filter(row => this.filters.every(filter => filter(row)));
+    if (this.updated) {
+      rows.forEach(row => Object.assign(row, this.updated));
+      return { data: rows, error: null };
+    }
+
+    return { data: this.rowLimit ? rows.slice(0, this.rowLimit) : rows, error: null };
+  }
+}
+
+function createLocalSupabase(rows = []) {
+  const db = { rows, jobItems: [] };
+  return { db, from: table => new LocalQuery(db, table) };
+}
+
+/** Stand-in processor: stores the content as given, without chunks */
+const localProcessorFactory = {
+  getProcessor: () => ({
+    process: async (content, metadata) => ({
+      dataItem: {
+        data_type: 'transcript',
+        raw_content: content,
+        coach_id: metadata.coach_id,
+        client_id: metadata.client_id,
+        ...fingerprintContent(content)
+      },
+      chunks: [],
+      embeddingFailures: []
+    }),
+    formatEmbeddingForDB: embedding => embedding
+  })
+};
+
+/**
+ * Supabase stand-in where a concurrent upload stores `content` right before
+ * the first data_items insert (after the duplicate lookup)
+ */
+function createRacingSupabase(row, content) {
+  const racing = createLocalSupabase();
+  const racingFrom = racing.from.bind(racing);
+  racing.from = table => {
+    const query = racingFrom(table);
+    const run = query.run.bind(query);
+    query.run = () => {
+      if (table !== 'ingestion_job_items' && query.inserted && racing.db.rows.length === 0) {
+        racing.db.rows.push({ id: 'winner', ...row, raw_content: content, ...fingerprintContent(content) });
+      }
+      return run();
+    };
+    return query;
+  };
+  return racing;
+}
+
+// ============================================
+// SAMPLE CONTENT
+// ============================================
+
+const SESSION = Array.from({ length: 40 }, (_, i) =>
+  `Coach: What did you try with the team in week ${i}? Client: I delegated the weekly report and kept the budget review.`
+).join('\n');
+
+const EDITED_SESSION = SESSION.replace('week 3?', 'week three?').replace('week 17?', 'week seventeen?');
+
+const UNRELATED = Array.from({ length: 40 }, (_, i) =>
+  `Quarterly planning notes ${i}: hiring pipeline, office move and the vendor contract renewal.`
+).join('\n');
+
+async function main() {
+  console.log(`${colors.bold}Duplicate Detection Validation${colors.reset}\n`);
+
+  // Fingerprints
+  check('Hash ignores case, punctuation and whitespace',
+    computeContentHash('Hello,  World!\n') === computeContentHash('hello world'));
+  check('Different text hashes differently', computeContentHash(SESSION) !== computeContentHash(EDITED_SESSION));
+  check('Empty text has no fingerprint', computeContentHash('  ...  ') === null && computeMinHash('') === null);
+
+  const signature = computeMinHash(SESSION);
+  check('MinHash signature length and INTEGER range',
+    signature.length === DEDUP_MINHASH_PERMUTATIONS && signature.every(value => value >= 0 && value < 2 ** 31));
+  check('MinHash is deterministic', estimateSimilarity(signature, computeMinHash(SESSION)) === 1);
+
+  const editedSimilarity = estimateSimilarity(signature, computeMinHash(EDITED_SESSION));
+  const unrelatedSimilarity = estimateSimilarity(signature, computeMinHash(UNRELATED));
+  check('Edited copy estimated as similar', editedSimilarity >= 0.8, editedSimilarity.toFixed(2));
+  check('Unrelated text estimated as dissimilar', unrelatedSimilarity < 0.2, unrelatedSimilarity.toFixed(2));
+
+  const bands = getLshBands(signature);
+  check('One LSH key per band', bands.length === DEDUP_LSH_BANDS && new Set(bands).size === DEDUP_LSH_BANDS);
+  check('Edited copy shares an LSH band',
+    getLshBands(computeMinHash(EDITED_SESSION)).some(band => bands.includes(band)));
+  check('Unrelated text shares no LSH band',
+    !getLshBands(computeMinHash(UNRELATED)).some(band => bands.includes(band)));
+
+  // Duplicate lookup
+  const stored = {
+    id: 'stored-1',
+    data_type: 'transcript',
+    coach_id: COACH,
+    client_id: CLIENT,
+    raw_content: SESSION,
+    ...fingerprintContent(SESSION)
+  };
+  const supabase = createLocalSupabase([stored]);
+  const scope = { dataType: 'transcript', coachId: COACH, clientId: CLIENT };
+
+  const same = await findDuplicates(supabase, SESSION.toUpperCase(), scope);
+  check('Same content, coach and client is an exact duplicate', same.exact?.id === 'stored-1' && !same.near);
+
+  const otherClient = await findDuplicates(supabase, SESSION, { ...scope, clientId: OTHER_CLIENT });
+  check('Same content under another client is a near-duplicate',
+    !otherClient.exact && otherClient.near?.id === 'stored-1' && otherClient.near.similarity === 1);
+
+  const edited = await findDuplicates(supabase, EDITED_SESSION, scope);
+  check('Edited copy is a near-duplicate', !edited.exact && edited.near?.id === 'stored-1');
+
+  const unrelated = await findDuplicates(supabase, UNRELATED, scope);
+  check('Unrelated content is no duplicate', !unrelated.exact && !unrelated.near);
+
+  // Insert
+  const row = { data_type: 'transcript', coach_id: COACH, client_id: CLIENT };
+
+  const skipped = await insertUnlessDuplicate(supabase, { ...row, raw_content: SESSION });
+  check('Exact duplicate not inserted', !skipped.dataItem && skipped.exact?.id === 'stored-1' && supabase.db.rows.length === 1);
+
+  const flagged = await insertUnlessDuplicate(supabase, { ...row, raw_content: EDITED_SESSION });
+  check('Near-duplicate inserted with duplicate_of',
+    flagged.dataItem?.duplicate_of === 'stored-1' && flagged.dataItem.content_hash === computeContentHash(EDITED_SESSION));
+
+  const fresh = await insertUnlessDuplicate(supabase, { ...row, raw_content: UNRELATED });
+  check('New content inserted unflagged', fresh.dataItem && !fresh.dataItem.duplicate_of && !fresh.near);
+
+  // A concurrent upload stores the same content between lookup and insert
+  const racing = createRacingSupabase(row, UNRELATED);
+  const lost = await insertUnlessDuplicate(racing, { ...row, raw_content: UNRELATED });
+  check('Lost insert race returns the stored item as exact duplicate',
+    !lost.dataItem && lost.exact?.id === 'winner' && racing.db.rows.length === 1);
+
+  // Same race on an ingestion job item, per on_duplicate
+  const raceJobItem = async (onDuplicate) => {
+    const jobRace = createRacingSupabase(row, SESSION);
+    const item = {
+      id: `job-item-${onDuplicate}`,
+      job_id: 'job-1',
+      item_index: 0,
+      data_type: 'transcript',
+      content: SESSION,
+      metadata: { coach_id: COACH, client_id: CLIENT },
+      attempts: 0,
+      data_item_id: null
+    };
+    jobRace.db.jobItems.push({ ...item });
+
+    const queue = new IngestionJobQueue(jobRace, { processorFactory: localProcessorFactory });
+    const status = await queue.processItem(item, { on_duplicate: onDuplicate });
+    return { status, stored: jobRace.db.rows, jobItem: jobRace.db.jobItems[0] };
+  };
+
+  const linkedRace = await raceJobItem('link');
+  check('Job item losing the race is linked to the stored item',
+    linkedRace.status === 'duplicate' && linkedRace.jobItem.data_item_id === 'winner' && linkedRace.stored.length === 1,
+    linkedRace.status);
+
+  const rejectedRace = await raceJobItem('reject');
+  check('Job item losing the race fails with on_duplicate=reject',
+    rejectedRace.status === 'failed' && rejectedRace.jobItem.last_error.includes('winner') && rejectedRace.stored.length === 1,
+    rejectedRace.status);
+
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`\n${failed === 0 ? colors.green : colors.red}${results.length - failed}/${results.length} checks passed${colors.reset}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error(`${colors.red}✗ Validation failed:${colors.reset}`, error);
+  process.exit(1);
+});
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Embedding Provider Validation Script
+ *
+ * Runs the embedding pipeline against the local (offline) provider.
+ * Needs no network access or API keys. Validates:
+ * - Local embeddings are deterministic, unit length and 1536-dimensional
+ * - Related text scores higher than unrelated text
+ * - embedBatch() dedupes, caches and reports empty inputs as failures
+ * - A data processor produces chunks tagged with the provider's model
+ *
+ * Usage:
+ *   node tests/validate-embedding-providers.js
+ */
+
+import {
+  LocalHashEmbeddingProvider,
+  LOCAL_EMBEDDING_MODEL,
+  MemoryEmbeddingCache,
+  configureEmbeddingProvider,
+  embedBatch,
+  embedText
+} from '../api/embeddings/index.js';
+import { TranscriptProcessor } from '../api/processors/index.js';
+import { EMBEDDING_DIMENSIONS } from '../api/config/constants.js';
+
+// ANSI color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  bold: '\x1b[1m'
+};
+
+const results = [];
+
+function check(name, condition, detail = '') {
+  results.push({ name, passed: !!condition });
+  const mark = condition ? `${colors.green}✓` : `${colors.red}✗`;
+  console.log(`${mark} ${name}${colors.reset}${detail ? ` (${detail})` : ''}`);
+}
+
+function cosine(a, b) {
+  return a.reduce((sum, v, i) => sum + v * b[i], 0);
+}
+
+async function main() {
+  console.log(`${colors.bold}Embedding Provider Validation (local provider, offline)${colors.reset}\n`);
+
+  process.env.PII_SCRUBBING_ENABLED = 'false';
+  const provider = configureEmbeddingProvider({ provider: 'local' });
+
+  // Provider basics
+  const local = new LocalHashEmbeddingProvider();
+  const { embeddings: [first] } = await local.embed(['Client wants to improve delegation skills']);
+  const { embeddings: [again] } = await local.embed(['Client wants to improve delegation skills']);
+  const norm = Math.sqrt(cosine(first, first));
+
+  check('Dimensions match data_chunks.embedding', first.length === EMBEDDING_DIMENSIONS, `${first.length}`);
+  check('Deterministic output', first.every((v, i) => v === again[i]));
+  check('Unit length', Math.abs(norm - 1) < 1e-9, norm.toFixed(12));
+
+  const { embeddings: [related, unrelated] } = await local.embed([
+    'Improving delegation skills with the client',
+    'Quarterly revenue forecast spreadsheet'
+  ]);
+  check('Related text ranks above unrelated text', cosine(first, related) > cosine(first, unrelated),
+    `${cosine(first, related).toFixed(3)} vs ${cosine(first, unrelated).toFixed(3)}`);
+
+  // Batch embedding through the cache
+  const cache = new MemoryEmbeddingCache();
+  const batch = await embedBatch(null, ['alpha beta', 'gamma delta', 'alpha beta', '  '], { cache });
+  check('Batch model is the local model', batch.model === LOCAL_EMBEDDING_MODEL, batch.model);
+  check('Duplicate texts embedded once', batch.stats.embedded === 3 && cache.size() === 2,
+    `embedded ${batch.stats.embedded}, cached entries ${cache.size()}`);
+  check('Empty input reported as a failure', batch.failures.length === 1 && batch.failures[0].index === 3);
+
+  const single = await embedText(null, 'gamma delta', { cache });
+  check('Single embed served from cache', single.cached === true);
+
+  // Ingestion pipeline
+  const processor = new TranscriptProcessor(null);
+  const transcript = Array.from({ length: 120 }, (_, i) => `Coach and client discuss goal number ${i}.`).join(' ');
+  const { chunks, embeddingFailures } = await processor.process(transcript, {
+    coach_id: 'coach-1',
+    client_id: 'client-1',
+    session_date: '2026-01-15'
+  });
+
+  check('Processor embedded every chunk', chunks.length > 1 && embeddingFailures.length === 0,
+    `${chunks.length} chunks`);
+  check('Chunks record provider model and dimensions',
+    chunks.every(c => c.embeddingModel === provider.model && c.embeddingDimensions === provider.dimensions));
+
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`\n${failed === 0 ? colors.green : colors.red}${results.length - failed}/${results.length} checks passed${colors.reset}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error(`${colors.red}✗ Validation failed:${colors.reset}`, error);
+  process.exit(1);
+});
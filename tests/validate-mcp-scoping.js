@@ -0,0 +1,596 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Scoping Validation Script
+ *
+ * Starts the MCP Streamable HTTP endpoint (with the real API key middleware)
+ * on a local port, backed by an in-memory stand-in for the Supabase tables
+ * and search functions, and calls the MCP tools with coach, client and admin
+ * keys. Needs no network access, database or API keys. Validates:
+ * - Requests without a valid API key are rejected
+ * - A coach key never sees or names another coach's clients
+ * - A client key is limited to its own data
+ * - An admin key is limited to its own coaching company
+ * - summarize_sessions summarizes only the client's sessions in the date
+ *   range, including the whole end date (a local stand-in for the chat
+ *   model records what it was sent)
+ * - upload_data defaults coach_id to the calling coach
+ *
+ * Usage:
+ *   node tests/validate-mcp-scoping.js
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import bcrypt from 'bcrypt';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { createStreamableHTTPHandler } from '../api/mcp/index.js';
+import { createAuthMiddleware } from '../api/middleware/auth.js';
+import { LocalHashEmbeddingProvider, configureEmbeddingProvider } from '../api/embeddings/index.js';
+
+// ANSI color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  bold: '\x1b[1m'
+};
+
+const results = [];
+
+function check(name, condition, detail = '') {
+  results.push({ name, passed: !!condition });
+  const mark = condition ? `${colors.green}✓` : `${colors.red}✗`;
+  console.log(`${mark} ${name}${colors.reset}${detail ? ` (${detail})` : ''}`);
+}
+
+// ============================================
+// LOCAL STAND-IN DATABASE
+// ============================================
+
+// Columns accepted on insert, so writes to columns the schema lacks fail as in Postgres
+const INSERT_COLUMNS = {
+  data_items: ['id', 'data_type', 'coach_id', 'client_id', 'client_organization_id', 'coaching_model_id',
+    'visibility_level', 'allowed_roles', 'access_restrictions', 'raw_content', 'metadata', 'created_at',
+    'updated_at', 'created_by', 'session_id', 'session_date', 'content_hash', 'content_minhash', 'content_lsh_bands',
+    'duplicate_of', 'duplicate_similarity'],
+  data_chunks: ['id', 'data_item_id', 'chunk_index', 'content', 'embedding', 'metadata', 'created_at',
+    'embedding_model', 'embedding_dimensions', 'embedding_version']
+};
+
+function singular(table) {
+  return table.endsWith('ches') ? table.slice(0, -2) : table.slice(0, -1);
+}
+
+/** Split a select list on top-level commas */
+function splitFields(fields) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of fields) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/** Values at a dotted path, flattening embedded arrays */
+function valuesAt(row, path) {
+  let values = [row];
+  for (const key of path.split('.')) {
+    values = values.flatMap(value => {
+      const next = value?.[key];
+      return Array.isArray(next) ? next : [next];
+    });
+  }
+  return values;
+}
+
+class LocalQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.fields = '*';
+    this.filters = [];
+    this.orderBy = null;
+    this.rowLimit = null;
+    this.countOnly = false;
+  }
+
+  select(fields = '*', options = {}) {
+    this.fields = fields;
+    this.countOnly = !!options.head;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.rows = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  where(path, test) {
+    this.filters.push(row => valuesAt(row, path).some(test));
+    return this;
+  }
+
+  eq(path, value) { return this.where(path, v => v === value); }
+  neq(path, value) { return this.where(path, v => v !== value); }
+  in(path, list) { return this.where(path, v => list.includes(v)); }
+  is(path, value) { return this.where(path, v => (v ?? null) === value); }
+  gte(path, value) { return this.where(path, v => v !== null && v !== undefined && v >= value); }
+  lt(path, value) { return this.where(path, v => v !== null && v !== undefined && v < value); }
+  lte(path, value) { return this.where(path, v => v !== null && v !== undefined && v <= value); }
+
+  // Only used for the session summary cache
+  upsert(rows) {
+    return this.insert(rows);
+  }
+
+  ilike(path, pattern) {
+    const needle = pattern.replace(/%/g, '').toLowerCase();
+    return this.where(path, v => typeof v === 'string' && v.toLowerCase().includes(needle));
+  }
+
+  // Only the "a.is.null,a.eq.x" form used by the MCP prompts
+  or(expression) {
+    const conditions = expression.split(',').map(part => {
+      const [column, op, ...rest] = part.split('.');
+      const value = rest.join('.');
+      return row => (op === 'is' ? (row[column] ?? null) === null : row[column] === value);
+    });
+    this.filters.push(row => conditions.some(condition => condition(row)));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orderBy = { column, ascending };
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  async maybeSingle() {
+    const { data, error } = await this.execute();
+    return error ? { data: null, error } : { data: data[0] || null, error: null };
+  }
+
+  async single() {
+    const { data, error } = await this.execute();
+    if (error) return { data: null, error };
+    return data.length === 1
+      ? { data: data[0], error: null }
+      : { data: null, error: { message: `Expected 1 row, got ${data.length}` } };
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+
+  async execute() {
+    const rows = this.db.tables[this.table] || (this.db.tables[this.table] = []);
+
+    if (this.action === 'insert') {
+      const unknown = this.rows.flatMap(row => Object.keys(row))
+        .filter(column => INSERT_COLUMNS[this.table] && !INSERT_COLUMNS[this.table].includes(column));
+      if (unknown.length > 0) {
+        return { data: null, error: { message: `column "${unknown[0]}" of relation "${this.table}" does not exist` } };
+      }
+      const inserted = this.rows.map(row => ({ id: crypto.randomUUID(), created_at: new Date().toISOString(), ...row }));
+      rows.push(...inserted);
+      return { data: inserted.map(row => this.project(row, this.table, this.fields)), error: null };
+    }
+
+    let matched = rows
+      .map(row => this.project(row, this.table, this.fields))
+      .filter(row => this.filters.every(filter => filter(row)));
+
+    if (this.action === 'update') {
+      const ids = new Set(matched.map(row => row.id));
+      rows.filter(row => ids.has(row.id)).forEach(row => Object.assign(row, this.values));
+      return { data: null, error: null };
+    }
+
+    if (this.orderBy) {
+      const { column, ascending } = this.orderBy;
+      matched.sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1));
+    }
+
+    if (this.countOnly) return { data: null, count: matched.length, error: null };
+    if (this.rowLimit !== null) matched = matched.slice(0, this.rowLimit);
+    return { data: matched, error: null };
+  }
+
+  /** Resolve embedded resources ("coaches(id, name)", "coach:coaches!inner(...)") */
+  project(row, table, fields) {
+    const projected = { ...row };
+
+    for (const field of splitFields(fields)) {
+      const match = field.match(/^(?:(\w+):)?(\w+)(?:!inner)?\((.*)\)$/s);
+      if (!match) continue;
+
+      const [, alias, target, nested] = match;
+      const targetRows = this.db.tables[target] || [];
+      const foreignKey = `${singular(target)}_id`;
+
+      projected[alias || target] = foreignKey in row
+        ? (() => {
+          const related = targetRows.find(r => r.id === row[foreignKey]);
+          return related ? this.project(related, target, nested) : null;
+        })()
+        : targetRows
+          .filter(r => r[`${singular(table)}_id`] === row.id)
+          .map(r => this.project(r, target, nested));
+    }
+
+    return projected;
+  }
+}
+
+function cosine(a, b) {
+  return a.reduce((sum, v, i) => sum + v * b[i], 0);
+}
+
+function createLocalDatabase(tables) {
+  const db = { tables };
+
+  // Chunks joined to their data item, with the RPCs' filter arguments applied
+  const filteredChunks = params => tables.data_chunks
+    .map(chunk => ({ chunk, item: tables.data_items.find(item => item.id === chunk.data_item_id) }))
+    .filter(({ item }) => item &&
+      (!params.filter_types || params.filter_types.includes(item.data_type)) &&
+      (!params.filter_coach_id || item.coach_id === params.filter_coach_id) &&
+      (!params.filter_client_id || item.client_id === params.filter_client_id) &&
+      (!params.filter_org_id || item.client_organization_id === params.filter_org_id));
+
+  const toHit = ({ chunk, item }, extra) => ({
+    id: chunk.id,
+    data_item_id: item.id,
+    content: chunk.content,
+    data_type: item.data_type,
+    coach_id: item.coach_id,
+    client_id: item.client_id,
+    metadata: item.metadata,
+    chunk_metadata: chunk.metadata || {},
+    ...extra
+  });
+
+  const functions = {
+    match_data_chunks: params => {
+      const query = JSON.parse(params.query_embedding_text);
+      return filteredChunks(params)
+        .map(entry => toHit(entry, { similarity: cosine(query, JSON.parse(entry.chunk.embedding)) }))
+        .filter(hit => hit.similarity > params.match_threshold)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, params.match_count);
+    },
+    keyword_search_data_chunks: params => {
+      const terms = params.query_text.toLowerCase().split(/\W+/).filter(Boolean);
+      return filteredChunks(params)
+        .map(entry => toHit(entry, {
+          keyword_rank: terms.filter(term => entry.chunk.content.toLowerCase().includes(term)).length
+        }))
+        .filter(hit => hit.keyword_rank > 0)
+        .sort((a, b) => b.keyword_rank - a.keyword_rank)
+        .slice(0, params.match_count);
+    },
+    client_session_stats: params => params.p_client_ids.map(clientId => {
+      const items = tables.data_items.filter(item => item.client_id === clientId);
+      const sessions = items.filter(item => item.data_type === 'transcript');
+      return {
+        client_id: clientId,
+        session_count: sessions.length,
+        last_session_date: sessions.map(s => s.session_date).sort().pop() || null,
+        item_count: items.length
+      };
+    })
+  };
+
+  return {
+    from: table => new LocalQuery(db, table),
+    rpc: async (name, params = {}) => functions[name]
+      ? { data: functions[name](params), error: null }
+      : { data: null, error: { message: `function ${name} does not exist` } },
+    tables
+  };
+}
+
+// ============================================
+// FIXTURES
+// ============================================
+
+const KEYS = {
+  coachA: 'udl_test_coach_a_key',
+  coachB: 'udl_test_coach_b_key',
+  clientA: 'udl_test_client_a_key',
+  admin1: 'udl_test_admin_1_key'
+};
+
+async function createFixtures(provider) {
+  const items = [
+    { id: 'item-a', coach_id: 'coach-a', client_id: 'client-a', text: 'Alice wants to delegate more of the quarterly planning to her team.' },
+    { id: 'item-b', coach_id: 'coach-b', client_id: 'client-b', text: 'Bruno wants to delegate more of the hiring process to his managers.' },
+    { id: 'item-c', coach_id: 'coach-c', client_id: 'client-c', text: 'Chen wants to delegate more of the budget reviews to finance.' },
+    {
+      id: 'item-a-june',
+      coach_id: 'coach-a',
+      client_id: 'client-a',
+      text: 'Alice rehearsed the board presentation on the reorganisation.',
+      session_date: '2026-06-15T10:00:00'
+    },
+    {
+      id: 'item-a-sept-end',
+      coach_id: 'coach-a',
+      client_id: 'client-a',
+      text: 'Alice reviewed the hiring plan for the new analyst role.',
+      session_date: '2026-09-30T15:00:00'
+    }
+  ];
+  const { embeddings } = await provider.embed(items.map(item => item.text));
+
+  return {
+    coaching_companies: [{ id: 'company-1', name: 'North Coaching' }, { id: 'company-2', name: 'South Coaching' }],
+    coaches: [
+      { id: 'coach-a', coaching_company_id: 'company-1', name: 'Coach A' },
+      { id: 'coach-b', coaching_company_id: 'company-1', name: 'Coach B' },
+      { id: 'coach-c', coaching_company_id: 'company-2', name: 'Coach C' }
+    ],
+    admins: [{ id: 'admin-1', coaching_company_id: 'company-1', role: 'admin' }],
+    client_organizations: [{ id: 'org-1', name: 'Acme Media' }, { id: 'org-2', name: 'Globex' }],
+    clients: [
+      { id: 'client-a', name: 'Alice', client_organization_id: 'org-1', primary_coach_id: 'coach-a' },
+      { id: 'client-b', name: 'Bruno', client_organization_id: 'org-1', primary_coach_id: 'coach-b' },
+      { id: 'client-c', name: 'Chen', client_organization_id: 'org-2', primary_coach_id: 'coach-c' }
+    ],
+    coach_clients: [
+      { id: 'cc-a', coach_id: 'coach-a', client_id: 'client-a' },
+      { id: 'cc-b', coach_id: 'coach-b', client_id: 'client-b' },
+      { id: 'cc-c', coach_id: 'coach-c', client_id: 'client-c' }
+    ],
+    data_items: items.map(item => ({
+      id: item.id,
+      data_type: 'transcript',
+      coach_id: item.coach_id,
+      client_id: item.client_id,
+      client_organization_id: null,
+      visibility_level: 'private',
+      raw_content: item.text,
+      metadata: { title: `Session with ${item.client_id}` },
+      session_date: item.session_date || '2026-09-01T10:00:00'
+    })),
+    data_chunks: items.map((item, i) => ({
+      id: `chunk-${item.id}`,
+      data_item_id: item.id,
+      chunk_index: 0,
+      content: item.text,
+      embedding: JSON.stringify(embeddings[i]),
+      metadata: {}
+    })),
+    api_keys: await Promise.all([
+      ['key-coach-a', KEYS.coachA, { coach_id: 'coach-a' }],
+      ['key-coach-b', KEYS.coachB, { coach_id: 'coach-b' }],
+      ['key-client-a', KEYS.clientA, { client_id: 'client-a' }],
+      ['key-admin-1', KEYS.admin1, { admin_id: 'admin-1' }]
+    ].map(async ([id, key, owner]) => ({
+      id,
+      key_hash: await bcrypt.hash(key, 4),
+      is_revoked: false,
+      expires_at: null,
+      scopes: ['read', 'write'],
+      ...owner
+    }))),
+    audit_logs: [],
+    embedding_migrations: [],
+    mcp_prompt_templates: []
+  };
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+async function connect(baseUrl, apiKey) {
+  const client = new Client({ name: 'validate-mcp-scoping', version: '1.0.0' });
+  const transport = new StreamableHTTPClientTransport(new URL('/api/mcp', baseUrl), {
+    requestInit: { headers: { Authorization: `Bearer ${apiKey}` } }
+  });
+  await client.connect(transport);
+  return client;
+}
+
+/**
+ * Stand-in for the OpenAI chat API: records each prompt and answers the
+ * session summary map and reduce steps, citing every item id in the prompt
+ */
+function createLocalChatModel() {
+  const prompts = [];
+  const create = async ({ messages }) => {
+    const prompt = messages[messages.length - 1].content;
+    prompts.push(prompt);
+    const ids = [...prompt.matchAll(/^\[([\w-]+)\]/gm)].map(match => match[1]);
+    const result = ids.length > 0
+      ? { overview: 'Delegation.', themes: [{ theme: 'Delegation', detail: null, data_item_ids: ids }], commitments: [], open_questions: [] }
+      : { summary: 'Talked about delegation.', themes: ['delegation'], commitments: [], open_questions: [] };
+    return {
+      choices: [{ message: { content: JSON.stringify(result) } }],
+      usage: { prompt_tokens: 0, completion_tokens: 0 }
+    };
+  };
+  return { prompts, chat: { completions: { create } } };
+}
+
+async function callText(client, name, args) {
+  const result = await client.callTool({ name, arguments: args });
+  return { text: result.content[0].text, isError: !!result.isError };
+}
+
+async function main() {
+  console.log(`${colors.bold}MCP Scoping Validation (Streamable HTTP, local stand-in database)${colors.reset}\n`);
+
+  process.env.PII_SCRUBBING_ENABLED = 'false';
+  configureEmbeddingProvider({ provider: 'local' });
+
+  const supabase = createLocalDatabase(await createFixtures(new LocalHashEmbeddingProvider()));
+  const authMiddleware = createAuthMiddleware(supabase);
+  const chatModel = createLocalChatModel();
+  const streamableHTTP = createStreamableHTTPHandler(supabase, chatModel, authMiddleware);
+
+  const app = express();
+  app.use(express.json());
+  app.post('/api/mcp', ...streamableHTTP.handlePost);
+
+  const httpServer = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+
+  try {
+    // Authentication
+    const unauthenticated = await fetch(`${baseUrl}/api/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+    check('Request without API key is rejected', unauthenticated.status === 401, `HTTP ${unauthenticated.status}`);
+
+    const invalidKey = await connect(baseUrl, 'udl_test_not_a_real_key').then(() => null, error => error);
+    check('Request with unknown API key is rejected', invalidKey !== null);
+
+    // Coach A
+    const coachA = await connect(baseUrl, KEYS.coachA);
+
+    const clientList = await callText(coachA, 'list_clients', {});
+    check('Coach lists only assigned clients',
+      clientList.text.includes('client-a') && !clientList.text.includes('client-b') && !clientList.text.includes('client-c'));
+
+    const ownSearch = await callText(coachA, 'search_data', { query: 'delegate', mode: 'hybrid', threshold: 0 });
+    check('Coach search returns only own data',
+      ownSearch.text.includes('item-a') && !ownSearch.text.includes('item-b') && !ownSearch.text.includes('item-c'));
+
+    const otherClientSearch = await callText(coachA, 'search_data', { query: 'delegate', client_id: 'client-b' });
+    check('Coach cannot search another coach\'s client', otherClientSearch.isError && !otherClientSearch.text.includes('item-b'),
+      otherClientSearch.text);
+
+    const otherCoachSearch = await callText(coachA, 'search_data', { query: 'delegate', coach_id: 'coach-b' });
+    check('Coach cannot search as another coach', otherCoachSearch.isError, otherCoachSearch.text);
+
+    const otherTimeline = await callText(coachA, 'get_client_timeline', { client_id: 'client-b' });
+    check('Coach cannot read another coach\'s client timeline', otherTimeline.isError && !otherTimeline.text.includes('Bruno'));
+
+    const ownTimeline = await callText(coachA, 'get_client_timeline', { client_id: 'client-a' });
+    check('Coach reads own client timeline', !ownTimeline.isError && ownTimeline.text.includes('Alice'));
+
+    const otherItem = await callText(coachA, 'get_data_item', { data_item_id: 'item-b' });
+    check('Coach cannot read another coach\'s data item', otherItem.isError && !otherItem.text.includes('Bruno'));
+
+    const otherResource = await coachA.readResource({ uri: 'udl://data_item/item-b' }).then(() => null, error => error);
+    check('Coach cannot read another coach\'s data item resource', otherResource !== null);
+
+    const otherSummary = await callText(coachA, 'summarize_sessions', { client_id: 'client-b' });
+    check('Coach cannot summarize another coach\'s client', otherSummary.isError && !otherSummary.text.includes('Bruno'),
+      otherSummary.text);
+
+    const emptySummary = await callText(coachA, 'summarize_sessions', {
+      client_id: 'client-a', start_date: '2026-01-01', end_date: '2026-03-31'
+    });
+    check('Coach summary covers only sessions in the date range',
+      !emptySummary.isError && emptySummary.text.startsWith('No session transcripts for Alice'), emptySummary.text);
+
+    const quarterSummary = await callText(coachA, 'summarize_sessions', {
+      client_id: 'client-a', start_date: '2026-07-01', end_date: '2026-09-30'
+    });
+    const sentToModel = chatModel.prompts.join('\n');
+    check('Coach summary sends only the client\'s sessions in the range to the model',
+      sentToModel.includes('quarterly planning') && !sentToModel.includes('board presentation') &&
+      !sentToModel.includes('Bruno') && !sentToModel.includes('Chen'), `${chatModel.prompts.length} prompts`);
+    check('Coach summary sends a session later on the end date to the model',
+      sentToModel.includes('hiring plan'), `${chatModel.prompts.length} prompts`);
+    check('Coach summary cites only the client\'s sessions in the range',
+      !quarterSummary.isError && quarterSummary.text.includes('Sessions: 2') && quarterSummary.text.includes('[item item-a]') &&
+      quarterSummary.text.includes('[item item-a-sept-end]') &&
+      !quarterSummary.text.includes('item-a-june') && !quarterSummary.text.includes('item-b'), quarterSummary.text.split('\n')[1]);
+
+    // Uploads
+    const upload = await callText(coachA, 'upload_data', {
+      data_type: 'transcript',
+      client_id: 'client-a',
+      title: 'Follow-up call',
+      content: 'Alice reported that delegating the quarterly planning freed up two days for strategy work.'
+    });
+    const uploadedId = upload.text.match(/Data Item ID: (\S+)/)?.[1];
+    const uploaded = supabase.tables.data_items.find(item => item.id === uploadedId);
+    check('upload_data defaults coach_id to the calling coach', uploaded?.coach_id === 'coach-a', upload.text.split('\n')[0]);
+    check('upload_data stores the title in metadata', uploaded?.metadata?.title === 'Follow-up call');
+
+    const uploadAsOther = await callText(coachA, 'upload_data', {
+      data_type: 'transcript',
+      coach_id: 'coach-b',
+      content: 'This upload names another coach and must be rejected by the scoping rules.'
+    });
+    check('upload_data rejects another coach_id', uploadAsOther.isError, uploadAsOther.text);
+
+    const uploadForOther = await callText(coachA, 'upload_data', {
+      data_type: 'transcript',
+      client_id: 'client-b',
+      content: 'This upload names another coach\'s client and must be rejected by the scoping rules.'
+    });
+    check('upload_data rejects another coach\'s client', uploadForOther.isError, uploadForOther.text);
+
+    // Client A
+    const clientA = await connect(baseUrl, KEYS.clientA);
+
+    const clientSearch = await callText(clientA, 'search_data', { query: 'delegate', threshold: 0 });
+    check('Client search returns only own data',
+      clientSearch.text.includes('item-a') && !clientSearch.text.includes('item-b') && !clientSearch.text.includes('item-c'));
+
+    const clientOther = await callText(clientA, 'search_data', { query: 'delegate', client_id: 'client-b' });
+    check('Client cannot search another client', clientOther.isError, clientOther.text);
+
+    // Admin of company 1
+    const admin = await connect(baseUrl, KEYS.admin1);
+
+    const companyTimeline = await callText(admin, 'get_client_timeline', { client_id: 'client-b' });
+    check('Admin reads timelines in own company', !companyTimeline.isError && companyTimeline.text.includes('Bruno'));
+
+    const foreignTimeline = await callText(admin, 'get_client_timeline', { client_id: 'client-c' });
+    check('Admin cannot read timelines in another company', foreignTimeline.isError);
+
+    const foreignSummary = await callText(admin, 'summarize_sessions', { client_id: 'client-c' });
+    check('Admin cannot summarize a client in another company', foreignSummary.isError && !foreignSummary.text.includes('Chen'),
+      foreignSummary.text);
+
+    const foreignCoach = await callText(admin, 'search_data', { query: 'delegate', coach_id: 'coach-c' });
+    check('Admin cannot search another company\'s coach', foreignCoach.isError, foreignCoach.text);
+
+    await Promise.all([coachA.close(), clientA.close(), admin.close()]);
+  } finally {
+    await new Promise(resolve => httpServer.close(resolve));
+  }
+
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`\n${failed === 0 ? colors.green : colors.red}${results.length - failed}/${results.length} checks passed${colors.reset}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error(`${colors.red}✗ Validation failed:${colors.reset}`, error);
+  process.exit(1);
+});
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Transcript Export Format Validation Script
+ *
+ * Detects and parses sample Otter.ai and Microsoft Teams exports (DOCX
+ * samples as the text mammoth extracts) and a Zoom JSON export, with the
+ * process in a non-UTC timezone. Needs no network access or API keys.
+ * Validates:
+ * - Otter exports are recognized by their header, or by speaker/timestamp
+ *   blocks throughout
+ * - Notes that only contain a few "Name  1:00" lines are not
+ * - Teams exports in both layouts are parsed into speaker turns
+ * - Meeting times without a timezone are read as UTC; explicit offsets are kept
+ *
+ * Usage:
+ *   node tests/validate-transcript-formats.js
+ */
+
+// Before any date is parsed: results must not depend on the server's zone
+process.env.TZ = 'America/New_York';
+
+const { detectTranscriptFormat, parseTranscriptExport, toTranscriptInput } = await import('../api/processors/index.js');
+
+// ANSI color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  bold: '\x1b[1m'
+};
+
+const results = [];
+
+function check(name, condition, detail = '') {
+  results.push({ name, passed: !!condition });
+  const mark = condition ? `${colors.green}✓` : `${colors.red}✗`;
+  console.log(`${mark} ${name}${colors.reset}${detail ? ` (${detail})` : ''}`);
+}
+
+const OTTER_TXT = `Weekly coaching - Sam Park
+Tue, Jul 2, 2024 10:03AM • 45:12
+
+SUMMARY KEYWORDS
+delegation, weekly report
+
+SPEAKERS
+Jordan Lee, Sam Park
+
+Jordan Lee  0:04
+How did the delegation experiment go?
+
+Sam Park  0:15
+Better than expected. I handed off the weekly report.
+
+Jordan Lee  1:02
+What made it work?
+
+Transcribed by https://otter.ai
+`;
+
+// Otter layout without the header (trimmed by hand)
+const BARE_OTTER_TXT = `Jordan Lee  0:04
+How did the delegation experiment go?
+
+Sam Park  0:15
+Better than expected.
+`;
+
+const MEETING_NOTES = `Offsite planning
+
+We need a room for the whole team and a plan for the afternoon.
+Catering should be confirmed by Friday, and the agenda shared the week before.
+Budget is still open; finance will come back to us next week.
+Travel for the remote people has to be booked early this time.
+The slot on the first day is reserved for the product demo.
+Questions from last time are in the shared folder.
+Room bookings go through the office manager.
+Keep the evening free.
+Agenda
+Welcome  9:00
+Coffee and introductions for everyone arriving.
+Demo  1:00
+`;
+
+const TEAMS_DOCX_TEXT = `Weekly sync-20240702_100315-Meeting Recording
+July 2, 2024, 10:03AM
+45m 12s
+
+Jordan Lee started transcription
+
+Jordan Lee   0:03
+How did the delegation experiment go?
+
+Sam Park   0:09
+Better than expected.
+
+Jordan Lee stopped transcription
+`;
+
+const TEAMS_CUES_DOCX_TEXT = `Weekly sync
+July 2, 2024, 10:03AM
+
+0:0:3.0 --> 0:0:8.5
+Jordan Lee
+How did the delegation experiment go?
+
+0:0:9.0 --> 0:0:14.25
+Sam Park
+Better than expected.
+`;
+
+function main() {
+  console.log(`${colors.bold}Transcript Export Format Validation${colors.reset}\n`);
+
+  // Otter TXT
+  check('Otter TXT detected from its header', detectTranscriptFormat(OTTER_TXT, { filename: 'session.txt' }) === 'otter_txt');
+
+  const otter = parseTranscriptExport(OTTER_TXT, 'otter_txt');
+  check('Otter turns parsed without the footer',
+    otter.turns.length === 3 && otter.turns[2].text === 'What made it work?' &&
+    otter.turns.map(turn => turn.speaker).join(',') === 'Jordan Lee,Sam Park,Jordan Lee',
+    JSON.stringify(otter.turns.map(turn => turn.text)));
+  check('Otter turn times and end times from the next turn',
+    otter.turns[1].start_time === 15 && otter.turns[1].end_time === 62);
+  check('Otter header: title, duration and speakers',
+    otter.title === 'Weekly coaching - Sam Park' && otter.duration_seconds === 2712 &&
+    otter.participants.join(',') === 'Jordan Lee,Sam Park');
+  check('Otter meeting time read as UTC', otter.meeting_date === '2024-07-02T10:03:00.000Z', otter.meeting_date);
+
+  check('Otter layout without header detected', detectTranscriptFormat(BARE_OTTER_TXT) === 'otter_txt');
+  check('Notes with a few "Name  1:00" lines are not a transcript',
+    detectTranscriptFormat(MEETING_NOTES, { filename: 'notes.txt' }) === null &&
+    detectTranscriptFormat(MEETING_NOTES, { filename: 'notes.docx', docx: true }) === null);
+
+  // Teams DOCX
+  check('Teams DOCX (speaker/time layout) detected', detectTranscriptFormat(TEAMS_DOCX_TEXT, { docx: true }) === 'teams_docx');
+
+  const teams = parseTranscriptExport(TEAMS_DOCX_TEXT, 'teams_docx');
+  check('Teams turns parsed without transcription notices',
+    teams.turns.length === 2 && teams.turns[1].speaker === 'Sam Park' && teams.turns[1].start_time === 9);
+  check('Teams title and UTC meeting time from the recording name',
+    teams.title === 'Weekly sync' && teams.meeting_date === '2024-07-02T10:03:15.000Z' && teams.duration_seconds === 2712,
+    `${teams.title}, ${teams.meeting_date}`);
+
+  check('Teams DOCX (cue layout) detected', detectTranscriptFormat(TEAMS_CUES_DOCX_TEXT, { docx: true }) === 'teams_docx');
+  const cues = parseTranscriptExport(TEAMS_CUES_DOCX_TEXT, 'teams_docx');
+  check('Teams cues parsed with start and end times',
+    cues.turns.length === 2 && cues.turns[0].speaker === 'Jordan Lee' &&
+    cues.turns[1].start_time === 9 && cues.turns[1].end_time === 14.25 &&
+    cues.meeting_date === '2024-07-02T10:03:00.000Z', cues.meeting_date);
+
+  const { content, metadata } = toTranscriptInput(cues, 'sync.docx');
+  check('Transcript input has one "Speaker: text" line per turn',
+    content === 'Jordan Lee: How did the delegation experiment go?\nSam Park: Better than expected.' &&
+    metadata.source_file.format === 'teams_docx');
+
+  // Zoom JSON start times
+  const zoom = start => parseTranscriptExport(JSON.stringify({
+    topic: 'Weekly',
+    start_time: start,
+    transcript: [{ speaker_name: 'Jordan Lee', text: 'Hello' }]
+  }), 'zoom_json').meeting_date;
+  check('Zoom start time without timezone read as UTC, offsets kept',
+    zoom('2024-07-02T10:03:15') === '2024-07-02T10:03:15.000Z' &&
+    zoom('2024-07-02T10:03:15+02:00') === '2024-07-02T08:03:15.000Z' &&
+    zoom('2024-07-02T10:03:15Z') === '2024-07-02T10:03:15.000Z');
+
+  const failed = results.filter(r => !r.passed).length;
+  console.log(`\n${failed === 0 ? colors.green : colors.red}${results.length - failed}/${results.length} checks passed${colors.reset}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main();